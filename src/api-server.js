@@ -0,0 +1,170 @@
+import http from 'http';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+import { FileHandler } from './utils/file-handler.js';
+import { loadConfig } from './utils/config.js';
+import { withDerivedFields } from './utils/job-fields.js';
+import {
+  QueryError,
+  parseJobFilter,
+  filterJobs,
+  sortJobs,
+  paginate,
+  summarizeCompanies,
+  computeStats
+} from './utils/job-query.js';
+
+const DEFAULT_API = { port: 3000, host: 'localhost' };
+
+/**
+ * Send a JSON response with an ETag, or 304 when the client copy is current
+ */
+function sendJson(req, res, status, body) {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'Access-Control-Allow-Origin': '*',
+    ETag: etag
+  };
+
+  if (status === 200 && req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(json) });
+  res.end(req.method === 'HEAD' ? undefined : json);
+}
+
+/**
+ * Send a JSON error
+ */
+function sendError(req, res, status, message) {
+  sendJson(req, res, status, { error: message });
+}
+
+/**
+ * Decode the :id path segment
+ * @throws {QueryError} On a malformed escape such as %E0
+ */
+function decodeJobId(id) {
+  try {
+    return decodeURIComponent(id);
+  } catch (error) {
+    throw new QueryError(`Invalid job id "${id}"`);
+  }
+}
+
+/**
+ * Create the REST API server
+ * Routes: GET /jobs, /jobs/:id, /companies, /stats
+ * @param {FileHandler} fileHandler - Initialized job store
+ * @returns {http.Server}
+ */
+export function createApiServer(fileHandler) {
+  const routes = [
+    {
+      pattern: /^\/jobs\/?$/,
+      handle: (params) => {
+        const jobs = filterJobs(fileHandler.getJobs(), parseJobFilter(params));
+        return paginate(sortJobs(jobs, params.get('sort')), params);
+      }
+    },
+    {
+      pattern: /^\/jobs\/([^/]+)\/?$/,
+      handle: (params, [id]) => withDerivedFields(fileHandler.getJob(decodeJobId(id)))
+    },
+    {
+      pattern: /^\/companies\/?$/,
+      handle: (params) => {
+        const q = params.get('q')?.trim().toLowerCase();
+        const companies = summarizeCompanies(fileHandler.getJobs())
+          .filter(entry => !q || entry.company.toLowerCase().includes(q));
+        return paginate(companies, params);
+      }
+    },
+    {
+      pattern: /^\/stats\/?$/,
+      handle: () => computeStats(fileHandler.getJobs())
+    },
+    {
+      pattern: /^\/$/,
+      handle: () => ({ endpoints: ['/jobs', '/jobs/:id', '/companies', '/stats'] })
+    }
+  ];
+
+  return http.createServer(async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      sendError(req, res, 405, `Method ${req.method} not allowed`);
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      for (const route of routes) {
+        const match = url.pathname.match(route.pattern);
+        if (!match) continue;
+
+        // Pick up jobs the scraper saved since the last request
+        await fileHandler.refresh();
+        const body = route.handle(url.searchParams, match.slice(1));
+        if (body === null) {
+          sendError(req, res, 404, 'Job not found');
+        } else {
+          sendJson(req, res, 200, body);
+        }
+        return;
+      }
+
+      sendError(req, res, 404, `No route for ${url.pathname}`);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        sendError(req, res, 400, error.message);
+      } else {
+        console.error('❌ API error:', error);
+        sendError(req, res, 500, 'Internal server error');
+      }
+    }
+  });
+}
+
+/**
+ * Start the API server using config.json
+ */
+async function start() {
+  const config = loadConfig();
+  const { port, host } = { ...DEFAULT_API, ...config.api };
+
+  const fileHandler = new FileHandler(config.output, config.storage, { readOnly: true });
+  await fileHandler.init();
+
+  const server = createApiServer(fileHandler);
+  server.listen(port, host, () => {
+    console.log(`✅ Jobs API is running on http://${host}:${port} (${fileHandler.getCount()} jobs)`);
+    console.log('📋 Press Ctrl+C to stop the server');
+  });
+
+  // Handle graceful shutdown
+  const shutdown = async () => {
+    console.log('\n🛑 Shutting down Jobs API...');
+    server.close();
+    await fileHandler.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run if called directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  start().catch(error => {
+    console.error('❌ Failed to start Jobs API:', error);
+    process.exit(1);
+  });
+}
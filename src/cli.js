@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { loadConfig, applyOverrides, assertValidConfig, ConfigError, CONFIG_PATH } from './utils/config.js';
+import { loadSiteProfile } from './utils/site-profile.js';
+import { EXIT_CODES } from './utils/exit-codes.js';
+import { Checkpoint } from './utils/checkpoint.js';
+import { DeadLetterFile } from './utils/dead-letter.js';
+import { FileHandler } from './utils/file-handler.js';
+import { computeStats } from './utils/job-query.js';
+
+const HELP = `
+Usage: jobthai <command> [options]
+
+Commands:
+  scrape         Scrape listings and job details (default)
+  get-pages      Count search result pages and update maxPages in config.json
+  export         Export saved jobs to CSV, TSV, NDJSON or XLSX
+  stats          Show statistics about saved jobs and the last run
+  retry-failed   Retry the jobs in the dead-letter file (<output>.failed.json)
+  reextract      Re-run the extraction over archived detail pages and update saved jobs
+
+Search options (scrape, get-pages):
+  -k, --keyword <text>      Search by keyword (searchMode "keyword")
+      --bts-mrt <path>      Search by rail line path (searchMode "bts_mrt")
+  -u, --url <url>           Search a custom URL (searchMode "custom_url")
+      --start-page <n>      First page to scrape
+      --max-pages <n>       Maximum pages, 0 = no limit
+      --max-age-days <n>    Skip listings older than n days, 0 = no limit
+
+Run options (scrape, retry-failed):
+  -w, --workers <n>         Number of parallel workers
+      --retry-attempts <n>  Retries per failed page before giving up
+      --listing-workers <n> Listing pages loaded at once (scrape)
+      --resume              Continue from the last checkpoint (scrape)
+      --dashboard           Serve the live dashboard during the run
+      --record              Save every fetched page to the page archive
+      --replay              Read pages from the archive instead of the network
+      --archive-details     Keep every job detail page in the archive for reextract
+      --fetcher <type>      hero or http (plain HTTP, falls back to Hero) for both phases
+      --cloud-host <url>    Ulixee Cloud address
+      --base-url <url>      Site to scrape instead of https://www.jobthai.com (e.g. the mock site)
+      --site-profile <path> Override selectors and section labels from a site profile file
+      --health-action <a>   warn, pause or stop when extraction falls back to preview data
+
+Storage options (all commands):
+  -o, --output <path>       JSON output path
+      --storage <type>      json or sqlite
+      --config <path>       Read another config file (default: config.json)
+
+Export options:
+  -f, --format <format>     csv, tsv, ndjson or xlsx (default: csv)
+      --out <path>          Export file (default: <output>.<format>)
+  -i, --input <path>        Read a .json/.sqlite file or backup instead of the output
+  -b, --backups             Also read every backup of the input
+  -c, --columns <list>      Comma-separated columns
+  -s, --separator <text>    Joins lines of multi-line fields (default: "; ")
+      --list-columns        Print available columns
+
+Stats options:
+      --json                Print statistics as JSON
+
+Reextract options:
+      --site-profile <path> Override selectors and section labels from a site profile file
+      --dry-run             Report the changed fields without saving them
+      --json                Print the report as JSON
+
+Flags override config.json for this run only, the file is never modified
+(except maxPages by get-pages when no search option is given).
+
+Exit codes:
+  0  success
+  1  fatal error (e.g. Ulixee Cloud not running)
+  2  usage error (unknown command, option, invalid value or invalid config)
+  3  finished, but some jobs failed (see retry-failed) or listing pages kept failing (see --resume)
+  4  stopped by the extraction health check, fix the site profile and continue with --resume
+  130  interrupted, continue with --resume
+
+Examples:
+  jobthai scrape --keyword "ไอที" --max-pages 5 --workers 5
+  jobthai scrape --url "https://www.jobthai.com/th/jobs?keyword=web" --start-page 3
+  jobthai scrape --replay --output ./output/replay.json
+  jobthai export --format xlsx --columns id,title,company,salaryMin,salaryMax
+  jobthai stats --json
+  jobthai reextract --dry-run
+`;
+
+const OPTIONS = {
+  keyword: { type: 'string', short: 'k' },
+  'bts-mrt': { type: 'string' },
+  url: { type: 'string', short: 'u' },
+  'start-page': { type: 'string' },
+  'max-pages': { type: 'string' },
+  'max-age-days': { type: 'string' },
+  workers: { type: 'string', short: 'w' },
+  'retry-attempts': { type: 'string' },
+  'listing-workers': { type: 'string' },
+  resume: { type: 'boolean' },
+  dashboard: { type: 'boolean' },
+  record: { type: 'boolean' },
+  replay: { type: 'boolean' },
+  'archive-details': { type: 'boolean' },
+  fetcher: { type: 'string' },
+  'cloud-host': { type: 'string' },
+  'base-url': { type: 'string' },
+  'site-profile': { type: 'string' },
+  'health-action': { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  storage: { type: 'string' },
+  config: { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  out: { type: 'string' },
+  input: { type: 'string', short: 'i' },
+  backups: { type: 'boolean', short: 'b' },
+  columns: { type: 'string', short: 'c' },
+  separator: { type: 'string', short: 's' },
+  'list-columns': { type: 'boolean' },
+  json: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const SEARCH_OPTIONS = ['keyword', 'bts-mrt', 'url', 'start-page', 'max-pages', 'max-age-days'];
+const RUN_OPTIONS = ['workers', 'retry-attempts', 'dashboard', 'record', 'replay', 'archive-details', 'fetcher', 'cloud-host', 'base-url', 'site-profile', 'health-action'];
+const STORAGE_OPTIONS = ['output', 'storage', 'config', 'help'];
+
+// Options each command accepts
+const COMMANDS = {
+  scrape: [...SEARCH_OPTIONS, ...RUN_OPTIONS, 'listing-workers', 'resume', ...STORAGE_OPTIONS],
+  'get-pages': [...SEARCH_OPTIONS, 'cloud-host', 'base-url', 'site-profile', ...STORAGE_OPTIONS],
+  export: ['format', 'out', 'input', 'backups', 'columns', 'separator', 'list-columns', ...STORAGE_OPTIONS],
+  stats: ['json', ...STORAGE_OPTIONS],
+  'retry-failed': [...RUN_OPTIONS, ...STORAGE_OPTIONS],
+  reextract: ['site-profile', 'dry-run', 'json', ...STORAGE_OPTIONS]
+};
+
+/**
+ * Error for bad command line usage (exit code 2)
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse a non-negative integer flag
+ */
+function parseInteger(values, name, min = 0) {
+  const raw = values[name];
+  if (raw === undefined) return undefined;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    throw new UsageError(`--${name} must be an integer >= ${min}, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments without node and script path
+ * @returns {Object} { command, values }
+ */
+export function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (positionals.length > 1) {
+    throw new UsageError(`Unexpected argument: ${positionals[1]}`);
+  }
+
+  const command = positionals[0] || 'scrape';
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command "${command}". Commands: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+
+  const unsupported = Object.keys(values).filter(name => !COMMANDS[command].includes(name));
+  if (unsupported.length > 0) {
+    throw new UsageError(`Option(s) not supported by "${command}": ${unsupported.map(n => `--${n}`).join(', ')}`);
+  }
+
+  const searchFlags = ['keyword', 'bts-mrt', 'url'].filter(name => values[name] !== undefined);
+  if (searchFlags.length > 1) {
+    throw new UsageError(`Use only one of ${searchFlags.map(n => `--${n}`).join(', ')}`);
+  }
+
+  if (values.record && values.replay) {
+    throw new UsageError('Use only one of --record, --replay');
+  }
+
+  if (values.storage !== undefined && !['json', 'sqlite'].includes(values.storage)) {
+    throw new UsageError(`--storage must be "json" or "sqlite", got "${values.storage}"`);
+  }
+
+  return { command, values };
+}
+
+/**
+ * Map parsed flags to config overrides
+ * @param {Object} values - Parsed flags
+ * @returns {Object} Overrides for applyOverrides()
+ */
+export function toOverrides(values) {
+  return {
+    keyword: values.keyword,
+    btsMrt: values['bts-mrt'],
+    url: values.url,
+    workers: parseInteger(values, 'workers', 1),
+    listingWorkers: parseInteger(values, 'listing-workers', 1),
+    retryAttempts: parseInteger(values, 'retry-attempts'),
+    startPage: parseInteger(values, 'start-page', 1),
+    maxPages: parseInteger(values, 'max-pages'),
+    maxAgeDays: parseInteger(values, 'max-age-days'),
+    output: values.output,
+    storage: values.storage,
+    cloudHost: values['cloud-host'],
+    baseUrl: values['base-url'],
+    siteProfile: values['site-profile'],
+    healthAction: values['health-action'],
+    dashboard: values.dashboard,
+    archiveMode: values.record ? 'record' : values.replay ? 'replay' : undefined,
+    archiveDetails: values['archive-details'],
+    fetcher: values.fetcher
+  };
+}
+
+/**
+ * Print statistics about saved jobs and the last run's checkpoint
+ */
+async function printStats(config, asJson) {
+  const fileHandler = new FileHandler(config.output, config.storage, { readOnly: true });
+  await fileHandler.init();
+  const stats = computeStats(fileHandler.getJobs());
+  await fileHandler.close();
+
+  const state = new Checkpoint(config.checkpoint || Checkpoint.pathFor(config.output)).load();
+  const queue = (state && state.queue) || {};
+  const lastRun = state ? {
+    savedAt: state.savedAt,
+    searches: state.searches ? state.searches.map(search => search.name) : [state.searchUrl],
+    listingDone: !!(state.listing && state.listing.done),
+    pending: (queue.pending || []).length + (queue.processing || []).length,
+    failed: (queue.failed || []).length
+  } : null;
+  const failedJobs = new DeadLetterFile(config.deadLetter || DeadLetterFile.pathFor(config.output)).count;
+
+  if (asJson) {
+    console.log(JSON.stringify({ ...stats, lastRun, failedJobs }, null, 2));
+    return;
+  }
+
+  const top = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 10);
+
+  console.log('📊 Saved jobs');
+  console.log('─'.repeat(40));
+  console.log(`   Jobs: ${stats.totalJobs}`);
+  console.log(`   Companies: ${stats.totalCompanies}`);
+  console.log(`   With salary amount: ${stats.salary.withAmount} (negotiable: ${stats.salary.negotiable})`);
+  if (stats.salary.medianMonthlyMin !== null) {
+    console.log(`   Median monthly salary (min): ${stats.salary.medianMonthlyMin.toLocaleString()} THB`);
+  }
+  console.log(`   Posted: ${stats.postedAt.earliest || '-'} → ${stats.postedAt.latest || '-'}`);
+  console.log(`   Last scraped: ${stats.lastScrapedAt || '-'}`);
+  console.log('\n🗺️  Top provinces');
+  for (const [province, count] of top(stats.byProvince)) {
+    console.log(`   ${province}: ${count}`);
+  }
+
+  console.log('\n♻️  Last run');
+  if (lastRun) {
+    console.log(`   Checkpoint saved: ${lastRun.savedAt}`);
+    console.log(`   Searches: ${lastRun.searches.join(', ')}`);
+    console.log(`   Listing finished: ${lastRun.listingDone ? 'yes' : 'no'}`);
+    console.log(`   Pending: ${lastRun.pending}, Failed: ${lastRun.failed}`);
+  } else {
+    console.log('   No checkpoint (last run finished)');
+  }
+  console.log(`   Failed jobs waiting for retry-failed: ${failedJobs}`);
+}
+
+/**
+ * Run a command
+ * @param {Array} argv - Arguments without node and script path
+ * @returns {number} Exit code
+ */
+export async function run(argv) {
+  const { command, values } = parseCommandLine(argv);
+
+  if (values.help) {
+    console.log(HELP);
+    return EXIT_CODES.OK;
+  }
+
+  const overrides = toOverrides(values);
+  const config = applyOverrides(loadConfig(values.config || CONFIG_PATH), overrides);
+  assertValidConfig(config);
+  if (config.siteProfile) {
+    // Report a broken override before any page is loaded
+    loadSiteProfile(config.siteProfile);
+  }
+
+  switch (command) {
+    case 'scrape':
+    case 'retry-failed': {
+      const { printBanner, printConfig, runScrape } = await import('./index.js');
+
+      if (command === 'retry-failed') {
+        const failed = new DeadLetterFile(config.deadLetter || DeadLetterFile.pathFor(config.output)).count;
+        if (failed === 0) {
+          console.log('✅ No failed jobs to retry');
+          return EXIT_CODES.OK;
+        }
+      }
+
+      printBanner();
+      printConfig(config);
+      return runScrape(config, {
+        resume: values.resume,
+        retryFailed: command === 'retry-failed'
+      });
+    }
+
+    case 'get-pages': {
+      const { getPages } = await import('./get-pages.js');
+      // maxPages only makes sense in config.json for the search configured there
+      const save = SEARCH_OPTIONS.every(name => values[name] === undefined);
+      if (!save) {
+        console.log('ℹ️  Search options given, config.json will not be updated');
+      }
+      await getPages({ config, save, configPath: values.config || CONFIG_PATH });
+      return EXIT_CODES.OK;
+    }
+
+    case 'export': {
+      const { runExport } = await import('./export.js');
+      if (values['list-columns']) {
+        const { COLUMNS } = await import('./utils/export.js');
+        console.log(Object.keys(COLUMNS).join('\n'));
+        return EXIT_CODES.OK;
+      }
+      await runExport(values, config);
+      return EXIT_CODES.OK;
+    }
+
+    case 'stats':
+      await printStats(config, values.json);
+      return EXIT_CODES.OK;
+
+    case 'reextract': {
+      const { reextractJobs, printReport } = await import('./reextract.js');
+      const report = await reextractJobs(config, { dryRun: values['dry-run'] });
+      if (values.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        printReport(report, values['dry-run']);
+      }
+      return EXIT_CODES.OK;
+    }
+  }
+}
+
+// Run if called directly (resolving the symlink npm creates for the bin entry)
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  run(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch((error) => {
+      if (error instanceof UsageError) {
+        console.error(`❌ ${error.message}\n   Run with --help for usage`);
+        process.exit(EXIT_CODES.USAGE);
+      }
+      if (error instanceof ConfigError) {
+        console.error(`❌ ${error.message}`);
+        process.exit(EXIT_CODES.USAGE);
+      }
+      console.error('❌ Error:', error.message);
+      process.exit(EXIT_CODES.ERROR);
+    });
+}
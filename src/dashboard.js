@@ -0,0 +1,271 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const pagePath = path.join(__dirname, 'dashboard.html');
+
+const THROUGHPUT_WINDOW_MS = 5 * 60 * 1000; // rate is measured over the last 5 minutes
+const STATUS_INTERVAL_MS = 1000;
+const KEEPALIVE_INTERVAL_MS = 15000;
+const MAX_FAILURES = 100;
+const MAX_RECENT_JOBS = 20;
+
+// Queue events forwarded to the browser as-is
+const JOB_EVENTS = ['job:started', 'job:completed', 'job:retry', 'job:failed'];
+
+/**
+ * Live progress dashboard
+ * Serves a single page and streams queue, page and worker events over Server-Sent Events
+ */
+export class Dashboard {
+  constructor({ jobQueue, pageQueue, workerPool, fileHandler, rateLimiter, health }) {
+    this.jobQueue = jobQueue;
+    this.pageQueue = pageQueue;
+    this.workerPool = workerPool;
+    this.fileHandler = fileHandler;
+    this.rateLimiter = rateLimiter;
+    this.health = health;
+    this.server = null;
+    this.clients = new Set();
+    this.timers = [];
+    this.listeners = [];
+
+    this.startedAt = Date.now();
+    this.completedTimes = []; // completion timestamps inside the throughput window
+    this.failures = [];
+    this.recentJobs = [];
+    this.pagesCompleted = 0;
+    this.jobsFoundOnPages = 0;
+    this.phase = 'starting';
+  }
+
+  /**
+   * Start the HTTP server and subscribe to events
+   * @param {number} port - Port to listen on
+   * @param {string} host - Host to bind
+   */
+  async start(port = 3001, host = 'localhost') {
+    this.subscribe();
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    this.timers.push(setInterval(() => this.broadcast('status', this.getStatus()), STATUS_INTERVAL_MS));
+    this.timers.push(setInterval(() => this.writeAll(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS));
+
+    const address = this.server.address();
+    console.log(`📺 Dashboard running on http://${host}:${address.port}`);
+  }
+
+  /**
+   * Listen on an emitter and remember the listener for stop()
+   */
+  listen(emitter, event, handler) {
+    if (!emitter) return;
+    emitter.on(event, handler);
+    this.listeners.push({ emitter, event, handler });
+  }
+
+  /**
+   * Subscribe to queue, page and storage events
+   */
+  subscribe() {
+    for (const event of JOB_EVENTS) {
+      this.listen(this.jobQueue, event, (job) => {
+        // Workers start while listing is still adding jobs
+        if (event === 'job:started') this.phase = this.jobQueue.isProducing() ? 'listing + details' : 'details';
+        this.broadcast(event, { id: job.id, title: job.title || '', attempts: job.attempts, error: job.error });
+      });
+    }
+
+    this.listen(this.jobQueue, 'job:completed', () => {
+      this.completedTimes.push(Date.now());
+    });
+
+    this.listen(this.jobQueue, 'job:failed', (job) => {
+      this.failures.unshift({
+        id: job.id,
+        url: job.url,
+        title: job.title || '',
+        error: job.error,
+        attempts: job.attempts,
+        failedAt: new Date(job.failedAt || Date.now()).toISOString()
+      });
+      this.failures.length = Math.min(this.failures.length, MAX_FAILURES);
+    });
+
+    this.listen(this.jobQueue, 'queue:done', (stats) => {
+      this.phase = 'done';
+      this.broadcast('queue:done', stats);
+    });
+
+    this.listen(this.pageQueue, 'page:completed', (info) => {
+      if (this.phase === 'starting') this.phase = 'listing';
+      this.pagesCompleted++;
+      this.jobsFoundOnPages += info.jobsFound;
+      this.broadcast('page:completed', info);
+    });
+
+    this.listen(this.rateLimiter, 'rate:changed', (change) => {
+      this.broadcast('rate:changed', change);
+    });
+
+    this.listen(this.health, 'health:degraded', (report) => {
+      this.broadcast('health:degraded', report);
+    });
+
+    this.listen(this.health, 'health:recovered', (info) => {
+      this.broadcast('health:recovered', info);
+    });
+
+    this.listen(this.fileHandler, 'job:saved', (job) => {
+      const summary = {
+        id: job.id,
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        salary: job.salary,
+        url: job.url,
+        scrapedAt: job.scrapedAt
+      };
+      this.recentJobs.unshift(summary);
+      this.recentJobs.length = Math.min(this.recentJobs.length, MAX_RECENT_JOBS);
+      this.broadcast('job:saved', summary);
+    });
+  }
+
+  /**
+   * Get completed jobs per minute over the throughput window
+   * @returns {number}
+   */
+  getThroughput() {
+    const now = Date.now();
+    while (this.completedTimes.length > 0 && this.completedTimes[0] < now - THROUGHPUT_WINDOW_MS) {
+      this.completedTimes.shift();
+    }
+
+    // Early in the run the window is only as long as the run itself
+    const windowMs = Math.min(THROUGHPUT_WINDOW_MS, now - this.startedAt);
+    if (windowMs <= 0 || this.completedTimes.length === 0) return 0;
+    return this.completedTimes.length / (windowMs / 60000);
+  }
+
+  /**
+   * Get a snapshot of the whole run
+   * @returns {Object}
+   */
+  getStatus() {
+    const queue = this.jobQueue.getStats();
+    const perMinute = this.getThroughput();
+    const remaining = queue.pending + queue.processing;
+
+    return {
+      phase: this.phase,
+      startedAt: new Date(this.startedAt).toISOString(),
+      elapsedMs: Date.now() - this.startedAt,
+      queue,
+      pages: {
+        completed: this.pagesCompleted,
+        total: this.pageQueue ? this.pageQueue.totalPages : 0,
+        jobsFound: this.jobsFoundOnPages
+      },
+      workers: this.workerPool ? this.workerPool.getStatus() : null,
+      rateLimit: this.rateLimiter ? this.rateLimiter.getStatus() : null,
+      health: this.health ? this.health.getStatus() : null,
+      throughput: {
+        perMinute: Math.round(perMinute * 10) / 10,
+        etaMs: perMinute > 0 ? Math.round(remaining / perMinute * 60000) : null
+      },
+      savedJobs: this.fileHandler ? this.fileHandler.getCount() : 0,
+      failures: this.failures,
+      recentJobs: this.recentJobs
+    };
+  }
+
+  /**
+   * Route requests: / (page), /events (SSE), /status (JSON snapshot)
+   */
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(`event: status\ndata: ${JSON.stringify(this.getStatus())}\n\n`);
+      this.clients.add(res);
+      req.on('close', () => this.clients.delete(res));
+      return;
+    }
+
+    if (pathname === '/status') {
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(this.getStatus()));
+      return;
+    }
+
+    if (pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      fs.createReadStream(pagePath).pipe(res);
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+  }
+
+  /**
+   * Send an event to every connected browser
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   */
+  broadcast(event, data) {
+    if (this.clients.size === 0) return;
+    this.writeAll(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Write raw SSE text to every client
+   */
+  writeAll(chunk) {
+    for (const res of this.clients) {
+      res.write(chunk);
+    }
+  }
+
+  /**
+   * Stop the server, close SSE streams and unsubscribe
+   */
+  async stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    for (const { emitter, event, handler } of this.listeners) {
+      emitter.off(event, handler);
+    }
+    this.listeners = [];
+
+    if (this.clients.size > 0) {
+      this.broadcast('status', this.getStatus());
+      for (const res of this.clients) {
+        res.end();
+      }
+      this.clients.clear();
+    }
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+}
+
+export default Dashboard;
@@ -0,0 +1,319 @@
+/**
+ * Offline Bangkok rail network
+ * Each line lists its stations in running order as [code, thaiName, englishName, aliases?]
+ * Consecutive stations are one stop apart; TRANSFERS link interchange stations
+ * that use different codes on different lines.
+ */
+
+export const LINES = [
+  {
+    id: 'BTS-SUKHUMVIT',
+    system: 'BTS',
+    th: 'BTS สายสุขุมวิท',
+    en: 'BTS Sukhumvit Line',
+    stations: [
+      ['N24', 'คูคต', 'Khu Khot'],
+      ['N23', 'แยก คปอ.', 'Yaek Kor Por Aor', ['แยกคปอ.']],
+      ['N22', 'พิพิธภัณฑ์กองทัพอากาศ', 'Royal Thai Air Force Museum'],
+      ['N21', 'โรงพยาบาลภูมิพลอดุลยเดช', 'Bhumibol Adulyadej Hospital'],
+      ['N20', 'สะพานใหม่', 'Saphan Mai'],
+      ['N19', 'สายหยุด', 'Sai Yud'],
+      ['N18', 'พหลโยธิน 59', 'Phahon Yothin 59'],
+      ['N17', 'วัดพระศรีมหาธาตุ', 'Wat Phra Sri Mahathat'],
+      ['N16', 'กรมทหารราบที่ 11', '11th Infantry Regiment'],
+      ['N15', 'บางบัว', 'Bang Bua'],
+      ['N14', 'กรมป่าไม้', 'Royal Forest Department'],
+      ['N13', 'มหาวิทยาลัยเกษตรศาสตร์', 'Kasetsart University', ['ม.เกษตร']],
+      ['N12', 'เสนานิคม', 'Sena Nikhom'],
+      ['N11', 'รัชโยธิน', 'Ratchayothin'],
+      ['N10', 'พหลโยธิน 24', 'Phahon Yothin 24'],
+      ['N9', 'ห้าแยกลาดพร้าว', 'Ha Yaek Lat Phrao'],
+      ['N8', 'หมอชิต', 'Mo Chit'],
+      ['N7', 'สะพานควาย', 'Saphan Khwai'],
+      ['N5', 'อารีย์', 'Ari'],
+      ['N4', 'สนามเป้า', 'Sanam Pao'],
+      ['N3', 'อนุสาวรีย์ชัยสมรภูมิ', 'Victory Monument', ['อนุสาวรีย์ชัย']],
+      ['N2', 'พญาไท', 'Phaya Thai'],
+      ['N1', 'ราชเทวี', 'Ratchathewi'],
+      ['CEN', 'สยาม', 'Siam'],
+      ['E1', 'ชิดลม', 'Chit Lom', ['Chidlom']],
+      ['E2', 'เพลินจิต', 'Phloen Chit', ['Ploenchit']],
+      ['E3', 'นานา', 'Nana'],
+      ['E4', 'อโศก', 'Asok', ['Asoke']],
+      ['E5', 'พร้อมพงษ์', 'Phrom Phong', ['Phromphong']],
+      ['E6', 'ทองหล่อ', 'Thong Lo', ['Thonglor', 'Thong Lor']],
+      ['E7', 'เอกมัย', 'Ekkamai'],
+      ['E8', 'พระโขนง', 'Phra Khanong'],
+      ['E9', 'อ่อนนุช', 'On Nut'],
+      ['E10', 'บางจาก', 'Bang Chak'],
+      ['E11', 'ปุณณวิถี', 'Punnawithi'],
+      ['E12', 'อุดมสุข', 'Udom Suk'],
+      ['E13', 'บางนา', 'Bang Na'],
+      ['E14', 'แบริ่ง', 'Bearing'],
+      ['E15', 'สำโรง', 'Samrong'],
+      ['E16', 'ปู่เจ้า', 'Pu Chao'],
+      ['E17', 'ช้างเอราวัณ', 'Chang Erawan'],
+      ['E18', 'โรงเรียนนายเรือ', 'Royal Thai Naval Academy'],
+      ['E19', 'ปากน้ำ', 'Pak Nam'],
+      ['E20', 'ศรีนครินทร์', 'Srinagarindra'],
+      ['E21', 'แพรกษา', 'Phraek Sa'],
+      ['E22', 'สายลวด', 'Sai Luat'],
+      ['E23', 'เคหะฯ', 'Kheha', ['เคหะ']]
+    ]
+  },
+  {
+    id: 'BTS-SILOM',
+    system: 'BTS',
+    th: 'BTS สายสีลม',
+    en: 'BTS Silom Line',
+    stations: [
+      ['W1', 'สนามกีฬาแห่งชาติ', 'National Stadium'],
+      ['CEN', 'สยาม', 'Siam'],
+      ['S1', 'ราชดำริ', 'Ratchadamri'],
+      ['S2', 'ศาลาแดง', 'Sala Daeng'],
+      ['S3', 'ช่องนนทรี', 'Chong Nonsi'],
+      ['S4', 'เซนต์หลุยส์', 'Saint Louis', ['St. Louis']],
+      ['S5', 'สุรศักดิ์', 'Surasak'],
+      ['S6', 'สะพานตากสิน', 'Saphan Taksin'],
+      ['S7', 'กรุงธนบุรี', 'Krung Thon Buri'],
+      ['S8', 'วงเวียนใหญ่', 'Wongwian Yai'],
+      ['S9', 'โพธิ์นิมิตร', 'Pho Nimit'],
+      ['S10', 'ตลาดพลู', 'Talat Phlu'],
+      ['S11', 'วุฒากาศ', 'Wutthakat'],
+      ['S12', 'บางหว้า', 'Bang Wa']
+    ]
+  },
+  {
+    id: 'BTS-GOLD',
+    system: 'BTS',
+    th: 'สายสีทอง',
+    en: 'Gold Line',
+    stations: [
+      ['G1', 'กรุงธนบุรี', 'Krung Thon Buri'],
+      ['G2', 'เจริญนคร', 'Charoen Nakhon'],
+      ['G3', 'คลองสาน', 'Khlong San']
+    ]
+  },
+  {
+    id: 'MRT-BLUE',
+    system: 'MRT',
+    th: 'MRT สายสีน้ำเงิน',
+    en: 'MRT Blue Line',
+    stations: [
+      ['BL01', 'ท่าพระ', 'Tha Phra'],
+      ['BL02', 'จรัญฯ 13', 'Charan 13', ['จรัญสนิทวงศ์ 13']],
+      ['BL03', 'ไฟฉาย', 'Fai Chai'],
+      ['BL04', 'บางขุนนนท์', 'Bang Khun Non'],
+      ['BL05', 'บางยี่ขัน', 'Bang Yi Khan'],
+      ['BL06', 'สิรินธร', 'Sirindhorn'],
+      ['BL07', 'บางพลัด', 'Bang Phlat'],
+      ['BL08', 'บางอ้อ', 'Bang O'],
+      ['BL09', 'บางโพ', 'Bang Pho'],
+      ['BL10', 'เตาปูน', 'Tao Poon'],
+      ['BL11', 'บางซื่อ', 'Bang Sue'],
+      ['BL12', 'กำแพงเพชร', 'Kamphaeng Phet'],
+      ['BL13', 'สวนจตุจักร', 'Chatuchak Park', ['จตุจักร']],
+      ['BL14', 'พหลโยธิน', 'Phahon Yothin'],
+      ['BL15', 'ลาดพร้าว', 'Lat Phrao'],
+      ['BL16', 'รัชดาภิเษก', 'Ratchadaphisek'],
+      ['BL17', 'สุทธิสาร', 'Sutthisan'],
+      ['BL18', 'ห้วยขวาง', 'Huai Khwang'],
+      ['BL19', 'ศูนย์วัฒนธรรมแห่งประเทศไทย', 'Thailand Cultural Centre', ['ศูนย์วัฒนธรรม']],
+      ['BL20', 'พระราม 9', 'Phra Ram 9', ['Rama 9', 'Rama IX']],
+      ['BL21', 'เพชรบุรี', 'Phetchaburi'],
+      ['BL22', 'สุขุมวิท', 'Sukhumvit'],
+      ['BL23', 'ศูนย์การประชุมแห่งชาติสิริกิติ์', 'Queen Sirikit National Convention Centre', ['ศูนย์ประชุมแห่งชาติสิริกิติ์', 'ศูนย์ประชุมแห่งชาติสิริกิต์', 'ศูนย์ฯสิริกิติ์', 'Queen Sirikit']],
+      ['BL24', 'คลองเตย', 'Khlong Toei'],
+      ['BL25', 'ลุมพินี', 'Lumphini'],
+      ['BL26', 'สีลม', 'Si Lom', ['Silom']],
+      ['BL27', 'สามย่าน', 'Sam Yan', ['Samyan']],
+      ['BL28', 'หัวลำโพง', 'Hua Lamphong'],
+      ['BL29', 'วัดมังกร', 'Wat Mangkon'],
+      ['BL30', 'สามยอด', 'Sam Yot'],
+      ['BL31', 'สนามไชย', 'Sanam Chai'],
+      ['BL32', 'อิสรภาพ', 'Itsaraphap'],
+      ['BL01', 'ท่าพระ', 'Tha Phra'],
+      ['BL33', 'บางไผ่', 'Bang Phai'],
+      ['BL34', 'บางหว้า', 'Bang Wa'],
+      ['BL35', 'เพชรเกษม 48', 'Phetkasem 48'],
+      ['BL36', 'ภาษีเจริญ', 'Phasi Charoen'],
+      ['BL37', 'บางแค', 'Bang Khae'],
+      ['BL38', 'หลักสอง', 'Lak Song']
+    ]
+  },
+  {
+    id: 'MRT-PURPLE',
+    system: 'MRT',
+    th: 'MRT สายสีม่วง',
+    en: 'MRT Purple Line',
+    stations: [
+      ['PP01', 'คลองบางไผ่', 'Khlong Bang Phai'],
+      ['PP02', 'ตลาดบางใหญ่', 'Talad Bang Yai'],
+      ['PP03', 'สามแยกบางใหญ่', 'Sam Yaek Bang Yai'],
+      ['PP04', 'บางพลู', 'Bang Phlu'],
+      ['PP05', 'บางรักใหญ่', 'Bang Rak Yai'],
+      ['PP06', 'บางรักน้อยท่าอิฐ', 'Bang Rak Noi Tha It'],
+      ['PP07', 'ไทรม้า', 'Sai Ma'],
+      ['PP08', 'สะพานพระนั่งเกล้า', 'Phra Nang Klao Bridge'],
+      ['PP09', 'แยกนนทบุรี 1', 'Yaek Nonthaburi 1'],
+      ['PP10', 'บางกระสอ', 'Bang Krasor'],
+      ['PP11', 'ศูนย์ราชการนนทบุรี', 'Nonthaburi Civic Center'],
+      ['PP12', 'กระทรวงสาธารณสุข', 'Ministry of Public Health'],
+      ['PP13', 'แยกติวานนท์', 'Yaek Tiwanon'],
+      ['PP14', 'วงศ์สว่าง', 'Wong Sawang'],
+      ['PP15', 'บางซ่อน', 'Bang Son'],
+      ['PP16', 'เตาปูน', 'Tao Poon']
+    ]
+  },
+  {
+    id: 'MRT-PINK',
+    system: 'MRT',
+    th: 'MRT สายสีชมพู',
+    en: 'MRT Pink Line',
+    stations: [
+      ['PK01', 'ศูนย์ราชการนนทบุรี', 'Nonthaburi Civic Center'],
+      ['PK02', 'แคราย', 'Khae Rai'],
+      ['PK03', 'สนามบินน้ำ', 'Sanambin Nam'],
+      ['PK04', 'สามัคคี', 'Samakkhi'],
+      ['PK05', 'กรมชลประทาน', 'Royal Irrigation Department'],
+      ['PK06', 'แยกปากเกร็ด', 'Yaek Pak Kret'],
+      ['PK07', 'เลี่ยงเมืองปากเกร็ด', 'Pak Kret Bypass'],
+      ['PK08', 'แจ้งวัฒนะ-ปากเกร็ด 28', 'Chaeng Watthana-Pak Kret 28'],
+      ['PK09', 'ศรีรัช', 'Si Rat'],
+      ['PK10', 'เมืองทองธานี', 'Muang Thong Thani'],
+      ['PK11', 'แจ้งวัฒนะ 14', 'Chaeng Watthana 14'],
+      ['PK12', 'ศูนย์ราชการเฉลิมพระเกียรติ', 'Government Complex'],
+      ['PK13', 'โทรคมนาคมแห่งชาติ', 'National Telecom'],
+      ['PK14', 'หลักสี่', 'Lak Si'],
+      ['PK15', 'ราชภัฏพระนคร', 'Rajabhat Phranakhon'],
+      ['PK16', 'วัดพระศรีมหาธาตุ', 'Wat Phra Sri Mahathat'],
+      ['PK17', 'รามอินทรา 3', 'Ram Inthra 3'],
+      ['PK18', 'ลาดปลาเค้า', 'Lat Pla Khao'],
+      ['PK19', 'รามอินทรา กม.4', 'Ram Inthra Kor Mor 4'],
+      ['PK20', 'มัยลาภ', 'Maiyalap'],
+      ['PK21', 'วัชรพล', 'Vatcharaphon'],
+      ['PK22', 'รามอินทรา กม.6', 'Ram Inthra Kor Mor 6'],
+      ['PK23', 'คู้บอน', 'Khu Bon'],
+      ['PK24', 'รามอินทรา กม.9', 'Ram Inthra Kor Mor 9'],
+      ['PK25', 'วงแหวนรามอินทรา', 'Outer Ring Road-Ram Inthra'],
+      ['PK26', 'นพรัตน์', 'Nopparat'],
+      ['PK27', 'บางชัน', 'Bang Chan'],
+      ['PK28', 'เศรษฐบุตรบำเพ็ญ', 'Setthabutbamphen'],
+      ['PK29', 'ตลาดมีนบุรี', 'Min Buri Market'],
+      ['PK30', 'มีนบุรี', 'Min Buri']
+    ]
+  },
+  {
+    id: 'MRT-YELLOW',
+    system: 'MRT',
+    th: 'MRT สายสีเหลือง',
+    en: 'MRT Yellow Line',
+    stations: [
+      ['YL01', 'ลาดพร้าว', 'Lat Phrao'],
+      ['YL02', 'ภาวนา', 'Phawana'],
+      ['YL03', 'โชคชัย 4', 'Chok Chai 4'],
+      ['YL04', 'ลาดพร้าว 71', 'Lat Phrao 71'],
+      ['YL05', 'ลาดพร้าว 83', 'Lat Phrao 83'],
+      ['YL06', 'มหาดไทย', 'Mahat Thai'],
+      ['YL07', 'ลาดพร้าว 101', 'Lat Phrao 101'],
+      ['YL08', 'บางกะปิ', 'Bang Kapi'],
+      ['YL09', 'แยกลำสาลี', 'Yaek Lam Sali'],
+      ['YL10', 'ศรีกรีฑา', 'Si Kritha'],
+      ['YL11', 'หัวหมาก', 'Hua Mak'],
+      ['YL12', 'กลันตัน', 'Kalantan'],
+      ['YL13', 'ศรีนุช', 'Si Nut'],
+      ['YL14', 'ศรีนครินทร์ 38', 'Srinagarindra 38'],
+      ['YL15', 'สวนหลวง ร.9', 'Suan Luang Rama IX'],
+      ['YL16', 'ศรีอุดม', 'Si Udom'],
+      ['YL17', 'ศรีเอี่ยม', 'Si Iam'],
+      ['YL18', 'ศรีลาซาล', 'Si La Salle'],
+      ['YL19', 'ศรีแบริ่ง', 'Si Bearing'],
+      ['YL20', 'ศรีด่าน', 'Si Dan'],
+      ['YL21', 'ศรีเทพา', 'Si Thepha'],
+      ['YL22', 'ทิพวัล', 'Thipphawan'],
+      ['YL23', 'สำโรง', 'Samrong']
+    ]
+  },
+  {
+    id: 'ARL',
+    system: 'ARL',
+    th: 'แอร์พอร์ต เรล ลิงก์',
+    en: 'Airport Rail Link',
+    stations: [
+      ['A1', 'สุวรรณภูมิ', 'Suvarnabhumi'],
+      ['A2', 'ลาดกระบัง', 'Lat Krabang'],
+      ['A3', 'บ้านทับช้าง', 'Ban Thap Chang'],
+      ['A4', 'หัวหมาก', 'Hua Mak'],
+      ['A5', 'รามคำแหง', 'Ramkhamhaeng'],
+      ['A6', 'มักกะสัน', 'Makkasan'],
+      ['A7', 'ราชปรารภ', 'Ratchaprarop'],
+      ['A8', 'พญาไท', 'Phaya Thai']
+    ]
+  },
+  {
+    id: 'SRT-DARK-RED',
+    system: 'SRT',
+    th: 'รถไฟฟ้าสายสีแดงเข้ม',
+    en: 'SRT Dark Red Line',
+    stations: [
+      ['RN01', 'กรุงเทพอภิวัฒน์', 'Krung Thep Aphiwat', ['บางซื่อ', 'Bang Sue Grand']],
+      ['RN02', 'จตุจักร', 'Chatuchak'],
+      ['RN03', 'วัดเสมียนนารี', 'Wat Samian Nari'],
+      ['RN04', 'บางเขน', 'Bang Khen'],
+      ['RN05', 'ทุ่งสองห้อง', 'Thung Song Hong'],
+      ['RN06', 'หลักสี่', 'Lak Si'],
+      ['RN07', 'การเคหะ', 'Kan Kheha'],
+      ['RN08', 'ดอนเมือง', 'Don Mueang'],
+      ['RN09', 'หลักหก', 'Lak Hok'],
+      ['RN10', 'รังสิต', 'Rangsit']
+    ]
+  },
+  {
+    id: 'SRT-LIGHT-RED',
+    system: 'SRT',
+    th: 'รถไฟฟ้าสายสีแดงอ่อน',
+    en: 'SRT Light Red Line',
+    stations: [
+      ['RN01', 'กรุงเทพอภิวัฒน์', 'Krung Thep Aphiwat'],
+      ['RW02', 'บางซ่อน', 'Bang Son'],
+      ['RW05', 'บางบำหรุ', 'Bang Bamru'],
+      ['RW06', 'ตลิ่งชัน', 'Taling Chan']
+    ]
+  }
+];
+
+/**
+ * Interchanges between stations that have different codes
+ */
+export const TRANSFERS = [
+  ['N2', 'A8'],
+  ['N8', 'BL13'],
+  ['N9', 'BL15'],
+  ['BL15', 'YL01'],
+  ['N17', 'PK16'],
+  ['E4', 'BL22'],
+  ['E15', 'YL23'],
+  ['S2', 'BL26'],
+  ['S7', 'G1'],
+  ['S12', 'BL34'],
+  ['BL10', 'PP16'],
+  ['BL11', 'RN01'],
+  ['BL21', 'A6'],
+  ['PP11', 'PK01'],
+  ['PP15', 'RW02'],
+  ['PK14', 'RN06'],
+  ['A4', 'YL11']
+];
+
+/**
+ * Stations outside Bangkok, by ISO 3166-2:TH province code
+ * Every other station is in Bangkok (TH-10)
+ */
+export const STATION_PROVINCES = {
+  'TH-11': ['E15', 'E16', 'E17', 'E18', 'E19', 'E20', 'E21', 'E22', 'E23', 'YL20', 'YL21', 'YL22', 'YL23', 'A1'],
+  'TH-12': [
+    'PP01', 'PP02', 'PP03', 'PP04', 'PP05', 'PP06', 'PP07', 'PP08', 'PP09', 'PP10', 'PP11', 'PP12', 'PP13', 'PP14',
+    'PK01', 'PK02', 'PK03', 'PK04', 'PK05', 'PK06', 'PK07', 'PK08', 'PK09', 'PK10'
+  ],
+  'TH-13': ['N24', 'N23', 'RN09', 'RN10']
+};
@@ -0,0 +1,168 @@
+/**
+ * Offline Thai administrative gazetteer
+ * Provinces use ISO 3166-2:TH codes and the six geographic regions
+ * District coverage: all 50 Bangkok districts plus the vicinity and
+ * Eastern Seaboard provinces where most JobThai listings are located.
+ * "อ.เมืองX" districts are resolved from the province name and need no entry.
+ */
+
+export const REGIONS = {
+  central: { th: 'ภาคกลาง', en: 'Central' },
+  north: { th: 'ภาคเหนือ', en: 'North' },
+  northeast: { th: 'ภาคตะวันออกเฉียงเหนือ', en: 'Northeast' },
+  east: { th: 'ภาคตะวันออก', en: 'East' },
+  west: { th: 'ภาคตะวันตก', en: 'West' },
+  south: { th: 'ภาคใต้', en: 'South' }
+};
+
+export const PROVINCES = [
+  // Central
+  { code: 'TH-10', th: 'กรุงเทพมหานคร', en: 'Bangkok', region: 'central', aliases: ['กรุงเทพฯ', 'กรุงเทพ', 'กทม.', 'กทม'] },
+  { code: 'TH-11', th: 'สมุทรปราการ', en: 'Samut Prakan', region: 'central' },
+  { code: 'TH-12', th: 'นนทบุรี', en: 'Nonthaburi', region: 'central' },
+  { code: 'TH-13', th: 'ปทุมธานี', en: 'Pathum Thani', region: 'central' },
+  { code: 'TH-14', th: 'พระนครศรีอยุธยา', en: 'Phra Nakhon Si Ayutthaya', region: 'central', aliases: ['อยุธยา'] },
+  { code: 'TH-15', th: 'อ่างทอง', en: 'Ang Thong', region: 'central' },
+  { code: 'TH-16', th: 'ลพบุรี', en: 'Lopburi', region: 'central' },
+  { code: 'TH-17', th: 'สิงห์บุรี', en: 'Sing Buri', region: 'central' },
+  { code: 'TH-18', th: 'ชัยนาท', en: 'Chai Nat', region: 'central' },
+  { code: 'TH-19', th: 'สระบุรี', en: 'Saraburi', region: 'central' },
+  { code: 'TH-26', th: 'นครนายก', en: 'Nakhon Nayok', region: 'central' },
+  { code: 'TH-60', th: 'นครสวรรค์', en: 'Nakhon Sawan', region: 'central' },
+  { code: 'TH-61', th: 'อุทัยธานี', en: 'Uthai Thani', region: 'central' },
+  { code: 'TH-62', th: 'กำแพงเพชร', en: 'Kamphaeng Phet', region: 'central' },
+  { code: 'TH-64', th: 'สุโขทัย', en: 'Sukhothai', region: 'central' },
+  { code: 'TH-65', th: 'พิษณุโลก', en: 'Phitsanulok', region: 'central' },
+  { code: 'TH-66', th: 'พิจิตร', en: 'Phichit', region: 'central' },
+  { code: 'TH-67', th: 'เพชรบูรณ์', en: 'Phetchabun', region: 'central' },
+  { code: 'TH-72', th: 'สุพรรณบุรี', en: 'Suphan Buri', region: 'central' },
+  { code: 'TH-73', th: 'นครปฐม', en: 'Nakhon Pathom', region: 'central' },
+  { code: 'TH-74', th: 'สมุทรสาคร', en: 'Samut Sakhon', region: 'central' },
+  { code: 'TH-75', th: 'สมุทรสงคราม', en: 'Samut Songkhram', region: 'central' },
+
+  // North
+  { code: 'TH-50', th: 'เชียงใหม่', en: 'Chiang Mai', region: 'north' },
+  { code: 'TH-51', th: 'ลำพูน', en: 'Lamphun', region: 'north' },
+  { code: 'TH-52', th: 'ลำปาง', en: 'Lampang', region: 'north' },
+  { code: 'TH-53', th: 'อุตรดิตถ์', en: 'Uttaradit', region: 'north' },
+  { code: 'TH-54', th: 'แพร่', en: 'Phrae', region: 'north' },
+  { code: 'TH-55', th: 'น่าน', en: 'Nan', region: 'north' },
+  { code: 'TH-56', th: 'พะเยา', en: 'Phayao', region: 'north' },
+  { code: 'TH-57', th: 'เชียงราย', en: 'Chiang Rai', region: 'north' },
+  { code: 'TH-58', th: 'แม่ฮ่องสอน', en: 'Mae Hong Son', region: 'north' },
+
+  // Northeast
+  { code: 'TH-30', th: 'นครราชสีมา', en: 'Nakhon Ratchasima', region: 'northeast', aliases: ['โคราช'] },
+  { code: 'TH-31', th: 'บุรีรัมย์', en: 'Buriram', region: 'northeast' },
+  { code: 'TH-32', th: 'สุรินทร์', en: 'Surin', region: 'northeast' },
+  { code: 'TH-33', th: 'ศรีสะเกษ', en: 'Sisaket', region: 'northeast' },
+  { code: 'TH-34', th: 'อุบลราชธานี', en: 'Ubon Ratchathani', region: 'northeast' },
+  { code: 'TH-35', th: 'ยโสธร', en: 'Yasothon', region: 'northeast' },
+  { code: 'TH-36', th: 'ชัยภูมิ', en: 'Chaiyaphum', region: 'northeast' },
+  { code: 'TH-37', th: 'อำนาจเจริญ', en: 'Amnat Charoen', region: 'northeast' },
+  { code: 'TH-38', th: 'บึงกาฬ', en: 'Bueng Kan', region: 'northeast' },
+  { code: 'TH-39', th: 'หนองบัวลำภู', en: 'Nong Bua Lamphu', region: 'northeast' },
+  { code: 'TH-40', th: 'ขอนแก่น', en: 'Khon Kaen', region: 'northeast' },
+  { code: 'TH-41', th: 'อุดรธานี', en: 'Udon Thani', region: 'northeast' },
+  { code: 'TH-42', th: 'เลย', en: 'Loei', region: 'northeast' },
+  { code: 'TH-43', th: 'หนองคาย', en: 'Nong Khai', region: 'northeast' },
+  { code: 'TH-44', th: 'มหาสารคาม', en: 'Maha Sarakham', region: 'northeast' },
+  { code: 'TH-45', th: 'ร้อยเอ็ด', en: 'Roi Et', region: 'northeast' },
+  { code: 'TH-46', th: 'กาฬสินธุ์', en: 'Kalasin', region: 'northeast' },
+  { code: 'TH-47', th: 'สกลนคร', en: 'Sakon Nakhon', region: 'northeast' },
+  { code: 'TH-48', th: 'นครพนม', en: 'Nakhon Phanom', region: 'northeast' },
+  { code: 'TH-49', th: 'มุกดาหาร', en: 'Mukdahan', region: 'northeast' },
+
+  // East
+  { code: 'TH-20', th: 'ชลบุรี', en: 'Chonburi', region: 'east' },
+  { code: 'TH-21', th: 'ระยอง', en: 'Rayong', region: 'east' },
+  { code: 'TH-22', th: 'จันทบุรี', en: 'Chanthaburi', region: 'east' },
+  { code: 'TH-23', th: 'ตราด', en: 'Trat', region: 'east' },
+  { code: 'TH-24', th: 'ฉะเชิงเทรา', en: 'Chachoengsao', region: 'east' },
+  { code: 'TH-25', th: 'ปราจีนบุรี', en: 'Prachinburi', region: 'east' },
+  { code: 'TH-27', th: 'สระแก้ว', en: 'Sa Kaeo', region: 'east' },
+
+  // West
+  { code: 'TH-63', th: 'ตาก', en: 'Tak', region: 'west' },
+  { code: 'TH-70', th: 'ราชบุรี', en: 'Ratchaburi', region: 'west' },
+  { code: 'TH-71', th: 'กาญจนบุรี', en: 'Kanchanaburi', region: 'west' },
+  { code: 'TH-76', th: 'เพชรบุรี', en: 'Phetchaburi', region: 'west' },
+  { code: 'TH-77', th: 'ประจวบคีรีขันธ์', en: 'Prachuap Khiri Khan', region: 'west' },
+
+  // South
+  { code: 'TH-80', th: 'นครศรีธรรมราช', en: 'Nakhon Si Thammarat', region: 'south' },
+  { code: 'TH-81', th: 'กระบี่', en: 'Krabi', region: 'south' },
+  { code: 'TH-82', th: 'พังงา', en: 'Phang Nga', region: 'south' },
+  { code: 'TH-83', th: 'ภูเก็ต', en: 'Phuket', region: 'south' },
+  { code: 'TH-84', th: 'สุราษฎร์ธานี', en: 'Surat Thani', region: 'south' },
+  { code: 'TH-85', th: 'ระนอง', en: 'Ranong', region: 'south' },
+  { code: 'TH-86', th: 'ชุมพร', en: 'Chumphon', region: 'south' },
+  { code: 'TH-90', th: 'สงขลา', en: 'Songkhla', region: 'south' },
+  { code: 'TH-91', th: 'สตูล', en: 'Satun', region: 'south' },
+  { code: 'TH-92', th: 'ตรัง', en: 'Trang', region: 'south' },
+  { code: 'TH-93', th: 'พัทลุง', en: 'Phatthalung', region: 'south' },
+  { code: 'TH-94', th: 'ปัตตานี', en: 'Pattani', region: 'south' },
+  { code: 'TH-95', th: 'ยะลา', en: 'Yala', region: 'south' },
+  { code: 'TH-96', th: 'นราธิวาส', en: 'Narathiwat', region: 'south' }
+];
+
+/**
+ * Districts keyed by province code: [thaiName, englishName]
+ */
+export const DISTRICTS = {
+  'TH-10': [
+    ['พระนคร', 'Phra Nakhon'], ['ดุสิต', 'Dusit'], ['หนองจอก', 'Nong Chok'], ['บางรัก', 'Bang Rak'],
+    ['บางเขน', 'Bang Khen'], ['บางกะปิ', 'Bang Kapi'], ['ปทุมวัน', 'Pathum Wan'],
+    ['ป้อมปราบศัตรูพ่าย', 'Pom Prap Sattru Phai'], ['พระโขนง', 'Phra Khanong'], ['มีนบุรี', 'Min Buri'],
+    ['ลาดกระบัง', 'Lat Krabang'], ['ยานนาวา', 'Yan Nawa'], ['สัมพันธวงศ์', 'Samphanthawong'],
+    ['พญาไท', 'Phaya Thai'], ['ธนบุรี', 'Thon Buri'], ['บางกอกใหญ่', 'Bangkok Yai'],
+    ['ห้วยขวาง', 'Huai Khwang'], ['คลองสาน', 'Khlong San'], ['ตลิ่งชัน', 'Taling Chan'],
+    ['บางกอกน้อย', 'Bangkok Noi'], ['บางขุนเทียน', 'Bang Khun Thian'], ['ภาษีเจริญ', 'Phasi Charoen'],
+    ['หนองแขม', 'Nong Khaem'], ['ราษฎร์บูรณะ', 'Rat Burana'], ['บางพลัด', 'Bang Phlat'],
+    ['ดินแดง', 'Din Daeng'], ['บึงกุ่ม', 'Bueng Kum'], ['สาทร', 'Sathon'], ['บางซื่อ', 'Bang Sue'],
+    ['จตุจักร', 'Chatuchak'], ['บางคอแหลม', 'Bang Kho Laem'], ['ประเวศ', 'Prawet'],
+    ['คลองเตย', 'Khlong Toei'], ['สวนหลวง', 'Suan Luang'], ['จอมทอง', 'Chom Thong'],
+    ['ดอนเมือง', 'Don Mueang'], ['ราชเทวี', 'Ratchathewi'], ['ลาดพร้าว', 'Lat Phrao'],
+    ['วัฒนา', 'Watthana'], ['บางแค', 'Bang Khae'], ['หลักสี่', 'Lak Si'], ['สายไหม', 'Sai Mai'],
+    ['คันนายาว', 'Khan Na Yao'], ['สะพานสูง', 'Saphan Sung'], ['วังทองหลาง', 'Wang Thonglang'],
+    ['คลองสามวา', 'Khlong Sam Wa'], ['บางนา', 'Bang Na'], ['ทวีวัฒนา', 'Thawi Watthana'],
+    ['ทุ่งครุ', 'Thung Khru'], ['บางบอน', 'Bang Bon']
+  ],
+  'TH-11': [
+    ['บางบ่อ', 'Bang Bo'], ['บางพลี', 'Bang Phli'], ['พระประแดง', 'Phra Pradaeng'],
+    ['พระสมุทรเจดีย์', 'Phra Samut Chedi'], ['บางเสาธง', 'Bang Sao Thong']
+  ],
+  'TH-12': [
+    ['บางกรวย', 'Bang Kruai'], ['บางใหญ่', 'Bang Yai'], ['บางบัวทอง', 'Bang Bua Thong'],
+    ['ไทรน้อย', 'Sai Noi'], ['ปากเกร็ด', 'Pak Kret']
+  ],
+  'TH-13': [
+    ['คลองหลวง', 'Khlong Luang'], ['ธัญบุรี', 'Thanyaburi'], ['หนองเสือ', 'Nong Suea'],
+    ['ลาดหลุมแก้ว', 'Lat Lum Kaeo'], ['ลำลูกกา', 'Lam Luk Ka'], ['สามโคก', 'Sam Khok']
+  ],
+  'TH-73': [
+    ['กำแพงแสน', 'Kamphaeng Saen'], ['นครชัยศรี', 'Nakhon Chai Si'], ['ดอนตูม', 'Don Tum'],
+    ['บางเลน', 'Bang Len'], ['สามพราน', 'Sam Phran'], ['พุทธมณฑล', 'Phutthamonthon']
+  ],
+  'TH-74': [
+    ['กระทุ่มแบน', 'Krathum Baen'], ['บ้านแพ้ว', 'Ban Phaeo']
+  ],
+  'TH-20': [
+    ['บ้านบึง', 'Ban Bueng'], ['หนองใหญ่', 'Nong Yai'], ['บางละมุง', 'Bang Lamung'],
+    ['พานทอง', 'Phan Thong'], ['พนัสนิคม', 'Phanat Nikhom'], ['ศรีราชา', 'Si Racha'],
+    ['เกาะสีชัง', 'Ko Si Chang'], ['สัตหีบ', 'Sattahip'], ['บ่อทอง', 'Bo Thong'], ['เกาะจันทร์', 'Ko Chan']
+  ],
+  'TH-21': [
+    ['บ้านฉาง', 'Ban Chang'], ['แกลง', 'Klaeng'], ['วังจันทร์', 'Wang Chan'], ['บ้านค่าย', 'Ban Khai'],
+    ['ปลวกแดง', 'Pluak Daeng'], ['เขาชะเมา', 'Khao Chamao'], ['นิคมพัฒนา', 'Nikhom Phatthana']
+  ],
+  'TH-24': [
+    ['บางคล้า', 'Bang Khla'], ['บางน้ำเปรี้ยว', 'Bang Nam Priao'], ['บางปะกง', 'Bang Pakong'],
+    ['บ้านโพธิ์', 'Ban Pho'], ['พนมสารคาม', 'Phanom Sarakham'], ['ราชสาส์น', 'Ratchasan'],
+    ['สนามชัยเขต', 'Sanam Chai Khet'], ['แปลงยาว', 'Plaeng Yao'], ['ท่าตะเกียบ', 'Tha Takiap'],
+    ['คลองเขื่อน', 'Khlong Khuean']
+  ],
+  'TH-83': [
+    ['กะทู้', 'Kathu'], ['ถลาง', 'Thalang']
+  ]
+};
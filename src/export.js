@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { loadConfig, applyOverrides } from './utils/config.js';
+import { SqliteStorage, sqlitePathFor } from './utils/storage/index.js';
+import { exportJobs, FORMATS, COLUMNS, DEFAULT_COLUMNS, findUnknownColumns } from './utils/export.js';
+
+const HELP = `
+Usage: node src/export.js [options]
+
+Options:
+  -f, --format <format>    csv, tsv, ndjson or xlsx (default: csv)
+  -o, --output <path>      Scraper output whose jobs are exported (default: config output)
+      --out <path>         Export file (default: <output>.<format>)
+  -i, --input <path>       Read jobs from a .json/.sqlite file or backup instead of the configured output
+  -b, --backups            Also read every backup of the input, newest scrape of each job wins
+  -c, --columns <list>     Comma-separated columns (default: ${DEFAULT_COLUMNS.join(',')})
+  -s, --separator <text>   Joins lines of multi-line fields such as benefits/contact (default: "; ")
+      --list-columns       Print available columns
+  -h, --help               Show this help
+`;
+
+/**
+ * Get the file the configured storage backend writes to
+ * @param {Object} config - Configuration object
+ * @returns {string} Path to jobs.json or the SQLite database
+ */
+export function getStoragePath(config) {
+  const storage = config.storage || {};
+  if (storage.path) return storage.path;
+  return storage.type === 'sqlite' ? sqlitePathFor(config.output) : config.output;
+}
+
+/**
+ * Read jobs from a JSON output/backup or a SQLite database without modifying it
+ * @param {string} filePath - .json or .sqlite path
+ * @returns {Array} Jobs
+ */
+export async function loadJobsFromFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Input not found: ${filePath}`);
+  }
+
+  if (/\.(sqlite|db)$/.test(filePath)) {
+    const storage = new SqliteStorage(filePath, { readOnly: true });
+    await storage.init();
+    const jobs = storage.getJobs();
+    await storage.close();
+    return jobs;
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return parsed.jobs || [];
+}
+
+/**
+ * Find backups written by FileHandler.backup() for an output path
+ * @param {string} filePath - e.g. ./output/jobs.json
+ * @returns {Array} Backup paths, oldest first
+ */
+export function findBackups(filePath) {
+  const dir = path.dirname(filePath);
+  const ext = path.extname(filePath);
+  const prefix = `${path.basename(filePath, ext)}-backup-`;
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(name => name.startsWith(prefix) && name.endsWith(ext))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Merge job lists by ID, keeping the most recently scraped copy of each job
+ * @param {Array} lists - Arrays of jobs
+ * @returns {Array} Jobs in first-seen order
+ */
+export function mergeJobs(lists) {
+  const byId = new Map();
+  for (const jobs of lists) {
+    for (const job of jobs) {
+      const existing = byId.get(job.id);
+      if (!existing || (job.scrapedAt || '') > (existing.scrapedAt || '')) {
+        byId.set(job.id, job);
+      }
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Export saved jobs
+ * @param {Object} options - { format, out, input, backups, columns, separator }
+ * @param {Object} config - Configuration object
+ * @returns {Object} { outPath, count }
+ */
+export async function runExport(options = {}, config = loadConfig()) {
+  const format = (options.format || 'csv').toLowerCase();
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const columns = options.columns
+    ? options.columns.split(',').map(c => c.trim()).filter(Boolean)
+    : null;
+  if (columns) {
+    const unknown = findUnknownColumns(columns);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown column(s): ${unknown.join(', ')}. Use --list-columns to see available columns`);
+    }
+  }
+
+  const inputPath = options.input || getStoragePath(config);
+  const inputs = options.backups ? [...findBackups(inputPath), inputPath] : [inputPath];
+
+  const lists = [];
+  for (const input of inputs) {
+    const jobs = await loadJobsFromFile(input);
+    console.log(`📂 Read ${jobs.length} jobs from ${input}`);
+    lists.push(jobs);
+  }
+  const jobs = mergeJobs(lists);
+
+  const outPath = options.out || path.join(
+    path.dirname(config.output),
+    path.basename(config.output, path.extname(config.output)) + FORMATS[format].extension
+  );
+  const outDir = path.dirname(outPath);
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+
+  await exportJobs(jobs, format, outPath, {
+    columns,
+    separator: options.separator,
+    metadata: { sources: inputs }
+  });
+
+  console.log(`📤 Exported ${jobs.length} jobs to ${outPath} (${format})`);
+  return { outPath, count: jobs.length };
+}
+
+/**
+ * Parse command line arguments and run the export
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      format: { type: 'string', short: 'f' },
+      output: { type: 'string', short: 'o' },
+      out: { type: 'string' },
+      input: { type: 'string', short: 'i' },
+      backups: { type: 'boolean', short: 'b' },
+      columns: { type: 'string', short: 'c' },
+      separator: { type: 'string', short: 's' },
+      'list-columns': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(HELP);
+    return;
+  }
+
+  if (values['list-columns']) {
+    console.log(Object.keys(COLUMNS).join('\n'));
+    return;
+  }
+
+  await runExport(values, applyOverrides(loadConfig(), { output: values.output }));
+}
+
+// Run if called directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('\n❌ Export failed:', error.message);
+      process.exit(1);
+    });
+}
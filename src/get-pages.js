@@ -1,91 +1,12 @@
 import Hero from '@ulixee/hero';
 import * as cheerio from 'cheerio';
 import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const configPath = path.join(__dirname, '..', 'config.json');
-
-/**
- * Build search URL based on config
- * @param {Object} config - Configuration object
- * @returns {string} Search URL
- */
-function buildSearchUrl(config) {
-  const { searchMode, keyword, bts_mrt, custom_url } = config;
-  
-  if (searchMode === 'custom_url' && custom_url) {
-    return custom_url;
-  } else if (searchMode === 'bts_mrt' && bts_mrt) {
-    return `https://www.jobthai.com/หางาน/${bts_mrt}`;
-  } else if (searchMode === 'keyword' && keyword) {
-    const encodedKeyword = encodeURIComponent(keyword);
-    return `https://www.jobthai.com/th/jobs?keyword=${encodedKeyword}`;
-  } else {
-    return 'https://www.jobthai.com/th/jobs';
-  }
-}
-
-/**
- * Parse pagination info from HTML
- * @param {string} html - HTML content
- * @param {string} currentUrl - Current page URL
- * @returns {Object} Pagination info
- */
-function parsePagination(html, currentUrl) {
-  const $ = cheerio.load(html);
-  
-  const paginationItems = $('ul.pagination li, .pagination a, nav[aria-label*="pagination"] a, [class*="Pagination"] a');
-  
-  let currentPage = 1;
-  let totalPages = 1;
-  
-  // Try to find active/current page
-  const activeItem = $('li.active a, .pagination .active, [aria-current="page"]');
-  if (activeItem.length) {
-    currentPage = parseInt(activeItem.text().trim()) || 1;
-  }
-  
-  // Find all page numbers and determine total
-  const pageNumbers = [];
-  paginationItems.each((_, el) => {
-    const text = $(el).text().trim();
-    const num = parseInt(text);
-    if (!isNaN(num)) {
-      pageNumbers.push(num);
-    }
-  });
-  
-  if (pageNumbers.length) {
-    totalPages = Math.max(...pageNumbers);
-  }
-  
-  return {
-    currentPage,
-    totalPages
-  };
-}
-
-/**
- * Parse total job count from HTML
- * @param {string} html - HTML content
- * @returns {number} Total job count
- */
-function parseTotalJobs(html) {
-  const $ = cheerio.load(html);
-  
-  // Look for job count text (e.g., "พบ 1,234 ตำแหน่งงาน")
-  const countText = $('[class*="count"], [class*="total"], .result-count').text();
-  const match = countText.match(/(\d[\d,]*)/);
-  
-  if (match) {
-    return parseInt(match[1].replace(/,/g, ''));
-  }
-  
-  return 0;
-}
+import { pathToFileURL } from 'url';
+import { CONFIG_PATH, loadConfig, assertValidConfig, ConfigError } from './utils/config.js';
+import { EXIT_CODES } from './utils/exit-codes.js';
+import { resolveSearches } from './utils/search.js';
+import { parsePagination, parseTotalJobs } from './utils/parser.js';
+import { loadSiteProfile, useSiteProfile, getSiteProfile } from './utils/site-profile.js';
 
 /**
  * Find and click next page button
@@ -93,22 +14,11 @@ function parseTotalJobs(html) {
  * @returns {boolean} true if next button was clicked, false if no next button
  */
 async function clickNextButton(hero) {
+  const { nextButtons, nextLabels } = getSiteProfile().listing;
+  
   try {
     // Try multiple selectors for next button
-    const nextSelectors = [
-      'a[aria-label*="Next"]',
-      'a[aria-label*="next"]',
-      'li:has(a:contains("›")) a',
-      'a:contains("›")',
-      'a:contains("ถัดไป")',
-      'a[rel="next"]',
-      '.pagination .next a',
-      '[class*="Pagination"] a:contains("›")',
-      'button:contains("›")',
-      'button:contains("ถัดไป")'
-    ];
-    
-    for (const selector of nextSelectors) {
+    for (const selector of nextButtons) {
       try {
         const nextButton = await hero.document.querySelector(selector);
         if (nextButton) {
@@ -135,7 +45,7 @@ async function clickNextButton(hero) {
       const allLinks = await hero.document.querySelectorAll('a');
       for (const link of allLinks) {
         const text = await link.textContent;
-        if (text && (text.includes('›') || text.includes('ถัดไป') || text.includes('Next'))) {
+        if (text && nextLabels.some(label => text.includes(label))) {
           const className = await link.className || '';
           const isDisabled = className.includes('disabled');
           
@@ -164,17 +74,7 @@ function hasNextButton(html) {
   const $ = cheerio.load(html);
   
   // Check for next button patterns
-  const nextPatterns = [
-    'a[aria-label*="Next"]',
-    'a[aria-label*="next"]',
-    'a:contains("›")',
-    'a:contains("ถัดไป")',
-    'a[rel="next"]',
-    '.pagination .next a',
-    'li:contains("›") a'
-  ];
-  
-  for (const pattern of nextPatterns) {
+  for (const pattern of getSiteProfile().listing.nextButtons) {
     const el = $(pattern);
     if (el.length) {
       // Check if not disabled
@@ -192,29 +92,136 @@ function hasNextButton(html) {
 }
 
 /**
- * Get total pages from JobThai search by clicking through all pages
+ * Count the pages of one search by clicking through them
+ * @param {Hero} hero - Connected Hero instance
+ * @param {string} searchUrl - First page of the search
+ * @returns {Object} { totalPages, totalJobs }
  */
-async function getPages() {
+async function countPages(hero, searchUrl) {
+  console.log(`\n🔍 Search URL: ${searchUrl}`);
+  
+  // Navigate to search page
+  console.log('🌐 Navigating to JobThai...');
+  await hero.goto(searchUrl);
+  await hero.waitForPaintingStable();
+  
+  // Wait for page to fully load
+  await new Promise(resolve => setTimeout(resolve, 3000));
+  
+  // Get page HTML
+  let html = await hero.document.documentElement.outerHTML;
+  
+  // Parse total jobs
+  const totalJobs = parseTotalJobs(html);
+  console.log(`\n📊 Total jobs found: ${totalJobs}`);
+  
+  // Parse initial pagination
+  const pagination = parsePagination(html, searchUrl);
+  console.log(`📄 Initial pages detected from pagination: ${pagination.totalPages}`);
+  
+  // Count pages by clicking through
+  let currentPage = 1;
+  let totalPages = 1;
+  const maxSafetyLimit = 500; // Safety limit to prevent infinite loop
+  
+  console.log('\n🔄 Counting pages by clicking "Next" button...');
+  console.log(`   📄 Page ${currentPage}`);
+  
+  // Check if there's a next button
+  while (hasNextButton(html) && currentPage < maxSafetyLimit) {
+    // Try to click next button
+    const clicked = await clickNextButton(hero);
+    
+    if (!clicked) {
+      console.log('   ⚠️ Could not click next button, stopping...');
+      break;
+    }
+    
+    // Wait for page to load
+    await hero.waitForPaintingStable();
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    
+    // Get new page HTML
+    html = await hero.document.documentElement.outerHTML;
+    
+    currentPage++;
+    totalPages = currentPage;
+    
+    // Log progress every page (or every 10 pages if too many)
+    if (currentPage <= 20 || currentPage % 10 === 0) {
+      console.log(`   📄 Page ${currentPage}`);
+    }
+    
+    // Check if we've reached the last page
+    if (!hasNextButton(html)) {
+      console.log(`   ✅ Reached last page (no more "Next" button)`);
+      break;
+    }
+  }
+  
+  // Use the higher value between pagination detected and pages counted
+  const paginationMax = pagination.totalPages;
+  if (paginationMax > totalPages) {
+    console.log(`\n📊 Using pagination max (${paginationMax}) instead of counted pages (${totalPages})`);
+    totalPages = paginationMax;
+  }
+  
+  console.log(`\n📄 Total pages counted: ${totalPages}`);
+  return { totalPages, totalJobs };
+}
+
+/**
+ * Write counted pages into a config read from config.json
+ * With `searches` each entry gets its own maxPages, otherwise the top-level search does
+ * @param {Object} fileConfig - Config as stored in config.json
+ * @param {Array} counts - { totalPages } per search, in resolveSearches() order
+ * @returns {Object} The updated config
+ */
+export function applyPageCounts(fileConfig, counts) {
+  if (Array.isArray(fileConfig.searches) && fileConfig.searches.length > 0) {
+    if (fileConfig.searches.length !== counts.length) {
+      throw new Error(`Counted ${counts.length} searches but config.json lists ${fileConfig.searches.length}`);
+    }
+    fileConfig.searches.forEach((search, i) => {
+      search.maxPages = counts[i].totalPages;
+    });
+  } else {
+    fileConfig.maxPages = counts[0].totalPages;
+  }
+  return fileConfig;
+}
+
+/**
+ * Get total pages of every configured search from JobThai by clicking through all pages
+ * @param {Object} options - { config } to count pages for an overridden search,
+ *   { configPath } of the file to update, { save: false } to leave maxPages untouched
+ * @returns {Object} { totalPages, totalJobs } summed over { searches: [{ name, url, totalPages, totalJobs }] }
+ */
+export async function getPages(options = {}) {
+  const { save = true, configPath = CONFIG_PATH } = options;
   let hero = null;
   
+  // Read config, an invalid one is reported before connecting to Ulixee Cloud
+  const config = assertValidConfig(options.config || loadConfig(configPath));
+  useSiteProfile(loadSiteProfile(config.siteProfile));
+  const searches = resolveSearches(config);
+  
   try {
-    // Read config
-    const configData = await fs.readFile(configPath, 'utf-8');
-    const config = JSON.parse(configData);
-    
     console.log('📖 Reading config.json...');
-    console.log(`   Search Mode: ${config.searchMode}`);
-    if (config.searchMode === 'keyword') {
-      console.log(`   Keyword: ${config.keyword || '-'}`);
-    } else if (config.searchMode === 'bts_mrt') {
-      console.log(`   BTS/MRT: ${config.bts_mrt || '-'}`);
-    } else if (config.searchMode === 'custom_url') {
-      console.log(`   Custom URL: ${config.custom_url || '-'}`);
+    if (searches.length > 1) {
+      console.log(`   Searches: ${searches.length}`);
+      searches.forEach((search, i) => console.log(`   ${i + 1}. ${search.name} (current maxPages: ${search.maxPages})`));
+    } else {
+      console.log(`   Search Mode: ${config.searchMode}`);
+      if (config.searchMode === 'keyword') {
+        console.log(`   Keyword: ${config.keyword || '-'}`);
+      } else if (config.searchMode === 'bts_mrt') {
+        console.log(`   BTS/MRT: ${config.bts_mrt || '-'}`);
+      } else if (config.searchMode === 'custom_url') {
+        console.log(`   Custom URL: ${config.custom_url || '-'}`);
+      }
+      console.log(`   Current maxPages: ${searches[0].maxPages}`);
     }
-    console.log(`   Current maxPages: ${config.maxPages}`);
-    
-    const searchUrl = buildSearchUrl(config);
-    console.log(`\n🔍 Search URL: ${searchUrl}`);
     
     // Initialize Hero
     console.log('\n🚀 Connecting to Ulixee Cloud...');
@@ -226,87 +233,36 @@ async function getPages() {
       userAgent: '~ chrome >= 120'
     });
     
-    // Navigate to search page
-    console.log('🌐 Navigating to JobThai...');
-    await hero.goto(searchUrl);
-    await hero.waitForPaintingStable();
-    
-    // Wait for page to fully load
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    
-    // Get page HTML
-    let html = await hero.document.documentElement.outerHTML;
-    
-    // Parse total jobs
-    const totalJobs = parseTotalJobs(html);
-    console.log(`\n📊 Total jobs found: ${totalJobs}`);
-    
-    // Parse initial pagination
-    const pagination = parsePagination(html, searchUrl);
-    console.log(`📄 Initial pages detected from pagination: ${pagination.totalPages}`);
-    
-    // Count pages by clicking through
-    let currentPage = 1;
-    let totalPages = 1;
-    const maxSafetyLimit = 500; // Safety limit to prevent infinite loop
-    
-    console.log('\n🔄 Counting pages by clicking "Next" button...');
-    console.log(`   📄 Page ${currentPage}`);
-    
-    // Check if there's a next button
-    while (hasNextButton(html) && currentPage < maxSafetyLimit) {
-      // Try to click next button
-      const clicked = await clickNextButton(hero);
-      
-      if (!clicked) {
-        console.log('   ⚠️ Could not click next button, stopping...');
-        break;
-      }
-      
-      // Wait for page to load
-      await hero.waitForPaintingStable();
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Get new page HTML
-      html = await hero.document.documentElement.outerHTML;
-      
-      currentPage++;
-      totalPages = currentPage;
-      
-      // Log progress every page (or every 10 pages if too many)
-      if (currentPage <= 20 || currentPage % 10 === 0) {
-        console.log(`   📄 Page ${currentPage}`);
-      }
-      
-      // Check if we've reached the last page
-      if (!hasNextButton(html)) {
-        console.log(`   ✅ Reached last page (no more "Next" button)`);
-        break;
+    const counts = [];
+    for (const [i, search] of searches.entries()) {
+      if (searches.length > 1) {
+        console.log(`\n🔎 Search ${i + 1}/${searches.length}: ${search.name}`);
       }
+      counts.push({ name: search.name, url: search.url, ...await countPages(hero, search.url) });
     }
     
-    // Use the higher value between pagination detected and pages counted
-    const paginationMax = pagination.totalPages;
-    if (paginationMax > totalPages) {
-      console.log(`\n📊 Using pagination max (${paginationMax}) instead of counted pages (${totalPages})`);
-      totalPages = paginationMax;
+    if (save) {
+      // Update config.json; re-read it so command line overrides are not written back
+      console.log('\n💾 Updating maxPages in config.json');
+      
+      const fileConfig = applyPageCounts(loadConfig(configPath), counts);
+      await fs.writeFile(configPath, JSON.stringify(fileConfig, null, 2) + '\n', 'utf-8');
+      
+      console.log('\n✅ Config updated successfully!');
     }
-    
-    console.log(`\n📄 Total pages counted: ${totalPages}`);
-    
-    // Update config.json
-    console.log(`\n💾 Updating config.json with maxPages: ${totalPages}`);
-    
-    config.maxPages = totalPages;
-    await fs.writeFile(configPath, JSON.stringify(config, null, 2) + '\n', 'utf-8');
-    
-    console.log('\n✅ Config updated successfully!');
     console.log('='.repeat(50));
-    console.log(`   maxPages: ${totalPages}`);
-    console.log(`   Total jobs: ${totalJobs}`);
+    for (const count of counts) {
+      if (searches.length > 1) console.log(`   ${count.name}`);
+      console.log(`   maxPages: ${count.totalPages}`);
+      console.log(`   Total jobs: ${count.totalJobs}`);
+    }
     console.log('='.repeat(50));
     
-    return { totalPages, totalJobs };
+    return {
+      totalPages: counts.reduce((sum, count) => sum + count.totalPages, 0),
+      totalJobs: counts.reduce((sum, count) => sum + count.totalJobs, 0),
+      searches: counts
+    };
     
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -323,13 +279,18 @@ async function getPages() {
 }
 
 // Run if called directly
-getPages()
-  .then(() => {
-    console.log('\n🎉 Done!');
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error('\n❌ Failed:', error);
-    process.exit(1);
-  });
-
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  getPages()
+    .then(() => {
+      console.log('\n🎉 Done!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      if (error instanceof ConfigError) {
+        console.error(`❌ ${error.message}`);
+        process.exit(EXIT_CODES.USAGE);
+      }
+      console.error('\n❌ Failed:', error);
+      process.exit(EXIT_CODES.ERROR);
+    });
+}
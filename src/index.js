@@ -1,55 +1,14 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { pathToFileURL } from 'url';
 import { JobThaiScraper } from './scraper.js';
-
-// Get __dirname equivalent in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-/**
- * Load configuration from config.json
- */
-function loadConfig() {
-  const configPath = path.join(__dirname, '..', 'config.json');
-  
-  if (!fs.existsSync(configPath)) {
-    console.error('❌ config.json not found!');
-    console.log('📝 Creating default config.json...');
-    
-    const defaultConfig = {
-      searchMode: 'keyword',
-      keyword: 'ไอที',
-      bts_mrt: 'รถไฟฟ้า-และ-BRT',
-      custom_url: '',
-      workers: 3,
-      output: './output/jobs.json',
-      delay: {
-        min: 1000,
-        max: 3000
-      },
-      cloudHost: 'ws://localhost:1818',
-      maxPages: 0,
-      retryAttempts: 3
-    };
-    
-    fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2));
-    return defaultConfig;
-  }
-  
-  try {
-    const configData = fs.readFileSync(configPath, 'utf8');
-    return JSON.parse(configData);
-  } catch (error) {
-    console.error('❌ Error reading config.json:', error.message);
-    process.exit(1);
-  }
-}
+import { loadConfig, assertValidConfig, ConfigError } from './utils/config.js';
+import { loadSiteProfile } from './utils/site-profile.js';
+import { EXIT_CODES } from './utils/exit-codes.js';
+import { getSearchName, getBaseUrl, DEFAULT_BASE_URL } from './utils/search.js';
 
 /**
  * Print banner
  */
-function printBanner() {
+export function printBanner() {
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║                                                               ║
@@ -64,35 +23,62 @@ function printBanner() {
 /**
  * Print configuration
  */
-function printConfig(config) {
+export function printConfig(config) {
   console.log('📋 Configuration:');
   console.log('─'.repeat(40));
-  console.log(`   Search Mode: ${config.searchMode}`);
-  if (config.searchMode === 'keyword') {
-    console.log(`   Keyword: ${config.keyword}`);
-  } else if (config.searchMode === 'bts_mrt') {
-    console.log(`   BTS/MRT: ${config.bts_mrt}`);
-  } else if (config.searchMode === 'custom_url') {
-    console.log(`   Custom URL: ${config.custom_url}`);
+  if (Array.isArray(config.searches) && config.searches.length > 0) {
+    console.log(`   Searches: ${config.searches.map(getSearchName).join(', ')}`);
+  } else {
+    console.log(`   Search Mode: ${config.searchMode}`);
+    if (config.searchMode === 'keyword') {
+      console.log(`   Keyword: ${config.keyword}`);
+    } else if (config.searchMode === 'bts_mrt') {
+      console.log(`   BTS/MRT: ${config.bts_mrt}`);
+    } else if (config.searchMode === 'custom_url') {
+      console.log(`   Custom URL: ${config.custom_url}`);
+    }
+  }
+  if (getBaseUrl(config) !== DEFAULT_BASE_URL) {
+    console.log(`   Base URL: ${getBaseUrl(config)}`);
+  }
+  if (config.siteProfile) {
+    console.log(`   Site Profile: ${config.siteProfile}`);
   }
   console.log(`   Workers: ${config.workers}`);
   console.log(`   Output: ${config.output}`);
+  console.log(`   Storage: ${config.storage?.type || 'json'}`);
   console.log(`   Delay: ${config.delay.min}-${config.delay.max}ms`);
+  if (config.startPage > 1) {
+    console.log(`   Start Page: ${config.startPage}`);
+  }
   console.log(`   Max Pages: ${config.maxPages || 'No limit'}`);
-  console.log(`   Cloud Host: ${config.cloudHost}`);
+  console.log(`   Max Posted Age: ${config.maxPostedAgeDays ? `${config.maxPostedAgeDays} days` : 'No limit'}`);
+  if (config.archive && config.archive.mode === 'replay') {
+    console.log(`   Replay: ${config.archive.dir || './output/pages'}`);
+  } else {
+    console.log(`   Cloud Host: ${config.cloudHost}`);
+  }
+  const fetcher = config.fetcher || {};
+  if (fetcher.listing === 'http' || fetcher.detail === 'http') {
+    const fallback = fetcher.fallback === false ? '' : ' (Hero fallback)';
+    console.log(`   Fetcher: listing ${fetcher.listing || 'hero'}, detail ${fetcher.detail || 'hero'}${fallback}`);
+  }
+  if (config.archive && config.archive.mode === 'record') {
+    console.log(`   Record: ${config.archive.dir || './output/pages'}`);
+  }
+  if (config.dashboard && config.dashboard.enabled) {
+    console.log(`   Dashboard: http://${config.dashboard.host || 'localhost'}:${config.dashboard.port || 3001}`);
+  }
   console.log('─'.repeat(40) + '\n');
 }
 
 /**
- * Main function
+ * Run the scraper with a loaded configuration
+ * @param {Object} config - Configuration object
+ * @param {Object} options - { resume, retryFailed }
+ * @returns {number} Exit code
  */
-async function main() {
-  printBanner();
-  
-  // Load configuration
-  const config = loadConfig();
-  printConfig(config);
-  
+export async function runScrape(config, options = {}) {
   // Create scraper instance
   const scraper = new JobThaiScraper(config);
   
@@ -107,7 +93,7 @@ async function main() {
       console.error('Error during shutdown:', error);
     }
     
-    process.exit(0);
+    process.exit(EXIT_CODES.INTERRUPTED);
   };
   
   process.on('SIGINT', () => shutdown('SIGINT'));
@@ -117,7 +103,7 @@ async function main() {
   process.on('uncaughtException', async (error) => {
     console.error('❌ Uncaught Exception:', error);
     await scraper.close();
-    process.exit(1);
+    process.exit(EXIT_CODES.ERROR);
   });
   
   process.on('unhandledRejection', async (reason, promise) => {
@@ -130,17 +116,31 @@ async function main() {
     console.log('   Make sure to start the cloud server first:');
     console.log('   npm run cloud\n');
     
-    // Initialize scraper
-    await scraper.init();
+    // Initialize scraper (retry-failed only loads job detail pages)
+    await scraper.init({ listing: !options.retryFailed });
     
     // Start scraping
-    await scraper.start();
+    const stats = options.retryFailed ? await scraper.retryFailed() : await scraper.start(options);
     
     // Cleanup
     await scraper.close();
     
+    if (stats && stats.healthStopped) {
+      const next = options.retryFailed ? 'node src/cli.js retry-failed' : 'node src/cli.js scrape --resume';
+      console.log(`🩺 Stopped because extraction kept falling back to preview data (fix the site profile, then: ${next})`);
+      return EXIT_CODES.UNHEALTHY;
+    }
+    if (stats && stats.failed > 0) {
+      console.log(`⚠️ Scraping finished with ${stats.failed} failed jobs (retry with: node src/cli.js retry-failed)`);
+      return EXIT_CODES.PARTIAL;
+    }
+    if (stats && stats.listingIncomplete) {
+      console.log('⚠️ Some listing pages kept failing (continue with: node src/cli.js scrape --resume)');
+      return EXIT_CODES.PARTIAL;
+    }
+    
     console.log('✅ Scraping completed successfully!');
-    process.exit(0);
+    return EXIT_CODES.OK;
     
   } catch (error) {
     console.error('\n❌ Fatal error:', error.message);
@@ -154,10 +154,49 @@ async function main() {
     }
     
     await scraper.close();
-    process.exit(1);
+    return EXIT_CODES.ERROR;
   }
 }
 
-// Run main function
-main();
+/**
+ * Main function
+ */
+async function main() {
+  printBanner();
+  
+  // Load configuration
+  let config;
+  try {
+    config = loadConfig();
+    
+    // --dashboard turns on the live dashboard for this run
+    if (process.argv.includes('--dashboard')) {
+      config.dashboard = { ...config.dashboard, enabled: true };
+    }
+    
+    // --record saves every fetched page, --replay reads them back instead of the network
+    if (process.argv.includes('--record')) {
+      config.archive = { ...config.archive, mode: 'record' };
+    } else if (process.argv.includes('--replay')) {
+      config.archive = { ...config.archive, mode: 'replay' };
+    }
+    
+    assertValidConfig(config);
+    loadSiteProfile(config.siteProfile);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return error instanceof ConfigError ? EXIT_CODES.USAGE : EXIT_CODES.ERROR;
+  }
+  
+  printConfig(config);
+  
+  // --resume continues from the checkpoint left by an interrupted run
+  const resume = process.argv.includes('--resume');
+  
+  return runScrape(config, { resume });
+}
 
+// Run if called directly
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().then(code => process.exit(code));
+}
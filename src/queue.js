@@ -1,17 +1,25 @@
 import { EventEmitter } from 'events';
+import { RetryPolicy } from './utils/retry-policy.js';
 
 /**
  * Job queue manager for parallel scraping
  * Manages job URLs to be processed by workers
  */
 export class JobQueue extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - { retryPolicy } deciding retries of failed jobs
+   */
+  constructor(options = {}) {
     super();
     this.pending = [];      // Jobs waiting to be processed
     this.processing = [];   // Jobs currently being processed
+    this.delayed = [];      // Failed jobs waiting out their retry backoff
     this.completed = [];    // Successfully completed jobs
     this.failed = [];       // Failed jobs
     this.paused = false;
+    this.producers = 0;     // Listings still adding jobs; the queue is not done before they finish
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.retryTimers = new Map(); // job id -> backoff timer
   }
   
   /**
@@ -88,21 +96,24 @@ export class JobQueue extends EventEmitter {
   
   /**
    * Mark a job as failed
+   * The retry policy decides from the error whether and when it is tried again
    * @param {string} jobId - Job ID
    * @param {Error} error - Error that occurred
-   * @param {boolean} retry - Whether to retry the job
+   * @param {boolean} retry - False to fail the job for good regardless of the policy
    */
-  fail(jobId, error, retry = false) {
+  fail(jobId, error, retry = true) {
     const index = this.processing.findIndex(j => j.id === jobId);
     if (index === -1) return false;
     
     const job = this.processing.splice(index, 1)[0];
+    const decision = this.retryPolicy.decide(error, job.attempts);
     job.error = error.message;
+    job.errorClass = decision.errorClass;
     job.failedAt = Date.now();
     
-    if (retry && job.attempts < 3) {
-      // Return to pending queue for retry
-      this.pending.unshift(job);
+    if (retry && decision.retry) {
+      job.retryDelayMs = decision.delayMs;
+      this.retryLater(job, decision.delayMs);
       this.emit('job:retry', job);
     } else {
       this.failed.push(job);
@@ -113,6 +124,37 @@ export class JobQueue extends EventEmitter {
     return true;
   }
   
+  /**
+   * Put a failed job back in pending after its backoff
+   * @param {Object} job - Failed job
+   * @param {number} delayMs - Backoff
+   */
+  retryLater(job, delayMs) {
+    if (delayMs <= 0) {
+      this.pending.unshift(job);
+      return;
+    }
+    
+    this.delayed.push(job);
+    const timer = setTimeout(() => this.releaseDelayed(job.id), delayMs);
+    // A pending backoff alone should not keep the process alive
+    timer.unref();
+    this.retryTimers.set(job.id, timer);
+  }
+  
+  /**
+   * Move a delayed job back to the front of pending
+   * @param {string} jobId - Job ID
+   */
+  releaseDelayed(jobId) {
+    clearTimeout(this.retryTimers.get(jobId));
+    this.retryTimers.delete(jobId);
+    
+    const index = this.delayed.findIndex(j => j.id === jobId);
+    if (index === -1) return;
+    this.pending.unshift(this.delayed.splice(index, 1)[0]);
+  }
+  
   /**
    * Check if job exists in any queue
    * @param {string} jobId - Job ID
@@ -121,17 +163,58 @@ export class JobQueue extends EventEmitter {
   exists(jobId) {
     return (
       this.pending.some(j => j.id === jobId) ||
+      this.delayed.some(j => j.id === jobId) ||
       this.processing.some(j => j.id === jobId) ||
       this.completed.some(j => j.id === jobId) ||
       this.failed.some(j => j.id === jobId)
     );
   }
   
+  /**
+   * Find a job in any queue
+   * @param {string} jobId - Job ID
+   * @returns {Object|null}
+   */
+  get(jobId) {
+    return (
+      this.pending.find(j => j.id === jobId) ||
+      this.processing.find(j => j.id === jobId) ||
+      this.delayed.find(j => j.id === jobId) ||
+      this.completed.find(j => j.id === jobId) ||
+      this.failed.find(j => j.id === jobId) ||
+      null
+    );
+  }
+  
+  /**
+   * Register a producer that is still adding jobs, e.g. the listing crawl
+   * Workers keep waiting for jobs until every producer has finished
+   */
+  startProducing() {
+    this.producers++;
+  }
+  
+  /**
+   * Mark a producer as finished
+   */
+  finishProducing() {
+    this.producers = Math.max(0, this.producers - 1);
+    this.checkDone();
+  }
+  
+  /**
+   * Whether a producer may still add jobs
+   * @returns {boolean}
+   */
+  isProducing() {
+    return this.producers > 0;
+  }
+  
   /**
    * Check if all jobs are done
    */
   checkDone() {
-    if (this.pending.length === 0 && this.processing.length === 0) {
+    if (this.isDone()) {
       this.emit('queue:done', {
         completed: this.completed.length,
         failed: this.failed.length
@@ -163,9 +246,12 @@ export class JobQueue extends EventEmitter {
     return {
       pending: this.pending.length,
       processing: this.processing.length,
+      delayed: this.delayed.length,
       completed: this.completed.length,
       failed: this.failed.length,
-      total: this.pending.length + this.processing.length + this.completed.length + this.failed.length,
+      producing: this.isProducing(),
+      total: this.pending.length + this.processing.length + this.delayed.length +
+        this.completed.length + this.failed.length,
       paused: this.paused
     };
   }
@@ -179,11 +265,12 @@ export class JobQueue extends EventEmitter {
   }
   
   /**
-   * Check if queue is done (no pending or processing)
+   * Check if queue is done (no pending, processing or delayed jobs, and no producer still adding)
    * @returns {boolean}
    */
   isDone() {
-    return this.pending.length === 0 && this.processing.length === 0;
+    return !this.isProducing() &&
+      this.pending.length === 0 && this.processing.length === 0 && this.delayed.length === 0;
   }
   
   /**
@@ -198,13 +285,23 @@ export class JobQueue extends EventEmitter {
    * Clear all queues
    */
   clear() {
+    this.cancelRetries();
     this.pending = [];
     this.processing = [];
+    this.delayed = [];
     this.completed = [];
     this.failed = [];
     this.emit('queue:cleared');
   }
   
+  /**
+   * Stop the backoff timers, delayed jobs stay in the delayed list
+   */
+  cancelRetries() {
+    for (const timer of this.retryTimers.values()) clearTimeout(timer);
+    this.retryTimers.clear();
+  }
+  
   /**
    * Get failed jobs for potential retry
    * @returns {Array}
@@ -214,7 +311,8 @@ export class JobQueue extends EventEmitter {
   }
   
   /**
-   * Retry all failed jobs
+   * Move failed jobs back to pending with a fresh retry budget
+   * @returns {number} Number of jobs requeued
    */
   retryFailed() {
     const failedJobs = this.failed.splice(0);
@@ -226,6 +324,47 @@ export class JobQueue extends EventEmitter {
     }
     return failedJobs.length;
   }
+
+  /**
+   * Serialize queue state for checkpointing
+   * Completed jobs are already in the output file, so only their id/url are kept
+   * @returns {Object} Plain queue state
+   */
+  toJSON() {
+    return {
+      // Delayed jobs are simply retried first after a resume
+      pending: [...this.delayed, ...this.pending],
+      processing: this.processing,
+      completed: this.completed.map(j => ({ id: j.id, url: j.url })),
+      failed: this.failed
+    };
+  }
+
+  /**
+   * Restore queue state from a checkpoint
+   * Jobs that were in-flight when the previous run stopped go back to pending
+   * @param {Object} state - State produced by toJSON()
+   * @returns {Object} Queue stats after restore
+   */
+  restore(state) {
+    const inFlight = (state.processing || []).map(job => {
+      const restored = { ...job };
+      delete restored.startedAt;
+      // An interrupted attempt should not count against the retry limit
+      restored.attempts = Math.max(0, (restored.attempts || 0) - 1);
+      return restored;
+    });
+
+    this.cancelRetries();
+    this.pending = [...inFlight, ...(state.pending || [])];
+    this.delayed = [];
+    this.processing = [];
+    this.completed = state.completed || [];
+    this.failed = state.failed || [];
+
+    this.emit('queue:restored', this.getStats());
+    return this.getStats();
+  }
 }
 
 /**
@@ -237,7 +376,9 @@ export class PageQueue extends EventEmitter {
     this.pages = [];
     this.currentPage = 0;
     this.totalPages = 0;
-    this.processedPages = new Set();
+    this.processedPages = new Set(); // Taken from the queue or completed
+    this.completedPages = new Set();
+    this.failedPages = new Map(); // pageNum -> error message
   }
   
   /**
@@ -278,14 +419,49 @@ export class PageQueue extends EventEmitter {
   /**
    * Mark current page as complete
    * @param {number} jobsFound - Number of jobs found on this page
+   * @param {number} pageNum - Page number when pages are not taken from this queue
    */
-  completePage(jobsFound) {
+  completePage(jobsFound, pageNum = this.currentPage) {
+    this.currentPage = pageNum;
+    this.processedPages.add(pageNum);
+    this.completedPages.add(pageNum);
+    this.failedPages.delete(pageNum);
     this.emit('page:completed', {
-      pageNum: this.currentPage,
+      pageNum,
       jobsFound
     });
   }
   
+  /**
+   * Record a page completed in an earlier run, so it is not queued again
+   * @param {number} pageNum - Page number
+   */
+  markCompleted(pageNum) {
+    this.processedPages.add(pageNum);
+    this.completedPages.add(pageNum);
+  }
+  
+  /**
+   * Mark a page as failed after its retries ran out
+   * @param {number} pageNum - Page number
+   * @param {Error} error - Last error
+   */
+  failPage(pageNum, error) {
+    this.failedPages.set(pageNum, error.message);
+    this.emit('page:failed', { pageNum, error: error.message });
+  }
+  
+  /**
+   * Drop queued pages after a page, e.g. once its listings are too old
+   * @param {number} pageNum - Last page to keep
+   * @returns {number} Number of pages dropped
+   */
+  removePagesAfter(pageNum) {
+    const before = this.pages.length;
+    this.pages = this.pages.filter(page => page.pageNum <= pageNum);
+    return before - this.pages.length;
+  }
+  
   /**
    * Check if there are more pages
    * @returns {boolean}
@@ -302,9 +478,23 @@ export class PageQueue extends EventEmitter {
     return {
       current: this.processedPages.size,
       total: this.totalPages,
-      remaining: this.pages.length
+      remaining: this.pages.length,
+      completed: this.completedPages.size,
+      failed: this.failedPages.size
     };
   }
+  
+  /**
+   * Forget all pages, before the pages of the next search
+   */
+  clear() {
+    this.pages = [];
+    this.currentPage = 0;
+    this.totalPages = 0;
+    this.processedPages.clear();
+    this.completedPages.clear();
+    this.failedPages.clear();
+  }
 }
 
 export default JobQueue;
@@ -0,0 +1,113 @@
+import { FileHandler } from './utils/file-handler.js';
+import { PageArchive, PageNotArchivedError, DEFAULT_ARCHIVE_DIR } from './utils/page-archive.js';
+import { hasExpectedContent } from './utils/fetchers/index.js';
+import { loadSiteProfile, useSiteProfile } from './utils/site-profile.js';
+import { Worker, mergeJobData } from './worker.js';
+
+// Kept from the saved job: the page was not loaded again
+const KEPT_FIELDS = ['scrapedAt'];
+
+/**
+ * Fields whose value differs between two versions of a job
+ * @param {Object} before - Saved job
+ * @param {Object} after - Re-extracted job
+ * @returns {Array} Field names
+ */
+export function changedFields(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields].filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+/**
+ * Run the current extraction over the archived detail page of every saved job
+ * and update the jobs whose fields changed
+ * Values the page does not have fall back to the saved job, like the preview during a scrape
+ * @param {Object} config - Configuration (output, storage, archive.dir, siteProfile)
+ * @param {Object} options - { dryRun } reports the changes without saving them
+ * @returns {Object} { checked, updated, notArchived, unreadable, fields, changes }
+ */
+export async function reextractJobs(config, options = {}) {
+  const archive = new PageArchive((config.archive && config.archive.dir) || DEFAULT_ARCHIVE_DIR);
+  if (!archive.exists()) {
+    throw new Error(`Page archive ${archive.dir} not found, keep detail pages with --archive-details or --record`);
+  }
+
+  useSiteProfile(loadSiteProfile(config.siteProfile));
+  const worker = new Worker('reextract', config, null, null);
+  const fileHandler = new FileHandler(config.output, config.storage, { readOnly: !!options.dryRun });
+  await fileHandler.init();
+
+  const report = { checked: 0, updated: 0, notArchived: 0, unreadable: 0, fields: {}, changes: [] };
+
+  try {
+    for (const saved of [...fileHandler.getJobs()]) {
+      report.checked++;
+
+      let page;
+      try {
+        page = await archive.load('detail', saved.url);
+      } catch (error) {
+        if (!(error instanceof PageNotArchivedError)) throw error;
+        report.notArchived++;
+        continue;
+      }
+      if (!hasExpectedContent.detail(page)) {
+        report.unreadable++;
+        continue;
+      }
+
+      const job = mergeJobData(worker.extractJobDetails(page, saved.url), saved);
+      for (const field of KEPT_FIELDS) {
+        if (field in saved) job[field] = saved[field];
+      }
+
+      const fields = changedFields(saved, job);
+      if (fields.length === 0) continue;
+
+      report.changes.push({ id: saved.id, url: saved.url, fields });
+      fields.forEach(field => { report.fields[field] = (report.fields[field] || 0) + 1; });
+
+      if (!options.dryRun) {
+        // One backup before the first change, so the old values can be restored
+        if (report.updated === 0) await fileHandler.backup();
+        await fileHandler.upsertJob(job);
+        report.updated++;
+      }
+    }
+  } finally {
+    await fileHandler.close();
+  }
+
+  return report;
+}
+
+/**
+ * Print a reextract report
+ * @param {Object} report - From reextractJobs
+ * @param {boolean} dryRun - Whether the changes were saved
+ */
+export function printReport(report, dryRun = false) {
+  console.log('\n🔁 Re-extraction');
+  console.log('─'.repeat(40));
+  for (const change of report.changes) {
+    console.log(`   ${change.id}: ${change.fields.join(', ')}`);
+  }
+  if (report.changes.length > 0) console.log('');
+
+  console.log(`   Jobs checked: ${report.checked}`);
+  console.log(`   ${dryRun ? 'Would update' : 'Updated'}: ${report.changes.length}`);
+  console.log(`   No archived page: ${report.notArchived}`);
+  if (report.unreadable > 0) {
+    console.log(`   Archived page without job content: ${report.unreadable}`);
+  }
+
+  const fields = Object.entries(report.fields).sort((a, b) => b[1] - a[1]);
+  if (fields.length > 0) {
+    console.log('\n📝 Changed fields');
+    for (const [field, count] of fields) {
+      console.log(`   ${field}: ${count}`);
+    }
+  }
+}
+
+export default reextractJobs;
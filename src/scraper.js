@@ -1,8 +1,36 @@
-import Hero from '@ulixee/hero';
 import { parseJobList, parsePagination, parseTotalJobs, parseJobDetail } from './utils/parser.js';
 import { JobQueue, PageQueue } from './queue.js';
 import { WorkerPool } from './worker.js';
 import { FileHandler } from './utils/file-handler.js';
+import { Checkpoint } from './utils/checkpoint.js';
+import { DeadLetterFile } from './utils/dead-letter.js';
+import { parseThaiDate, getAgeInDays } from './utils/date.js';
+import { Dashboard } from './dashboard.js';
+import { resolveSearches, getSearchName, getBaseUrl } from './utils/search.js';
+import { createFetcher } from './utils/fetchers/index.js';
+import { RateLimiter } from './utils/rate-limiter.js';
+import { RetryPolicy, ERROR_CLASSES, classifyError } from './utils/retry-policy.js';
+import { PageArchive } from './utils/page-archive.js';
+import { loadSiteProfile, useSiteProfile, getSiteProfile } from './utils/site-profile.js';
+import { ExtractionHealth } from './utils/extraction-health.js';
+
+/**
+ * URL of a result page of a search
+ * @param {string} url - Search URL
+ * @param {number} pageNum - Page number
+ * @returns {string}
+ */
+function pageUrl(url, pageNum) {
+  try {
+    const urlObj = new URL(url);
+    urlObj.searchParams.set('page', pageNum);
+    return urlObj.toString();
+  } catch (e) {
+    // If URL parsing fails, append page parameter
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}page=${pageNum}`;
+  }
+}
 
 /**
  * Main JobThai Scraper class
@@ -11,68 +39,68 @@ import { FileHandler } from './utils/file-handler.js';
 export class JobThaiScraper {
   constructor(config) {
     this.config = config;
-    this.jobQueue = new JobQueue();
+    this.siteProfile = useSiteProfile(loadSiteProfile(config.siteProfile)); // Read by every extractor
+    this.retryPolicy = RetryPolicy.fromConfig(config); // Detail jobs and listing pages
+    this.jobQueue = new JobQueue({ retryPolicy: this.retryPolicy });
     this.pageQueue = new PageQueue();
-    this.fileHandler = new FileHandler(config.output);
+    this.fileHandler = new FileHandler(config.output, config.storage);
+    this.checkpoint = new Checkpoint(config.checkpoint || Checkpoint.pathFor(config.output));
+    this.deadLetter = new DeadLetterFile(config.deadLetter || DeadLetterFile.pathFor(config.output));
+    this.archive = PageArchive.fromConfig(config.archive);
+    this.baseUrl = getBaseUrl(config);
+    this.rateLimiter = RateLimiter.fromConfig(config.rateLimit); // Shared by listing and workers
+    this.health = ExtractionHealth.fromConfig(config.health); // Fed by every worker
+    this.healthTimer = null; // Resumes the job queue after a health pause
+    this.healthStopped = false;
     this.workerPool = null;
-    this.hero = null; // Main hero for list pages
+    this.dashboard = null;
+    this.fetcher = null; // Fetcher for list pages
+    this.listingFetchers = []; // Extra fetchers for parallel listing workers
+    this.listingWorkers = Math.max(1, config.listingWorkers || 1);
     this.totalJobsFound = 0;
     this.isRunning = false;
-  }
-  
-  /**
-   * Build search URL based on config
-   * @returns {string} Search URL
-   */
-  buildSearchUrl() {
-    const { searchMode, keyword, bts_mrt, custom_url } = this.config;
-    
-    if (searchMode === 'custom_url' && custom_url) {
-      console.log(`🔍 Custom URL mode: ${custom_url}`);
-      return custom_url;
-    } else if (searchMode === 'bts_mrt' && bts_mrt) {
-      console.log(`🔍 BTS/MRT mode: ${bts_mrt}`);
-      // BTS/MRT mode - Thai path (will be auto-encoded by browser)
-      // URL: https://www.jobthai.com/หางาน/รถไฟฟ้า-และ-BRT
-      return `https://www.jobthai.com/หางาน/${bts_mrt}`;
-    } else if (searchMode === 'keyword' && keyword) {
-      console.log(`🔍 Keyword mode: ${keyword}`);
-      // Keyword mode
-      // URL: https://www.jobthai.com/th/jobs?keyword=ไอที
-      const encodedKeyword = encodeURIComponent(keyword);
-      return `https://www.jobthai.com/th/jobs?keyword=${encodedKeyword}`;
-    } else {
-      // Default - all jobs
-      return 'https://www.jobthai.com/th/jobs';
-    }
-
+    this.searches = []; // [{ name, url, startPage, maxPages }] listed one after another
+    this.listingState = null; // { searchIndex, pageNum, currentUrl, completedPages, done } for checkpointing
+    this.checkpointTimer = null;
   }
   
   /**
    * Initialize the scraper
+   * @param {Object} options - { listing: false } skips the listing fetcher (retry-failed)
    */
-  async init() {
+  async init(options = {}) {
     console.log('🔧 Initializing JobThai Scraper...');
     
     // Initialize file handler
     await this.fileHandler.init();
+    await this.archive.init();
     
-    // Initialize main Hero for listing pages
-    this.hero = new Hero({
-      connectionToCore: {
-        host: this.config.cloudHost
-      },
-      showChrome: false,
-      userAgent: '~ chrome >= 120'
-    });
+    // Initialize the listing page fetcher (not needed when replaying recorded pages)
+    if (!this.archive.isReplaying && options.listing !== false) {
+      this.fetcher = createFetcher('listing', this.config, 'Listing');
+      await this.fetcher.init();
+    }
     
     // Initialize worker pool for detail pages
-    this.workerPool = new WorkerPool(this.config, this.jobQueue, this.fileHandler);
+    this.workerPool = new WorkerPool(this.config, this.jobQueue, this.fileHandler, this.archive, this.rateLimiter, this.health);
     await this.workerPool.init();
     
     // Setup event listeners
     this.setupEventListeners();
     
+    // Optional live dashboard
+    if (this.config.dashboard && this.config.dashboard.enabled) {
+      this.dashboard = new Dashboard({
+        jobQueue: this.jobQueue,
+        pageQueue: this.pageQueue,
+        workerPool: this.workerPool,
+        fileHandler: this.fileHandler,
+        rateLimiter: this.rateLimiter,
+        health: this.health
+      });
+      await this.dashboard.start(this.config.dashboard.port, this.config.dashboard.host);
+    }
+    
     console.log('✅ Scraper initialized');
   }
   
@@ -89,15 +117,146 @@ export class JobThaiScraper {
       console.log(`🎉 Queue done! Completed: ${stats.completed}, Failed: ${stats.failed}`);
     });
     
+    this.jobQueue.on('job:retry', (job) => {
+      const wait = job.retryDelayMs ? ` in ${(job.retryDelayMs / 1000).toFixed(1)}s` : '';
+      console.log(`🔁 Retrying job ${job.id}${wait} (${job.errorClass}, attempt ${job.attempts + 1})`);
+    });
+    
     this.pageQueue.on('page:completed', (info) => {
       console.log(`📄 Page ${info.pageNum}: Found ${info.jobsFound} jobs`);
     });
+    
+    this.health.on('health:degraded', (report) => this.onHealthDegraded(report));
+    this.health.on('health:recovered', () => {
+      console.log('🩺 Extraction is back to normal');
+    });
+    
+    // Jobs out of retries go to the dead-letter file, and leave it once they succeed
+    this.jobQueue.on('job:failed', (job) => {
+      try {
+        this.deadLetter.add(job);
+      } catch (error) {
+        console.error('⚠️ Could not save failed job:', error.message);
+      }
+    });
+    this.jobQueue.on('job:completed', (job) => {
+      if (!this.deadLetter.has(job.id)) return;
+      try {
+        this.deadLetter.remove([job.id]);
+      } catch (error) {
+        console.error('⚠️ Could not update dead-letter file:', error.message);
+      }
+    });
+    
+    // Checkpoint whenever a job changes state
+    for (const event of ['job:completed', 'job:failed', 'job:retry']) {
+      this.jobQueue.on(event, () => this.scheduleCheckpoint());
+    }
+  }
+  
+  /**
+   * Save current progress to the checkpoint file
+   */
+  saveCheckpoint() {
+    if (this.checkpointTimer) {
+      clearTimeout(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+    
+    if (this.searches.length === 0) return;
+    
+    try {
+      this.checkpoint.save({
+        searches: this.searches,
+        listing: this.listingState,
+        totalJobsFound: this.totalJobsFound,
+        queue: this.jobQueue.toJSON()
+      });
+    } catch (error) {
+      console.error('⚠️ Could not save checkpoint:', error.message);
+    }
+  }
+  
+  /**
+   * Save checkpoint after a short delay, batching bursts of queue events
+   */
+  scheduleCheckpoint() {
+    if (this.checkpointTimer) return;
+    this.checkpointTimer = setTimeout(() => this.saveCheckpoint(), 1000);
+  }
+  
+  /**
+   * Restore queue and listing progress from the checkpoint file
+   * @returns {boolean} True if a checkpoint was restored
+   */
+  restoreCheckpoint() {
+    const state = this.checkpoint.load();
+    if (!state) {
+      console.log('⚠️ No checkpoint found, starting a fresh run');
+      return false;
+    }
+    
+    // Checkpoints from before batch searches hold a single searchUrl
+    this.searches = state.searches || [{
+      name: getSearchName(this.config),
+      url: state.searchUrl,
+      startPage: this.config.startPage || 1,
+      maxPages: this.config.maxPages || 0
+    }];
+    this.listingState = state.listing ? { searchIndex: 0, ...state.listing } : null;
+    this.totalJobsFound = state.totalJobsFound || 0;
+    const stats = this.jobQueue.restore(state.queue || {});
+    
+    console.log(`♻️  Resuming from checkpoint saved at ${state.savedAt}`);
+    if (this.listingState && !this.listingState.done) {
+      const search = this.searches[this.listingState.searchIndex];
+      console.log(`   Listing resumes at page ${this.listingState.pageNum} of "${search.name}"`);
+    } else {
+      console.log('   Listing already finished');
+    }
+    console.log(`   Pending: ${stats.pending}, Completed: ${stats.completed}, Failed: ${stats.failed}`);
+    return true;
+  }
+  
+  /**
+   * Report fields that keep falling back to preview data and apply config.health.action:
+   * warn only, pause the job queue for pauseMs, or stop the run with a checkpoint
+   * @param {Object} report - From ExtractionHealth 'health:degraded'
+   */
+  onHealthDegraded(report) {
+    console.error(`\n🩺 Extraction looks broken, checked the last ${report.window} jobs:`);
+    for (const { field, fallbackRate, baseline, samples } of report.fields) {
+      console.error(`   ${field}: ${Math.round(fallbackRate * 100)}% not from the job page (usually ${Math.round(baseline * 100)}%)`);
+      samples.forEach(url => console.error(`      ${url}`));
+    }
+    console.error(`   The page layout may have changed, check the selectors in ${this.siteProfile.source}`);
+    console.error('   (override them with --site-profile)\n');
+    
+    if (report.action === 'stop') {
+      console.error('⏹️ Stopping the run (continue later with --resume)');
+      this.healthStopped = true;
+      this.stop().catch(error => console.error('⚠️ Could not stop the scraper:', error.message));
+    } else if (report.action === 'pause' && !this.healthTimer) {
+      console.error(`⏸️ Pausing job details for ${(this.health.pauseMs / 1000).toFixed(0)}s`);
+      this.jobQueue.pause();
+      this.healthTimer = setTimeout(() => {
+        this.healthTimer = null;
+        // Judge the jobs after the pause on their own
+        this.health.reset();
+        if (this.isRunning) {
+          console.log('▶️ Resuming job details');
+          this.jobQueue.resume();
+        }
+      }, this.health.pauseMs);
+    }
   }
   
   /**
    * Start the scraping process
+   * @param {Object} options - { resume } to continue from the last checkpoint
+   * @returns {Object} Queue stats when finished
    */
-  async start() {
+  async start(options = {}) {
     if (this.isRunning) {
       console.log('⚠️ Scraper is already running');
       return;
@@ -110,38 +269,60 @@ export class JobThaiScraper {
     console.log('🕷️  JobThai Scraper Started');
     console.log('='.repeat(60));
     
-    const searchUrl = this.buildSearchUrl();
-    console.log(`🔍 Search URL: ${searchUrl}`);
+    const resumed = options.resume && this.restoreCheckpoint();
+    if (!resumed) {
+      this.searches = resolveSearches(this.config);
+      this.listingState = null;
+    }
+    
+    if (this.searches.length === 1) {
+      console.log(`🔍 Search URL: ${this.searches[0].url}`);
+    } else {
+      console.log(`🔍 Searches: ${this.searches.length}`);
+      this.searches.forEach((search, i) => console.log(`   ${i + 1}. ${search.name}: ${search.url}`));
+    }
     console.log(`👷 Workers: ${this.config.workers}`);
     console.log(`📂 Output: ${this.config.output}`);
     console.log('='.repeat(60) + '\n');
     
     try {
-      // Phase 1: Scrape all job listings from search results
-      await this.scrapeJobListings(searchUrl);
+      // Listing and job details run side by side: workers take jobs as soon as
+      // a page queues them, and wait for more until listing has finished
+      const listing = !this.listingState || !this.listingState.done;
+      if (listing) this.jobQueue.startProducing();
       
-      console.log(`\n📋 Total jobs to scrape: ${this.jobQueue.getStats().pending}`);
+      console.log('🏭 Starting parallel job detail scraping...\n');
+      const workersDone = this.workerPool.start();
       
-      // Phase 2: Process job details with parallel workers
-      if (!this.jobQueue.isEmpty()) {
-        console.log('\n🏭 Starting parallel job detail scraping...\n');
-        await this.workerPool.start();
+      if (listing) {
+        try {
+          await this.scrapeJobListings(this.listingState);
+        } finally {
+          this.jobQueue.finishProducing();
+        }
+        console.log(`\n📋 Listing finished, ${this.jobQueue.getStats().pending} jobs still waiting for workers`);
       }
       
-      // Final statistics
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      const stats = this.jobQueue.getStats();
+      await workersDone;
       
-      console.log('\n' + '='.repeat(60));
-      console.log('📊 Scraping Complete!');
-      console.log('='.repeat(60));
-      console.log(`✅ Jobs scraped: ${stats.completed}`);
-      console.log(`❌ Failed: ${stats.failed}`);
-      console.log(`⏱️  Duration: ${duration}s`);
-      console.log(`📂 Output file: ${this.config.output}`);
-      console.log(`💾 Total jobs in file: ${this.fileHandler.getCount()}`);
-      console.log('='.repeat(60) + '\n');
+      // Run finished without interruption, checkpoint no longer needed;
+      // failed jobs are kept in the dead-letter file for retry-failed
+      const listingDone = !!(this.listingState && this.listingState.done);
+      if (this.jobQueue.isDone() && listingDone) {
+        this.checkpoint.clear();
+      } else {
+        this.saveCheckpoint();
+      }
       
+      const stats = this.printSummary(startTime);
+      if (this.healthStopped) {
+        stats.healthStopped = true;
+      } else if (!listingDone) {
+        console.log(`⚠️ Listing stopped at page ${this.listingState.pageNum}, continue with --resume\n`);
+        stats.listingIncomplete = true;
+      }
+      return stats;
+
     } catch (error) {
       console.error('❌ Scraping error:', error);
       throw error;
@@ -151,10 +332,117 @@ export class JobThaiScraper {
   }
   
   /**
-   * Scrape job listings from all search result pages
-   * @param {string} startUrl - Initial search URL
+   * Run the jobs in the dead-letter file through the worker pool again
+   * No listing pages are loaded; jobs that succeed leave the file
+   * @returns {Object} Queue stats when finished
+   */
+  async retryFailed() {
+    if (this.isRunning) {
+      console.log('⚠️ Scraper is already running');
+      return;
+    }
+    
+    this.isRunning = true;
+    const startTime = Date.now();
+    
+    try {
+      const added = this.jobQueue.addBulk(this.deadLetter.toQueueJobs());
+      
+      console.log('\n' + '='.repeat(60));
+      console.log(`🔁 Retrying ${added} failed jobs from ${this.deadLetter.filePath}`);
+      console.log('='.repeat(60) + '\n');
+      
+      if (!this.jobQueue.isEmpty()) {
+        await this.workerPool.start();
+      }
+      
+      const stats = this.printSummary(startTime);
+      if (this.healthStopped) stats.healthStopped = true;
+      if (stats.failed > 0) {
+        console.log(`📮 ${this.deadLetter.count} jobs still in ${this.deadLetter.filePath}`);
+      }
+      return stats;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  /**
+   * Print final statistics
+   * @param {number} startTime - When the run started
+   * @returns {Object} Queue stats
    */
-  async scrapeJobListings(startUrl) {
+  printSummary(startTime) {
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    const stats = this.jobQueue.getStats();
+    
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 Scraping Complete!');
+    console.log('='.repeat(60));
+    console.log(`✅ Jobs scraped: ${stats.completed}`);
+    console.log(`❌ Failed: ${stats.failed}`);
+    console.log(`⏱️  Duration: ${duration}s`);
+    console.log(`📂 Output file: ${this.config.output}`);
+    console.log(`💾 Total jobs in file: ${this.fileHandler.getCount()}`);
+    this.printFillRates();
+    console.log('='.repeat(60) + '\n');
+    
+    return stats;
+  }
+  
+  /**
+   * Print how often each field came from the job page, the preview, or nowhere
+   */
+  printFillRates() {
+    const report = this.health.getReport();
+    if (Object.keys(report).length === 0) return;
+    
+    console.log('🩺 Field fill rates (from job page / preview / missing):');
+    for (const [field, { page, preview, missing, fillRate }] of Object.entries(report)) {
+      console.log(`   ${field}: ${Math.round(fillRate * 100)}% (${page} / ${preview} / ${missing})`);
+    }
+  }
+  
+  /**
+   * Scrape job listings of every search, one after another
+   * Jobs found by several searches are queued once and tagged with each search name
+   * @param {Object} resumeFrom - Listing state from a checkpoint { searchIndex, pageNum, currentUrl }
+   */
+  async scrapeJobListings(resumeFrom = null) {
+    // Shared by all searches so a job is only scraped once
+    const existingIds = this.fileHandler.getExistingIds();
+    const firstIndex = resumeFrom ? resumeFrom.searchIndex : 0;
+    
+    for (let i = firstIndex; i < this.searches.length; i++) {
+      if (this.searches.length > 1) {
+        console.log(`\n🔎 Search ${i + 1}/${this.searches.length}: ${this.searches[i].name}`);
+      }
+      const finished = await this.scrapeSearchListings(i, existingIds, i === firstIndex ? resumeFrom : null);
+      if (!finished) {
+        // Listing stays unfinished at the failing page for --resume
+        this.saveCheckpoint();
+        return;
+      }
+    }
+    
+    this.listingState = { ...this.listingState, done: true };
+    this.saveCheckpoint();
+  }
+  
+  /**
+   * Scrape job listings from all result pages of one search
+   * The first page is loaded on its own; once it tells how many pages there are,
+   * the rest go through PageQueue to `listingWorkers` concurrent listing workers.
+   * With one listing worker the "›" links are followed page by page.
+   * @param {number} searchIndex - Index into this.searches
+   * @param {Set} existingIds - IDs already saved or queued, updated with new jobs
+   * @param {Object} resumeFrom - Listing state from a checkpoint { pageNum, currentUrl, completedPages }
+   * @returns {boolean} False if a page kept failing and listing stopped there
+   */
+  async scrapeSearchListings(searchIndex, existingIds, resumeFrom = null) {
+    const search = this.searches[searchIndex];
+    const startUrl = search.url;
+    
     // Extract page number from URL or config
     let pageNum = 1;
 
@@ -169,27 +457,24 @@ export class JobThaiScraper {
       // URL parsing failed, use default
     }
 
-    // Override with config.startPage if specified
-    if (this.config.startPage && this.config.startPage > 0) {
-      pageNum = this.config.startPage;
+    // Override with the search's startPage if specified
+    if (search.startPage && search.startPage > 0) {
+      pageNum = search.startPage;
     }
 
     // Build URL with page parameter if needed
+    const firstPage = pageNum;
     let currentUrl = startUrl;
-    if (pageNum > 1) {
-      try {
-        const urlObj = new URL(startUrl);
-        urlObj.searchParams.set('page', pageNum);
-        currentUrl = urlObj.toString();
-      } catch (e) {
-        // If URL parsing fails, append page parameter
-        const separator = startUrl.includes('?') ? '&' : '?';
-        currentUrl = `${startUrl}${separator}page=${pageNum}`;
-      }
+    if (resumeFrom && resumeFrom.currentUrl) {
+      pageNum = resumeFrom.pageNum;
+      currentUrl = resumeFrom.currentUrl;
+    } else if (pageNum > 1) {
+      currentUrl = pageUrl(startUrl, pageNum);
     }
 
-    const maxPages = this.config.maxPages || 0; // 0 = no limit
-    const existingIds = this.fileHandler.getExistingIds();
+    const maxPages = search.maxPages || 0; // 0 = no limit
+    // Pages finished before a resume, only kept by the parallel crawl
+    const completedPages = new Set((resumeFrom && resumeFrom.completedPages) || []);
 
     console.log('📄 Scraping job listings from search results...');
     if (pageNum > 1) {
@@ -198,45 +483,26 @@ export class JobThaiScraper {
       console.log('');
     }
     
+    this.listingState = { searchIndex, pageNum, currentUrl, done: false };
+    let attempts = 0; // Attempts on the current page
+    // A resumed search was counted by the run that loaded its first page
+    let countTotal = !resumeFrom || (pageNum === firstPage && completedPages.size === 0);
+    
     while (currentUrl) {
+      // Stopped (e.g. by the health check), listing stays unfinished for --resume
+      if (!this.isRunning) return false;
+      
       console.log(`📄 Processing page ${pageNum}: ${currentUrl}`);
       
       try {
-        // Navigate to the page
-        await this.hero.goto(currentUrl);
-        await this.hero.waitForPaintingStable();
-        
-        // Wait for job list to load
-        await this.delay(2000);
-        
-        // Get page HTML
-        const html = await this.hero.document.documentElement.outerHTML;
-        
-        // Parse total jobs on first page
-        if (pageNum === 1) {
-          this.totalJobsFound = parseTotalJobs(html);
-          if (this.totalJobsFound > 0) {
-            console.log(`📊 Total jobs found: ${this.totalJobsFound}`);
-          }
-        }
-        
-        // Parse job listings from this page
-        const jobs = await this.extractJobsFromPage(html, currentUrl);
-        
-        // Filter out already scraped jobs
-        const newJobs = jobs.filter(job => !existingIds.has(job.id));
-        
-        // Add new jobs to queue
-        const added = this.jobQueue.addBulk(newJobs);
-        console.log(`   ➕ Found ${jobs.length} jobs, ${added} new jobs added to queue`);
+        // Load the page (from the archive when replaying)
+        attempts++;
+        const page = await this.fetchListingPage(currentUrl);
+        attempts = 0;
         
-        // Add existing IDs to prevent re-processing
-        newJobs.forEach(job => existingIds.add(job.id));
-        
-        this.pageQueue.completePage(jobs.length);
-        
-        // Check for next page
-        const pagination = parsePagination(html, currentUrl);
+        const { allTooOld, pagination, totalPages } = await this.processListingPage(page, pageNum, currentUrl, search, existingIds, countTotal);
+        completedPages.add(pageNum);
+        countTotal = false;
         
         // Check if we should continue
         if (maxPages > 0 && pageNum >= maxPages) {
@@ -244,9 +510,21 @@ export class JobThaiScraper {
           break;
         }
         
+        if (allTooOld) {
+          console.log(`\n⏹️ All listings on this page are older than ${this.config.maxPostedAgeDays} days`);
+          break;
+        }
+        
+        // Known page count: hand the remaining pages to the listing workers
+        if (this.listingWorkers > 1 && totalPages > pageNum) {
+          return this.crawlListingPages({ search, searchIndex, firstPage, fromPage: pageNum, totalPages, existingIds, completedPages });
+        }
+        
         if (pagination.hasNext && pagination.nextPageUrl) {
           currentUrl = pagination.nextPageUrl;
           pageNum++;
+          this.listingState = { searchIndex, pageNum, currentUrl, done: false };
+          this.saveCheckpoint();
           
           // Random delay between pages
           await this.randomDelay();
@@ -256,82 +534,327 @@ export class JobThaiScraper {
         }
         
       } catch (error) {
-        console.error(`❌ Error on page ${pageNum}:`, error.message);
+        const decision = this.retryPolicy.decide(error, attempts);
+        console.error(`❌ Error on page ${pageNum} (${decision.errorClass}, attempt ${attempts}):`, error.message);
         
-        // Try to continue with next page
-        if (this.config.retryAttempts > 0) {
-          await this.delay(5000);
+        if (decision.retry) {
+          console.log(`   🔁 Retrying page ${pageNum} in ${(decision.delayMs / 1000).toFixed(1)}s`);
+          await this.delay(decision.delayMs);
           continue;
         }
-        break;
+        
+        // Replay has nothing more to offer for this search
+        if (decision.errorClass === ERROR_CLASSES.NOT_ARCHIVED) {
+          break;
+        }
+        
+        console.error(`⏹️ Giving up on page ${pageNum} after ${attempts} attempts (continue later with --resume)`);
+        return false;
       }
     }
     
     console.log(`\n📄 Finished scraping ${pageNum} pages`);
+    return true;
   }
   
   /**
-   * Extract jobs from a search results page
-   * Uses Hero to find job elements directly
+   * Queue the jobs of a loaded listing page
+   * @param {Object} page - Fetched listing page
+   * @param {number} pageNum - Page number
+   * @param {string} url - Page URL
+   * @param {Object} search - Search the page belongs to
+   * @param {Set} existingIds - IDs already saved or queued, updated with new jobs
+   * @param {boolean} countTotal - First page of the search loaded in this run, adds its job count to the total
+   * @returns {Object} { jobs, allTooOld, pagination, totalPages } where totalPages is
+   *   the best page count known from the pagination and the total job count
    */
-  async extractJobsFromPage(html, pageUrl) {
-    const jobs = [];
+  async processListingPage(page, pageNum, url, search, existingIds, countTotal = false) {
+    const html = page.html;
     
-    try {
-      // Use Hero to query job elements
-      const jobLinks = await this.hero.document.querySelectorAll('a[href*="/job/"]');
-      const processedIds = new Set();
+    // Every page shows the job count, so a run starting after page 1 can still size the crawl
+    const totalJobs = parseTotalJobs(html);
+    if (countTotal && totalJobs > 0) {
+      this.totalJobsFound += totalJobs;
+      console.log(`📊 Total jobs found: ${totalJobs}`);
+    }
+    
+    // Parse job listings from this page
+    const pageJobs = this.extractJobsFromPage(page);
+    
+    // Drop listings older than maxPostedAgeDays
+    const { jobs, allTooOld } = this.filterByAge(pageJobs);
+    
+    // Filter out already scraped jobs, tagging them with this search instead
+    const newJobs = [];
+    for (const job of jobs) {
+      if (existingIds.has(job.id)) {
+        await this.tagJob(job.id, search.name);
+      } else {
+        newJobs.push({ ...job, searches: [search.name] });
+      }
+    }
+    
+    // Add existing IDs to prevent re-processing
+    newJobs.forEach(job => existingIds.add(job.id));
+    
+    // Add new jobs to queue
+    const added = this.jobQueue.addBulk(newJobs);
+    console.log(`   ➕ Page ${pageNum}: found ${jobs.length} jobs, ${added} new jobs added to queue`);
+    
+    this.pageQueue.completePage(jobs.length, pageNum);
+    
+    // The pagination may only show a window of page numbers, the job count covers every page
+    const pagination = parsePagination(html, url);
+    const pagesByCount = totalJobs > 0 && pageJobs.length > 0 ? Math.ceil(totalJobs / pageJobs.length) : 0;
+    
+    return { jobs, allTooOld, pagination, totalPages: Math.max(pagination.totalPages, pagesByCount) };
+  }
+  
+  /**
+   * Load the remaining pages of a search with concurrent listing workers
+   * Pages come from PageQueue; a page that reports more pages than known extends it,
+   * and a page whose listings are all too old drops the pages after it
+   * @param {Object} crawl - { search, searchIndex, firstPage, fromPage, totalPages, existingIds, completedPages }
+   * @returns {boolean} False if a page kept failing
+   */
+  async crawlListingPages(crawl) {
+    const { search, fromPage, completedPages } = crawl;
+    const maxPages = search.maxPages || 0;
+    const pageQueue = this.pageQueue;
+    let lastQueued = fromPage;
+    let lastAllowed = maxPages > 0 ? maxPages : Infinity;
+    
+    // Queue pages up to a page count, within maxPages
+    const queueUpTo = (totalPages) => {
+      const last = Math.min(totalPages, lastAllowed);
+      for (let n = lastQueued + 1; n <= last; n++) {
+        if (!completedPages.has(n)) pageQueue.addPage(n, pageUrl(search.url, n));
+      }
+      if (last > lastQueued) {
+        lastQueued = last;
+        pageQueue.setTotal(last);
+      }
+    };
+    
+    // Listings are newest first, so pages after a too old page are older still
+    const stopAfter = (pageNum) => {
+      lastAllowed = Math.min(lastAllowed, pageNum);
+      lastQueued = Math.min(lastQueued, lastAllowed);
+      return pageQueue.removePagesAfter(pageNum);
+    };
+    
+    pageQueue.clear();
+    completedPages.forEach(n => pageQueue.markCompleted(n));
+    queueUpTo(crawl.totalPages);
+    
+    const workerCount = Math.min(this.listingWorkers, pageQueue.getProgress().remaining);
+    console.log(`\n🗂️  ${pageQueue.getProgress().remaining} more pages (up to page ${lastQueued}) for ${workerCount} listing workers\n`);
+    
+    const fetchers = await this.getListingFetchers(workerCount);
+    const context = { ...crawl, queueUpTo, stopAfter, lastPage: () => lastQueued };
+    await Promise.all(fetchers.map((fetcher, i) => this.runListingWorker(i + 1, fetcher, context)));
+    
+    const { failed } = pageQueue.getProgress();
+    this.updateListingState(context);
+    this.saveCheckpoint();
+    
+    if (failed > 0) {
+      console.error(`\n⏹️ ${failed} listing pages kept failing (continue later with --resume)`);
+      return false;
+    }
+    if (!this.isRunning) return false;
+    console.log(`\n📄 Finished scraping ${completedPages.size} pages`);
+    return true;
+  }
+  
+  /**
+   * Take pages from PageQueue until none are left
+   * @param {number} id - Listing worker number, for the log
+   * @param {Object} fetcher - This worker's listing fetcher
+   * @param {Object} context - Crawl state from crawlListingPages
+   */
+  async runListingWorker(id, fetcher, context) {
+    const { search, existingIds, completedPages } = context;
+    
+    while (this.isRunning) {
+      const page = this.pageQueue.getNextPage();
+      if (!page) break;
+      const { pageNum, url } = page;
+      console.log(`📄 Listing ${id}: processing page ${pageNum}: ${url}`);
       
-      for (const link of jobLinks) {
-        try {
-          const href = await link.getAttribute('href');
-          if (!href || !href.includes('/job/')) continue;
-          
-          // Extract job ID from URL
-          const match = href.match(/\/job\/(\d+)/);
-          if (!match) continue;
-          
-          const jobId = match[1];
-          
-          // Skip if already processed on this page
-          if (processedIds.has(jobId)) continue;
-          processedIds.add(jobId);
-          
-          // Build full URL
-          const jobUrl = href.startsWith('http') 
-            ? href 
-            : `https://www.jobthai.com${href}`;
-          
-          // Try to get text content for preview
-          let text = '';
-          try {
-            text = await link.textContent;
-          } catch (e) {
-            // Ignore text extraction errors
+      try {
+        const loaded = await this.fetchListingPageWithRetry(url, pageNum, fetcher);
+        const { allTooOld, totalPages } = await this.processListingPage(loaded, pageNum, url, search, existingIds);
+        completedPages.add(pageNum);
+        
+        if (allTooOld) {
+          const dropped = context.stopAfter(pageNum);
+          if (dropped > 0) {
+            console.log(`   ⏹️ Page ${pageNum} is older than ${this.config.maxPostedAgeDays} days, skipping ${dropped} later pages`);
           }
-
-          // Parse preview text to extract basic info
-          const parsedPreview = this.parsePreviewText(text.trim());
-
-          console.log(`🔍 Job ID: ${jobId}, Title: ${parsedPreview.title}, Company: ${parsedPreview.company}`);
-   
-          jobs.push({
-            id: jobId,
-            url: jobUrl,
-            previewText: text.trim().substring(0, 500),
-            ...parsedPreview
-          });
-          
-        } catch (e) {
-          // Continue with next link
+        } else {
+          context.queueUpTo(totalPages);
+        }
+      } catch (error) {
+        if (classifyError(error) === ERROR_CLASSES.NOT_ARCHIVED) {
+          // Replay has nothing more to offer from this page on
+          context.stopAfter(pageNum - 1);
+        } else {
+          this.pageQueue.failPage(pageNum, error);
+          console.error(`⏹️ Listing ${id}: giving up on page ${pageNum}:`, error.message);
         }
       }
       
-    } catch (error) {
-      console.error('Error extracting jobs:', error.message);
-      
+      this.updateListingState(context);
+      this.scheduleCheckpoint();
+      await this.randomDelay();
+    }
+  }
+  
+  /**
+   * Load a listing page, retrying as the retry policy allows
+   * @param {string} url - Page URL
+   * @param {number} pageNum - Page number, for the log
+   * @param {Object} fetcher - Listing fetcher
+   * @returns {Object} Loaded page
+   */
+  async fetchListingPageWithRetry(url, pageNum, fetcher) {
+    for (let attempts = 1; ; attempts++) {
+      try {
+        return await this.fetchListingPage(url, fetcher);
+      } catch (error) {
+        const decision = this.retryPolicy.decide(error, attempts);
+        console.error(`❌ Error on page ${pageNum} (${decision.errorClass}, attempt ${attempts}):`, error.message);
+        if (!decision.retry) throw error;
+        
+        console.log(`   🔁 Retrying page ${pageNum} in ${(decision.delayMs / 1000).toFixed(1)}s`);
+        await this.delay(decision.delayMs);
+      }
+    }
+  }
+  
+  /**
+   * Point the listing checkpoint at the first page not yet completed
+   * @param {Object} context - Crawl state from crawlListingPages
+   */
+  updateListingState(context) {
+    const { searchIndex, search, firstPage, completedPages } = context;
+    const lastPage = context.lastPage();
+    
+    let pageNum = firstPage;
+    while (pageNum <= lastPage && completedPages.has(pageNum)) pageNum++;
+    
+    this.listingState = {
+      searchIndex,
+      pageNum,
+      currentUrl: pageUrl(search.url, pageNum),
+      completedPages: [...completedPages].sort((a, b) => a - b),
+      done: false
+    };
+  }
+  
+  /**
+   * Fetchers for the listing workers: the main listing fetcher plus extra ones,
+   * created on first use and kept for later searches
+   * @param {number} count - Listing workers
+   * @returns {Array} Fetchers (null entries when replaying)
+   */
+  async getListingFetchers(count) {
+    if (this.archive.isReplaying) {
+      return Array.from({ length: count }, () => null);
+    }
+    
+    while (this.listingFetchers.length < count - 1) {
+      const fetcher = createFetcher('listing', this.config, `Listing ${this.listingFetchers.length + 2}`);
+      await fetcher.init();
+      this.listingFetchers.push(fetcher);
+    }
+    return [this.fetcher, ...this.listingFetchers].slice(0, count);
+  }
+  
+  /**
+   * Record that a search found a job that is already queued or saved
+   * @param {string} jobId - Job ID
+   * @param {string} searchName - Name of the search
+   */
+  async tagJob(jobId, searchName) {
+    const queued = this.jobQueue.get(jobId);
+    if (queued) {
+      queued.searches = queued.searches || [];
+      if (!queued.searches.includes(searchName)) queued.searches.push(searchName);
+    }
+    
+    const saved = this.fileHandler.getJob(jobId);
+    if (saved && !(saved.searches || []).includes(searchName)) {
+      await this.fileHandler.upsertJob({ ...saved, searches: [...(saved.searches || []), searchName] });
+    }
+  }
+  
+  /**
+   * Filter out listings posted longer ago than config.maxPostedAgeDays
+   * Listings without a recognisable date are kept
+   * @param {Array} jobs - Jobs parsed from a listing page
+   * @returns {Object} { jobs, allTooOld } where allTooOld means paging can stop
+   */
+  filterByAge(jobs) {
+    const maxAgeDays = this.config.maxPostedAgeDays || 0;
+    if (maxAgeDays <= 0) {
+      return { jobs, allTooOld: false };
+    }
+    
+    const now = new Date();
+    let dated = 0;
+    const fresh = jobs.filter(job => {
+      const age = getAgeInDays(job.postedAt, now);
+      if (age === null) return true;
+      dated++;
+      return age <= maxAgeDays;
+    });
+    
+    const skipped = jobs.length - fresh.length;
+    if (skipped > 0) {
+      console.log(`   ⏭️  Skipped ${skipped} jobs older than ${maxAgeDays} days`);
+    }
+    
+    return {
+      jobs: fresh,
+      allTooOld: dated > 0 && skipped === dated
+    };
+  }
+  
+  /**
+   * Load a search results page
+   * Uses the listing fetcher (Hero or HTTP) under the shared rate limiter, or reads
+   * the archive in replay mode; recorded when recording
+   * @param {string} url - Page URL
+   * @param {Object} fetcher - Listing fetcher, another listing worker's when crawling in parallel
+   * @returns {Object} { html, links } where links are [{ href, text }] or null
+   */
+  async fetchListingPage(url, fetcher = this.fetcher) {
+    if (this.archive.isReplaying) {
+      return this.archive.load('listing', url);
+    }
+    
+    const page = await this.rateLimiter.run(() => fetcher.fetchListing(url), url);
+    
+    if (this.archive.isRecording) {
+      await this.archive.save('listing', url, page);
+    }
+    return page;
+  }
+  
+  /**
+   * Extract jobs from a search results page
+   * Uses the links the fetcher found, falling back to Cheerio parsing of the HTML
+   * @param {Object} page - From fetchListingPage
+   * @returns {Array} Jobs with preview data
+   */
+  extractJobsFromPage(page) {
+    const jobs = [];
+    
+    if (!page.links) {
       // Fallback to Cheerio parsing
-      const parsedJobs = parseJobList(html);
+      const parsedJobs = parseJobList(page.html, this.baseUrl);
       for (const job of parsedJobs) {
         if (job.id && job.jobUrl) {
           jobs.push({
@@ -340,6 +863,41 @@ export class JobThaiScraper {
           });
         }
       }
+      return jobs;
+    }
+    
+    const processedIds = new Set();
+    const jobIdPattern = getSiteProfile().listing.jobId;
+    
+    for (const { href, text = '' } of page.links) {
+      if (!href) continue;
+      
+      // Extract job ID from URL
+      const match = href.match(jobIdPattern);
+      if (!match) continue;
+      
+      const jobId = match[1];
+      
+      // Skip if already processed on this page
+      if (processedIds.has(jobId)) continue;
+      processedIds.add(jobId);
+      
+      // Build full URL
+      const jobUrl = href.startsWith('http') 
+        ? href 
+        : `${this.baseUrl}${href}`;
+      
+      // Parse preview text to extract basic info
+      const parsedPreview = this.parsePreviewText(text.trim());
+      
+      console.log(`🔍 Job ID: ${jobId}, Title: ${parsedPreview.title}, Company: ${parsedPreview.company}`);
+      
+      jobs.push({
+        id: jobId,
+        url: jobUrl,
+        previewText: text.trim().substring(0, 500),
+        ...parsedPreview
+      });
     }
     
     return jobs;
@@ -357,6 +915,7 @@ export class JobThaiScraper {
     }
     
     this.jobQueue.pause();
+    this.saveCheckpoint();
   }
   
   /**
@@ -365,21 +924,40 @@ export class JobThaiScraper {
   async close() {
     console.log('🔒 Closing scraper...');
     
+    if (this.checkpointTimer) {
+      clearTimeout(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+    if (this.healthTimer) {
+      clearTimeout(this.healthTimer);
+      this.healthTimer = null;
+    }
+    this.jobQueue.cancelRetries();
+    
     if (this.workerPool) {
       await this.workerPool.close();
     }
     
-    if (this.hero) {
+    for (const fetcher of [this.fetcher, ...this.listingFetchers]) {
+      if (!fetcher) continue;
       try {
-        await this.hero.close();
+        await fetcher.close();
       } catch (e) {
         // Ignore close errors
       }
-      this.hero = null;
+    }
+    this.fetcher = null;
+    this.listingFetchers = [];
+    
+    // The dashboard's final status reads the job count, so stop it while storage is open
+    if (this.dashboard) {
+      await this.dashboard.stop();
+      this.dashboard = null;
     }
     
     // Create backup before closing
     await this.fileHandler.backup();
+    await this.fileHandler.close();
     
     console.log('✅ Scraper closed');
   }
@@ -388,7 +966,7 @@ export class JobThaiScraper {
    * Parse preview text from job listing to extract basic info
    * Format: "2 ธ.ค. 68ตำแหน่งงานบริษัท XXX จำกัดบริษัท XXX จำกัดสถานที่เงินเดือนHybrid Work"
    * @param {string} text - Preview text from job listing
-   * @returns {Object} Parsed data { title, company, location, salary, postedDate }
+   * @returns {Object} Parsed data { title, company, location, salary, postedDate, postedAt }
    */
   parsePreviewText(text) {
     const result = {
@@ -396,29 +974,25 @@ export class JobThaiScraper {
       company: '',
       location: '',
       salary: '',
-      postedDate: ''
+      postedDate: '',
+      postedAt: null
     };
     
     if (!text) return result;
     
+    // Patterns from the site profile; called without a scraper in tests
+    const patterns = getSiteProfile().preview;
+    
     // Extract date (format: "XX ธ.ค. XX" or "XX พ.ย. XX")
-    const dateMatch = text.match(/(\d{1,2}\s+(?:ม\.ค\.|ก\.พ\.|มี\.ค\.|เม\.ย\.|พ\.ค\.|มิ\.ย\.|ก\.ค\.|ส\.ค\.|ก\.ย\.|ต\.ค\.|พ\.ย\.|ธ\.ค\.)\s*\d{2})/);
+    const dateMatch = text.match(patterns.postedDate);
     if (dateMatch) {
       result.postedDate = dateMatch[1];
+      result.postedAt = parseThaiDate(dateMatch[1]);
       text = text.replace(dateMatch[0], '');
     }
     
     // Extract salary patterns
-    const salaryPatterns = [
-      /(\d{1,3}(?:,\d{3})*\s*-\s*\d{1,3}(?:,\d{3})*\s*บาท)/,
-      /(\d{1,3}(?:,\d{3})*\s*บาท(?:\s*(?:ขึ้นไป|\/เดือน|\/วัน))?)/,
-      /(ตามประสบการณ์)/,
-      /(ตามตกลง)/,
-      /(ตามโครงสร้าง(?:บริษัท)?)/,
-      /(ไม่ระบุ)/
-    ];
-    
-    for (const pattern of salaryPatterns) {
+    for (const pattern of patterns.salary) {
       const salaryMatch = text.match(pattern);
       if (salaryMatch) {
         result.salary = salaryMatch[1];
@@ -428,18 +1002,7 @@ export class JobThaiScraper {
     }
     
     // Extract location (BTS/MRT/จังหวัด/เขต)
-    const locationPatterns = [
-      /(BTS\s+[^\s]+(?:\s*,\s*[^\s]+)*)/,
-      /(MRT\s+[^\s]+(?:\s*,\s*[^\s]+)*)/,
-      /(ARL\s+[^\s]+)/,
-      /(เขต[^\s]+\s*(?:กรุงเทพ(?:มหานคร)?)?)/,
-      /(อ\.\s*[^\s]+\s*จ\.\s*[^\s]+)/,
-      /(จ\.\s*[^\s]+)/,
-      /(กรุงเทพมหานคร)/,
-      /(หลายจังหวัด)/
-    ];
-    
-    for (const pattern of locationPatterns) {
+    for (const pattern of patterns.location) {
       const locationMatch = text.match(pattern);
       if (locationMatch) {
         result.location = locationMatch[1];
@@ -448,7 +1011,7 @@ export class JobThaiScraper {
     }
     
     // Extract company name (look for บริษัท pattern)
-    const companyMatch = text.match(/(บริษัท\s+[^\s]+(?:\s+[^\s]+)*?\s*(?:จำกัด|มหาชน|จำกัด\s*\(มหาชน\)))/);
+    const companyMatch = text.match(patterns.company);
     if (companyMatch) {
       result.company = companyMatch[1];
       // Remove duplicate company names
@@ -457,16 +1020,15 @@ export class JobThaiScraper {
     }
     
     // Clean up text and extract title (what remains before company info)
-    text = text.replace(/Hybrid\s*Work/gi, '');
-    text = text.replace(/Work\s*from\s*Home/gi, '');
-    text = text.replace(/สัมภาษณ์(?:งาน)?(?:ออนไลน์)?/gi, '');
-    text = text.replace(/รับสมัครด่วน/gi, '');
+    for (const pattern of patterns.noise) {
+      text = text.replace(pattern, '');
+    }
     text = text.trim();
     
     // The remaining text at the beginning is likely the job title
     if (text && !result.title) {
       // Get first significant chunk of text as title
-      const parts = text.split(/บริษัท/);
+      const parts = text.split(patterns.titleEnd);
       if (parts[0]) {
         result.title = parts[0].trim().substring(0, 100);
       }
@@ -486,6 +1048,9 @@ export class JobThaiScraper {
    * Random delay between requests
    */
   async randomDelay() {
+    // Recorded pages need no politeness delay
+    if (this.archive.isReplaying) return;
+    
     const { min, max } = this.config.delay;
     const ms = Math.floor(Math.random() * (max - min + 1)) + min;
     await this.delay(ms);
@@ -500,7 +1065,8 @@ export class JobThaiScraper {
       totalJobsFound: this.totalJobsFound,
       queue: this.jobQueue.getStats(),
       savedJobs: this.fileHandler.getCount(),
-      workers: this.workerPool ? this.workerPool.getStatus() : null
+      workers: this.workerPool ? this.workerPool.getStatus() : null,
+      health: this.health.getStatus()
     };
   }
 }
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Persists scraper progress to disk so an interrupted run can be resumed
+ */
+export class Checkpoint {
+  constructor(checkpointPath) {
+    this.checkpointPath = checkpointPath;
+  }
+
+  /**
+   * Derive the default checkpoint path from the output file path
+   * e.g. ./output/jobs.json -> ./output/jobs.checkpoint.json
+   * @param {string} outputPath - Output JSON path
+   * @returns {string} Checkpoint path
+   */
+  static pathFor(outputPath) {
+    const ext = path.extname(outputPath);
+    const base = ext ? outputPath.slice(0, -ext.length) : outputPath;
+    return `${base}.checkpoint.json`;
+  }
+
+  /**
+   * Check if a checkpoint file exists
+   * @returns {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.checkpointPath);
+  }
+
+  /**
+   * Load checkpoint state from disk
+   * @returns {Object|null} Saved state or null if missing/unreadable
+   */
+  load() {
+    if (!this.exists()) return null;
+
+    try {
+      const data = fs.readFileSync(this.checkpointPath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error(`⚠️ Could not read checkpoint ${this.checkpointPath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Save checkpoint state to disk
+   * Writes to a temp file first so a crash mid-write never corrupts the checkpoint
+   * @param {Object} state - State to persist
+   */
+  save(state) {
+    const dir = path.dirname(this.checkpointPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const data = {
+      ...state,
+      savedAt: new Date().toISOString()
+    };
+
+    const tmpPath = `${this.checkpointPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmpPath, this.checkpointPath);
+  }
+
+  /**
+   * Remove checkpoint file (called after a run finishes cleanly)
+   */
+  clear() {
+    if (this.exists()) {
+      fs.unlinkSync(this.checkpointPath);
+    }
+  }
+}
+
+export default Checkpoint;
@@ -0,0 +1,403 @@
+/**
+ * Declarative schema for config.json
+ * Every key the scraper reads is described here; validateConfig() reports
+ * all problems at once instead of failing on the first one
+ */
+
+const SEARCH_MODES = ['keyword', 'bts_mrt', 'custom_url'];
+
+const port = { type: 'integer', min: 0, max: 65535 };
+
+// Search target keys, used at the top level and in each `searches` entry
+const SEARCH_TARGET = {
+  keyword: { type: 'string', requiredWhen: { searchMode: 'keyword' } },
+  bts_mrt: { type: 'string', requiredWhen: { searchMode: 'bts_mrt' } },
+  custom_url: { type: 'string', format: 'http-url', requiredWhen: { searchMode: 'custom_url' } },
+  startPage: { type: 'integer', min: 1 },
+  maxPages: { type: 'integer', min: 0 }
+};
+
+export const CONFIG_SCHEMA = {
+  searchMode: { type: 'string', enum: SEARCH_MODES, requiredUnless: 'searches' },
+  ...SEARCH_TARGET,
+  baseUrl: { type: 'string', format: 'http-url' },
+  searches: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        searchMode: { type: 'string', enum: SEARCH_MODES, required: true },
+        ...SEARCH_TARGET
+      }
+    }
+  },
+  workers: { type: 'integer', min: 1, max: 50 },
+  listingWorkers: { type: 'integer', min: 1, max: 10 },
+  output: { type: 'string', required: true, pattern: /\.json$/, patternHint: 'a .json file path, e.g. "./output/jobs.json"' },
+  storage: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['json', 'sqlite'] },
+      path: { type: 'string' }
+    }
+  },
+  delay: {
+    type: 'object',
+    required: true,
+    properties: {
+      min: { type: 'integer', min: 0, required: true },
+      max: { type: 'integer', min: 0, required: true }
+    }
+  },
+  cloudHost: { type: 'string', required: true, pattern: /^wss?:\/\/\S+$/, patternHint: 'a WebSocket address, e.g. "ws://localhost:1818"' },
+  api: {
+    type: 'object',
+    properties: {
+      port,
+      host: { type: 'string' }
+    }
+  },
+  dashboard: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      port,
+      host: { type: 'string' }
+    }
+  },
+  archive: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: ['off', 'record', 'replay'] },
+      dir: { type: 'string' },
+      details: { type: 'boolean' }
+    }
+  },
+  rateLimit: {
+    type: 'object',
+    properties: {
+      requestsPerMinute: { type: 'number', min: 0 },
+      minRequestsPerMinute: { type: 'number', min: 0.1 },
+      burst: { type: 'integer', min: 1 },
+      adaptive: { type: 'boolean' }
+    }
+  },
+  retry: {
+    type: 'object',
+    properties: {
+      baseDelayMs: { type: 'integer', min: 0 },
+      maxDelayMs: { type: 'integer', min: 0 },
+      jitter: { type: 'number', min: 0, max: 1 }
+    }
+  },
+  recovery: {
+    type: 'object',
+    properties: {
+      maxConsecutiveErrors: { type: 'integer', min: 1 },
+      maxRestarts: { type: 'integer', min: 0 },
+      restartBackoffMs: { type: 'integer', min: 0 },
+      recycleAfterJobs: { type: 'integer', min: 0 },
+      maxReplacements: { type: 'integer', min: 0 }
+    }
+  },
+  health: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      window: { type: 'integer', min: 1 },
+      minSamples: { type: 'integer', min: 1 },
+      baseline: {
+        type: 'object',
+        properties: {
+          title: { type: 'number', min: 0, max: 1 },
+          company: { type: 'number', min: 0, max: 1 },
+          salary: { type: 'number', min: 0, max: 1 }
+        }
+      },
+      tolerance: { type: 'number', min: 0, max: 1 },
+      action: { type: 'string', enum: ['warn', 'pause', 'stop'] },
+      pauseMs: { type: 'integer', min: 0 }
+    }
+  },
+  fetcher: {
+    type: 'object',
+    properties: {
+      listing: { type: 'string', enum: ['hero', 'http'] },
+      detail: { type: 'string', enum: ['hero', 'http'] },
+      fallback: { type: 'boolean' },
+      timeout: { type: 'integer', min: 1000 }
+    }
+  },
+  maxPostedAgeDays: { type: 'number', min: 0 },
+  retryAttempts: { type: 'integer', min: 0, max: 10 },
+  checkpoint: { type: 'string' },
+  deadLetter: { type: 'string' },
+  siteProfile: { type: 'string', pattern: /\.json$/, patternHint: 'a .json file path, e.g. "./site-profile.json"' }
+};
+
+// Rules spanning several keys, checked once the keys themselves are valid
+const CROSS_FIELD_RULES = [
+  {
+    keys: ['delay'],
+    check: config => config.delay.min <= config.delay.max,
+    message: config => `has min (${config.delay.min}) greater than max (${config.delay.max})`,
+    suggestion: config => `swap them: "delay": { "min": ${config.delay.max}, "max": ${config.delay.min} }`
+  }
+];
+
+/**
+ * Levenshtein distance, used to suggest the closest known key or value
+ */
+function distance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the closest candidate to a misspelled name
+ * @param {string} value - Misspelled key or value
+ * @param {Array} candidates - Valid names
+ * @returns {string|null} Closest candidate within a few edits
+ */
+export function closestMatch(value, candidates) {
+  const lower = String(value).toLowerCase();
+  let best = null;
+  for (const candidate of candidates) {
+    const d = distance(lower, candidate.toLowerCase());
+    if (!best || d < best.distance) {
+      best = { candidate, distance: d };
+    }
+  }
+  return best && best.distance <= Math.max(2, Math.floor(lower.length / 3)) ? best.candidate : null;
+}
+
+/**
+ * Build a RegExp from a string: "/source/flags" or a plain source without flags
+ * @param {string} value - Pattern as written in a JSON file
+ * @returns {RegExp}
+ * @throws {SyntaxError} When the pattern is invalid
+ */
+export function toRegExp(value) {
+  const literal = value.match(/^\/(.+)\/([dgimsuy]*)$/s);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+}
+
+/**
+ * Describe a value's type for error messages
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isInteger(value)) return 'number';
+  return typeof value === 'number' ? 'integer' : typeof value;
+}
+
+/**
+ * Check a value's type, coercion is never applied
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate one value against its schema entry
+ */
+function validateValue(value, rule, path, problems) {
+  if (!matchesType(value, rule.type)) {
+    const quoted = typeof value === 'string' && (rule.type === 'integer' || rule.type === 'number') && value.trim() !== '' && !isNaN(Number(value));
+    problems.push({
+      path,
+      message: `must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type}, got ${typeOf(value)} ${JSON.stringify(value)}`,
+      suggestion: quoted ? `remove the quotes: "${path.split('.').pop()}": ${value}` : null
+    });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    const closest = closestMatch(value, rule.enum);
+    problems.push({
+      path,
+      message: `must be one of ${rule.enum.map(v => `"${v}"`).join(', ')}, got "${value}"`,
+      suggestion: closest ? `did you mean "${closest}"?` : null
+    });
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    problems.push({ path, message: `must be >= ${rule.min}, got ${value}`, suggestion: null });
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    problems.push({ path, message: `must be <= ${rule.max}, got ${value}`, suggestion: null });
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    problems.push({ path, message: `must be ${rule.patternHint}, got "${value}"`, suggestion: null });
+  }
+
+  if (rule.format === 'http-url' && value !== '') {
+    let valid = false;
+    try {
+      valid = ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      problems.push({
+        path,
+        message: `must be an http(s) URL, got "${value}"`,
+        suggestion: /^www\./.test(value) ? `use "https://${value}"` : null
+      });
+    }
+  }
+
+  if (rule.format === 'regex') {
+    try {
+      toRegExp(value);
+    } catch (error) {
+      problems.push({ path, message: `must be a valid regular expression, ${error.message}`, suggestion: null });
+    }
+  }
+
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    problems.push({ path, message: `must have at least ${rule.minItems} item(s)`, suggestion: null });
+  }
+  if (rule.items) {
+    value.forEach((item, i) => validateValue(item, rule.items, `${path}[${i}]`, problems));
+  }
+
+  if (rule.properties) {
+    validateObject(value, rule.properties, `${path}.`, problems);
+  }
+}
+
+/**
+ * Validate an object's keys against a properties map
+ */
+function validateObject(object, properties, prefix, problems, root = object) {
+  const known = Object.keys(properties);
+
+  for (const [key, rule] of Object.entries(properties)) {
+    const path = `${prefix}${key}`;
+    const value = object[key];
+    const required = rule.required || (rule.requiredUnless && root[rule.requiredUnless] === undefined);
+    const requiredWhen = rule.requiredWhen
+      && Object.entries(rule.requiredWhen).every(([other, expected]) => root[other] === expected);
+
+    if (value === undefined || ((required || requiredWhen) && value === '')) {
+      if (required) {
+        problems.push({
+          path,
+          message: 'is required',
+          suggestion: rule.requiredUnless ? `or list the searches to run in "${rule.requiredUnless}"` : null
+        });
+      } else if (requiredWhen) {
+        const [[other, expected]] = Object.entries(rule.requiredWhen);
+        problems.push({
+          path,
+          message: `is required when ${other} is "${expected}"`,
+          suggestion: `set "${key}" or change "${other}" to another mode`
+        });
+      }
+      continue;
+    }
+
+    validateValue(value, rule, path, problems);
+  }
+
+  for (const key of Object.keys(object)) {
+    if (known.includes(key)) continue;
+    const closest = closestMatch(key, known);
+    problems.push({
+      path: `${prefix}${key}`,
+      message: 'is not a known option and will be ignored',
+      suggestion: closest ? `did you mean "${prefix}${closest}"?` : null,
+      warning: true
+    });
+  }
+}
+
+/**
+ * Validate another JSON file (e.g. the site profile) with the same rules
+ * @param {Object} object - Parsed JSON
+ * @param {Object} schema - Properties map in the CONFIG_SCHEMA format
+ * @returns {Object} { errors, warnings } lists of { path, message, suggestion }
+ */
+export function validateSchema(object, schema) {
+  if (!matchesType(object, 'object')) {
+    return {
+      errors: [{ path: '(root)', message: `must be a JSON object, got ${typeOf(object)}`, suggestion: null }],
+      warnings: []
+    };
+  }
+
+  const problems = [];
+  validateObject(object, schema, '', problems);
+  return {
+    errors: problems.filter(p => !p.warning),
+    warnings: problems.filter(p => p.warning)
+  };
+}
+
+/**
+ * Validate a configuration object
+ * @param {Object} config - Parsed config.json (after command line overrides)
+ * @returns {Object} { errors, warnings } lists of { path, message, suggestion }
+ */
+export function validateConfig(config) {
+  const problems = [];
+
+  if (!matchesType(config, 'object')) {
+    return {
+      errors: [{ path: '(root)', message: `must be a JSON object, got ${typeOf(config)}`, suggestion: null }],
+      warnings: []
+    };
+  }
+
+  validateObject(config, CONFIG_SCHEMA, '', problems);
+
+  const invalidPaths = new Set(problems.filter(p => !p.warning).map(p => p.path.split('.')[0]));
+  for (const rule of CROSS_FIELD_RULES) {
+    if (rule.keys.some(key => invalidPaths.has(key) || config[key] === undefined)) continue;
+    if (!rule.check(config)) {
+      problems.push({ path: rule.keys.join(', '), message: rule.message(config), suggestion: rule.suggestion(config) });
+    }
+  }
+
+  return {
+    errors: problems.filter(p => !p.warning),
+    warnings: problems.filter(p => p.warning)
+  };
+}
+
+/**
+ * Format problems as an indented list
+ * @param {Array} problems - From validateConfig
+ * @returns {string}
+ */
+export function formatProblems(problems) {
+  return problems
+    .map(p => `   • ${p.path} ${p.message}${p.suggestion ? `\n     💡 ${p.suggestion}` : ''}`)
+    .join('\n');
+}
+
+export default validateConfig;
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateConfig, formatProblems } from './config-schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONFIG_PATH = path.join(__dirname, '..', '..', 'config.json');
+
+export const DEFAULT_CONFIG = {
+  searchMode: 'keyword',
+  keyword: 'ไอที',
+  bts_mrt: 'รถไฟฟ้า-และ-BRT',
+  custom_url: '',
+  baseUrl: 'https://www.jobthai.com',
+  workers: 3,
+  listingWorkers: 1,
+  output: './output/jobs.json',
+  storage: {
+    type: 'json'
+  },
+  delay: {
+    min: 1000,
+    max: 3000
+  },
+  rateLimit: {
+    requestsPerMinute: 60,
+    minRequestsPerMinute: 6,
+    burst: 1,
+    adaptive: true
+  },
+  retry: {
+    baseDelayMs: 2000,
+    maxDelayMs: 60000,
+    jitter: 0.5
+  },
+  recovery: {
+    maxConsecutiveErrors: 3,
+    maxRestarts: 3,
+    restartBackoffMs: 2000,
+    recycleAfterJobs: 200,
+    maxReplacements: 3
+  },
+  health: {
+    enabled: true,
+    window: 50,
+    minSamples: 20,
+    baseline: {
+      title: 0.05,
+      company: 0.1,
+      salary: 0.2
+    },
+    tolerance: 0.25,
+    action: 'pause',
+    pauseMs: 300000
+  },
+  cloudHost: 'ws://localhost:1818',
+  api: {
+    port: 3000,
+    host: 'localhost'
+  },
+  dashboard: {
+    enabled: false,
+    port: 3001,
+    host: 'localhost'
+  },
+  archive: {
+    mode: 'off',
+    dir: './output/pages',
+    details: false
+  },
+  fetcher: {
+    listing: 'hero',
+    detail: 'hero',
+    fallback: true
+  },
+  maxPages: 0,
+  maxPostedAgeDays: 0,
+  retryAttempts: 3
+};
+
+/**
+ * Load configuration from config.json, creating it with defaults if missing
+ * @param {string} configPath - Path to config.json
+ * @returns {Object} Configuration object
+ */
+export function loadConfig(configPath = CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    console.error(`❌ ${path.basename(configPath)} not found!`);
+    console.log(`📝 Creating default ${path.basename(configPath)}...`);
+
+    fs.writeFileSync(configPath, JSON.stringify(DEFAULT_CONFIG, null, 2));
+    return structuredClone(DEFAULT_CONFIG);
+  }
+
+  try {
+    const configData = fs.readFileSync(configPath, 'utf8');
+    return JSON.parse(configData);
+  } catch (error) {
+    throw new Error(`Error reading ${path.basename(configPath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Error for an invalid configuration, lists every problem found
+ */
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${formatProblems(errors)}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a configuration against the schema
+ * Warnings (unknown keys) are printed, errors are thrown together
+ * @param {Object} config - Configuration after command line overrides
+ * @returns {Object} The same configuration
+ * @throws {ConfigError} When any value is invalid
+ */
+export function assertValidConfig(config) {
+  const { errors, warnings } = validateConfig(config);
+
+  if (warnings.length > 0) {
+    console.warn(`⚠️ Config warnings:\n${formatProblems(warnings)}`);
+  }
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  return config;
+}
+
+/**
+ * Apply command line overrides on top of config.json without modifying the file
+ * Search flags also switch searchMode: keyword -> "keyword", btsMrt -> "bts_mrt", url -> "custom_url"
+ * and replace config.searches
+ * @param {Object} config - Configuration from loadConfig()
+ * @param {Object} overrides - { keyword, btsMrt, url, workers, listingWorkers, startPage, maxPages,
+ *   maxAgeDays, output, storage, cloudHost, baseUrl, siteProfile, dashboard, archiveMode, fetcher }
+ * @returns {Object} New configuration object
+ */
+export function applyOverrides(config, overrides = {}) {
+  const result = structuredClone(config);
+
+  // A search flag replaces the searches list with that single search
+  if ([overrides.keyword, overrides.btsMrt, overrides.url].some(value => value !== undefined)) {
+    delete result.searches;
+  }
+
+  if (overrides.keyword !== undefined) {
+    result.searchMode = 'keyword';
+    result.keyword = overrides.keyword;
+  }
+  if (overrides.btsMrt !== undefined) {
+    result.searchMode = 'bts_mrt';
+    result.bts_mrt = overrides.btsMrt;
+  }
+  if (overrides.url !== undefined) {
+    result.searchMode = 'custom_url';
+    result.custom_url = overrides.url;
+  }
+
+  if (overrides.workers !== undefined) result.workers = overrides.workers;
+  if (overrides.listingWorkers !== undefined) result.listingWorkers = overrides.listingWorkers;
+  if (overrides.retryAttempts !== undefined) result.retryAttempts = overrides.retryAttempts;
+  if (overrides.startPage !== undefined) result.startPage = overrides.startPage;
+  if (overrides.maxPages !== undefined) result.maxPages = overrides.maxPages;
+  if (overrides.maxAgeDays !== undefined) result.maxPostedAgeDays = overrides.maxAgeDays;
+  if (overrides.output !== undefined) result.output = overrides.output;
+  if (overrides.cloudHost !== undefined) result.cloudHost = overrides.cloudHost;
+  if (overrides.baseUrl !== undefined) result.baseUrl = overrides.baseUrl;
+  if (overrides.siteProfile !== undefined) result.siteProfile = overrides.siteProfile;
+  if (overrides.healthAction !== undefined) {
+    result.health = { ...result.health, action: overrides.healthAction };
+  }
+
+  if (overrides.storage !== undefined) {
+    // A storage.path from config.json belongs to the old backend type
+    result.storage = { type: overrides.storage };
+  }
+  if (overrides.dashboard) {
+    result.dashboard = { ...result.dashboard, enabled: true };
+  }
+  if (overrides.archiveMode !== undefined) {
+    result.archive = { ...result.archive, mode: overrides.archiveMode };
+  }
+  if (overrides.archiveDetails) {
+    result.archive = { ...result.archive, details: true };
+  }
+  if (overrides.fetcher !== undefined) {
+    // One fetcher for both phases
+    result.fetcher = { ...result.fetcher, listing: overrides.fetcher, detail: overrides.fetcher };
+  }
+
+  return result;
+}
+
+export default loadConfig;
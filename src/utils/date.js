@@ -0,0 +1,165 @@
+import { thaiDigitsToArabic } from './salary.js';
+
+/**
+ * Thai date helpers
+ * Converts JobThai posted dates such as "22 ธ.ค. 68" (Buddhist era, two-digit year)
+ * into ISO timestamps in Bangkok time, e.g. "2025-12-22T00:00:00+07:00"
+ */
+
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BE_OFFSET = 543;
+
+const THAI_MONTHS = [
+  ['ม.ค.', 'มกราคม'],
+  ['ก.พ.', 'กุมภาพันธ์'],
+  ['มี.ค.', 'มีนาคม'],
+  ['เม.ย.', 'เมษายน'],
+  ['พ.ค.', 'พฤษภาคม'],
+  ['มิ.ย.', 'มิถุนายน'],
+  ['ก.ค.', 'กรกฎาคม'],
+  ['ส.ค.', 'สิงหาคม'],
+  ['ก.ย.', 'กันยายน'],
+  ['ต.ค.', 'ตุลาคม'],
+  ['พ.ย.', 'พฤศจิกายน'],
+  ['ธ.ค.', 'ธันวาคม']
+];
+
+const MONTH_LOOKUP = new Map();
+THAI_MONTHS.forEach((names, index) => {
+  for (const name of names) {
+    MONTH_LOOKUP.set(name, index);
+  }
+});
+
+// Longest names first so "มีนาคม" wins over "มี.ค." style prefixes
+const MONTH_PATTERN = [...MONTH_LOOKUP.keys()]
+  .sort((a, b) => b.length - a.length)
+  .map(name => name.replace(/\./g, '\\.'))
+  .join('|');
+
+export const THAI_DATE_REGEX = new RegExp(`(\\d{1,2})\\s*(${MONTH_PATTERN})\\s*(\\d{4}|\\d{2})`);
+const THAI_DATE_LINE_REGEX = new RegExp(`^${THAI_DATE_REGEX.source}$`);
+
+const RELATIVE_UNITS = [
+  { pattern: /(\d+)\s*นาที/, days: 0 },
+  { pattern: /(\d+)\s*(?:ชั่วโมง|ชม\.?)/, days: 0 },
+  { pattern: /(\d+)\s*วัน/, days: 1 },
+  { pattern: /(\d+)\s*(?:สัปดาห์|อาทิตย์)/, days: 7 },
+  { pattern: /(\d+)\s*เดือน/, days: 30 }
+];
+
+/**
+ * Get today's calendar date in Bangkok as UTC-based { year, month, day }
+ */
+function bangkokToday(now) {
+  const shifted = new Date(now.getTime() + BANGKOK_OFFSET_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth(),
+    day: shifted.getUTCDate()
+  };
+}
+
+/**
+ * Format a calendar date as an ISO timestamp at midnight Bangkok time
+ */
+function toIso(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  const yyyy = String(date.getUTCFullYear()).padStart(4, '0');
+  const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(date.getUTCDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}T00:00:00+07:00`;
+}
+
+/**
+ * Resolve a year token into a Common Era year
+ * Two-digit years are Buddhist era; the latest century that does not put
+ * the date more than a year in the future is chosen
+ * @param {string} token - "68", "2568" or "2025"
+ * @param {number} currentYear - Current CE year
+ * @returns {number} CE year
+ */
+export function resolveYear(token, currentYear) {
+  const value = parseInt(token, 10);
+
+  if (token.length === 4) {
+    return value > 2400 ? value - BE_OFFSET : value;
+  }
+
+  const currentBE = currentYear + BE_OFFSET;
+  const century = Math.floor(currentBE / 100) * 100;
+  const yearBE = century + value > currentBE + 1 ? century - 100 + value : century + value;
+  return yearBE - BE_OFFSET;
+}
+
+/**
+ * Check if a line is exactly a Thai posted date, e.g. "22 ธ.ค. 68"
+ * @param {string} line - Text line
+ * @returns {boolean}
+ */
+export function isThaiDateLine(line) {
+  return THAI_DATE_LINE_REGEX.test(thaiDigitsToArabic(line.trim()));
+}
+
+/**
+ * Parse a Thai posted date into an ISO timestamp
+ * Supports "22 ธ.ค. 68", "22 ธันวาคม 2568", "วันนี้", "เมื่อวาน" and "3 วันที่แล้ว"
+ * @param {string} text - Date text
+ * @param {Date} now - Reference time for relative dates and century inference
+ * @returns {string|null} ISO timestamp or null if not recognised
+ */
+export function parseThaiDate(text, now = new Date()) {
+  if (!text) return null;
+
+  const normalized = thaiDigitsToArabic(text).trim();
+  const today = bangkokToday(now);
+
+  const match = normalized.match(THAI_DATE_REGEX);
+  if (match) {
+    const day = parseInt(match[1], 10);
+    const month = MONTH_LOOKUP.get(match[2]);
+    const year = resolveYear(match[3], today.year);
+    // "31 ก.พ." would otherwise roll over into March
+    const date = new Date(Date.UTC(year, month, day));
+    if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+    return toIso(year, month, day);
+  }
+
+  if (/วันนี้|today/i.test(normalized)) {
+    return toIso(today.year, today.month, today.day);
+  }
+
+  if (/เมื่อวาน|yesterday/i.test(normalized)) {
+    return toIso(today.year, today.month, today.day - 1);
+  }
+
+  if (/ที่แล้ว|ก่อน|ago/i.test(normalized)) {
+    for (const { pattern, days } of RELATIVE_UNITS) {
+      const unitMatch = normalized.match(pattern);
+      if (unitMatch) {
+        const offset = parseInt(unitMatch[1], 10) * days;
+        return toIso(today.year, today.month, today.day - offset);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the age of a posted date in whole days
+ * @param {string} postedAt - ISO timestamp from parseThaiDate
+ * @param {Date} now - Reference time
+ * @returns {number|null} Age in days or null if unknown
+ */
+export function getAgeInDays(postedAt, now = new Date()) {
+  if (!postedAt) return null;
+
+  const posted = Date.parse(postedAt);
+  if (isNaN(posted)) return null;
+
+  return Math.floor((now.getTime() - posted) / DAY_MS);
+}
+
+export default parseThaiDate;
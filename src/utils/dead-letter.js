@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+
+// Queue bookkeeping that means nothing outside the run
+const RUN_FIELDS = ['startedAt', 'result', 'retryDelayMs'];
+// Failure details, dropped when a job goes back into a queue
+const FAILURE_FIELDS = ['error', 'errorClass', 'attempts', 'addedAt', 'failedAt', 'firstFailedAt', 'totalAttempts'];
+
+/**
+ * Persists jobs that ran out of retries so a later `retry-failed` can run them again
+ * Each entry is the queued job plus its error, attempts and failure times
+ */
+export class DeadLetterFile {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.jobs = null; // Map of id -> entry, loaded on first use
+  }
+
+  /**
+   * Derive the default dead-letter path from the output file path
+   * e.g. ./output/jobs.json -> ./output/jobs.failed.json
+   * @param {string} outputPath - Output JSON path
+   * @returns {string} Dead-letter path
+   */
+  static pathFor(outputPath) {
+    const ext = path.extname(outputPath);
+    const base = ext ? outputPath.slice(0, -ext.length) : outputPath;
+    return `${base}.failed.json`;
+  }
+
+  /**
+   * Check if the dead-letter file exists
+   * @returns {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Load the failed jobs from disk
+   * @returns {Array} Entries, oldest failure first
+   */
+  load() {
+    this.jobs = new Map();
+    if (this.exists()) {
+      try {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const entry of data.jobs || []) {
+          this.jobs.set(entry.id, entry);
+        }
+      } catch (error) {
+        console.error(`⚠️ Could not read dead-letter file ${this.filePath}:`, error.message);
+      }
+    }
+    return [...this.jobs.values()];
+  }
+
+  /**
+   * Number of failed jobs in the file
+   */
+  get count() {
+    if (!this.jobs) this.load();
+    return this.jobs.size;
+  }
+
+  /**
+   * Whether a job is in the file
+   * @param {string} jobId - Job ID
+   */
+  has(jobId) {
+    if (!this.jobs) this.load();
+    return this.jobs.has(jobId);
+  }
+
+  /**
+   * Record a job that failed for good
+   * A job that failed in an earlier run keeps its first failure time and attempt total
+   * @param {Object} job - Job from JobQueue 'job:failed'
+   */
+  add(job) {
+    if (!this.jobs) this.load();
+
+    const previous = this.jobs.get(job.id);
+    const entry = { ...job };
+    for (const field of RUN_FIELDS) delete entry[field];
+    entry.addedAt = new Date(job.addedAt || Date.now()).toISOString();
+    entry.failedAt = new Date(job.failedAt || Date.now()).toISOString();
+    entry.firstFailedAt = previous ? previous.firstFailedAt : entry.failedAt;
+    entry.totalAttempts = (previous ? previous.totalAttempts : 0) + (job.attempts || 0);
+
+    this.jobs.set(job.id, entry);
+    this.save();
+  }
+
+  /**
+   * Remove jobs that have since succeeded
+   * @param {Array} jobIds - Job IDs
+   * @returns {number} Number of entries removed
+   */
+  remove(jobIds) {
+    if (!this.jobs) this.load();
+
+    const removed = jobIds.filter(id => this.jobs.delete(id)).length;
+    if (removed > 0) this.save();
+    return removed;
+  }
+
+  /**
+   * Jobs to put back in a JobQueue, without the failure details
+   * @returns {Array}
+   */
+  toQueueJobs() {
+    return this.load().map(entry => {
+      const job = { ...entry };
+      for (const field of FAILURE_FIELDS) {
+        delete job[field];
+      }
+      return job;
+    });
+  }
+
+  /**
+   * Write the file, or remove it once no failed jobs are left
+   * Writes to a temp file first like Checkpoint
+   */
+  save() {
+    if (this.jobs.size === 0) {
+      this.clear();
+      return;
+    }
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const data = {
+      updatedAt: new Date().toISOString(),
+      jobs: [...this.jobs.values()]
+    };
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Remove the dead-letter file
+   */
+  clear() {
+    this.jobs = new Map();
+    if (this.exists()) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+}
+
+export default DeadLetterFile;
@@ -0,0 +1,13 @@
+/**
+ * Process exit codes shared by every command
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,           // Fatal error, e.g. Ulixee Cloud not reachable
+  USAGE: 2,           // Unknown command, bad flag, invalid flag value or invalid config
+  PARTIAL: 3,         // Run finished but some jobs failed
+  UNHEALTHY: 4,       // Stopped because extraction fell back too often, fix the site profile and --resume
+  INTERRUPTED: 130    // Stopped by SIGINT/SIGTERM, resume with --resume
+};
+
+export default EXIT_CODES;
@@ -0,0 +1,231 @@
+import fs from 'fs';
+import ExcelJS from 'exceljs';
+import { withDerivedFields } from './job-fields.js';
+
+/**
+ * Export helpers
+ * Turns saved jobs into flat rows for CSV/TSV/XLSX and NDJSON for pipelines
+ */
+
+// Excel only detects UTF-8 (and so Thai text) when the file starts with a BOM
+const UTF8_BOM = '\uFEFF';
+
+export const FORMATS = {
+  csv: { extension: '.csv' },
+  tsv: { extension: '.tsv' },
+  ndjson: { extension: '.ndjson' },
+  xlsx: { extension: '.xlsx' }
+};
+
+/**
+ * Column name -> accessor
+ * Derived columns read the structured fields added by the worker
+ * (exportJobs fills them in for jobs saved before they existed)
+ */
+export const COLUMNS = {
+  id: job => job.id,
+  title: job => job.title,
+  company: job => job.company,
+  location: job => job.location,
+  province: job => job.locationInfo?.province?.th,
+  provinceCode: job => job.locationInfo?.province?.code,
+  district: job => job.locationInfo?.district?.th,
+  region: job => job.locationInfo?.region,
+  stations: job => (job.stations || []).map(s => `${s.line} ${s.station}`),
+  salary: job => job.salary,
+  salaryMin: job => job.salaryInfo?.min,
+  salaryMax: job => job.salaryInfo?.max,
+  salaryPeriod: job => job.salaryInfo?.period,
+  salaryNegotiable: job => job.salaryInfo?.negotiable,
+  positions: job => job.positions,
+  postedDate: job => job.postedDate,
+  postedAt: job => job.postedAt,
+  url: job => job.url || job.jobUrl,
+  companyHistory: job => job.companyHistory,
+  benefits: job => job.benefits,
+  contact: job => job.contact,
+  transportation: job => job.transportation,
+  searches: job => job.searches,
+  scrapedAt: job => job.scrapedAt
+};
+
+export const DEFAULT_COLUMNS = [
+  'id', 'title', 'company', 'location', 'province', 'salary', 'salaryMin', 'salaryMax',
+  'positions', 'postedAt', 'url', 'benefits', 'contact', 'scrapedAt'
+];
+
+/**
+ * Validate a column list
+ * @param {Array} columns - Column names
+ * @returns {Array} Unknown column names
+ */
+export function findUnknownColumns(columns) {
+  return columns.filter(column => !(column in COLUMNS));
+}
+
+/**
+ * Flatten a value into a single-line cell
+ * Multi-line text such as benefits/contact becomes "line 1; line 2"
+ * @param {*} value - Raw value
+ * @param {string} separator - Joins lines and array items
+ * @returns {string}
+ */
+export function flattenValue(value, separator = '; ') {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => flattenValue(item, separator)).filter(Boolean).join(separator);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+
+  return String(value)
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join(separator);
+}
+
+/**
+ * Build flat rows for the selected columns
+ * @param {Array} jobs - Saved jobs
+ * @param {Array} columns - Column names
+ * @param {string} separator - Line separator for multi-line fields
+ * @returns {Array} Arrays of cell strings
+ */
+export function toRows(jobs, columns, separator = '; ') {
+  return jobs.map(job => columns.map(column => flattenValue(COLUMNS[column](job), separator)));
+}
+
+/**
+ * Quote a CSV cell when it contains the delimiter, quotes or line breaks
+ */
+function escapeCsv(cell, delimiter) {
+  if (cell.includes(delimiter) || /["\r\n]/.test(cell)) {
+    return `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell;
+}
+
+/**
+ * Render jobs as CSV or TSV text with a UTF-8 BOM
+ * @param {Array} jobs - Saved jobs
+ * @param {Array} columns - Column names
+ * @param {Object} options - { delimiter, separator }
+ * @returns {string}
+ */
+export function toDelimited(jobs, columns, options = {}) {
+  const { delimiter = ',', separator = '; ' } = options;
+  const lines = [columns, ...toRows(jobs, columns, separator)].map(cells =>
+    delimiter === '\t'
+      // TSV has no quoting, tabs inside cells would shift columns
+      ? cells.map(cell => cell.replace(/\t/g, ' ')).join('\t')
+      : cells.map(cell => escapeCsv(cell, delimiter)).join(delimiter)
+  );
+  return UTF8_BOM + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Render jobs as newline-delimited JSON
+ * Whole jobs are written unless columns are selected; values keep their original shape
+ * @param {Array} jobs - Saved jobs
+ * @param {Array|null} columns - Column names or null for every field
+ * @returns {string}
+ */
+export function toNdjson(jobs, columns = null) {
+  return jobs.map(job => {
+    if (!columns) return JSON.stringify(job);
+    const picked = {};
+    for (const column of columns) {
+      picked[column] = COLUMNS[column](job) ?? null;
+    }
+    return JSON.stringify(picked);
+  }).join('\n') + '\n';
+}
+
+/**
+ * Count jobs per key, most common first
+ */
+function countBy(jobs, getKey) {
+  const counts = new Map();
+  for (const job of jobs) {
+    const key = getKey(job) || '(ไม่ระบุ)';
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Add a sheet with a bold, frozen header row
+ */
+function addSheet(workbook, name, header, rows, widths = []) {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.addRow(header).font = { bold: true };
+  sheet.addRows(rows);
+  header.forEach((_, i) => {
+    sheet.getColumn(i + 1).width = widths[i] || 20;
+  });
+  return sheet;
+}
+
+/**
+ * Write a multi-sheet XLSX workbook
+ * Sheets: Jobs (selected columns), Companies, Provinces and Summary
+ * @param {Array} jobs - Saved jobs
+ * @param {Array} columns - Column names for the Jobs sheet
+ * @param {string} filePath - Output path
+ * @param {Object} options - { separator, metadata }
+ */
+export async function writeXlsx(jobs, columns, filePath, options = {}) {
+  const { separator = '\n', metadata = {} } = options;
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  // Excel cells can hold line breaks, so multi-line fields keep them by default;
+  // numbers stay numeric so salary columns can be sorted and summed
+  const rows = jobs.map(job => columns.map(column => {
+    const value = COLUMNS[column](job);
+    return typeof value === 'number' ? value : flattenValue(value, separator);
+  }));
+  const jobsSheet = addSheet(workbook, 'Jobs', columns, rows);
+  jobsSheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  addSheet(workbook, 'Companies', ['company', 'jobs'], countBy(jobs, job => job.company), [40, 10]);
+  addSheet(workbook, 'Provinces', ['province', 'jobs'], countBy(jobs, job => job.locationInfo?.province?.th), [30, 10]);
+  addSheet(workbook, 'Summary', ['key', 'value'], [
+    ['totalJobs', jobs.length],
+    ['exportedAt', new Date().toISOString()],
+    ...Object.entries(metadata).map(([key, value]) => [key, flattenValue(value)])
+  ], [20, 60]);
+
+  await workbook.xlsx.writeFile(filePath);
+}
+
+/**
+ * Write jobs to a file in the given format
+ * @param {Array} jobs - Saved jobs
+ * @param {string} format - csv, tsv, ndjson or xlsx
+ * @param {string} filePath - Output path
+ * @param {Object} options - { columns, separator, metadata }
+ */
+export async function exportJobs(jobs, format, filePath, options = {}) {
+  const { columns, separator, metadata } = options;
+  jobs = jobs.map(withDerivedFields);
+
+  switch (format) {
+    case 'csv':
+      fs.writeFileSync(filePath, toDelimited(jobs, columns || DEFAULT_COLUMNS, { delimiter: ',', separator }), 'utf8');
+      break;
+    case 'tsv':
+      fs.writeFileSync(filePath, toDelimited(jobs, columns || DEFAULT_COLUMNS, { delimiter: '\t', separator }), 'utf8');
+      break;
+    case 'ndjson':
+      fs.writeFileSync(filePath, toNdjson(jobs, columns), 'utf8');
+      break;
+    case 'xlsx':
+      await writeXlsx(jobs, columns || DEFAULT_COLUMNS, filePath, { separator, metadata });
+      break;
+    default:
+      throw new Error(`Unknown export format "${format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+}
+
+export default exportJobs;
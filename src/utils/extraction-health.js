@@ -0,0 +1,164 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Extraction health monitor
+ * Every processed job reports where each field came from; when the share of
+ * title/company/salary values that had to fall back to the listing preview (or
+ * to the placeholder) rises well above the usual rate, the site most likely
+ * changed and the site profile needs updating
+ */
+
+export const DEFAULT_HEALTH = {
+  enabled: true,
+  window: 50,
+  minSamples: 20,
+  // Usual share of jobs whose value does not come from the detail page
+  baseline: { title: 0.05, company: 0.1, salary: 0.2 },
+  // Allowed rise above the baseline before the run counts as degraded
+  tolerance: 0.25,
+  action: 'pause', // warn, pause (the job queue for pauseMs) or stop (with a checkpoint)
+  pauseMs: 300000
+};
+
+// Where a field value came from
+export const FIELD_SOURCES = { PAGE: 'page', PREVIEW: 'preview', MISSING: 'missing' };
+
+// Sample URLs kept per degraded field for the diagnostic
+const MAX_SAMPLES = 5;
+
+export class ExtractionHealth extends EventEmitter {
+  /**
+   * @param {Object} options - See DEFAULT_HEALTH
+   */
+  constructor(options = {}) {
+    super();
+    const settings = { ...DEFAULT_HEALTH, ...options };
+    this.enabled = settings.enabled;
+    this.window = settings.window;
+    this.minSamples = Math.min(settings.minSamples, settings.window);
+    this.baseline = { ...DEFAULT_HEALTH.baseline, ...options.baseline };
+    this.tolerance = settings.tolerance;
+    this.action = settings.action;
+    this.pauseMs = settings.pauseMs;
+    this.recent = []; // Last `window` results: { url, sources }
+    this.totals = {}; // field -> { page, preview, missing } over the whole run
+    this.recorded = 0;
+    this.degraded = null; // Report of the current degraded episode
+  }
+
+  /**
+   * Create a monitor from config.health
+   * @param {Object} healthConfig - config.health
+   */
+  static fromConfig(healthConfig = {}) {
+    return new ExtractionHealth(healthConfig);
+  }
+
+  /**
+   * Record where the fields of one processed job came from
+   * @param {string} url - Job URL
+   * @param {Object} sources - field -> 'page' | 'preview' | 'missing'
+   */
+  record(url, sources) {
+    this.recorded++;
+    for (const [field, source] of Object.entries(sources)) {
+      const counts = this.totals[field] || (this.totals[field] = { page: 0, preview: 0, missing: 0 });
+      counts[source]++;
+    }
+
+    if (!this.enabled) return;
+
+    this.recent.push({ url, sources });
+    if (this.recent.length > this.window) {
+      this.recent.shift();
+    }
+    this.check();
+  }
+
+  /**
+   * Compare the recent fallback rates with the baseline
+   * Emits 'health:degraded' once per episode and 'health:recovered' when it ends
+   * @returns {Object|null} Degraded report, or null when healthy
+   */
+  check() {
+    if (this.recent.length < this.minSamples) return this.degraded;
+
+    const fields = [];
+    for (const [field, baseline] of Object.entries(this.baseline)) {
+      const fallbacks = this.fallbacks(field);
+      const fallbackRate = fallbacks.length / this.recent.length;
+      const threshold = Math.min(1, baseline + this.tolerance);
+      if (fallbackRate > threshold) {
+        fields.push({
+          field,
+          fallbackRate,
+          baseline,
+          threshold,
+          samples: fallbacks.slice(-MAX_SAMPLES).map(entry => entry.url)
+        });
+      }
+    }
+
+    if (fields.length > 0 && !this.degraded) {
+      this.degraded = { fields, window: this.recent.length, action: this.action };
+      this.emit('health:degraded', this.degraded);
+    } else if (fields.length === 0 && this.degraded) {
+      this.degraded = null;
+      this.emit('health:recovered', { window: this.recent.length });
+    }
+    return this.degraded;
+  }
+
+  /**
+   * Recent results whose field did not come from the detail page
+   * @param {string} field - Field name
+   * @returns {Array} { url, sources } entries
+   */
+  fallbacks(field) {
+    return this.recent.filter(entry => entry.sources[field] && entry.sources[field] !== FIELD_SOURCES.PAGE);
+  }
+
+  /**
+   * Forget the recent results, e.g. after a pause so old failures do not trip the check again
+   */
+  reset() {
+    this.recent = [];
+    this.degraded = null;
+  }
+
+  /**
+   * Fill rate of every recorded field over the whole run
+   * @returns {Object} field -> { page, preview, missing, fillRate, pageRate }
+   */
+  getReport() {
+    const report = {};
+    for (const [field, counts] of Object.entries(this.totals)) {
+      const total = counts.page + counts.preview + counts.missing;
+      report[field] = {
+        ...counts,
+        fillRate: total > 0 ? (counts.page + counts.preview) / total : 0,
+        pageRate: total > 0 ? counts.page / total : 0
+      };
+    }
+    return report;
+  }
+
+  /**
+   * Current state for the dashboard
+   * @returns {Object} { enabled, degraded, samples, fallbackRates }
+   */
+  getStatus() {
+    const fallbackRates = {};
+    for (const field of Object.keys(this.baseline)) {
+      fallbackRates[field] = this.recent.length > 0 ? this.fallbacks(field).length / this.recent.length : 0;
+    }
+    return {
+      enabled: this.enabled,
+      degraded: !!this.degraded,
+      samples: this.recent.length,
+      fallbackRates
+    };
+  }
+}
+
+export default ExtractionHealth;
@@ -0,0 +1,227 @@
+import Hero from '@ulixee/hero';
+import { getSiteProfile } from '../site-profile.js';
+
+// Time for client-side rendering after painting is stable
+const SETTLE_MS = 2000;
+
+// Fields with fallback selectors in the site profile (detail.browserSelectors)
+const SELECTOR_FIELDS = ['title', 'company', 'location', 'salary'];
+
+// Errors Hero raises once its session or the connection to Ulixee Cloud is gone
+const SESSION_ERROR_NAMES = ['DisconnectedError', 'CanceledPromiseError', 'SessionClosedOrMissingError'];
+const SESSION_ERROR_PATTERN = /disconnected|websocket|session (?:is )?closed|target closed|ECONNREFUSED|ECONNRESET|socket hang up/i;
+
+/**
+ * Whether an error means the Hero session is broken and needs a restart
+ * @param {Error} error - Error from a fetch
+ * @returns {boolean}
+ */
+export function isSessionError(error) {
+  return SESSION_ERROR_NAMES.includes(error.name) || SESSION_ERROR_PATTERN.test(error.message || '');
+}
+
+/**
+ * Page fetcher backed by a Hero browser via Ulixee Cloud
+ * Works with JS-rendered pages; the browser is created on first use
+ */
+export class HeroFetcher {
+  constructor(options = {}) {
+    this.type = 'hero';
+    this.cloudHost = options.cloudHost;
+    this.label = options.label || 'Hero';
+    this.hero = null;
+  }
+
+  get hasHero() {
+    return !!this.hero;
+  }
+
+  /**
+   * Create the Hero browser instance
+   */
+  async init() {
+    if (this.hero) return;
+
+    console.log(`🔧 ${this.label}: Initializing Hero browser...`);
+    this.hero = new Hero({
+      connectionToCore: {
+        host: this.cloudHost
+      },
+      showChrome: false,
+      userAgent: '~ chrome >= 120'
+    });
+    console.log(`✅ ${this.label}: Hero browser ready`);
+  }
+
+  /**
+   * Navigate and wait for the page to render
+   */
+  async load(url) {
+    await this.init();
+    await this.hero.goto(url);
+    await this.hero.waitForPaintingStable();
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+  }
+
+  /**
+   * Load a search results page
+   * @param {string} url - Search page URL
+   * @returns {Object} { html, links } where links are [{ href, text }] or null
+   */
+  async fetchListing(url) {
+    await this.load(url);
+
+    return {
+      html: await this.hero.document.documentElement.outerHTML,
+      links: await this.captureJobLinks()
+    };
+  }
+
+  /**
+   * Read the job links on the current page
+   * @returns {Array|null} [{ href, text }], or null if Hero could not query the page
+   */
+  async captureJobLinks() {
+    const links = [];
+
+    try {
+      const jobLinks = await this.hero.document.querySelectorAll(getSiteProfile().listing.jobLink);
+
+      for (const link of jobLinks) {
+        try {
+          const href = await link.getAttribute('href');
+
+          // Try to get text content for preview
+          let text = '';
+          try {
+            text = await link.textContent;
+          } catch (e) {
+            // Ignore text extraction errors
+          }
+
+          links.push({ href, text });
+        } catch (e) {
+          // Continue with next link
+        }
+      }
+    } catch (error) {
+      console.error('Error extracting jobs:', error.message);
+      return null;
+    }
+
+    return links;
+  }
+
+  /**
+   * Load a job detail page
+   * @param {string} url - Job URL
+   * @param {Object} options - { html, missingFields }, see capturePage
+   * @returns {Object} { html, title, bodyText, selectorText, companyLogo }
+   */
+  async fetchDetail(url, options = {}) {
+    await this.load(url);
+    return this.capturePage(options);
+  }
+
+  /**
+   * Capture what extraction needs from the current page
+   * Every read is a round trip to the browser, so only what is asked for is read
+   * @param {Object} options - html: also read the page HTML (for the archive);
+   *   missingFields: page => fields the title and body text lack (default: all)
+   */
+  async capturePage({ html: withHtml = false, missingFields = null } = {}) {
+    const document = this.hero.document;
+
+    let title = '';
+    try {
+      title = await document.title;
+    } catch (e) {
+      console.log(`⚠️ ${this.label}: Could not read page title`);
+    }
+
+    // Get full page text for description extraction
+    let bodyText = '';
+    try {
+      bodyText = await document.body.innerText;
+    } catch (e) {
+      console.log(`⚠️ ${this.label}: Could not extract body text`);
+    }
+
+    // HTML is only kept for the archive
+    let html = '';
+    if (withHtml) {
+      try {
+        html = await document.documentElement.outerHTML;
+      } catch (e) {
+        // Archived without HTML
+      }
+    }
+
+    // Fallback values from page elements, only for fields the title and body text miss
+    const selectors = getSiteProfile().detail.browserSelectors;
+    const fields = missingFields ? missingFields({ title, bodyText }) : SELECTOR_FIELDS;
+    const selectorText = {};
+    for (const field of fields) {
+      selectorText[field] = await this.extractTextFromSelectors(selectors[field]);
+    }
+
+    // Extract company logo
+    let companyLogo = '';
+    try {
+      const logoImg = await document.querySelector(selectors.companyLogo);
+      if (logoImg) {
+        companyLogo = await logoImg.src;
+      }
+    } catch (e) {
+      // No logo found
+    }
+
+    return { html, title, bodyText, selectorText, companyLogo };
+  }
+
+  /**
+   * Extract text from multiple selectors, return first match
+   */
+  async extractTextFromSelectors(selectors) {
+    for (const selector of selectors) {
+      try {
+        const element = await this.hero.document.querySelector(selector);
+        if (element) {
+          const text = await element.innerText;
+          if (text && text.trim()) {
+            return text.trim();
+          }
+        }
+      } catch (e) {
+        // Continue to next selector
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Replace the browser with a fresh session
+   * Waits for the new session so a Cloud that is still down fails here
+   */
+  async restart() {
+    await this.close();
+    await this.init();
+    await this.hero.sessionId;
+  }
+
+  /**
+   * Close the browser
+   */
+  async close() {
+    if (!this.hero) return;
+
+    try {
+      await this.hero.close();
+    } catch (error) {
+      console.error(`⚠️ ${this.label}: Error closing Hero:`, error.message);
+    }
+    this.hero = null;
+  }
+}
+
+export default HeroFetcher;
@@ -0,0 +1,107 @@
+import * as cheerio from 'cheerio';
+import { parseJobList, parseJobDetail, htmlToText } from '../parser.js';
+
+const DEFAULT_TIMEOUT = 30000;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Non-2xx HTTP response
+ */
+export class HttpStatusError extends Error {
+  constructor(status, url) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = 'HttpStatusError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/**
+ * Page fetcher using plain HTTP requests and Cheerio
+ * Much lighter than a browser, but only sees server-rendered content
+ */
+export class HttpFetcher {
+  constructor(options = {}) {
+    this.type = 'http';
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.label = options.label || 'HTTP';
+  }
+
+  get hasHero() {
+    return false;
+  }
+
+  async init() {
+    // Nothing to set up, every request stands alone
+  }
+
+  /**
+   * GET a page as text
+   * @param {string} url - Page URL
+   * @returns {string} HTML
+   */
+  async get(url) {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml',
+        'Accept-Language': 'th,en;q=0.8'
+      },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new HttpStatusError(response.status, url);
+    }
+    return response.text();
+  }
+
+  /**
+   * Load a search results page
+   * @param {string} url - Search page URL
+   * @returns {Object} { html, links } with links read by parseJobList
+   */
+  async fetchListing(url) {
+    const html = await this.get(url);
+    const links = parseJobList(html, new URL(url).origin)
+      .map(job => ({ href: job.jobUrl, text: job.rawText }));
+
+    return { html, links };
+  }
+
+  /**
+   * Load a job detail page
+   * @param {string} url - Job URL
+   * @returns {Object} { html, title, bodyText, selectorText, companyLogo }
+   */
+  async fetchDetail(url) {
+    const html = await this.get(url);
+    const detail = parseJobDetail(html, url);
+
+    // parseJobDetail fills missing fields with placeholders, the worker expects ''
+    const found = (value, placeholder) => (value === placeholder ? '' : value);
+
+    return {
+      html,
+      title: cheerio.load(html)('title').first().text().trim(),
+      bodyText: htmlToText(html),
+      selectorText: {
+        title: found(detail.title, 'ไม่ระบุตำแหน่ง'),
+        company: found(detail.company, 'ไม่ระบุบริษัท'),
+        location: found(detail.location, 'ไม่ระบุสถานที่'),
+        salary: found(detail.salary, 'ไม่ระบุเงินเดือน')
+      },
+      companyLogo: detail.companyLogo
+    };
+  }
+
+  async restart() {
+    // No session to replace
+  }
+
+  async close() {
+    // No connections are kept open
+  }
+}
+
+export default HttpFetcher;
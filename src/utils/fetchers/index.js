@@ -0,0 +1,129 @@
+import { HeroFetcher, isSessionError } from './hero-fetcher.js';
+import { HttpFetcher, HttpStatusError } from './http-fetcher.js';
+import { getSiteProfile } from '../site-profile.js';
+import { BlockedPageError } from '../rate-limiter.js';
+
+/**
+ * Page fetchers
+ * Every fetcher implements: init, fetchListing, fetchDetail, restart, close and hasHero.
+ * config.fetcher picks one per phase: { listing, detail, fallback, timeout }
+ */
+
+export const FETCHER_TYPES = ['hero', 'http'];
+export const FETCHER_PHASES = ['listing', 'detail'];
+
+/**
+ * Whether a fetched page has what extraction needs;
+ * pages rendered by client-side JavaScript come back without it over plain HTTP
+ */
+export const hasExpectedContent = {
+  listing: page => Array.isArray(page.links) && page.links.length > 0,
+  detail: page => getSiteProfile().detail.pageTitle.title.test(page.title || '') && !!(page.bodyText || '').trim()
+};
+
+// A removed job is gone for Hero as well
+const NOT_FOUND_STATUSES = [404, 410];
+
+/**
+ * Whether a failed light request is worth loading again with Hero:
+ * error statuses and block pages (bot protection), timeouts and network errors
+ * @param {Error} error - Error from the primary fetcher
+ * @returns {boolean}
+ */
+export function canFallBack(error) {
+  if (error instanceof HttpStatusError) return !NOT_FOUND_STATUSES.includes(error.status);
+  return error instanceof BlockedPageError ||
+    error.name === 'TimeoutError' || error.name === 'AbortError' ||
+    error.message === 'fetch failed'; // Network error from fetch()
+}
+
+/**
+ * Tries a light fetcher first and loads the page again with Hero
+ * when the request fails or the result is missing expected content
+ */
+export class FallbackFetcher {
+  constructor(primary, fallback, label = 'Fetcher') {
+    this.type = `${primary.type}+${fallback.type}`;
+    this.primary = primary;
+    this.fallback = fallback;
+    this.label = label;
+    this.fallbackCount = 0;
+  }
+
+  get hasHero() {
+    return this.primary.hasHero || this.fallback.hasHero;
+  }
+
+  /**
+   * Only the primary is set up now; Hero starts on the first fallback
+   */
+  async init() {
+    await this.primary.init();
+  }
+
+  async fetchListing(url) {
+    return this.fetchWithFallback('listing', url);
+  }
+
+  async fetchDetail(url, options = {}) {
+    return this.fetchWithFallback('detail', url, options);
+  }
+
+  async fetchWithFallback(phase, url, options = {}) {
+    const method = phase === 'listing' ? 'fetchListing' : 'fetchDetail';
+    let page;
+    try {
+      page = await this.primary[method](url, options);
+    } catch (error) {
+      if (!canFallBack(error)) throw error;
+
+      this.fallbackCount++;
+      console.log(`🔄 ${this.label}: ${this.primary.type} request failed (${error.message}), retrying with ${this.fallback.type}: ${url}`);
+      return this.fallback[method](url, options);
+    }
+    if (hasExpectedContent[phase](page)) return page;
+
+    this.fallbackCount++;
+    console.log(`🔄 ${this.label}: ${this.primary.type} page is missing ${phase} content, retrying with ${this.fallback.type}: ${url}`);
+    return this.fallback[method](url, options);
+  }
+
+  /**
+   * Restart the sessions that were started; an unused Hero stays unstarted
+   */
+  async restart() {
+    await this.primary.restart();
+    if (this.fallback.hasHero) await this.fallback.restart();
+  }
+
+  async close() {
+    await Promise.all([this.primary.close(), this.fallback.close()]);
+  }
+}
+
+/**
+ * Create the fetcher for a phase from config.fetcher
+ * @param {string} phase - 'listing' or 'detail'
+ * @param {Object} config - Configuration (fetcher, cloudHost)
+ * @param {string} label - Name for log lines, e.g. "Worker 1"
+ * @returns {HeroFetcher|HttpFetcher|FallbackFetcher}
+ */
+export function createFetcher(phase, config = {}, label = phase) {
+  const fetcherConfig = config.fetcher || {};
+  const type = fetcherConfig[phase] || 'hero';
+  const hero = () => new HeroFetcher({ cloudHost: config.cloudHost, label });
+
+  switch (type) {
+    case 'hero':
+      return hero();
+    case 'http': {
+      const http = new HttpFetcher({ timeout: fetcherConfig.timeout, label });
+      return fetcherConfig.fallback === false ? http : new FallbackFetcher(http, hero(), label);
+    }
+    default:
+      throw new Error(`Unknown fetcher type "${type}" (expected one of: ${FETCHER_TYPES.join(', ')})`);
+  }
+}
+
+export { HeroFetcher, HttpFetcher, HttpStatusError, isSessionError };
+export default createFetcher;
@@ -1,43 +1,27 @@
-import fs from 'fs';
-import path from 'path';
+import { EventEmitter } from 'events';
+import { createStorage } from './storage/index.js';
 
 /**
- * Real-time JSON file handler for streaming job data
+ * Real-time job store for streaming job data
+ * Delegates persistence to the backend selected by config.storage (JSON file or SQLite)
+ * Emits 'job:saved' for every new or updated job
  */
-export class FileHandler {
-  constructor(outputPath) {
+export class FileHandler extends EventEmitter {
+  constructor(outputPath, storageConfig = {}, options = {}) {
+    super();
     this.outputPath = outputPath;
-    this.jobs = [];
+    this.storage = createStorage(outputPath, storageConfig, options);
     this.isInitialized = false;
   }
-  
+
   /**
-   * Initialize the output file
+   * Initialize the storage backend
    */
   async init() {
-    // Ensure output directory exists
-    const dir = path.dirname(this.outputPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    // Load existing data if file exists
-    if (fs.existsSync(this.outputPath)) {
-      try {
-        const data = fs.readFileSync(this.outputPath, 'utf8');
-        const parsed = JSON.parse(data);
-        this.jobs = parsed.jobs || [];
-        console.log(`📂 Loaded ${this.jobs.length} existing jobs from ${this.outputPath}`);
-      } catch (error) {
-        console.log(`📂 Creating new output file: ${this.outputPath}`);
-        this.jobs = [];
-      }
-    }
-    
+    await this.storage.init();
     this.isInitialized = true;
-    await this.save();
   }
-  
+
   /**
    * Add a job and save immediately (real-time saving)
    * @param {Object} job - Job data to add
@@ -47,20 +31,18 @@ export class FileHandler {
     if (!this.isInitialized) {
       await this.init();
     }
-    
-    // Check for duplicate by job ID
-    const exists = this.jobs.some(j => j.id === job.id);
-    if (exists) {
+
+    const added = await this.storage.insert(job);
+    if (!added) {
       console.log(`⏭️  Skipping duplicate job: ${job.id}`);
       return false;
     }
-    
-    this.jobs.push(job);
-    await this.save();
-    console.log(`💾 Saved job: ${job.id} - ${job.title} (Total: ${this.jobs.length})`);
+
+    console.log(`💾 Saved job: ${job.id} - ${job.title} (Total: ${this.storage.getCount()})`);
+    this.emit('job:saved', job);
     return true;
   }
-  
+
   /**
    * Add multiple jobs at once
    * @param {Array} jobs - Array of job data
@@ -70,96 +52,106 @@ export class FileHandler {
     if (!this.isInitialized) {
       await this.init();
     }
-    
-    let addedCount = 0;
-    const existingIds = new Set(this.jobs.map(j => j.id));
-    
-    for (const job of jobs) {
-      if (!existingIds.has(job.id)) {
-        this.jobs.push(job);
-        existingIds.add(job.id);
-        addedCount++;
-      }
-    }
-    
+
+    const addedCount = await this.storage.insertMany(jobs);
+
     if (addedCount > 0) {
-      await this.save();
-      console.log(`💾 Saved ${addedCount} new jobs (Total: ${this.jobs.length})`);
+      console.log(`💾 Saved ${addedCount} new jobs (Total: ${this.storage.getCount()})`);
     }
-    
+
     return addedCount;
   }
-  
+
+  /**
+   * Add a job or replace the saved job with the same ID
+   * @param {Object} job - Job data
+   * @returns {boolean} True if inserted, false if updated
+   */
+  async upsertJob(job) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const inserted = await this.storage.upsert(job);
+    console.log(`💾 ${inserted ? 'Saved' : 'Updated'} job: ${job.id} - ${job.title} (Total: ${this.storage.getCount()})`);
+    this.emit('job:saved', job);
+    return inserted;
+  }
+
   /**
-   * Save jobs to file
+   * Flush pending changes to storage
    */
   async save() {
-    const data = {
-      metadata: {
-        totalJobs: this.jobs.length,
-        lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
-      },
-      jobs: this.jobs
-    };
-    
-    const json = JSON.stringify(data, null, 2);
-    fs.writeFileSync(this.outputPath, json, 'utf8');
+    await this.storage.save();
   }
-  
+
+  /**
+   * Pick up jobs saved by another process since the last read
+   */
+  async refresh() {
+    await this.storage.refresh();
+  }
+
   /**
    * Get all jobs
    * @returns {Array} All saved jobs
    */
   getJobs() {
-    return this.jobs;
+    return this.storage.getJobs();
   }
-  
+
+  /**
+   * Get a single job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Saved job
+   */
+  getJob(jobId) {
+    return this.storage.getJob(jobId);
+  }
+
   /**
    * Get job count
    * @returns {number} Number of jobs
    */
   getCount() {
-    return this.jobs.length;
+    return this.storage.getCount();
   }
-  
+
   /**
    * Check if job already exists
    * @param {string} jobId - Job ID to check
    * @returns {boolean} True if exists
    */
   hasJob(jobId) {
-    return this.jobs.some(j => j.id === jobId);
+    return this.storage.hasJob(jobId);
   }
-  
+
   /**
    * Get existing job IDs as Set for efficient lookup
    * @returns {Set} Set of job IDs
    */
   getExistingIds() {
-    return new Set(this.jobs.map(j => j.id));
+    return this.storage.getExistingIds();
   }
-  
+
   /**
    * Create a backup of current data
    */
   async backup() {
-    if (this.jobs.length === 0) return;
-    
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').split('Z')[0];
-    const backupPath = this.outputPath.replace('.json', `-backup-${timestamp}.json`);
-    const data = {
-      metadata: {
-        totalJobs: this.jobs.length,
-        backupDate: new Date().toISOString()
-      },
-      jobs: this.jobs
-    };
-    
-    fs.writeFileSync(backupPath, JSON.stringify(data, null, 2), 'utf8');
-    console.log(`📦 Backup created: ${backupPath}`);
+    const backupPath = await this.storage.backup(timestamp);
+    if (backupPath) {
+      console.log(`📦 Backup created: ${backupPath}`);
+    }
+  }
+
+  /**
+   * Close the storage backend
+   */
+  async close() {
+    await this.storage.close();
+    this.isInitialized = false;
   }
 }
 
 export default FileHandler;
-
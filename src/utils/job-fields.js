@@ -0,0 +1,40 @@
+import { parseSalary } from './salary.js';
+import { parseThaiDate } from './date.js';
+import { normalizeLocation } from './location.js';
+import { extractStations } from './transit.js';
+
+/**
+ * Derived job fields
+ * The worker stores salaryInfo, postedAt, locationInfo and stations with every job.
+ * Jobs saved before those fields existed only have the raw text, so readers
+ * (API, stats, export) fill them in from it.
+ */
+
+export const DERIVED_FIELDS = ['salaryInfo', 'postedAt', 'locationInfo', 'stations'];
+
+// Saved job -> filled copy; storage hands out the same objects until it reloads
+const filled = new WeakMap();
+
+/**
+ * Fill the derived fields a saved job is missing from its raw fields
+ * @param {Object} job - Saved job
+ * @returns {Object} The job itself when nothing is missing, otherwise a filled copy
+ */
+export function withDerivedFields(job) {
+  if (!job || DERIVED_FIELDS.every(field => job[field] !== undefined)) return job;
+  if (filled.has(job)) return filled.get(job);
+
+  // Relative dates ("3 วันที่แล้ว") count from when the job was scraped
+  const scrapedAt = job.scrapedAt ? new Date(job.scrapedAt) : new Date();
+  const result = {
+    ...job,
+    salaryInfo: job.salaryInfo ?? parseSalary(job.salary),
+    postedAt: job.postedAt ?? parseThaiDate(job.postedDate, scrapedAt),
+    locationInfo: job.locationInfo ?? normalizeLocation(job.location, job.contact),
+    stations: job.stations ?? extractStations([job.transportation, job.location].filter(Boolean).join('\n'))
+  };
+  filled.set(job, result);
+  return result;
+}
+
+export default withDerivedFields;
@@ -0,0 +1,275 @@
+import { isNearStation } from './transit.js';
+import { withDerivedFields } from './job-fields.js';
+
+/**
+ * Job query helpers
+ * Filtering, sorting, pagination and aggregates over saved jobs, used by the API server
+ * Jobs saved without derived fields (salaryInfo, postedAt, ...) get them filled on read
+ */
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const SORT_FIELDS = {
+  postedAt: job => job.postedAt ? Date.parse(job.postedAt) : null,
+  scrapedAt: job => job.scrapedAt ? Date.parse(job.scrapedAt) : null,
+  salaryMin: job => job.salaryInfo?.min ?? job.salaryInfo?.max ?? null,
+  salaryMax: job => job.salaryInfo?.max ?? job.salaryInfo?.min ?? null,
+  title: job => job.title || null,
+  company: job => job.company || null
+};
+
+// Fields searched by the full-text "q" filter
+const TEXT_FIELDS = ['title', 'company', 'location', 'salary', 'benefits', 'companyHistory', 'transportation'];
+
+/**
+ * Error for invalid query parameters (HTTP 400)
+ */
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+/**
+ * Parse an optional number parameter
+ */
+function parseNumber(params, name, { min = -Infinity, integer = false } = {}) {
+  const raw = params.get(name);
+  if (raw === null || raw === '') return null;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    throw new QueryError(`"${name}" must be ${integer ? 'an integer' : 'a number'}${min > -Infinity ? ` >= ${min}` : ''}`);
+  }
+  return value;
+}
+
+/**
+ * Parse an optional date parameter ("2025-12-01" or a full ISO timestamp)
+ * Date-only values are Bangkok calendar days, matching postedAt
+ */
+function parseDate(params, name) {
+  const raw = params.get(name);
+  if (raw === null || raw === '') return null;
+
+  const value = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T00:00:00+07:00` : raw);
+  if (isNaN(value)) {
+    throw new QueryError(`"${name}" must be a date, e.g. 2025-12-01`);
+  }
+  return value;
+}
+
+/**
+ * Parse /jobs query parameters into a filter
+ * @param {URLSearchParams} params - Request query
+ * @returns {Object} Filter for filterJobs
+ */
+export function parseJobFilter(params) {
+  const filter = {
+    q: params.get('q')?.trim() || null,
+    company: params.get('company')?.trim() || null,
+    location: params.get('location')?.trim() || null,
+    salaryMin: parseNumber(params, 'salaryMin', { min: 0 }),
+    salaryMax: parseNumber(params, 'salaryMax', { min: 0 }),
+    postedAfter: parseDate(params, 'postedAfter'),
+    postedBefore: parseDate(params, 'postedBefore'),
+    station: params.get('station')?.trim() || null,
+    search: params.get('search')?.trim() || null,
+    stops: parseNumber(params, 'stops', { min: 0, integer: true }) ?? 0
+  };
+
+  if (filter.salaryMin !== null && filter.salaryMax !== null && filter.salaryMin > filter.salaryMax) {
+    throw new QueryError('"salaryMin" must not be greater than "salaryMax"');
+  }
+  return filter;
+}
+
+/**
+ * Check if a job's salary range overlaps the requested range
+ * Jobs without a numeric salary never match a salary filter
+ */
+function matchesSalary(job, min, max) {
+  const low = job.salaryInfo?.min ?? job.salaryInfo?.max;
+  const high = job.salaryInfo?.max ?? job.salaryInfo?.min;
+  if (low === undefined || low === null) return false;
+  if (min !== null && high < min) return false;
+  if (max !== null && low > max) return false;
+  return true;
+}
+
+/**
+ * Filter jobs
+ * @param {Array} jobs - Saved jobs
+ * @param {Object} filter - From parseJobFilter
+ * @returns {Array} Matching jobs
+ */
+export function filterJobs(jobs, filter) {
+  const terms = filter.q ? filter.q.toLowerCase().split(/\s+/) : [];
+  const company = filter.company?.toLowerCase();
+  const location = filter.location?.toLowerCase();
+
+  return jobs.map(withDerivedFields).filter(job => {
+    if (company && !(job.company || '').toLowerCase().includes(company)) return false;
+
+    if (location) {
+      const info = job.locationInfo || {};
+      const haystack = [
+        job.location, info.province?.th, info.province?.en, info.province?.code,
+        info.district?.th, info.district?.en, info.region
+      ].filter(Boolean).join(' ').toLowerCase();
+      if (!haystack.includes(location)) return false;
+    }
+
+    if ((filter.salaryMin !== null || filter.salaryMax !== null) &&
+        !matchesSalary(job, filter.salaryMin, filter.salaryMax)) {
+      return false;
+    }
+
+    if (filter.postedAfter !== null || filter.postedBefore !== null) {
+      const posted = job.postedAt ? Date.parse(job.postedAt) : NaN;
+      if (isNaN(posted)) return false;
+      if (filter.postedAfter !== null && posted < filter.postedAfter) return false;
+      if (filter.postedBefore !== null && posted > filter.postedBefore) return false;
+    }
+
+    if (filter.station && !isNearStation(job.stations, filter.station, filter.stops)) return false;
+
+    if (filter.search && !(job.searches || []).includes(filter.search)) return false;
+
+    if (terms.length > 0) {
+      const text = TEXT_FIELDS.map(field => job[field] || '').join('\n').toLowerCase();
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Sort jobs by a field; "-postedAt" sorts descending. Missing values sort last
+ * @param {Array} jobs - Jobs to sort (not modified)
+ * @param {string|null} sort - Sort parameter
+ * @returns {Array} Sorted copy
+ */
+export function sortJobs(jobs, sort) {
+  if (!sort) return jobs;
+
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  const getValue = SORT_FIELDS[field];
+  if (!getValue) {
+    throw new QueryError(`"sort" must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)`);
+  }
+
+  return [...jobs].sort((a, b) => {
+    const va = getValue(withDerivedFields(a));
+    const vb = getValue(withDerivedFields(b));
+    if (va === null || vb === null) return (va === null) - (vb === null);
+    const order = typeof va === 'string' ? va.localeCompare(vb, 'th') : va - vb;
+    return descending ? -order : order;
+  });
+}
+
+/**
+ * Slice a list into one page
+ * @param {Array} items - All items
+ * @param {URLSearchParams} params - Request query with page/limit
+ * @returns {Object} { data, pagination: { page, limit, total, totalPages } }
+ */
+export function paginate(items, params) {
+  const page = parseNumber(params, 'page', { min: 1, integer: true }) ?? 1;
+  const limit = Math.min(parseNumber(params, 'limit', { min: 1, integer: true }) ?? DEFAULT_LIMIT, MAX_LIMIT);
+  const start = (page - 1) * limit;
+
+  return {
+    data: items.slice(start, start + limit),
+    pagination: {
+      page,
+      limit,
+      total: items.length,
+      totalPages: Math.ceil(items.length / limit)
+    }
+  };
+}
+
+/**
+ * Group jobs by company
+ * @param {Array} jobs - Saved jobs
+ * @returns {Array} [{ company, jobs, provinces, latestPostedAt }] most jobs first
+ */
+export function summarizeCompanies(jobs) {
+  const companies = new Map();
+
+  for (const job of jobs.map(withDerivedFields)) {
+    const name = job.company || '';
+    if (!companies.has(name)) {
+      companies.set(name, { company: name, jobs: 0, provinces: new Set(), latestPostedAt: null });
+    }
+    const entry = companies.get(name);
+    entry.jobs++;
+    if (job.locationInfo?.province) entry.provinces.add(job.locationInfo.province.th);
+    if (job.postedAt && (!entry.latestPostedAt || job.postedAt > entry.latestPostedAt)) {
+      entry.latestPostedAt = job.postedAt;
+    }
+  }
+
+  return [...companies.values()]
+    .map(entry => ({ ...entry, provinces: [...entry.provinces] }))
+    .sort((a, b) => b.jobs - a.jobs || a.company.localeCompare(b.company, 'th'));
+}
+
+/**
+ * Count jobs per key
+ */
+function countBy(jobs, getKey) {
+  const counts = {};
+  for (const job of jobs) {
+    const key = getKey(job) || 'unknown';
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Get the median of a list of numbers
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Compute dataset statistics
+ * @param {Array} savedJobs - Saved jobs
+ * @returns {Object} Totals, breakdowns by province/region/salary period and date ranges
+ */
+export function computeStats(savedJobs) {
+  const jobs = savedJobs.map(withDerivedFields);
+  const monthlyMins = jobs
+    .filter(job => job.salaryInfo?.period === 'month' && job.salaryInfo.min !== null)
+    .map(job => job.salaryInfo.min);
+  const postedDates = jobs.map(job => job.postedAt).filter(Boolean).sort();
+  const scrapedDates = jobs.map(job => job.scrapedAt).filter(Boolean).sort();
+
+  return {
+    totalJobs: jobs.length,
+    totalCompanies: new Set(jobs.map(job => job.company || '')).size,
+    byProvince: countBy(jobs, job => job.locationInfo?.province?.th),
+    byRegion: countBy(jobs, job => job.locationInfo?.region),
+    salary: {
+      withAmount: jobs.filter(job => job.salaryInfo?.min != null || job.salaryInfo?.max != null).length,
+      negotiable: jobs.filter(job => job.salaryInfo?.negotiable).length,
+      byPeriod: countBy(jobs.filter(job => job.salaryInfo?.period), job => job.salaryInfo.period),
+      medianMonthlyMin: median(monthlyMins)
+    },
+    postedAt: {
+      earliest: postedDates[0] || null,
+      latest: postedDates[postedDates.length - 1] || null
+    },
+    lastScrapedAt: scrapedDates[scrapedDates.length - 1] || null
+  };
+}
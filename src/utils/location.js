@@ -0,0 +1,180 @@
+import { PROVINCES, DISTRICTS, REGIONS } from '../data/thai-admin.js';
+import { extractStations, getStationProvince } from './transit.js';
+
+/**
+ * Location normalizer
+ * Resolves raw JobThai location strings such as "เขตบางรัก กรุงเทพมหานคร"
+ * or "อ.เมือง จ.ชลบุรี" against the offline gazetteer in src/data/thai-admin.js
+ */
+
+const MULTI_PROVINCE_REGEX = /หลายจังหวัด|ทั่วประเทศ|ทุกจังหวัด|multiple\s+provinces|nationwide/i;
+// Listing locations in bts_mrt mode are station names, some of which match provinces ("MRT เพชรบุรี")
+const TRANSIT_REGEX = /^(?:BTS|MRT|ARL|SRT|BRT)\b/i;
+// Address lines in the contact section end with a postcode, e.g. "แขวงสีลม เขตบางรัก กรุงเทพมหานคร 10500"
+const POSTCODE_REGEX = /\d{5}/;
+
+// All province names and aliases, longest first so e.g. "กรุงเทพมหานคร" wins over "กรุงเทพ"
+const PROVINCE_NAMES = PROVINCES
+  .flatMap(province => [province.th, province.en, ...(province.aliases || [])]
+    .map(name => ({ name, province })))
+  .sort((a, b) => b.name.length - a.name.length);
+
+const PROVINCE_BY_CODE = new Map(PROVINCES.map(province => [province.code, province]));
+
+/**
+ * Strip the fields callers do not need from a gazetteer entry
+ */
+function toProvince(province) {
+  return { code: province.code, th: province.th, en: province.en };
+}
+
+/**
+ * Find a province by exact Thai/English name or alias
+ * @param {string} name - Province name
+ * @returns {Object|null} Gazetteer entry
+ */
+export function findProvince(name) {
+  if (!name) return null;
+  const trimmed = name.trim().toLowerCase();
+  const match = PROVINCE_NAMES.find(entry => entry.name.toLowerCase() === trimmed);
+  return match ? match.province : null;
+}
+
+/**
+ * Find the province mentioned earliest in free text
+ */
+function findProvinceInText(text) {
+  // "จ.ชลบุรี" / "จังหวัดชลบุรี" is explicit, prefer it over incidental mentions
+  const explicit = text.match(/(?:จ\.|จังหวัด)\s*([^\s,]+)/);
+  if (explicit) {
+    const province = findProvince(explicit[1]);
+    if (province) return province;
+  }
+
+  let best = null;
+  for (const { name, province } of PROVINCE_NAMES) {
+    const index = text.indexOf(name);
+    if (index !== -1 && (!best || index < best.index)) {
+      best = { index, province };
+    }
+  }
+  return best ? best.province : null;
+}
+
+/**
+ * Look up a district name within a province
+ * @param {string} name - Thai district name without "เขต"/"อ." prefix
+ * @param {Object} province - Gazetteer province entry
+ * @returns {Object} { th, en } with en null when not in the gazetteer
+ */
+function resolveDistrict(name, province) {
+  // "เมือง" alone or "เมืองชลบุรี" is the capital district of the province
+  if (province && (name === 'เมือง' || name === `เมือง${province.th}`)) {
+    return { th: `เมือง${province.th}`, en: `Mueang ${province.en}` };
+  }
+
+  const districts = province ? DISTRICTS[province.code] || [] : [];
+  const match = districts.find(([th]) => th === name);
+  return { th: name, en: match ? match[1] : null };
+}
+
+/**
+ * Find which province a Bangkok-style district name belongs to
+ */
+function findProvinceForDistrict(name) {
+  for (const [code, districts] of Object.entries(DISTRICTS)) {
+    if (districts.some(([th]) => th === name)) {
+      return PROVINCE_BY_CODE.get(code);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a single piece of text into province and district
+ */
+function resolveText(text) {
+  let province = findProvinceInText(text);
+  let district = null;
+
+  // "เขตบางรัก" (Bangkok) or "อ.ปากเกร็ด" / "อำเภอปากเกร็ด"
+  const districtMatch = text.match(/(?:^|\s)(?:เขต|อ\.|อำเภอ)\s*([^\s,]+)/);
+  if (districtMatch) {
+    const name = districtMatch[1];
+    if (!province) {
+      province = findProvinceForDistrict(name);
+    }
+    const isKnown = province && (
+      name.startsWith('เมือง') ||
+      (DISTRICTS[province.code] || []).some(([th]) => th === name)
+    );
+    // "เขตส่งเสริมอุตสาหกรรม..." starts with เขต but is not a district
+    if (isKnown || !districtMatch[0].includes('เขต')) {
+      district = resolveDistrict(name, province);
+    }
+  }
+
+  return { province, district };
+}
+
+/**
+ * Normalize a raw location into province, district and region
+ * @param {string} location - Raw location text from the listing or detail page
+ * @param {string} fallbackText - Contact section text; its address line (the one
+ *   with a postcode) is used when location does not resolve, then the province
+ *   of the first station for BTS/MRT locations
+ * @returns {Object} { province, district, region, multiProvince }
+ */
+export function normalizeLocation(location, fallbackText = '') {
+  const result = {
+    province: null,
+    district: null,
+    region: null,
+    multiProvince: false
+  };
+
+  const text = (location || '').trim();
+
+  if (MULTI_PROVINCE_REGEX.test(text)) {
+    result.multiProvince = true;
+    return result;
+  }
+
+  let resolved = TRANSIT_REGEX.test(text)
+    ? { province: null, district: null }
+    : resolveText(text);
+
+  if (!resolved.province && fallbackText) {
+    const addressLine = fallbackText.split('\n').find(line => POSTCODE_REGEX.test(line));
+    if (addressLine) {
+      resolved = resolveText(addressLine);
+    }
+  }
+
+  // Last resort for station-only locations: the province of the first station
+  if (!resolved.province && TRANSIT_REGEX.test(text)) {
+    const [station] = extractStations(text);
+    if (station) {
+      resolved.province = PROVINCE_BY_CODE.get(getStationProvince(station.code)) || null;
+    }
+  }
+
+  if (resolved.province) {
+    result.province = toProvince(resolved.province);
+    result.region = resolved.province.region;
+  }
+  result.district = resolved.district;
+
+  return result;
+}
+
+/**
+ * Get display names for a region code
+ * @param {string} code - Region code, e.g. "central"
+ * @returns {Object|null} { th, en }
+ */
+export function getRegion(code) {
+  return REGIONS[code] || null;
+}
+
+export default normalizeLocation;
@@ -0,0 +1,203 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+export const ARCHIVE_MODES = ['off', 'record', 'replay'];
+export const DEFAULT_ARCHIVE_DIR = './output/pages';
+
+/**
+ * Error for a page that replay mode cannot serve because it was never recorded
+ */
+export class PageNotArchivedError extends Error {
+  constructor(kind, url) {
+    super(`${kind} page not in archive: ${url}`);
+    this.name = 'PageNotArchivedError';
+    this.kind = kind;
+    this.url = url;
+  }
+}
+
+/**
+ * Write a file through a temp file, so readers never see half of it
+ * Workers may store the same content at once, so each write has its own temp file
+ */
+async function writeAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tmpPath, data);
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Archive of fetched pages keyed by URL
+ * "record" stores what Hero saw on each listing/detail page, "replay" serves it back
+ * so the whole pipeline can run offline without Ulixee Cloud. With `details` a normal
+ * run keeps every job detail page for `reextract`.
+ *
+ * Each URL has a small ref file pointing at the page content, which is stored gzipped
+ * under objects/ and named by its SHA-256, so a page that did not change is stored once
+ */
+export class PageArchive {
+  constructor(dir = DEFAULT_ARCHIVE_DIR, mode = 'off', saveDetails = false) {
+    if (!ARCHIVE_MODES.includes(mode)) {
+      throw new Error(`Unknown archive mode "${mode}". Use: ${ARCHIVE_MODES.join(', ')}`);
+    }
+    this.dir = dir;
+    this.mode = mode;
+    this.saveDetails = saveDetails;
+  }
+
+  /**
+   * Create the archive described by config.archive
+   * @param {Object} archiveConfig - { mode, dir, details }
+   * @returns {PageArchive}
+   */
+  static fromConfig(archiveConfig = {}) {
+    return new PageArchive(archiveConfig.dir || DEFAULT_ARCHIVE_DIR, archiveConfig.mode || 'off', !!archiveConfig.details);
+  }
+
+  /**
+   * Archive key of a URL; percent-encoding differences map to the same key
+   * @param {string} url - Page URL
+   * @returns {string} SHA-1 hex digest
+   */
+  static keyFor(url) {
+    let normalized = url;
+    try {
+      normalized = new URL(url).href;
+    } catch (e) {
+      // Keep unparsable URLs as they are
+    }
+    return crypto.createHash('sha1').update(normalized).digest('hex');
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Whether workers store the detail pages they load
+   */
+  get savesDetails() {
+    return this.isRecording || (this.saveDetails && this.mode === 'off');
+  }
+
+  /**
+   * Check if the archive directory exists
+   * @returns {boolean}
+   */
+  exists() {
+    return existsSync(this.dir);
+  }
+
+  /**
+   * Prepare the archive directory
+   */
+  async init() {
+    if (this.isRecording) {
+      await fs.mkdir(this.dir, { recursive: true });
+      console.log(`📼 Recording pages to ${this.dir}`);
+    } else if (this.isReplaying) {
+      if (!this.exists()) {
+        throw new Error(`Page archive ${this.dir} not found, record one first with --record`);
+      }
+      console.log(`📼 Replaying pages from ${this.dir}`);
+    } else if (this.savesDetails) {
+      await fs.mkdir(this.dir, { recursive: true });
+      console.log(`📼 Keeping job detail pages in ${this.dir}`);
+    }
+  }
+
+  /**
+   * Path of the archived file for a URL
+   * @param {string} url - Page URL
+   * @returns {string}
+   */
+  pathFor(url) {
+    return path.join(this.dir, `${PageArchive.keyFor(url)}.json`);
+  }
+
+  /**
+   * Path of a stored page content
+   * @param {string} hash - SHA-256 of the content
+   * @returns {string}
+   */
+  objectPathFor(hash) {
+    return path.join(this.dir, 'objects', hash.slice(0, 2), `${hash}.json.gz`);
+  }
+
+  /**
+   * Store a captured page
+   * @param {string} kind - "listing" or "detail"
+   * @param {string} url - Page URL
+   * @param {Object} page - Captured page data
+   */
+  async save(kind, url, page) {
+    const content = JSON.stringify(page);
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+    const objectPath = this.objectPathFor(hash);
+    if (!existsSync(objectPath)) {
+      await fs.mkdir(path.dirname(objectPath), { recursive: true });
+      await writeAtomic(objectPath, await gzip(content));
+    }
+
+    const ref = { kind, url, recordedAt: new Date().toISOString(), object: hash };
+    await writeAtomic(this.pathFor(url), JSON.stringify(ref));
+  }
+
+  /**
+   * Read a captured page
+   * @param {string} kind - "listing" or "detail"
+   * @param {string} url - Page URL
+   * @returns {Object} Captured page data
+   * @throws {PageNotArchivedError} When the page was not recorded
+   */
+  async load(kind, url) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.pathFor(url), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new PageNotArchivedError(kind, url);
+      }
+      throw error;
+    }
+
+    if (data.kind !== kind) {
+      throw new PageNotArchivedError(kind, url);
+    }
+    // Archives recorded before content addressing keep the page in the ref file
+    if (!data.object) {
+      return data;
+    }
+
+    let compressed;
+    try {
+      compressed = await fs.readFile(this.objectPathFor(data.object));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new PageNotArchivedError(kind, url);
+      }
+      throw error;
+    }
+
+    const content = (await gunzip(compressed)).toString('utf8');
+    if (crypto.createHash('sha256').update(content).digest('hex') !== data.object) {
+      throw new Error(`Archived ${kind} page for ${url} is corrupt (${data.object})`);
+    }
+    const { object, ...ref } = data;
+    return { ...ref, ...JSON.parse(content) };
+  }
+}
+
+export default PageArchive;
@@ -1,29 +1,34 @@
 import * as cheerio from 'cheerio';
+import { DEFAULT_BASE_URL } from './search.js';
+import { getSiteProfile } from './site-profile.js';
 
 /**
  * Parse job listings from JobThai search results page
  * @param {string} html - HTML content of the search results page
+ * @param {string} baseUrl - Site origin for relative job links
+ * @param {Object} profile - Site profile with the selectors
  * @returns {Array} Array of job summaries
  */
-export function parseJobList(html) {
+export function parseJobList(html, baseUrl = DEFAULT_BASE_URL, profile = getSiteProfile()) {
   const $ = cheerio.load(html);
   const jobs = [];
+  const { jobCard, jobLink, jobId: jobIdPattern } = profile.listing;
   
   // JobThai job cards selector
-  $('article[data-job-id], .job-card, [class*="JobCard"], a[href*="/job/"]').each((_, element) => {
+  $(jobCard).each((_, element) => {
     const $el = $(element);
     
     // Try to extract job URL and ID
-    let jobUrl = $el.attr('href') || $el.find('a[href*="/job/"]').first().attr('href');
+    let jobUrl = $el.attr('href') || $el.find(jobLink).first().attr('href');
     if (!jobUrl) return;
     
     // Make URL absolute if needed
     if (jobUrl && !jobUrl.startsWith('http')) {
-      jobUrl = `https://www.jobthai.com${jobUrl}`;
+      jobUrl = `${baseUrl}${jobUrl}`;
     }
     
     // Extract job ID from URL
-    const jobIdMatch = jobUrl.match(/\/job\/(\d+)/);
+    const jobIdMatch = jobUrl.match(jobIdPattern);
     const jobId = jobIdMatch ? jobIdMatch[1] : null;
     
     if (!jobId) return;
@@ -45,87 +50,29 @@ export function parseJobList(html) {
  * Parse detailed job information from job detail page
  * @param {string} html - HTML content of the job detail page
  * @param {string} jobUrl - URL of the job page
+ * @param {Object} profile - Site profile with the selectors
  * @returns {Object} Parsed job data
  */
-export function parseJobDetail(html, jobUrl) {
+export function parseJobDetail(html, jobUrl, profile = getSiteProfile()) {
   const $ = cheerio.load(html);
+  const selectors = profile.detail.selectors;
   
   // Extract job ID from URL
-  const jobIdMatch = jobUrl.match(/\/job\/(\d+)/);
+  const jobIdMatch = jobUrl.match(profile.listing.jobId);
   const jobId = jobIdMatch ? jobIdMatch[1] : '';
   
-  // Job title - try multiple selectors
-  const title = extractText($, [
-    'h1[class*="title"]',
-    'h1[class*="job"]',
-    '.job-title',
-    'h1',
-    '[class*="JobTitle"]'
-  ]);
-  
-  // Company name
-  const company = extractText($, [
-    '.company-name',
-    '[class*="company"]',
-    'a[href*="/company/"]',
-    '[class*="Company"]'
-  ]);
-  
-  // Company logo
-  const companyLogo = $('img[class*="company"], img[class*="logo"], .company-logo img')
-    .first()
-    .attr('src') || '';
-  
-  // Location
-  const location = extractText($, [
-    '.location',
-    '[class*="location"]',
-    '[class*="Location"]',
-    '.job-location'
-  ]);
-  
-  // Salary
-  const salary = extractText($, [
-    '.salary',
-    '[class*="salary"]',
-    '[class*="Salary"]',
-    '.job-salary'
-  ]);
-  
-  // Posted date
-  const postedDate = extractText($, [
-    '.posted-date',
-    '[class*="date"]',
-    '[class*="Date"]',
-    'time'
-  ]);
-  
-  // Job description - look for description section
-  const description = extractLongText($, [
-    '.job-description',
-    '[class*="description"]',
-    '[class*="Description"]',
-    '#job-description',
-    '.detail-content'
-  ]);
-  
-  // Requirements/Qualifications
-  const requirements = extractLongText($, [
-    '.requirements',
-    '[class*="requirement"]',
-    '[class*="Requirement"]',
-    '[class*="qualification"]',
-    '[class*="Qualification"]'
-  ]);
-  
-  // Benefits/Welfare
-  const benefits = extractLongText($, [
-    '.benefits',
-    '[class*="benefit"]',
-    '[class*="Benefit"]',
-    '[class*="welfare"]',
-    '[class*="Welfare"]'
-  ]);
+  // Each field tries its selectors in order
+  const title = extractText($, selectors.title);
+  const company = extractText($, selectors.company);
+  const companyLogo = $(selectors.companyLogo).first().attr('src') || '';
+  const location = extractText($, selectors.location);
+  const salary = extractText($, selectors.salary);
+  const postedDate = extractText($, selectors.postedDate);
+  
+  // Long sections keep their line breaks
+  const description = extractLongText($, selectors.description);
+  const requirements = extractLongText($, selectors.requirements);
+  const benefits = extractLongText($, selectors.benefits);
   
   return {
     id: jobId,
@@ -176,13 +123,15 @@ function extractLongText($, selectors) {
 /**
  * Extract pagination info
  * @param {string} html - HTML content
+ * @param {string} currentUrl - URL of the page
+ * @param {Object} profile - Site profile with the selectors
  * @returns {Object} Pagination info { currentPage, totalPages, hasNext, nextPageUrl }
  */
-export function parsePagination(html, currentUrl) {
+export function parsePagination(html, currentUrl, profile = getSiteProfile()) {
   const $ = cheerio.load(html);
   
   // Try to find pagination elements
-  const paginationItems = $('ul.pagination li, .pagination a, nav[aria-label*="pagination"] a, [class*="Pagination"] a');
+  const paginationItems = $(profile.listing.paginationItems);
   
   let currentPage = 1;
   let totalPages = 1;
@@ -190,7 +139,8 @@ export function parsePagination(html, currentUrl) {
   let nextPageUrl = null;
   
   // Try to find active/current page
-  const activeItem = $('li.active a, .pagination .active, [aria-current="page"]');
+  // The selectors can match both an active <li> and its link, so read only the first
+  const activeItem = $(profile.listing.activePage).first();
   if (activeItem.length) {
     currentPage = parseInt(activeItem.text().trim()) || 1;
   }
@@ -210,7 +160,7 @@ export function parsePagination(html, currentUrl) {
   }
   
   // Find next page link
-  const nextLink = $('li:contains("›") a, a[rel="next"], .pagination .next a, a:contains("ถัดไป"), a[aria-label*="Next"]');
+  const nextLink = $(profile.listing.nextLink);
   if (nextLink.length && nextLink.attr('href')) {
     hasNext = true;
     nextPageUrl = nextLink.attr('href');
@@ -237,14 +187,15 @@ export function parsePagination(html, currentUrl) {
 /**
  * Extract total job count from search results
  * @param {string} html - HTML content
+ * @param {Object} profile - Site profile with the selectors
  * @returns {number} Total job count
  */
-export function parseTotalJobs(html) {
+export function parseTotalJobs(html, profile = getSiteProfile()) {
   const $ = cheerio.load(html);
   
   // Look for job count text (e.g., "พบ 1,234 ตำแหน่งงาน")
-  const countText = $('[class*="count"], [class*="total"], .result-count').text();
-  const match = countText.match(/(\d[\d,]*)/);
+  const countText = $(profile.listing.totalJobs).text();
+  const match = countText.match(profile.listing.totalJobsCount);
   
   if (match) {
     return parseInt(match[1].replace(/,/g, ''));
@@ -253,3 +204,27 @@ export function parseTotalJobs(html) {
   return 0;
 }
 
+
+const BLOCK_TAGS = 'address, article, aside, blockquote, dd, div, dl, dt, footer, form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, tr, ul';
+
+/**
+ * Approximate a browser's body.innerText from static HTML:
+ * one line per block element, scripts and styles dropped
+ * @param {string} html - HTML content
+ * @returns {string} Text with one trimmed, non-empty line per block
+ */
+export function htmlToText(html) {
+  const $ = cheerio.load(html);
+  
+  $('script, style, noscript, template, head').remove();
+  $('br').replaceWith('\n');
+  $(BLOCK_TAGS).each((_, el) => {
+    $(el).before('\n').after('\n');
+  });
+  
+  return $('body').text()
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
@@ -0,0 +1,215 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Shared rate limiter for every request the scraper sends
+ * A token bucket refilled at the current rate; the rate backs off when
+ * responses slow down, fail or look blocked, and recovers step by step
+ * after normal responses, never above requestsPerMinute
+ */
+
+export const DEFAULT_RATE_LIMIT = {
+  requestsPerMinute: 60,
+  minRequestsPerMinute: 6,
+  burst: 1,
+  adaptive: true
+};
+
+// Rate multipliers per response outcome
+const BACKOFF = { slow: 0.8, error: 0.7, blocked: 0.5 };
+// Share of the ceiling regained after each normal response
+const RECOVERY_STEP = 0.05;
+// A response is slow when it takes this many times the usual response time
+const SLOW_FACTOR = 2;
+// Responses needed before the usual response time is trusted
+const WARMUP_SAMPLES = 5;
+
+const BLOCKED_STATUSES = [403, 429, 503];
+const BLOCKED_PATTERNS = [/captcha/i, /cf-challenge/i, /access denied/i, /too many requests/i];
+
+/**
+ * Page that looks like a block or challenge page instead of the requested content
+ */
+export class BlockedPageError extends Error {
+  constructor(url) {
+    super(`Blocked page for ${url}`);
+    this.name = 'BlockedPageError';
+    this.url = url;
+  }
+}
+
+/**
+ * Whether an error means the site is refusing requests (403/429/503 or a block page)
+ * @param {Error} error - Error from a fetch
+ * @returns {boolean}
+ */
+export function isBlockedError(error) {
+  return error instanceof BlockedPageError || BLOCKED_STATUSES.includes(error.status);
+}
+
+/**
+ * Whether fetched HTML is a block or challenge page
+ * @param {Object} page - Fetched page with `html`
+ * @returns {boolean}
+ */
+export function looksBlocked(page) {
+  const html = page && typeof page.html === 'string' ? page.html.slice(0, 20000) : '';
+  return BLOCKED_PATTERNS.some(pattern => pattern.test(html));
+}
+
+export class RateLimiter extends EventEmitter {
+  /**
+   * @param {Object} options - { requestsPerMinute (0 = no limit), minRequestsPerMinute,
+   *   burst, adaptive, now }
+   */
+  constructor(options = {}) {
+    super();
+    const settings = { ...DEFAULT_RATE_LIMIT, ...options };
+
+    this.maxRate = settings.requestsPerMinute;
+    this.minRate = Math.min(settings.minRequestsPerMinute, this.maxRate);
+    this.burst = Math.max(1, settings.burst);
+    this.adaptive = settings.adaptive;
+    this.now = options.now || Date.now;
+
+    this.rate = this.maxRate;
+    this.tokens = this.burst;
+    this.lastRefill = this.now();
+    this.waiting = Promise.resolve();
+    this.waitingCount = 0;
+
+    // Response time averages: recent reacts fast, usual follows slowly
+    this.samples = 0;
+    this.recentMs = 0;
+    this.usualMs = 0;
+    this.counts = { ok: 0, slow: 0, error: 0, blocked: 0 };
+  }
+
+  /**
+   * Create a limiter from config.rateLimit
+   * @param {Object} rateLimitConfig - config.rateLimit
+   * @returns {RateLimiter}
+   */
+  static fromConfig(rateLimitConfig = {}) {
+    return new RateLimiter(rateLimitConfig);
+  }
+
+  get isLimited() {
+    return this.maxRate > 0;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = this.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) * this.rate) / 60000);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token; callers are served in arrival order
+   */
+  acquire() {
+    if (!this.isLimited) return Promise.resolve();
+
+    this.waitingCount++;
+    const turn = this.waiting.then(() => this.takeToken());
+    this.waiting = turn.finally(() => {
+      this.waitingCount--;
+    });
+    return turn;
+  }
+
+  async takeToken() {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const waitMs = Math.ceil(((1 - this.tokens) * 60000) / this.rate);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Run a request under the limiter and adapt the rate to how it went
+   * @param {Function} request - Async function performing one request
+   * @param {string} url - URL, for BlockedPageError
+   * @returns {Promise<*>} The request's result
+   */
+  async run(request, url = '') {
+    await this.acquire();
+    const started = this.now();
+
+    let page;
+    try {
+      page = await request();
+    } catch (error) {
+      this.record(isBlockedError(error) ? 'blocked' : 'error');
+      throw error;
+    }
+
+    if (looksBlocked(page)) {
+      this.record('blocked');
+      throw new BlockedPageError(url);
+    }
+
+    this.recordDuration(this.now() - started);
+    return page;
+  }
+
+  /**
+   * Record a successful response time, slow ones back off
+   * @param {number} ms - Response time
+   */
+  recordDuration(ms) {
+    const slow = this.samples >= WARMUP_SAMPLES && ms > this.usualMs * SLOW_FACTOR;
+
+    this.samples++;
+    this.recentMs = this.samples === 1 ? ms : this.recentMs * 0.7 + ms * 0.3;
+    this.usualMs = this.samples === 1 ? ms : this.usualMs * 0.95 + ms * 0.05;
+
+    this.record(slow ? 'slow' : 'ok');
+  }
+
+  /**
+   * Adjust the rate for a response outcome
+   * @param {string} outcome - 'ok', 'slow', 'error' or 'blocked'
+   */
+  record(outcome) {
+    this.counts[outcome]++;
+    if (!this.isLimited || !this.adaptive) return;
+
+    const previous = this.rate;
+    this.refill();
+
+    if (outcome === 'ok') {
+      this.rate = Math.min(this.maxRate, this.rate + this.maxRate * RECOVERY_STEP);
+    } else {
+      this.rate = Math.max(this.minRate, this.rate * BACKOFF[outcome]);
+    }
+
+    if (Math.round(previous) !== Math.round(this.rate)) {
+      if (this.rate < previous) {
+        console.log(`🐢 Rate limit: ${outcome} response, slowing to ${Math.round(this.rate)} requests/min`);
+      }
+      this.emit('rate:changed', { outcome, rate: this.rate, previous });
+    }
+  }
+
+  /**
+   * Get limiter status
+   */
+  getStatus() {
+    return {
+      requestsPerMinute: Math.round(this.rate * 10) / 10,
+      maxRequestsPerMinute: this.maxRate,
+      waiting: this.waitingCount,
+      averageResponseMs: Math.round(this.recentMs),
+      counts: { ...this.counts }
+    };
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,124 @@
+import { isBlockedError } from './rate-limiter.js';
+import { PageNotArchivedError } from './page-archive.js';
+import { isSessionError } from './fetchers/hero-fetcher.js';
+
+/**
+ * Retry policy shared by the job queue and the listing loop
+ * Errors are sorted into classes; each class decides whether a failed
+ * request is tried again and how long to wait first. Waits grow
+ * exponentially with the attempt number and are spread by random jitter
+ * so workers that failed together do not retry together.
+ */
+
+export const DEFAULT_RETRY = {
+  baseDelayMs: 2000,
+  maxDelayMs: 60000,
+  jitter: 0.5 // ± share of the delay
+};
+
+export const ERROR_CLASSES = {
+  TIMEOUT: 'timeout',
+  NOT_FOUND: 'not-found',
+  BLOCKED: 'blocked',
+  PARSE: 'parse',
+  NOT_ARCHIVED: 'not-archived',
+  ERROR: 'error'
+};
+
+// Per class: retry or not, delay multiplier, and an attempt cap below retryAttempts
+const POLICIES = {
+  [ERROR_CLASSES.TIMEOUT]: { retry: true, delayFactor: 1 },
+  [ERROR_CLASSES.NOT_FOUND]: { retry: false },          // Job was removed, it will not come back
+  [ERROR_CLASSES.BLOCKED]: { retry: true, delayFactor: 5 }, // Give the site time to cool down
+  [ERROR_CLASSES.PARSE]: { retry: true, delayFactor: 1, maxAttempts: 2 }, // One more render, then give up
+  [ERROR_CLASSES.NOT_ARCHIVED]: { retry: false },       // Replay has nothing else to offer
+  [ERROR_CLASSES.ERROR]: { retry: true, delayFactor: 1 }
+};
+
+const NOT_FOUND_STATUSES = [404, 410];
+const TIMEOUT_PATTERN = /timed? ?out|timeout/i;
+
+/**
+ * Page loaded, but without the content extraction needs
+ */
+export class ParseError extends Error {
+  constructor(url, detail = 'expected content missing') {
+    super(`Could not parse ${url}: ${detail}`);
+    this.name = 'ParseError';
+    this.url = url;
+  }
+}
+
+/**
+ * Sort an error into one of ERROR_CLASSES
+ * @param {Error} error - Error from a fetch or extraction
+ * @returns {string} Error class
+ */
+export function classifyError(error) {
+  if (error instanceof PageNotArchivedError) return ERROR_CLASSES.NOT_ARCHIVED;
+  if (error instanceof ParseError) return ERROR_CLASSES.PARSE;
+  if (NOT_FOUND_STATUSES.includes(error.status)) return ERROR_CLASSES.NOT_FOUND;
+  if (isBlockedError(error)) return ERROR_CLASSES.BLOCKED;
+  if (error.name === 'TimeoutError' || error.name === 'AbortError' ||
+      (TIMEOUT_PATTERN.test(error.message || '') && !isSessionError(error))) {
+    return ERROR_CLASSES.TIMEOUT;
+  }
+  return ERROR_CLASSES.ERROR;
+}
+
+export class RetryPolicy {
+  /**
+   * @param {Object} options - { retryAttempts, baseDelayMs, maxDelayMs, jitter, random }
+   */
+  constructor(options = {}) {
+    const settings = { ...DEFAULT_RETRY, retryAttempts: 3, ...options };
+
+    this.maxAttempts = settings.retryAttempts + 1; // The first try plus the retries
+    this.baseDelayMs = settings.baseDelayMs;
+    this.maxDelayMs = settings.maxDelayMs;
+    this.jitter = settings.jitter;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Create a policy from config.retryAttempts and config.retry
+   * @param {Object} config - Scraper config
+   * @returns {RetryPolicy}
+   */
+  static fromConfig(config = {}) {
+    const options = { ...config.retry };
+    if (config.retryAttempts !== undefined) options.retryAttempts = config.retryAttempts;
+    return new RetryPolicy(options);
+  }
+
+  /**
+   * Decide what to do after a failed attempt
+   * @param {Error} error - Error from the attempt
+   * @param {number} attempts - Attempts made so far, including this one
+   * @returns {Object} { retry, delayMs, errorClass }
+   */
+  decide(error, attempts) {
+    const errorClass = classifyError(error);
+    const policy = POLICIES[errorClass];
+    const maxAttempts = Math.min(this.maxAttempts, policy.maxAttempts || Infinity);
+
+    if (!policy.retry || attempts >= maxAttempts) {
+      return { retry: false, delayMs: 0, errorClass };
+    }
+    return { retry: true, delayMs: this.delayFor(attempts, policy.delayFactor), errorClass };
+  }
+
+  /**
+   * Backoff before the next attempt: base × 2^(attempts-1) × factor, capped, ± jitter
+   * @param {number} attempts - Attempts made so far
+   * @param {number} factor - Class multiplier
+   * @returns {number} Delay in ms
+   */
+  delayFor(attempts, factor = 1) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * factor * 2 ** (attempts - 1));
+    const spread = delay * this.jitter * (this.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + spread));
+  }
+}
+
+export default RetryPolicy;
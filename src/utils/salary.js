@@ -0,0 +1,131 @@
+/**
+ * Salary normalizer
+ * Turns free-text Thai salary strings into structured ranges
+ * e.g. "25,000 - 35,000 บาท" -> { min: 25000, max: 35000, currency: 'THB', period: 'month', ... }
+ */
+
+const THAI_DIGITS = '๐๑๒๓๔๕๖๗๘๙';
+
+// Amount with optional shorthand multiplier: "25,000", "25k", "1.5 หมื่น", "1.2 ล้าน"
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+|\\d+(?:\\.\\d+)?)\\s*(k|K|พัน|หมื่น|ล้าน)?';
+const RANGE_REGEX = new RegExp(`${AMOUNT}\\s*(?:บาท)?\\s*(?:-|–|~|ถึง|to)\\s*${AMOUNT}`);
+const SINGLE_REGEX = new RegExp(AMOUNT);
+
+const MULTIPLIERS = {
+  k: 1000,
+  K: 1000,
+  'พัน': 1000,
+  'หมื่น': 10000,
+  'ล้าน': 1000000
+};
+
+const PERIOD_PATTERNS = [
+  { period: 'hour', pattern: /(?:\/|ต่อ|ราย)\s*(?:ชั่วโมง|ชม\.?)|per\s*hour|\/\s*(?:hr|hour)|hourly/i },
+  { period: 'day', pattern: /(?:\/|ต่อ|ราย)\s*วัน|per\s*day|\/\s*day|daily/i },
+  { period: 'year', pattern: /(?:\/|ต่อ|ราย)\s*ปี|per\s*(?:year|annum)|\/\s*year|annual/i },
+  { period: 'month', pattern: /(?:\/|ต่อ|ราย)\s*เดือน|per\s*month|\/\s*month|monthly/i }
+];
+
+const NEGOTIABLE_REGEX = /ตามตกลง|ตามโครงสร้าง|ตามประสบการณ์|ตามความสามารถ|ต่อรอง|พิจารณา|negotiable|depend/i;
+const MIN_ONLY_AFTER_REGEX = /^\s*(?:บาท)?\s*(?:ขึ้นไป|\+|or\s+more|and\s+above)/i;
+const MIN_ONLY_BEFORE_REGEX = /(?:เริ่มต้น|ไม่ต่ำกว่า|มากกว่า|ขั้นต่ำ|at\s+least|from|starting)\s*$/i;
+const MAX_ONLY_BEFORE_REGEX = /(?:ไม่เกิน|สูงสุด|up\s+to|max(?:imum)?)\s*$/i;
+
+/**
+ * Convert Thai numerals (๐-๙) to Arabic digits
+ * @param {string} text - Text that may contain Thai numerals
+ * @returns {string}
+ */
+export function thaiDigitsToArabic(text) {
+  return text.replace(/[๐-๙]/g, d => String(THAI_DIGITS.indexOf(d)));
+}
+
+/**
+ * Convert a matched amount and optional multiplier to a number
+ */
+function toAmount(value, multiplier) {
+  const num = parseFloat(value.replace(/,/g, ''));
+  if (isNaN(num)) return null;
+  return Math.round(num * (MULTIPLIERS[multiplier] || 1));
+}
+
+/**
+ * Detect the pay period, defaulting to month when amounts are present
+ */
+function detectPeriod(text) {
+  for (const { period, pattern } of PERIOD_PATTERNS) {
+    if (pattern.test(text)) {
+      return period;
+    }
+  }
+  return 'month';
+}
+
+/**
+ * Detect currency, JobThai salaries are baht unless stated otherwise
+ */
+function detectCurrency(text) {
+  if (/USD|US\s*\$|\$|dollar/i.test(text)) return 'USD';
+  return 'THB';
+}
+
+/**
+ * Parse a salary string into a structured range
+ * Only the first amount or range is used, trailing extras such as
+ * "**มีค่ากะ+ค่ารถ 7,000-8,000 บาท" are ignored
+ * @param {string} raw - Raw salary text
+ * @returns {Object} { min, max, currency, period, negotiable, raw }
+ */
+export function parseSalary(raw) {
+  const result = {
+    min: null,
+    max: null,
+    currency: null,
+    period: null,
+    negotiable: false,
+    raw: raw || ''
+  };
+
+  if (!raw) return result;
+
+  const text = thaiDigitsToArabic(raw);
+  result.negotiable = NEGOTIABLE_REGEX.test(text);
+
+  const rangeMatch = text.match(RANGE_REGEX);
+  const singleMatch = text.match(SINGLE_REGEX);
+
+  if (rangeMatch && rangeMatch.index <= singleMatch.index) {
+    let [, minValue, minMultiplier, maxValue, maxMultiplier] = rangeMatch;
+    // "25-35k" applies the shorthand to both ends
+    if (!minMultiplier && maxMultiplier && parseFloat(minValue) < 1000) {
+      minMultiplier = maxMultiplier;
+    }
+    result.min = toAmount(minValue, minMultiplier);
+    result.max = toAmount(maxValue, maxMultiplier);
+  } else if (singleMatch) {
+    const amount = toAmount(singleMatch[1], singleMatch[2]);
+    const before = text.slice(0, singleMatch.index);
+    const after = text.slice(singleMatch.index + singleMatch[0].length);
+
+    if (MAX_ONLY_BEFORE_REGEX.test(before)) {
+      result.max = amount;
+    } else if (MIN_ONLY_AFTER_REGEX.test(after) || MIN_ONLY_BEFORE_REGEX.test(before)) {
+      result.min = amount;
+    } else {
+      result.min = amount;
+      result.max = amount;
+    }
+  }
+
+  if (result.min !== null || result.max !== null) {
+    if (result.min !== null && result.max !== null && result.min > result.max) {
+      [result.min, result.max] = [result.max, result.min];
+    }
+    result.currency = detectCurrency(text);
+    result.period = detectPeriod(text);
+  }
+
+  return result;
+}
+
+export default parseSalary;
@@ -0,0 +1,77 @@
+/**
+ * Search target helpers
+ * A search is { searchMode, keyword, bts_mrt, custom_url, startPage, maxPages, name };
+ * config.json holds either one search at the top level or several in `searches`
+ */
+
+export const DEFAULT_BASE_URL = 'https://www.jobthai.com';
+
+/**
+ * Site origin from config.baseUrl, e.g. a local mock site for tests
+ * @param {Object} config - Configuration
+ * @returns {string} Base URL without a trailing slash
+ */
+export function getBaseUrl(config = {}) {
+  return (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Build the search URL for a search target
+ * @param {Object} search - { searchMode, keyword, bts_mrt, custom_url }
+ * @param {string} baseUrl - Site origin
+ * @returns {string} Search URL
+ */
+export function buildSearchUrl(search, baseUrl = DEFAULT_BASE_URL) {
+  const { searchMode, keyword, bts_mrt, custom_url } = search;
+
+  if (searchMode === 'custom_url' && custom_url) {
+    return custom_url;
+  } else if (searchMode === 'bts_mrt' && bts_mrt) {
+    // BTS/MRT mode - Thai path (will be auto-encoded by browser)
+    // URL: https://www.jobthai.com/หางาน/รถไฟฟ้า-และ-BRT
+    return `${baseUrl}/หางาน/${bts_mrt}`;
+  } else if (searchMode === 'keyword' && keyword) {
+    // URL: https://www.jobthai.com/th/jobs?keyword=ไอที
+    return `${baseUrl}/th/jobs?keyword=${encodeURIComponent(keyword)}`;
+  }
+
+  // Default - all jobs
+  return `${baseUrl}/th/jobs`;
+}
+
+/**
+ * Name a search for tagging jobs, e.g. "ไอที" or "bts_mrt:รถไฟฟ้า-BTS-สายสุขุมวิท"
+ * @param {Object} search - Search target
+ * @returns {string}
+ */
+export function getSearchName(search) {
+  if (search.name) return search.name;
+
+  const { searchMode, keyword, bts_mrt, custom_url } = search;
+  if (searchMode === 'custom_url' && custom_url) return custom_url;
+  if (searchMode === 'bts_mrt' && bts_mrt) return `bts_mrt:${bts_mrt}`;
+  if (searchMode === 'keyword' && keyword) return keyword;
+  return 'all';
+}
+
+/**
+ * List the searches to run
+ * Entries in config.searches fall back to the top-level startPage/maxPages;
+ * without `searches` the top-level search is the only one
+ * @param {Object} config - Configuration
+ * @returns {Array} [{ name, url, startPage, maxPages }]
+ */
+export function resolveSearches(config) {
+  const entries = Array.isArray(config.searches) && config.searches.length > 0
+    ? config.searches
+    : [config];
+
+  return entries.map(search => ({
+    name: getSearchName(search),
+    url: buildSearchUrl(search, getBaseUrl(config)),
+    startPage: search.startPage ?? config.startPage ?? 1,
+    maxPages: search.maxPages ?? config.maxPages ?? 0
+  }));
+}
+
+export default resolveSearches;
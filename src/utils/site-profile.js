@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema, formatProblems, toRegExp } from './config-schema.js';
+import { ConfigError } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Site profile: every selector, section label and pattern the extractors read
+ * Bundled in src/data/site-profile.json; a run can override parts of it with
+ * config.siteProfile (--site-profile) when JobThai changes its pages
+ */
+
+export const PROFILE_VERSION = 1;
+export const DEFAULT_PROFILE_PATH = path.join(__dirname, '..', 'data', 'site-profile.json');
+
+const selector = { type: 'string', required: true };
+const selectors = { type: 'array', minItems: 1, items: { type: 'string' }, required: true };
+const regex = { type: 'string', format: 'regex', required: true };
+const regexes = { type: 'array', minItems: 1, items: { type: 'string', format: 'regex' }, required: true };
+const label = { type: 'string', required: true };
+
+export const SITE_PROFILE_SCHEMA = {
+  version: { type: 'integer', required: true },
+  site: { type: 'string' },
+  updated: { type: 'string' },
+  listing: {
+    type: 'object',
+    required: true,
+    properties: {
+      jobLink: selector,
+      jobCard: selector,
+      jobId: regex,
+      totalJobs: selector,
+      totalJobsCount: regex,
+      paginationItems: selector,
+      activePage: selector,
+      nextLink: selector,
+      nextButtons: selectors,
+      nextLabels: selectors
+    }
+  },
+  preview: {
+    type: 'object',
+    required: true,
+    properties: {
+      postedDate: regex,
+      salary: regexes,
+      location: regexes,
+      company: regex,
+      noise: regexes,
+      titleEnd: regex
+    }
+  },
+  detail: {
+    type: 'object',
+    required: true,
+    properties: {
+      pageTitle: {
+        type: 'object',
+        required: true,
+        properties: { title: regex, company: regex }
+      },
+      selectors: {
+        type: 'object',
+        required: true,
+        properties: {
+          title: selectors,
+          company: selectors,
+          companyLogo: selector,
+          location: selectors,
+          salary: selectors,
+          postedDate: selectors,
+          description: selectors,
+          requirements: selectors,
+          benefits: selectors
+        }
+      },
+      browserSelectors: {
+        type: 'object',
+        required: true,
+        properties: {
+          title: selectors,
+          company: selectors,
+          companyLogo: selector,
+          location: selectors,
+          salary: selectors
+        }
+      },
+      labels: {
+        type: 'object',
+        required: true,
+        properties: {
+          location: label,
+          salary: label,
+          positions: label,
+          benefits: label,
+          contact: label,
+          transportation: label
+        }
+      },
+      patterns: {
+        type: 'object',
+        required: true,
+        properties: {
+          company: regex,
+          notTitle: regex,
+          companyHistoryStart: regex,
+          benefitItem: regex,
+          transportation: regex,
+          transportationEnd: regex
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Error for a site profile that cannot be used, lists every problem found
+ * A ConfigError, so commands report it and exit like a bad config.json
+ */
+export class SiteProfileError extends ConfigError {
+  constructor(errors, filePath) {
+    super(errors);
+    this.name = 'SiteProfileError';
+    this.message = `Invalid site profile ${filePath} (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${formatProblems(errors)}`;
+  }
+}
+
+/**
+ * Read a profile file
+ */
+function readProfile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new SiteProfileError([{ path: '(file)', message: `could not be read: ${error.message}`, suggestion: null }], filePath);
+  }
+}
+
+/**
+ * Lay an override over the bundled profile; objects merge, arrays and values replace
+ */
+function mergeProfile(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    result[key] = isObject(value) && isObject(base[key]) ? mergeProfile(base[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Turn the pattern strings into RegExps, following the schema
+ */
+function compile(value, rule) {
+  if (rule.format === 'regex') return toRegExp(value);
+  if (rule.items) return value.map(item => compile(item, rule.items));
+  if (rule.properties) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, rule.properties[key] ? compile(v, rule.properties[key]) : v]));
+  }
+  return value;
+}
+
+/**
+ * Check a version number against the one this code reads
+ */
+function versionProblem(version) {
+  if (version === PROFILE_VERSION) return null;
+  return {
+    path: 'version',
+    message: version === undefined ? 'is required' : `${JSON.stringify(version)} is not supported, expected ${PROFILE_VERSION}`,
+    suggestion: `compare with ${path.relative(process.cwd(), DEFAULT_PROFILE_PATH)} and set "version": ${PROFILE_VERSION}`
+  };
+}
+
+/**
+ * Validate a complete site profile
+ * @param {Object} profile - Parsed profile JSON
+ * @returns {Object} { errors, warnings } lists of { path, message, suggestion }
+ */
+export function validateSiteProfile(profile) {
+  const { errors, warnings } = validateSchema(profile, SITE_PROFILE_SCHEMA);
+  const version = profile && versionProblem(profile.version);
+  return { errors: version && !errors.some(e => e.path === 'version') ? [version, ...errors] : errors, warnings };
+}
+
+/**
+ * Load the bundled site profile, optionally overridden by a file
+ * The override only needs the keys that changed, plus the profile version it was written for
+ * @param {string} overridePath - Path of a profile override, e.g. config.siteProfile
+ * @returns {Object} Profile with patterns compiled to RegExps
+ * @throws {SiteProfileError} When a file cannot be read or the result is invalid
+ */
+export function loadSiteProfile(overridePath = null) {
+  let profile = readProfile(DEFAULT_PROFILE_PATH);
+  let source = DEFAULT_PROFILE_PATH;
+
+  if (overridePath) {
+    const override = readProfile(overridePath);
+    const problem = versionProblem(override && override.version);
+    if (problem) {
+      throw new SiteProfileError([problem], overridePath);
+    }
+    profile = mergeProfile(profile, override);
+    source = overridePath;
+  }
+
+  const { errors, warnings } = validateSiteProfile(profile);
+  if (warnings.length > 0) {
+    console.warn(`⚠️ Site profile warnings (${source}):\n${formatProblems(warnings)}`);
+  }
+  if (errors.length > 0) {
+    throw new SiteProfileError(errors, source);
+  }
+
+  return { ...compile(profile, { properties: SITE_PROFILE_SCHEMA }), source };
+}
+
+let activeProfile = null;
+
+/**
+ * The profile extractors read, the bundled one until a run picks another
+ * @returns {Object} Compiled profile
+ */
+export function getSiteProfile() {
+  if (!activeProfile) {
+    activeProfile = loadSiteProfile();
+  }
+  return activeProfile;
+}
+
+/**
+ * Make a loaded profile the one extractors read
+ * @param {Object} profile - From loadSiteProfile()
+ * @returns {Object} The same profile
+ */
+export function useSiteProfile(profile) {
+  activeProfile = profile;
+  return profile;
+}
+
+export default getSiteProfile;
@@ -0,0 +1,49 @@
+import { JsonStorage } from './json-storage.js';
+import { SqliteStorage } from './sqlite-storage.js';
+
+/**
+ * Storage backends
+ * Every backend implements: init, insert, insertMany, upsert, save, refresh,
+ * getJobs, getJob, getCount, hasJob, getExistingIds, backup and close
+ */
+
+export const STORAGE_TYPES = ['json', 'sqlite'];
+
+/**
+ * Get the default SQLite database path for a JSON output path
+ * @param {string} outputPath - e.g. "./output/jobs.json"
+ * @returns {string} e.g. "./output/jobs.sqlite"
+ */
+export function sqlitePathFor(outputPath) {
+  return outputPath.endsWith('.json')
+    ? outputPath.slice(0, -'.json'.length) + '.sqlite'
+    : `${outputPath}.sqlite`;
+}
+
+/**
+ * Create the storage backend selected in config
+ * @param {string} outputPath - JSON output path (config.output)
+ * @param {Object} storageConfig - config.storage: { type, path }
+ * @param {Object} options - { readOnly } for processes that only read jobs
+ * @returns {JsonStorage|SqliteStorage}
+ */
+export function createStorage(outputPath, storageConfig = {}, options = {}) {
+  const type = storageConfig.type || 'json';
+  const readOnly = options.readOnly || false;
+
+  switch (type) {
+    case 'json':
+      return new JsonStorage(storageConfig.path || outputPath, { readOnly });
+    case 'sqlite':
+      // Existing jobs.json is imported the first time the database is created
+      return new SqliteStorage(storageConfig.path || sqlitePathFor(outputPath), {
+        importFrom: readOnly ? null : outputPath,
+        readOnly
+      });
+    default:
+      throw new Error(`Unknown storage type "${type}" (expected one of: ${STORAGE_TYPES.join(', ')})`);
+  }
+}
+
+export { JsonStorage, SqliteStorage };
+export default createStorage;
@@ -0,0 +1,223 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JSON storage backend
+ * Keeps every job in memory and rewrites the { metadata, jobs } file on each change
+ */
+export class JsonStorage {
+  constructor(outputPath, options = {}) {
+    this.outputPath = outputPath;
+    this.readOnly = options.readOnly || false; // readers (API server) never write the file
+    this.jobs = [];
+    this.index = new Map(); // job id -> position in this.jobs
+    this.mtimeMs = 0;
+  }
+  
+  /**
+   * Load existing jobs from the output file
+   */
+  async init() {
+    if (this.readOnly) {
+      this.load();
+      return;
+    }
+    
+    // Ensure output directory exists
+    const dir = path.dirname(this.outputPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    
+    // Load existing data if file exists
+    if (fs.existsSync(this.outputPath)) {
+      try {
+        const data = fs.readFileSync(this.outputPath, 'utf8');
+        const parsed = JSON.parse(data);
+        this.jobs = parsed.jobs || [];
+        console.log(`📂 Loaded ${this.jobs.length} existing jobs from ${this.outputPath}`);
+      } catch (error) {
+        console.log(`📂 Creating new output file: ${this.outputPath}`);
+        this.jobs = [];
+      }
+    }
+    
+    this.index = new Map(this.jobs.map((job, i) => [job.id, i]));
+    await this.save();
+  }
+  
+  /**
+   * Read the output file without creating or rewriting it
+   */
+  load() {
+    if (!fs.existsSync(this.outputPath)) {
+      this.jobs = [];
+    } else {
+      this.mtimeMs = fs.statSync(this.outputPath).mtimeMs;
+      try {
+        this.jobs = JSON.parse(fs.readFileSync(this.outputPath, 'utf8')).jobs || [];
+      } catch (error) {
+        // Caught mid-write by another process, keep the previous jobs until the next refresh
+        this.mtimeMs = 0;
+        return;
+      }
+    }
+    this.index = new Map(this.jobs.map((job, i) => [job.id, i]));
+  }
+  
+  /**
+   * Reload jobs if another process (the scraper) changed the file
+   */
+  async refresh() {
+    const mtimeMs = fs.existsSync(this.outputPath) ? fs.statSync(this.outputPath).mtimeMs : 0;
+    if (mtimeMs !== this.mtimeMs) {
+      this.load();
+    }
+  }
+  
+  /**
+   * Insert a job unless its ID already exists
+   * @param {Object} job - Job data
+   * @returns {boolean} True if inserted
+   */
+  async insert(job) {
+    if (this.index.has(job.id)) {
+      return false;
+    }
+    
+    this.index.set(job.id, this.jobs.length);
+    this.jobs.push(job);
+    await this.save();
+    return true;
+  }
+  
+  /**
+   * Insert multiple jobs, skipping existing IDs
+   * @param {Array} jobs - Job data
+   * @returns {number} Number of jobs inserted
+   */
+  async insertMany(jobs) {
+    let added = 0;
+    
+    for (const job of jobs) {
+      if (!this.index.has(job.id)) {
+        this.index.set(job.id, this.jobs.length);
+        this.jobs.push(job);
+        added++;
+      }
+    }
+    
+    if (added > 0) {
+      await this.save();
+    }
+    return added;
+  }
+  
+  /**
+   * Insert a job or replace the existing job with the same ID
+   * @param {Object} job - Job data
+   * @returns {boolean} True if inserted, false if an existing job was updated
+   */
+  async upsert(job) {
+    const position = this.index.get(job.id);
+    
+    if (position === undefined) {
+      this.index.set(job.id, this.jobs.length);
+      this.jobs.push(job);
+    } else {
+      this.jobs[position] = job;
+    }
+    
+    await this.save();
+    return position === undefined;
+  }
+  
+  /**
+   * Save jobs to file
+   */
+  async save() {
+    const data = {
+      metadata: {
+        totalJobs: this.jobs.length,
+        lastUpdated: new Date().toISOString(),
+        version: '1.0.0'
+      },
+      jobs: this.jobs
+    };
+    
+    const json = JSON.stringify(data, null, 2);
+    fs.writeFileSync(this.outputPath, json, 'utf8');
+    this.mtimeMs = fs.statSync(this.outputPath).mtimeMs;
+  }
+  
+  /**
+   * Get all jobs in insertion order
+   * @returns {Array}
+   */
+  getJobs() {
+    return this.jobs;
+  }
+  
+  /**
+   * Get a single job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null}
+   */
+  getJob(jobId) {
+    const position = this.index.get(jobId);
+    return position === undefined ? null : this.jobs[position];
+  }
+  
+  /**
+   * Get job count
+   * @returns {number}
+   */
+  getCount() {
+    return this.jobs.length;
+  }
+  
+  /**
+   * Check if job exists
+   * @param {string} jobId - Job ID
+   * @returns {boolean}
+   */
+  hasJob(jobId) {
+    return this.index.has(jobId);
+  }
+  
+  /**
+   * Get existing job IDs
+   * @returns {Set}
+   */
+  getExistingIds() {
+    return new Set(this.index.keys());
+  }
+  
+  /**
+   * Write a timestamped copy of the output file
+   * @param {string} timestamp - Filename-safe timestamp
+   * @returns {string|null} Backup path
+   */
+  async backup(timestamp) {
+    if (this.jobs.length === 0) return null;
+    
+    const backupPath = this.outputPath.replace('.json', `-backup-${timestamp}.json`);
+    const data = {
+      metadata: {
+        totalJobs: this.jobs.length,
+        backupDate: new Date().toISOString()
+      },
+      jobs: this.jobs
+    };
+    
+    fs.writeFileSync(backupPath, JSON.stringify(data, null, 2), 'utf8');
+    return backupPath;
+  }
+  
+  /**
+   * Release resources (nothing to do, every change is already on disk)
+   */
+  async close() {}
+}
+
+export default JsonStorage;
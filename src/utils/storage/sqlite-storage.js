@@ -0,0 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * SQLite storage backend (file-based, no server)
+ * Each job is stored as a JSON document keyed by job ID, with a few
+ * extracted columns indexed for lookups and filtering.
+ * Requires the optional better-sqlite3 dependency.
+ */
+export class SqliteStorage {
+  constructor(dbPath, options = {}) {
+    this.dbPath = dbPath;
+    this.importFrom = options.importFrom || null; // JSON output to import into an empty database
+    this.readOnly = options.readOnly || false;
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * Open the database and create the schema
+   */
+  async init() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('SQLite storage requires better-sqlite3. Install it with: npm install better-sqlite3');
+    }
+
+    if (this.readOnly) {
+      this.db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+      this.prepareStatements();
+      return;
+    }
+
+    const dir = path.dirname(this.dbPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        company TEXT,
+        location TEXT,
+        salary TEXT,
+        posted_at TEXT,
+        scraped_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs (company);
+      CREATE INDEX IF NOT EXISTS idx_jobs_posted_at ON jobs (posted_at);
+      CREATE INDEX IF NOT EXISTS idx_jobs_scraped_at ON jobs (scraped_at);
+    `);
+    this.prepareStatements();
+
+    if (this.getCount() === 0 && this.importFrom && fs.existsSync(this.importFrom)) {
+      this.importJson(this.importFrom);
+    }
+
+    console.log(`📂 Opened SQLite database ${this.dbPath} (${this.getCount()} jobs)`);
+  }
+
+  /**
+   * Prepare the statements used by every method
+   */
+  prepareStatements() {
+    const columns = '(id, title, company, location, salary, posted_at, scraped_at, data)';
+    const values = '(@id, @title, @company, @location, @salary, @postedAt, @scrapedAt, @data)';
+
+    this.statements = {
+      insert: this.db.prepare(`INSERT OR IGNORE INTO jobs ${columns} VALUES ${values}`),
+      upsert: this.db.prepare(`
+        INSERT INTO jobs ${columns} VALUES ${values}
+        ON CONFLICT(id) DO UPDATE SET
+          title = excluded.title,
+          company = excluded.company,
+          location = excluded.location,
+          salary = excluded.salary,
+          posted_at = excluded.posted_at,
+          scraped_at = excluded.scraped_at,
+          data = excluded.data
+      `),
+      exists: this.db.prepare('SELECT 1 FROM jobs WHERE id = ?'),
+      get: this.db.prepare('SELECT data FROM jobs WHERE id = ?'),
+      all: this.db.prepare('SELECT data FROM jobs ORDER BY rowid'),
+      ids: this.db.prepare('SELECT id FROM jobs'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM jobs')
+    };
+  }
+
+  /**
+   * Import jobs from an existing { metadata, jobs } JSON file
+   * @param {string} jsonPath - JSON output path
+   */
+  importJson(jsonPath) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      const added = this.insertManySync(parsed.jobs || []);
+      console.log(`📥 Imported ${added} jobs from ${jsonPath}`);
+    } catch (error) {
+      console.error(`⚠️ Could not import ${jsonPath}:`, error.message);
+    }
+  }
+
+  /**
+   * Map a job to statement parameters
+   */
+  toRow(job) {
+    return {
+      id: String(job.id),
+      title: job.title || null,
+      company: job.company || null,
+      location: job.location || null,
+      salary: job.salary || null,
+      postedAt: job.postedAt || null,
+      scrapedAt: job.scrapedAt || null,
+      data: JSON.stringify(job)
+    };
+  }
+
+  /**
+   * Insert many jobs in one transaction
+   */
+  insertManySync(jobs) {
+    const insertAll = this.db.transaction((rows) => {
+      let added = 0;
+      for (const row of rows) {
+        added += this.statements.insert.run(row).changes;
+      }
+      return added;
+    });
+    return insertAll(jobs.map(job => this.toRow(job)));
+  }
+
+  /**
+   * Insert a job unless its ID already exists
+   * @param {Object} job - Job data
+   * @returns {boolean} True if inserted
+   */
+  async insert(job) {
+    return this.statements.insert.run(this.toRow(job)).changes === 1;
+  }
+
+  /**
+   * Insert multiple jobs, skipping existing IDs
+   * @param {Array} jobs - Job data
+   * @returns {number} Number of jobs inserted
+   */
+  async insertMany(jobs) {
+    return this.insertManySync(jobs);
+  }
+
+  /**
+   * Insert a job or replace the existing job with the same ID
+   * @param {Object} job - Job data
+   * @returns {boolean} True if inserted, false if an existing job was updated
+   */
+  async upsert(job) {
+    const existed = this.hasJob(job.id);
+    this.statements.upsert.run(this.toRow(job));
+    return !existed;
+  }
+
+  /**
+   * Nothing to flush, every statement is committed immediately
+   */
+  async save() {}
+
+  /**
+   * Nothing to reload, queries always see the latest committed rows
+   */
+  async refresh() {}
+
+  /**
+   * Get all jobs in insertion order
+   * @returns {Array}
+   */
+  getJobs() {
+    return this.statements.all.all().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Get a single job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null}
+   */
+  getJob(jobId) {
+    const row = this.statements.get.get(String(jobId));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Get job count
+   * @returns {number}
+   */
+  getCount() {
+    return this.statements.count.get().count;
+  }
+
+  /**
+   * Check if job exists (primary key lookup)
+   * @param {string} jobId - Job ID
+   * @returns {boolean}
+   */
+  hasJob(jobId) {
+    return !!this.statements.exists.get(String(jobId));
+  }
+
+  /**
+   * Get existing job IDs
+   * @returns {Set}
+   */
+  getExistingIds() {
+    return new Set(this.statements.ids.pluck().all());
+  }
+
+  /**
+   * Write a timestamped copy of the database
+   * @param {string} timestamp - Filename-safe timestamp
+   * @returns {string|null} Backup path
+   */
+  async backup(timestamp) {
+    if (this.getCount() === 0) return null;
+
+    const ext = path.extname(this.dbPath);
+    const base = ext ? this.dbPath.slice(0, -ext.length) : this.dbPath;
+    const backupPath = `${base}-backup-${timestamp}${ext}`;
+    await this.db.backup(backupPath);
+    return backupPath;
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,278 @@
+import { LINES, TRANSFERS, STATION_PROVINCES } from '../data/bangkok-rail.js';
+
+/**
+ * Transit helpers
+ * Extracts BTS/MRT/ARL/SRT stations from free text against the offline
+ * network in src/data/bangkok-rail.js and answers "within N stops" queries
+ */
+
+const SYSTEM_KEYWORDS = [
+  { system: 'BTS', pattern: /BTS|บีทีเอส|Skytrain|สายสีทอง/gi },
+  { system: 'MRT', pattern: /MRT|รถไฟฟ้าใต้ดิน|เอ็มอาร์ที|Subway|สายสี(?:น้ำเงิน|ม่วง|ชมพู|เหลือง)/gi },
+  { system: 'ARL', pattern: /ARL|Airport\s*(?:Rail\s*)?Link|แอร์พอร์ต\s*เรล\s*ลิ\S*/gi },
+  { system: 'SRT', pattern: /SRT|สายสีแดง|Red\s*Line/gi }
+];
+const TRANSIT_CONTEXT_REGEX = /BTS|MRT|ARL|SRT|บีทีเอส|Skytrain|Subway|Airport\s*(?:Rail\s*)?Link|แอร์พอร์ต|รถไฟฟ้า|สถานี|Station/i;
+// "BTS ลงได้ 2 สถานี คือ" followed by "- ช่องนนทรี" list items
+const LIST_ITEM_REGEX = /^\s*(?:[-•*]|\d+[.)])/;
+
+// Road, soi and line names reuse station names ("ถนนสีลม", "Sukhumvit Road", "BTS สายสีลม")
+const NOISE_PATTERNS = [
+  /สาย\s*(?:สี\S*|สุขุมวิท)/g,
+  /(?:ถนน|ถ\.|ซอย|ซ\.)\s*\S+/g,
+  /\S+\s+(?:Road|Rd\.?|Line)\b/gi,
+  /\bSoi\s+\S+/gi
+];
+
+const STATIONS = new Map();
+const ADJACENCY = new Map();
+
+/**
+ * Link two stations in the graph with a travel cost in stops
+ */
+function link(a, b, cost) {
+  ADJACENCY.get(a).push({ code: b, cost });
+  ADJACENCY.get(b).push({ code: a, cost });
+}
+
+for (const line of LINES) {
+  let previous = null;
+  for (const [code, th, en, aliases = []] of line.stations) {
+    if (!STATIONS.has(code)) {
+      STATIONS.set(code, { code, th, en, aliases: [], lines: [], systems: [], province: 'TH-10' });
+      ADJACENCY.set(code, []);
+    }
+    const station = STATIONS.get(code);
+    station.aliases.push(...aliases);
+    if (!station.lines.includes(line.id)) station.lines.push(line.id);
+    if (!station.systems.includes(line.system)) station.systems.push(line.system);
+
+    if (previous) link(previous, code, 1);
+    previous = code;
+  }
+}
+
+// Changing lines at an interchange does not count as a stop
+for (const [a, b] of TRANSFERS) {
+  link(a, b, 0);
+}
+
+for (const [province, codes] of Object.entries(STATION_PROVINCES)) {
+  for (const code of codes) {
+    STATIONS.get(code).province = province;
+  }
+}
+
+const LINE_BY_ID = new Map(LINES.map(line => [line.id, line]));
+
+// Every searchable name, longest first so "ลาดพร้าว 83" wins over "ลาดพร้าว"
+const NAME_INDEX = (() => {
+  const byName = new Map();
+  for (const station of STATIONS.values()) {
+    const names = [station.th, station.en, ...station.aliases];
+    for (const name of names) {
+      for (const variant of new Set([name, name.replace(/\s+/g, '')])) {
+        if (!byName.has(variant)) byName.set(variant, []);
+        const codes = byName.get(variant);
+        if (!codes.includes(station.code)) codes.push(station.code);
+      }
+    }
+  }
+  return [...byName.entries()]
+    .map(([name, codes]) => ({
+      name,
+      codes,
+      // English names need word boundaries, Thai has no spaces between words
+      regex: /^[\x20-\x7E]+$/.test(name)
+        ? new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi')
+        : null
+    }))
+    .sort((a, b) => b.name.length - a.name.length);
+})();
+
+/**
+ * Find all occurrences of a name in a line of text
+ */
+function findOccurrences(text, entry) {
+  const found = [];
+  if (entry.regex) {
+    entry.regex.lastIndex = 0;
+    let match;
+    while ((match = entry.regex.exec(text)) !== null) {
+      found.push(match.index);
+    }
+  } else {
+    let index = text.indexOf(entry.name);
+    while (index !== -1) {
+      found.push(index);
+      index = text.indexOf(entry.name, index + entry.name.length);
+    }
+  }
+  return found;
+}
+
+/**
+ * Find the system named closest before a position, or anywhere in the line
+ */
+function systemHintAt(text, position) {
+  let best = null;
+  let fallback = null;
+  for (const { system, pattern } of SYSTEM_KEYWORDS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index < position && (!best || match.index > best.index)) {
+        best = { index: match.index, system };
+      }
+      if (!fallback) fallback = system;
+    }
+  }
+  return best ? best.system : fallback;
+}
+
+/**
+ * Blank out road/soi/line names while keeping string positions intact
+ */
+function stripNoise(text) {
+  let cleaned = text;
+  for (const pattern of NOISE_PATTERNS) {
+    cleaned = cleaned.replace(pattern, match => ' '.repeat(match.length));
+  }
+  return cleaned;
+}
+
+/**
+ * Build the public station record for an extracted match
+ */
+function toStationRef(station, system) {
+  const lineId = station.lines.find(id => LINE_BY_ID.get(id).system === system) || station.lines[0];
+  return {
+    line: lineId,
+    station: station.en,
+    stationTh: station.th,
+    code: station.code
+  };
+}
+
+/**
+ * Extract every rail station mentioned in text
+ * Only lines that mention a rail system or "สถานี"/"Station" are searched,
+ * plus list items directly following such a line
+ * @param {string} text - Transportation section, location or any free text
+ * @returns {Array} [{ line, station, stationTh, code }] in order of appearance
+ */
+export function extractStations(text) {
+  if (!text) return [];
+
+  const results = [];
+  const seen = new Set();
+  let inTransitList = false;
+
+  for (const rawLine of text.split('\n')) {
+    const hasContext = TRANSIT_CONTEXT_REGEX.test(rawLine);
+    inTransitList = hasContext || (inTransitList && LIST_ITEM_REGEX.test(rawLine));
+    if (!inTransitList) continue;
+
+    const line = stripNoise(rawLine);
+    const covered = new Array(line.length).fill(false);
+    const matches = [];
+
+    for (const entry of NAME_INDEX) {
+      for (const index of findOccurrences(line, entry)) {
+        const end = index + entry.name.length;
+        if (covered.slice(index, end).some(Boolean)) continue;
+        covered.fill(true, index, end);
+        matches.push({ index, codes: entry.codes });
+      }
+    }
+
+    matches.sort((a, b) => a.index - b.index);
+
+    for (const { index, codes } of matches) {
+      const hint = systemHintAt(rawLine, index);
+      const candidates = codes.map(code => STATIONS.get(code));
+      const station = candidates.find(s => s.systems.includes(hint)) || candidates[0];
+      if (seen.has(station.code)) continue;
+      seen.add(station.code);
+      results.push(toStationRef(station, hint));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Look up a station by code, Thai or English name
+ * @param {string} query - e.g. "E4", "อโศก", "Asok"
+ * @returns {Object|null} Station { code, th, en, lines, systems, province }
+ */
+export function findStation(query) {
+  if (!query) return null;
+
+  const trimmed = query.trim();
+  const byCode = STATIONS.get(trimmed.toUpperCase());
+  if (byCode) return byCode;
+
+  const lower = trimmed.toLowerCase();
+  const entry = NAME_INDEX.find(e => e.name.toLowerCase() === lower);
+  return entry ? STATIONS.get(entry.codes[0]) : null;
+}
+
+/**
+ * Get all stations reachable within a number of stops
+ * Interchanges between lines are free
+ * @param {string} query - Station code or name
+ * @param {number} maxStops - Maximum number of stops
+ * @returns {Map} code -> stops away (the station itself is 0)
+ */
+export function getStationsWithin(query, maxStops) {
+  const start = findStation(query);
+  const distances = new Map();
+  if (!start) return distances;
+
+  distances.set(start.code, 0);
+  const queue = [start.code];
+
+  while (queue.length > 0) {
+    // Pick the closest unprocessed station; the graph is small enough for a linear scan
+    queue.sort((a, b) => distances.get(a) - distances.get(b));
+    const code = queue.shift();
+    const distance = distances.get(code);
+
+    for (const { code: next, cost } of ADJACENCY.get(code)) {
+      const nextDistance = distance + cost;
+      if (nextDistance > maxStops) continue;
+      if (!distances.has(next) || nextDistance < distances.get(next)) {
+        distances.set(next, nextDistance);
+        queue.push(next);
+      }
+    }
+  }
+
+  return distances;
+}
+
+/**
+ * Check if any of a job's stations is within N stops of a station
+ * @param {Array} stations - Job stations from extractStations
+ * @param {string} query - Station code or name, e.g. "Asok"
+ * @param {number} maxStops - Maximum number of stops
+ * @returns {boolean}
+ */
+export function isNearStation(stations, query, maxStops) {
+  if (!stations || stations.length === 0) return false;
+  const nearby = getStationsWithin(query, maxStops);
+  return stations.some(s => nearby.has(s.code));
+}
+
+/**
+ * Get the province code of a station
+ * @param {string} code - Station code
+ * @returns {string|null} ISO 3166-2:TH province code
+ */
+export function getStationProvince(code) {
+  const station = STATIONS.get(code);
+  return station ? station.province : null;
+}
+
+export default extractStations;
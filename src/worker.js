@@ -1,35 +1,132 @@
-import Hero from '@ulixee/hero';
+import { parseSalary } from './utils/salary.js';
+import { parseThaiDate, isThaiDateLine } from './utils/date.js';
+import { normalizeLocation } from './utils/location.js';
+import { extractStations } from './utils/transit.js';
+import { PageNotArchivedError } from './utils/page-archive.js';
+import { createFetcher, isSessionError, HttpStatusError } from './utils/fetchers/index.js';
+import { ParseError } from './utils/retry-policy.js';
+import { RateLimiter, BlockedPageError, looksBlocked } from './utils/rate-limiter.js';
+import { getSiteProfile } from './utils/site-profile.js';
+import { FIELD_SOURCES } from './utils/extraction-health.js';
+
+export const DEFAULT_RECOVERY = {
+  maxConsecutiveErrors: 3, // navigation errors in a row that mean the session is broken
+  maxRestarts: 3,          // restart attempts before the worker gives up
+  restartBackoffMs: 2000,  // doubled after each failed restart
+  recycleAfterJobs: 200,   // fresh session after this many jobs, 0 = never
+  maxReplacements: 3       // workers WorkerPool may replace in one run
+};
+
+// Values extractJobDetails returns when the detail page has no such field
+const PLACEHOLDERS = {
+  title: 'ไม่ระบุตำแหน่ง',
+  company: 'ไม่ระบุบริษัท',
+  location: 'ไม่ระบุสถานที่',
+  salary: 'ไม่ระบุเงินเดือน'
+};
+// Fields without a preview fallback, only counted as filled or not
+const DETAIL_FIELDS = ['postedDate', 'positions', 'benefits', 'contact', 'companyLogo'];
+
+/**
+ * Where each field of a processed job came from, for the extraction health monitor
+ * @param {Object} jobData - From extractJobDetails
+ * @param {Object} job - Queued job with the listing preview data
+ * @returns {Object} field -> 'page' | 'preview' | 'missing'
+ */
+export function fieldSources(jobData, job) {
+  const sources = {};
+  for (const [field, placeholder] of Object.entries(PLACEHOLDERS)) {
+    if (jobData[field] && jobData[field] !== placeholder) {
+      sources[field] = FIELD_SOURCES.PAGE;
+    } else {
+      sources[field] = job[field] && job[field] !== placeholder ? FIELD_SOURCES.PREVIEW : FIELD_SOURCES.MISSING;
+    }
+  }
+  for (const field of DETAIL_FIELDS) {
+    sources[field] = jobData[field] ? FIELD_SOURCES.PAGE : FIELD_SOURCES.MISSING;
+  }
+  return sources;
+}
+
+/**
+ * Whether an error is the site's answer rather than a problem with the session
+ */
+function isSiteError(error) {
+  return error instanceof PageNotArchivedError ||
+    error instanceof HttpStatusError ||
+    error instanceof BlockedPageError;
+}
+
+/**
+ * Build the saved job from the detail page data, falling back to the listing preview
+ * @param {Object} jobData - From extractJobDetails
+ * @param {Object} job - Queued job with the listing preview data (or a saved job, for reextract)
+ * @returns {Object} Job as saved to storage
+ */
+export function mergeJobData(jobData, job) {
+  const location = jobData.location !== PLACEHOLDERS.location ? jobData.location : (job.location || PLACEHOLDERS.location);
+  const salary = jobData.salary !== PLACEHOLDERS.salary ? jobData.salary : (job.salary || PLACEHOLDERS.salary);
+  const postedDate = jobData.postedDate || job.postedDate || '';
+  return {
+    id: job.id,
+    url: job.url,
+    previewText: job.previewText || '',
+    title: jobData.title !== PLACEHOLDERS.title ? jobData.title : (job.title || PLACEHOLDERS.title),
+    company: jobData.company !== PLACEHOLDERS.company ? jobData.company : (job.company || PLACEHOLDERS.company),
+    companyLogo: jobData.companyLogo || '',
+    location: location,
+    locationInfo: normalizeLocation(location, jobData.contact),
+    salary: salary,
+    salaryInfo: parseSalary(salary),
+    positions: jobData.positions || '',
+    companyHistory: jobData.companyHistory || '',
+    benefits: jobData.benefits || '',
+    contact: jobData.contact || '',
+    transportation: jobData.transportation || '',
+    stations: extractStations([jobData.transportationText, location, job.location].filter(Boolean).join('\n')),
+    jobUrl: job.url,
+    postedDate: postedDate,
+    postedAt: parseThaiDate(postedDate) || job.postedAt || null,
+    searches: job.searches || [],
+    scrapedAt: new Date().toISOString()
+  };
+}
 
 /**
  * Worker class for parallel job scraping
- * Each worker has its own Hero browser instance
+ * Each worker has its own page fetcher (and Hero browser instance when it uses one)
  */
 export class Worker {
-  constructor(id, config, queue, fileHandler) {
+  constructor(id, config, queue, fileHandler, archive = null, rateLimiter = null, health = null) {
     this.id = id;
     this.config = config;
     this.queue = queue;
     this.fileHandler = fileHandler;
-    this.hero = null;
+    this.archive = archive;
+    this.rateLimiter = rateLimiter || RateLimiter.fromConfig(config.rateLimit);
+    this.health = health; // ExtractionHealth fed with every processed job
+    this.recovery = { ...DEFAULT_RECOVERY, ...config.recovery };
+    this.fetcher = null;
     this.isRunning = false;
+    this.isBroken = false; // Session could not be restarted, WorkerPool replaces the worker
     this.processedCount = 0;
+    this.sessionJobs = 0;
+    this.consecutiveErrors = 0;
+    this.restartCount = 0;
+    this.currentJob = null;
   }
   
   /**
-   * Initialize the worker's Hero browser instance
+   * Initialize the worker's page fetcher
    */
   async init() {
-    console.log(`🔧 Worker ${this.id}: Initializing Hero browser...`);
-    
-    this.hero = new Hero({
-      connectionToCore: {
-        host: this.config.cloudHost
-      },
-      showChrome: false,
-      userAgent: '~ chrome >= 120'
-    });
+    if (this.archive && this.archive.isReplaying) {
+      console.log(`📼 Worker ${this.id}: Replaying recorded pages, no browser needed`);
+      return;
+    }
     
-    console.log(`✅ Worker ${this.id}: Hero browser ready`);
+    this.fetcher = createFetcher('detail', this.config, `Worker ${this.id}`);
+    await this.fetcher.init();
   }
   
   /**
@@ -55,197 +152,193 @@ export class Worker {
         continue;
       }
       
+      this.currentJob = job;
+      let sessionBroken = false;
       try {
         await this.processJob(job);
         this.queue.complete(job.id);
         this.processedCount++;
+        this.consecutiveErrors = 0;
       } catch (error) {
         console.error(`❌ Worker ${this.id}: Error processing job ${job.id}:`, error.message);
-        this.queue.fail(job.id, error, true); // Retry on failure
+        // The queue's retry policy decides whether and when to try again
+        this.queue.fail(job.id, error);
+        sessionBroken = this.isSessionBroken(error);
+      } finally {
+        this.currentJob = null;
+        this.sessionJobs++;
+      }
+      
+      if (sessionBroken) {
+        if (!await this.restartSession('session is broken')) {
+          this.isBroken = true;
+          break;
+        }
+      } else if (this.hasSession && this.recovery.recycleAfterJobs > 0 &&
+          this.sessionJobs >= this.recovery.recycleAfterJobs) {
+        // A fresh session keeps the browser's memory bounded; a failed recycle is retried later
+        await this.restartSession(`recycling after ${this.sessionJobs} jobs`, 1);
       }
       
       // Random delay between requests
       await this.randomDelay();
     }
     
-    console.log(`🏁 Worker ${this.id}: Finished. Processed ${this.processedCount} jobs.`);
+    this.isRunning = false;
+    console.log(`🏁 Worker ${this.id}: ${this.isBroken ? 'Gave up' : 'Finished'}. Processed ${this.processedCount} jobs.`);
+  }
+  
+  get hasSession() {
+    return !!(this.fetcher && this.fetcher.hasHero);
   }
   
   /**
-   * Process a single job - extract data directly from page using Hero
+   * Whether the fetcher's Hero session needs a restart after this error:
+   * a disconnect, or several navigation errors in a row
+   * @param {Error} error - Error from processJob
+   * @returns {boolean}
+   */
+  isSessionBroken(error) {
+    if (!this.hasSession || isSiteError(error)) return false;
+    
+    this.consecutiveErrors++;
+    return isSessionError(error) || this.consecutiveErrors >= this.recovery.maxConsecutiveErrors;
+  }
+  
+  /**
+   * Close and recreate the fetcher's session, backing off between attempts
+   * @param {string} reason - For the log
+   * @param {number} attempts - Restart attempts
+   * @returns {boolean} True if a new session is ready
+   */
+  async restartSession(reason, attempts = this.recovery.maxRestarts) {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const backoff = this.recovery.restartBackoffMs * 2 ** (attempt - 1);
+      console.log(`♻️  Worker ${this.id}: Restarting session (${reason}), attempt ${attempt}/${attempts} in ${backoff}ms`);
+      await this.delay(backoff);
+      
+      try {
+        await this.fetcher.restart();
+        this.restartCount++;
+        this.sessionJobs = 0;
+        this.consecutiveErrors = 0;
+        console.log(`✅ Worker ${this.id}: New session ready`);
+        return true;
+      } catch (error) {
+        console.error(`⚠️ Worker ${this.id}: Restart failed:`, error.message);
+      }
+    }
+    
+    console.error(`💀 Worker ${this.id}: Could not restart its session`);
+    return false;
+  }
+  
+  /**
+   * Process a single job - extract data from the fetched page
    * @param {Object} job - Job to process
    */
   async processJob(job) {
     console.log(`📋 Worker ${this.id}: Processing job ${job.id}...`);
     
-    // Navigate to job detail page
-    await this.hero.goto(job.url);
-    await this.hero.waitForPaintingStable();
-    
-    // Wait for content to load
-    await this.delay(2000);
-    
-    // Extract job details using Hero directly (works with JS-rendered content)
-    const jobData = await this.extractJobDetails(job.url);
-    
-    // Merge with existing data from list view (use preview data as fallback)
-    const mergedData = {
-      id: job.id,
-      url: job.url,
-      previewText: job.previewText || '',
-      title: jobData.title !== 'ไม่ระบุตำแหน่ง' ? jobData.title : (job.title || 'ไม่ระบุตำแหน่ง'),
-      company: jobData.company !== 'ไม่ระบุบริษัท' ? jobData.company : (job.company || 'ไม่ระบุบริษัท'),
-      companyLogo: jobData.companyLogo || '',
-      location: jobData.location !== 'ไม่ระบุสถานที่' ? jobData.location : (job.location || 'ไม่ระบุสถานที่'),
-      salary: jobData.salary !== 'ไม่ระบุเงินเดือน' ? jobData.salary : (job.salary || 'ไม่ระบุเงินเดือน'),
-      positions: jobData.positions || '',
-      companyHistory: jobData.companyHistory || '',
-      benefits: jobData.benefits || '',
-      contact: jobData.contact || '',
-      transportation: jobData.transportation || '',
-      jobUrl: job.url,
-      postedDate: jobData.postedDate || job.postedDate || '',
-      scrapedAt: new Date().toISOString()
-    };
+    // Load the detail page (from the archive when replaying)
+    const page = await this.fetchDetailPage(job.url);
+    // Only a page without content fails; a missing title falls back to the
+    // selectors and preview data, and the health monitor sees the fallback
+    if (!(page.bodyText || '').trim() || looksBlocked(page)) {
+      throw new ParseError(job.url, 'empty or blocked page');
+    }
+    
+    const jobData = this.extractJobDetails(page, job.url);
+    
+    const mergedData = mergeJobData(jobData, job);
     
     console.log(`✅ Worker ${this.id}: Extracted - ${mergedData.title} @ ${mergedData.company}`);
     
     // Save to file (real-time)
     await this.fileHandler.addJob(mergedData);
+    
+    if (this.health) {
+      this.health.record(job.url, fieldSources(jobData, job));
+    }
   }
   
   /**
-   * Extract job details directly from the page using Hero selectors
+   * Load a job detail page
+   * Uses the detail fetcher (Hero or HTTP) under the shared rate limiter, or reads
+   * the archive in replay mode; stored when recording or when the archive keeps detail pages
+   * @param {string} jobUrl - Job URL
+   * @returns {Object} { html, title, bodyText, selectorText, companyLogo }
    */
-  async extractJobDetails(jobUrl) {
-    const document = this.hero.document;
-    
-    // Extract job title from page title (reliable method)
-    let title = '';
-    let company = '';
-    
-    try {
-      const pageTitle = await this.hero.document.title;
-      // Format: "งาน หางาน สมัครงาน บริษัท XXX | ตำแหน่งงาน - JobThai"
-      const titleMatch = pageTitle.match(/\|\s*(.+?)\s*-\s*JobThai/);
-      if (titleMatch) {
-        title = titleMatch[1].trim();
-      }
-      
-      const companyMatch = pageTitle.match(/บริษัท\s+(.+?)\s*\|/);
-      if (companyMatch) {
-        company = companyMatch[1].trim();
-      }
-    } catch (e) {
-      console.log(`⚠️ Worker ${this.id}: Could not parse page title`);
+  async fetchDetailPage(jobUrl) {
+    if (this.archive && this.archive.isReplaying) {
+      return this.archive.load('detail', jobUrl);
     }
     
-    // Try to extract from page content using various selectors
-    if (!title) {
-      title = await this.extractTextFromSelectors([
-        'h1',
-        '[class*="JobTitle"]',
-        '[class*="job-title"]',
-        '[class*="position"]'
-      ]);
+    const archiving = !!(this.archive && this.archive.savesDetails);
+    const options = { html: archiving, missingFields: page => this.missingFields(page) };
+    const page = await this.rateLimiter.run(() => this.fetcher.fetchDetail(jobUrl, options), jobUrl);
+    if (archiving) {
+      await this.archive.save('detail', jobUrl, page);
     }
+    return page;
+  }
+  
+  /**
+   * Fields the page title and body text do not provide,
+   * so the fetcher looks them up in page elements
+   * @param {Object} page - { title, bodyText }
+   * @returns {Array} Field names
+   */
+  missingFields(page) {
+    const details = this.extractJobDetails(page, '');
+    return Object.keys(PLACEHOLDERS).filter(field => details[field] === PLACEHOLDERS[field]);
+  }
+  
+  /**
+   * Extract job details from a captured page
+   * @param {Object} page - From fetchDetailPage
+   * @param {string} jobUrl - Job URL
+   */
+  extractJobDetails(page, jobUrl) {
+    const selectorText = page.selectorText || {};
     
-    if (!company) {
-      company = await this.extractTextFromSelectors([
-        'a[href*="/company/"]',
-        '[class*="company"]',
-        '[class*="Company"]'
-      ]);
-    }
+    // Extract job title from page title (reliable method)
+    // Format: "งาน หางาน สมัครงาน บริษัท XXX | ตำแหน่งงาน - JobThai"
+    const pageTitle = page.title || '';
+    const patterns = getSiteProfile().detail.pageTitle;
+    const titleMatch = pageTitle.match(patterns.title);
+    const companyMatch = pageTitle.match(patterns.company);
     
-    // Extract other details
-    const location = await this.extractTextFromSelectors([
-      '[class*="location"]',
-      '[class*="Location"]',
-      '[class*="address"]'
-    ]);
-    
-    const salary = await this.extractTextFromSelectors([
-      '[class*="salary"]',
-      '[class*="Salary"]',
-      '[class*="wage"]'
-    ]);
-    
-    // Get full page text for description extraction
-    let extractedSections = {
-      company: '',
-      postedDate: '',
-      title: '',
-      location: '',
-      salary: '',
-      positions: '',
-      companyHistory: '',
-      benefits: '',
-      contact: '',
-      transportation: ''
-    };
-
-    try {
-      const bodyText = await document.body.innerText;
-
-      // Extract sections from body text
-      extractedSections = this.extractSectionsFromText(bodyText);
-    } catch (e) {
-      console.log(`⚠️ Worker ${this.id}: Could not extract body text`);
-    }
+    const title = (titleMatch && titleMatch[1].trim()) || selectorText.title || '';
+    const company = (companyMatch && companyMatch[1].trim()) || selectorText.company || '';
     
-    // Extract company logo
-    let companyLogo = '';
-    try {
-      const logoImg = await document.querySelector('img[class*="logo"], img[class*="company"]');
-      if (logoImg) {
-        companyLogo = await logoImg.src;
-      }
-    } catch (e) {
-      // No logo found
-    }
+    // Extract sections from body text
+    const extractedSections = this.extractSectionsFromText(page.bodyText || '');
     
     return {
       title: extractedSections.title || title || 'ไม่ระบุตำแหน่ง',
       company: extractedSections.company || company || 'ไม่ระบุบริษัท',
-      companyLogo: companyLogo,
-      location: extractedSections.location || location || 'ไม่ระบุสถานที่',
-      salary: extractedSections.salary || salary || 'ไม่ระบุเงินเดือน',
+      companyLogo: page.companyLogo || '',
+      location: extractedSections.location || selectorText.location || 'ไม่ระบุสถานที่',
+      salary: extractedSections.salary || selectorText.salary || 'ไม่ระบุเงินเดือน',
       positions: extractedSections.positions || '',
       companyHistory: extractedSections.companyHistory || '',
       benefits: extractedSections.benefits || '',
       contact: extractedSections.contact || '',
       transportation: extractedSections.transportation || '',
+      transportationText: extractedSections.transportationText || '',
       jobUrl: jobUrl,
       postedDate: extractedSections.postedDate || '',
       scrapedAt: new Date().toISOString()
     };
   }
   
-  /**
-   * Extract text from multiple selectors, return first match
-   */
-  async extractTextFromSelectors(selectors) {
-    for (const selector of selectors) {
-      try {
-        const element = await this.hero.document.querySelector(selector);
-        if (element) {
-          const text = await element.innerText;
-          if (text && text.trim()) {
-            return text.trim();
-          }
-        }
-      } catch (e) {
-        // Continue to next selector
-      }
-    }
-    return '';
-  }
-  
   /**
    * Extract job sections from body text
+   * Section labels and line patterns come from the site profile
    */
   extractSectionsFromText(bodyText) {
+    const { labels, patterns } = getSiteProfile().detail;
 
     const sections = {
       company: '',
@@ -257,14 +350,15 @@ export class Worker {
       companyHistory: '',
       benefits: '',
       contact: '',
-      transportation: ''
+      transportation: '',
+      transportationText: ''
     };
 
     const lines = bodyText.split('\n').map(l => l.trim()).filter(l => l);
 
     // หาชื่อบริษัท (บริษัท ... จำกัด)
     for (let i = 0; i < lines.length; i++) {
-      if (lines[i].match(/^บริษัท\s+.+\s+จำกัด$/)) {
+      if (patterns.company.test(lines[i])) {
         sections.company = lines[i];
         break;
       }
@@ -272,45 +366,46 @@ export class Worker {
 
     // หาวันที่ประกาศ (รูปแบบ: XX ธ.ค. XX)
     for (let i = 0; i < lines.length; i++) {
-      if (lines[i].match(/^\d{1,2}\s+[ก-ฮ]\.[ก-ฮ]\.\s+\d{2}$/)) {
+      if (isThaiDateLine(lines[i])) {
         sections.postedDate = lines[i];
         break;
       }
     }
 
-    // หาตำแหน่งงาน (บรรทัดหลังวันที่ประกาศ และไม่ใช่คำว่า "สถานที่ปฏิบัติงาน" หรือ "เงินเดือน")
-    const dateIndex = lines.findIndex(l => l.match(/^\d{1,2}\s+[ก-ฮ]\.[ก-ฮ]\.\s+\d{2}$/));
+    // หาตำแหน่งงาน (บรรทัดหลังวันที่ประกาศ และไม่ใช่หัวข้ออย่าง "สถานที่ปฏิบัติงาน" หรือ "เงินเดือน")
+    const dateIndex = lines.findIndex(l => isThaiDateLine(l));
     if (dateIndex !== -1 && dateIndex + 1 < lines.length) {
       const titleCandidate = lines[dateIndex + 1];
-      if (titleCandidate && !titleCandidate.includes('สถานที่') && !titleCandidate.includes('เงินเดือน')) {
+      if (titleCandidate && !patterns.notTitle.test(titleCandidate)) {
         sections.title = titleCandidate;
       }
     }
 
     // หาสถานที่ปฏิบัติงาน (หลังคำว่า "สถานที่ปฏิบัติงาน")
-    const locationIndex = lines.findIndex(l => l === 'สถานที่ปฏิบัติงาน');
+    const locationIndex = lines.findIndex(l => l === labels.location);
     if (locationIndex !== -1 && locationIndex + 1 < lines.length) {
       sections.location = lines[locationIndex + 1];
     }
 
     // หาเงินเดือน (หลังคำว่า "เงินเดือน")
-    const salaryIndex = lines.findIndex(l => l === 'เงินเดือน');
+    const salaryIndex = lines.findIndex(l => l === labels.salary);
     if (salaryIndex !== -1 && salaryIndex + 1 < lines.length) {
       sections.salary = lines[salaryIndex + 1];
     }
 
     // หาจำนวนเปิดรับ (หลังคำว่า "อัตรา")
-    const positionsIndex = lines.findIndex(l => l === 'อัตรา');
+    const positionsIndex = lines.findIndex(l => l === labels.positions);
     if (positionsIndex !== -1 && positionsIndex + 1 < lines.length) {
       sections.positions = lines[positionsIndex + 1];
     }
 
     // หาประวัติบริษัท (หาบรรทัดที่เป็นภาษาอังกฤษและมี website)
+    // เริ่มหาหลังวันที่ประกาศ เพราะชื่อบริษัทที่หัวหน้าก็มี Co., Ltd. เช่นกัน
     let companyHistoryLines = [];
     let foundCompanyHistoryStart = false;
-    for (let i = 0; i < lines.length; i++) {
+    for (let i = dateIndex + 1; i < lines.length; i++) {
       // เริ่มต้นเมื่อเจอชื่อบริษัทภาษาอังกฤษ (มี Co., Ltd.)
-      if (lines[i].match(/Co\.,?\s*Ltd\.?/i)) {
+      if (patterns.companyHistoryStart.test(lines[i])) {
         foundCompanyHistoryStart = true;
         companyHistoryLines.push(lines[i]);
         continue;
@@ -318,7 +413,7 @@ export class Worker {
 
       // หาก found แล้วให้เก็บบรรทัดต่อไปจนกว่าจะเจอ "สวัสดิการ"
       if (foundCompanyHistoryStart) {
-        if (lines[i] === 'สวัสดิการ') {
+        if (lines[i] === labels.benefits) {
           break;
         }
         companyHistoryLines.push(lines[i]);
@@ -327,15 +422,15 @@ export class Worker {
     sections.companyHistory = companyHistoryLines.join('\n');
 
     // หาสวัสดิการ (หลังคำว่า "สวัสดิการ")
-    const benefitsIndex = lines.findIndex(l => l === 'สวัสดิการ');
+    const benefitsIndex = lines.findIndex(l => l === labels.benefits);
     if (benefitsIndex !== -1) {
       let benefitsLines = [];
       for (let i = benefitsIndex + 1; i < lines.length; i++) {
-        if (lines[i] === 'ติดต่อ') {
+        if (lines[i] === labels.contact) {
           break;
         }
         // เก็บเฉพาะบรรทัดที่ขึ้นต้นด้วยตัวเลข
-        if (lines[i].match(/^\d+\./)) {
+        if (patterns.benefitItem.test(lines[i])) {
           benefitsLines.push(lines[i]);
         }
       }
@@ -343,11 +438,11 @@ export class Worker {
     }
 
     // หาข้อมูลติดต่อ (หลังคำว่า "ติดต่อ")
-    const contactIndex = lines.findIndex(l => l === 'ติดต่อ');
+    const contactIndex = lines.findIndex(l => l === labels.contact);
     if (contactIndex !== -1) {
       let contactLines = [];
       for (let i = contactIndex; i < lines.length; i++) {
-        if (lines[i] === 'วิธีการเดินทาง') {
+        if (lines[i] === labels.transportation) {
           break;
         }
         contactLines.push(lines[i]);
@@ -356,13 +451,23 @@ export class Worker {
     }
 
     // หาวิธีการเดินทาง (หลังคำว่า "วิธีการเดินทาง")
-    const transportIndex = lines.findIndex(l => l === 'วิธีการเดินทาง');
+    const transportIndex = lines.findIndex(l => l === labels.transportation);
     if (transportIndex !== -1 && transportIndex + 1 < lines.length) {
       const transportLine = lines[transportIndex + 1];
       // เก็บเฉพาะบรรทัดที่มี BTS หรือ MRT
-      if (transportLine.match(/BTS|MRT/)) {
+      if (patterns.transportation.test(transportLine)) {
         sections.transportation = transportLine;
       }
+
+      // เก็บทั้งส่วนวิธีการเดินทางไว้สำหรับดึงรายชื่อสถานี (จนกว่าจะเจอส่วนแผนที่/งานอื่น)
+      const transportLines = [];
+      for (let i = transportIndex + 1; i < lines.length; i++) {
+        if (patterns.transportationEnd.test(lines[i])) {
+          break;
+        }
+        transportLines.push(lines[i]);
+      }
+      sections.transportationText = transportLines.join('\n');
     }
 
     return sections;
@@ -382,13 +487,9 @@ export class Worker {
   async close() {
     this.isRunning = false;
     
-    if (this.hero) {
-      try {
-        await this.hero.close();
-      } catch (error) {
-        console.error(`⚠️ Worker ${this.id}: Error closing Hero:`, error.message);
-      }
-      this.hero = null;
+    if (this.fetcher) {
+      await this.fetcher.close();
+      this.fetcher = null;
     }
     
     console.log(`🔒 Worker ${this.id}: Closed`);
@@ -405,6 +506,9 @@ export class Worker {
    * Wait for random delay between min and max
    */
   async randomDelay() {
+    // Recorded pages need no politeness delay
+    if (this.archive && this.archive.isReplaying) return;
+    
     const { min, max } = this.config.delay;
     const ms = Math.floor(Math.random() * (max - min + 1)) + min;
     await this.delay(ms);
@@ -418,7 +522,12 @@ export class Worker {
       id: this.id,
       isRunning: this.isRunning,
       processedCount: this.processedCount,
-      hasHero: !!this.hero
+      restartCount: this.restartCount,
+      isBroken: this.isBroken,
+      hasHero: this.hasSession,
+      currentJob: this.currentJob
+        ? { id: this.currentJob.id, title: this.currentJob.title || '', startedAt: this.currentJob.startedAt }
+        : null
     };
   }
 }
@@ -428,12 +537,28 @@ export class Worker {
  * Manages multiple workers for parallel processing
  */
 export class WorkerPool {
-  constructor(config, queue, fileHandler) {
+  constructor(config, queue, fileHandler, archive = null, rateLimiter = null, health = null) {
     this.config = config;
     this.queue = queue;
     this.fileHandler = fileHandler;
+    this.archive = archive;
+    // One limiter for all workers, so the request rate does not grow with the worker count
+    this.rateLimiter = rateLimiter || RateLimiter.fromConfig(config.rateLimit);
+    this.health = health;
     this.workers = [];
     this.isRunning = false;
+    this.nextWorkerId = 1;
+    this.replacedCount = 0;
+    this.retiredProcessed = 0; // Jobs done by workers that were replaced
+    this.maxReplacements = { ...DEFAULT_RECOVERY, ...config.recovery }.maxReplacements;
+  }
+  
+  /**
+   * Create a worker with the next free id
+   * @returns {Worker}
+   */
+  createWorker() {
+    return new Worker(this.nextWorkerId++, this.config, this.queue, this.fileHandler, this.archive, this.rateLimiter, this.health);
   }
   
   /**
@@ -444,7 +569,7 @@ export class WorkerPool {
     console.log(`🏭 Initializing worker pool with ${workerCount} workers...`);
     
     for (let i = 1; i <= workerCount; i++) {
-      const worker = new Worker(i, this.config, this.queue, this.fileHandler);
+      const worker = this.createWorker();
       await worker.init();
       this.workers.push(worker);
     }
@@ -462,7 +587,7 @@ export class WorkerPool {
     console.log(`🚀 Starting ${this.workers.length} workers...`);
     
     // Start all workers in parallel
-    const workerPromises = this.workers.map(worker => worker.start());
+    const workerPromises = this.workers.map(worker => this.runWorker(worker));
     
     // Wait for all workers to complete
     await Promise.all(workerPromises);
@@ -471,6 +596,37 @@ export class WorkerPool {
     console.log(`✅ All workers completed`);
   }
   
+  /**
+   * Run a worker, and replace it if it gives up on a broken session
+   * while jobs remain
+   * @param {Worker} worker - Initialized worker
+   */
+  async runWorker(worker) {
+    await worker.start();
+    
+    if (!worker.isBroken || !this.isRunning || this.queue.isDone()) return;
+    
+    await worker.close();
+    this.retiredProcessed += worker.processedCount;
+    if (this.replacedCount >= this.maxReplacements) {
+      console.error(`💀 Worker ${worker.id} failed and the replacement limit (${this.maxReplacements}) is reached`);
+      return;
+    }
+    
+    this.replacedCount++;
+    const replacement = this.createWorker();
+    this.workers[this.workers.indexOf(worker)] = replacement;
+    console.log(`🔁 Replacing worker ${worker.id} with worker ${replacement.id} (${this.replacedCount}/${this.maxReplacements})`);
+    
+    try {
+      await replacement.init();
+    } catch (error) {
+      console.error(`💀 Worker ${replacement.id}: Could not initialize:`, error.message);
+      return;
+    }
+    await this.runWorker(replacement);
+  }
+  
   /**
    * Stop all workers
    */
@@ -501,6 +657,7 @@ export class WorkerPool {
     return {
       isRunning: this.isRunning,
       workerCount: this.workers.length,
+      replacedCount: this.replacedCount,
       workers: this.workers.map(w => w.getStatus())
     };
   }
@@ -509,7 +666,7 @@ export class WorkerPool {
    * Get total processed count across all workers
    */
   getTotalProcessed() {
-    return this.workers.reduce((total, worker) => total + worker.processedCount, 0);
+    return this.workers.reduce((total, worker) => total + worker.processedCount, this.retiredProcessed);
   }
 }
 
@@ -0,0 +1,107 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { FileHandler } from '../src/utils/file-handler.js';
+import { createApiServer } from '../src/api-server.js';
+
+// Jobs as the scraper saved them before salaryInfo, postedAt, locationInfo and stations existed
+const legacyJobs = new URL('./fixtures/legacy-jobs.json', import.meta.url).pathname;
+
+let server;
+let fileHandler;
+let baseUrl;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  fileHandler = new FileHandler(legacyJobs, {}, { readOnly: true });
+  await fileHandler.init();
+  server = createApiServer(fileHandler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  mock.restoreAll();
+  await new Promise(resolve => server.close(resolve));
+  await fileHandler.close();
+});
+
+const get = async (path, headers = {}) => {
+  const res = await fetch(`${baseUrl}${path}`, { headers });
+  return { status: res.status, etag: res.headers.get('etag'), body: res.status === 304 ? null : await res.json() };
+};
+const ids = body => body.data.map(job => job.id);
+
+describe('API over jobs saved without derived fields', () => {
+  test('filters by salary, posted date, province and station', async () => {
+    assert.deepEqual(ids((await get('/jobs?salaryMin=30000')).body), ['1800001', '1800003']);
+    assert.deepEqual(ids((await get('/jobs?postedAfter=2025-12-16')).body), ['1800001', '1800002']);
+    assert.deepEqual(ids((await get('/jobs?location=bangkok')).body), ['1800001', '1800003']);
+    assert.deepEqual(ids((await get('/jobs?location=chonburi')).body), ['1800002']);
+    assert.deepEqual(ids((await get('/jobs?station=Asok')).body), ['1800001']);
+  });
+
+  test('sorts by salary and posted date', async () => {
+    assert.deepEqual(ids((await get('/jobs?sort=-salaryMax')).body), ['1800003', '1800001', '1800002', '1800004']);
+    assert.deepEqual(ids((await get('/jobs?sort=postedAt')).body), ['1800004', '1800003', '1800002', '1800001']);
+  });
+
+  test('fills the fields of a single job', async () => {
+    const { body } = await get('/jobs/1800003');
+
+    assert.equal(body.salaryInfo.min, 40000);
+    assert.equal(body.postedAt, '2025-12-15T00:00:00+07:00');
+    assert.equal(body.locationInfo.province.en, 'Bangkok');
+    assert.deepEqual(body.stations.map(station => station.stationTh), ['ลุมพินี']);
+  });
+
+  test('counts provinces and salaries in /stats and /companies', async () => {
+    const { body } = await get('/stats');
+
+    assert.deepEqual(body.byProvince, { 'กรุงเทพมหานคร': 2, 'ชลบุรี': 1, unknown: 1 });
+    assert.equal(body.salary.withAmount, 2);
+    assert.equal(body.salary.negotiable, 2);
+    assert.equal(body.postedAt.latest, '2025-12-22T00:00:00+07:00');
+
+    const companies = (await get('/companies')).body.data;
+    assert.deepEqual(companies[0], {
+      company: 'บริษัท เอ บี ซี จำกัด',
+      jobs: 2,
+      provinces: ['กรุงเทพมหานคร'],
+      latestPostedAt: '2025-12-22T00:00:00+07:00'
+    });
+  });
+});
+
+describe('API responses', () => {
+  test('answers 304 when the ETag still matches', async () => {
+    const first = await get('/jobs/1800001');
+    assert.ok(first.etag);
+
+    const again = await get('/jobs/1800001', { 'If-None-Match': first.etag });
+    assert.equal(again.status, 304);
+    assert.equal((await get('/jobs/1800002', { 'If-None-Match': first.etag })).status, 200);
+  });
+
+  test('answers 404 for unknown jobs and routes', async () => {
+    const missing = await get('/jobs/999');
+    assert.equal(missing.status, 404);
+    assert.deepEqual(missing.body, { error: 'Job not found' });
+    assert.equal((await get('/nothing')).status, 404);
+  });
+
+  test('answers 400 for invalid parameters and job ids', async () => {
+    const badSort = await get('/jobs?sort=salary');
+    assert.equal(badSort.status, 400);
+    assert.match(badSort.body.error, /"sort" must be one of/);
+
+    assert.equal((await get('/jobs?salaryMin=50000&salaryMax=10000')).status, 400);
+    assert.equal((await get('/jobs?limit=0')).status, 400);
+    assert.deepEqual((await get('/jobs/%E0')).body, { error: 'Invalid job id "%E0"' });
+  });
+
+  test('rejects methods other than GET and HEAD', async () => {
+    const res = await fetch(`${baseUrl}/jobs`, { method: 'POST' });
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.get('allow'), 'GET, HEAD');
+  });
+});
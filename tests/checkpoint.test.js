@@ -0,0 +1,85 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Checkpoint } from '../src/utils/checkpoint.js';
+import { JobQueue } from '../src/queue.js';
+import { RetryPolicy } from '../src/utils/retry-policy.js';
+
+const job = id => ({ id, url: `https://www.jobthai.com/th/job/${id}`, title: `งาน ${id}` });
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-checkpoint-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Queue caught mid-run: one job each completed, failed, waiting out a backoff,
+ * in progress and not started yet
+ */
+function interruptedQueue() {
+  const queue = new JobQueue({ retryPolicy: new RetryPolicy({ retryAttempts: 1, baseDelayMs: 60000 }) });
+  queue.addBulk(['1', '2', '3', '4', '5'].map(job));
+
+  queue.complete(queue.getNext().id);
+  queue.fail(queue.getNext().id, new Error('HTTP 404'), false);
+  queue.fail(queue.getNext().id, new Error('Navigation timeout'));
+  queue.getNext(); // 4 is still loading when the run stops
+  return queue;
+}
+
+describe('Checkpoint', () => {
+  test('derives its path from the output file', () => {
+    assert.equal(Checkpoint.pathFor('./output/jobs.json'), './output/jobs.checkpoint.json');
+    assert.equal(Checkpoint.pathFor('./output/jobs'), './output/jobs.checkpoint.json');
+  });
+
+  test('round-trips JobQueue state for --resume', () => {
+    const queue = interruptedQueue();
+    const checkpoint = new Checkpoint(path.join(dir, 'run', 'jobs.checkpoint.json'));
+    checkpoint.save({ queue: queue.toJSON() });
+    queue.cancelRetries();
+
+    const state = checkpoint.load();
+    assert.ok(state.savedAt);
+    assert.equal(fs.existsSync(`${checkpoint.checkpointPath}.tmp`), false);
+
+    const resumed = new JobQueue();
+    const stats = resumed.restore(state.queue);
+    assert.deepEqual({ pending: stats.pending, processing: stats.processing, completed: stats.completed, failed: stats.failed },
+      { pending: 3, processing: 0, completed: 1, failed: 1 });
+
+    // The interrupted job goes first without losing an attempt, then the backoff, then the rest
+    const order = [];
+    let next;
+    while ((next = resumed.getNext())) order.push([next.id, next.attempts]);
+    assert.deepEqual(order, [['4', 1], ['3', 2], ['5', 1]]);
+
+    assert.deepEqual(resumed.completed, [{ id: '1', url: job('1').url }]);
+    assert.equal(resumed.failed[0].error, 'HTTP 404');
+    assert.equal(resumed.exists('1'), true);
+  });
+
+  test('treats an unreadable checkpoint as missing', () => {
+    mock.method(console, 'error', () => {});
+    const checkpoint = new Checkpoint(path.join(dir, 'broken.checkpoint.json'));
+    fs.writeFileSync(checkpoint.checkpointPath, '{"queue": ');
+
+    assert.equal(checkpoint.load(), null);
+    mock.restoreAll();
+  });
+
+  test('clear removes the file after a clean finish', () => {
+    const checkpoint = new Checkpoint(path.join(dir, 'done.checkpoint.json'));
+    checkpoint.save({ queue: new JobQueue().toJSON() });
+    assert.equal(checkpoint.exists(), true);
+
+    checkpoint.clear();
+    assert.equal(checkpoint.exists(), false);
+    assert.equal(checkpoint.load(), null);
+  });
+});
@@ -0,0 +1,86 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { run, parseCommandLine, toOverrides, UsageError } from '../src/cli.js';
+import { DEFAULT_CONFIG } from '../src/utils/config.js';
+import { EXIT_CODES } from '../src/utils/exit-codes.js';
+
+let dir;
+let configPath;
+
+before(() => {
+  // Jobs as the scraper saved them before salaryInfo, postedAt, locationInfo and stations existed
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-cli-'));
+  fs.copyFileSync(new URL('./fixtures/legacy-jobs.json', import.meta.url), path.join(dir, 'jobs.json'));
+  configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ ...DEFAULT_CONFIG, output: path.join(dir, 'jobs.json') }));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Run a command and collect what it prints
+ */
+async function runCli(argv) {
+  const lines = [];
+  mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+  try {
+    const code = await run(argv);
+    return { code, output: lines.join('\n') };
+  } finally {
+    mock.restoreAll();
+  }
+}
+
+describe('parseCommandLine', () => {
+  test('defaults to scrape and maps flags to config overrides', () => {
+    const { command, values } = parseCommandLine(['--keyword', 'ไอที', '-w', '4', '--max-pages', '10']);
+    const overrides = toOverrides(values);
+
+    assert.equal(command, 'scrape');
+    assert.equal(overrides.keyword, 'ไอที');
+    assert.equal(overrides.workers, 4);
+    assert.equal(overrides.maxPages, 10);
+  });
+
+  test('rejects unknown commands, unsupported options and bad values', () => {
+    assert.throws(() => parseCommandLine(['crawl']), UsageError);
+    assert.throws(() => parseCommandLine(['stats', '--workers', '2']), /not supported by "stats": --workers/);
+    assert.throws(() => parseCommandLine(['--keyword', 'a', '--url', 'b']), /Use only one of --keyword, --url/);
+    assert.throws(() => toOverrides(parseCommandLine(['-w', '0']).values), /--workers must be an integer >= 1/);
+  });
+});
+
+describe('stats', () => {
+  test('fills salary and location stats of jobs saved without derived fields', async () => {
+    const { code, output } = await runCli(['stats', '--config', configPath, '--json']);
+    const stats = JSON.parse(output);
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(stats.totalJobs, 4);
+    assert.deepEqual(stats.byProvince, { 'กรุงเทพมหานคร': 2, 'ชลบุรี': 1, unknown: 1 });
+    assert.deepEqual(stats.salary, { withAmount: 2, negotiable: 2, byPeriod: { month: 2 }, medianMonthlyMin: 32500 });
+    assert.equal(stats.postedAt.earliest, '2025-12-10T00:00:00+07:00');
+    assert.equal(stats.lastRun, null);
+  });
+
+  test('prints a readable summary', async () => {
+    const { output } = await runCli(['stats', '--config', configPath]);
+
+    assert.match(output, /Jobs: 4/);
+    assert.match(output, /With salary amount: 2 \(negotiable: 2\)/);
+    assert.match(output, /กรุงเทพมหานคร: 2/);
+  });
+});
+
+describe('export', () => {
+  test('reads the jobs of -o like the other commands', async () => {
+    const out = path.join(dir, 'jobs.csv');
+    const { code } = await runCli(['export', '--config', configPath, '-o', path.join(dir, 'jobs.json'), '--out', out, '-c', 'id,province']);
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(fs.readFileSync(out, 'utf8'), /1800002,ชลบุรี/);
+  });
+});
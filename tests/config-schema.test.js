@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig, closestMatch } from '../src/utils/config-schema.js';
+import { DEFAULT_CONFIG, ConfigError, assertValidConfig, applyOverrides } from '../src/utils/config.js';
+
+const config = overrides => ({ ...structuredClone(DEFAULT_CONFIG), ...overrides });
+const byPath = problems => Object.fromEntries(problems.map(p => [p.path, p.suggestion]));
+
+describe('validateConfig', () => {
+  test('accepts the default config', () => {
+    assert.deepEqual(validateConfig(config()), { errors: [], warnings: [] });
+  });
+
+  test('reports every problem at once with a suggestion', () => {
+    const { errors, warnings } = validateConfig(config({
+      searchMode: 'keywrod',
+      workers: '5',
+      baseUrl: 'www.jobthai.com',
+      delay: { min: 3000, max: 1000 },
+      wokers: 3
+    }));
+
+    assert.deepEqual(byPath(errors), {
+      searchMode: 'did you mean "keyword"?',
+      workers: 'remove the quotes: "workers": 5',
+      baseUrl: 'use "https://www.jobthai.com"',
+      delay: 'swap them: "delay": { "min": 1000, "max": 3000 }'
+    });
+    assert.deepEqual(byPath(warnings), { wokers: 'did you mean "workers"?' });
+  });
+
+  test('requires the target of the search mode', () => {
+    const { errors } = validateConfig(config({ searchMode: 'bts_mrt', bts_mrt: '' }));
+    assert.deepEqual(errors, [{
+      path: 'bts_mrt',
+      message: 'is required when searchMode is "bts_mrt"',
+      suggestion: 'set "bts_mrt" or change "searchMode" to another mode'
+    }]);
+  });
+
+  test('accepts searches instead of a top-level searchMode and checks each entry', () => {
+    const base = config();
+    delete base.searchMode;
+
+    assert.deepEqual(byPath(validateConfig(base).errors), { searchMode: 'or list the searches to run in "searches"' });
+    assert.deepEqual(validateConfig({ ...base, searches: [{ searchMode: 'keyword', keyword: 'ไอที' }] }).errors, []);
+
+    const { errors } = validateConfig({ ...base, searches: [{ searchMode: 'keyword', keyword: 'ไอที' }, { searchMode: 'bts-mrt' }] });
+    assert.deepEqual(byPath(errors), { 'searches[1].searchMode': 'did you mean "bts_mrt"?' });
+  });
+
+  test('rejects values out of range or in the wrong format', () => {
+    const { errors } = validateConfig(config({ workers: 0, output: './output/jobs.csv', cloudHost: 'localhost:1818' }));
+    assert.deepEqual(errors.map(p => p.path), ['workers', 'output', 'cloudHost']);
+    assert.match(errors[0].message, /must be >= 1, got 0/);
+  });
+
+  test('rejects a config that is not an object', () => {
+    assert.deepEqual(validateConfig([]).errors.map(p => p.path), ['(root)']);
+  });
+});
+
+describe('assertValidConfig', () => {
+  test('throws a ConfigError listing every problem with its suggestion', () => {
+    assert.throws(() => assertValidConfig(config({ searchMode: 'keywrod', workers: '5' })), error => {
+      assert.ok(error instanceof ConfigError);
+      assert.equal(error.errors.length, 2);
+      assert.match(error.message, /Invalid configuration \(2 problems\)/);
+      assert.match(error.message, /💡 did you mean "keyword"\?/);
+      return true;
+    });
+  });
+});
+
+describe('applyOverrides', () => {
+  test('a search flag replaces the searches list and switches the mode', () => {
+    const overridden = applyOverrides(config({ searches: [{ searchMode: 'keyword', keyword: 'ไอที' }] }), { btsMrt: 'BTS-สายสีลม', workers: 2 });
+
+    assert.equal(overridden.searches, undefined);
+    assert.equal(overridden.searchMode, 'bts_mrt');
+    assert.equal(overridden.bts_mrt, 'BTS-สายสีลม');
+    assert.equal(overridden.workers, 2);
+  });
+});
+
+describe('closestMatch', () => {
+  test('suggests only close candidates', () => {
+    assert.equal(closestMatch('sqlit', ['json', 'sqlite']), 'sqlite');
+    assert.equal(closestMatch('postgres', ['json', 'sqlite']), null);
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { Dashboard } from '../src/dashboard.js';
+import { JobQueue, PageQueue } from '../src/queue.js';
+
+const job = id => ({ id, url: `https://www.jobthai.com/th/job/${id}`, title: `งาน ${id}` });
+
+let dashboard;
+let jobQueue;
+let pageQueue;
+let fileHandler;
+let baseUrl;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  jobQueue = new JobQueue();
+  pageQueue = new PageQueue();
+  // Stands in for FileHandler: emits job:saved and counts saved jobs
+  fileHandler = Object.assign(new EventEmitter(), { saved: 0, getCount() { return this.saved; } });
+
+  dashboard = new Dashboard({ jobQueue, pageQueue, fileHandler });
+  await dashboard.start(0, '127.0.0.1');
+  baseUrl = `http://127.0.0.1:${dashboard.server.address().port}`;
+});
+
+after(async () => {
+  await dashboard.stop();
+  mock.restoreAll();
+});
+
+/**
+ * Read Server-Sent Events until `done` returns true for the events so far
+ */
+async function readEvents(body, done) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  while (!done(events)) {
+    const { value, done: ended } = await reader.read();
+    if (ended) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = block.match(/^event: (.+)$/m);
+      const data = block.match(/^data: (.+)$/m);
+      if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+    }
+  }
+  reader.releaseLock();
+  return events;
+}
+
+describe('Dashboard', () => {
+  test('serves the page and a JSON status snapshot', async () => {
+    const page = await fetch(`${baseUrl}/`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<html/i);
+
+    const status = await (await fetch(`${baseUrl}/status`)).json();
+    assert.equal(status.phase, 'starting');
+    assert.equal(status.savedJobs, 0);
+    assert.equal(status.queue.pending, 0);
+
+    assert.equal((await fetch(`${baseUrl}/missing`)).status, 404);
+  });
+
+  test('streams queue, page and storage events to connected browsers', async () => {
+    const res = await fetch(`${baseUrl}/events`);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    const [initial] = await readEvents(res.body, events => events.length > 0);
+    assert.equal(initial.event, 'status');
+
+    pageQueue.addPage(1, `${baseUrl}/th/jobs`);
+    pageQueue.getNextPage();
+    pageQueue.completePage(2, 1);
+    jobQueue.addBulk([job('1'), job('2')]);
+    jobQueue.complete(jobQueue.getNext().id);
+    fileHandler.saved++;
+    fileHandler.emit('job:saved', job('1'));
+
+    // The periodic status snapshot may arrive in between
+    const events = (await readEvents(res.body, seen => seen.some(e => e.event === 'job:saved')))
+      .filter(e => e.event !== 'status');
+    assert.deepEqual(events.map(e => e.event), ['page:completed', 'job:started', 'job:completed', 'job:saved']);
+    assert.equal(events[3].data.title, 'งาน 1');
+
+    const status = dashboard.getStatus();
+    assert.equal(status.phase, 'details');
+    assert.deepEqual(status.pages, { completed: 1, total: 0, jobsFound: 2 });
+    assert.equal(status.queue.completed, 1);
+    assert.equal(status.savedJobs, 1);
+    assert.deepEqual(status.recentJobs.map(saved => saved.id), ['1']);
+
+    await res.body.cancel();
+  });
+
+  test('keeps the latest failures with their error', () => {
+    jobQueue.fail(jobQueue.getNext().id, new Error('HTTP 404'), false);
+
+    const [failure] = dashboard.getStatus().failures;
+    assert.equal(failure.id, '2');
+    assert.equal(failure.error, 'HTTP 404');
+  });
+});
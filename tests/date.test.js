@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseThaiDate, resolveYear, isThaiDateLine, getAgeInDays } from '../src/utils/date.js';
+
+// 10:00 on 22 Dec 2025 in Bangkok
+const now = new Date('2025-12-22T03:00:00Z');
+
+describe('parseThaiDate', () => {
+  test('reads abbreviated and full Thai month names in Buddhist era', () => {
+    assert.equal(parseThaiDate('22 ธ.ค. 68', now), '2025-12-22T00:00:00+07:00');
+    assert.equal(parseThaiDate('5 มีนาคม 2568', now), '2025-03-05T00:00:00+07:00');
+    assert.equal(parseThaiDate('๑ ม.ค. ๖๙', now), '2026-01-01T00:00:00+07:00');
+    assert.equal(parseThaiDate('ประกาศเมื่อ 3 ก.ย. 2025', now), '2025-09-03T00:00:00+07:00');
+  });
+
+  test('counts relative dates back from Bangkok today', () => {
+    assert.equal(parseThaiDate('วันนี้', now), '2025-12-22T00:00:00+07:00');
+    assert.equal(parseThaiDate('เมื่อวาน', now), '2025-12-21T00:00:00+07:00');
+    assert.equal(parseThaiDate('3 วันที่แล้ว', now), '2025-12-19T00:00:00+07:00');
+    assert.equal(parseThaiDate('2 สัปดาห์ที่แล้ว', now), '2025-12-08T00:00:00+07:00');
+    assert.equal(parseThaiDate('5 ชั่วโมงที่แล้ว', now), '2025-12-22T00:00:00+07:00');
+
+    // 23:30 on 31 Dec UTC is already 1 Jan in Bangkok
+    assert.equal(parseThaiDate('วันนี้', new Date('2025-12-31T23:30:00Z')), '2026-01-01T00:00:00+07:00');
+  });
+
+  test('rejects dates that do not exist', () => {
+    assert.equal(parseThaiDate('31 ก.พ. 69', now), null);
+    assert.equal(parseThaiDate('31 เม.ย. 68', now), null);
+    assert.equal(parseThaiDate('0 ม.ค. 68', now), null);
+    assert.equal(parseThaiDate('29 ก.พ. 68', now), null);
+    assert.equal(parseThaiDate('29 ก.พ. 67', now), '2024-02-29T00:00:00+07:00');
+  });
+
+  test('returns null for text without a date', () => {
+    assert.equal(parseThaiDate('', now), null);
+    assert.equal(parseThaiDate(undefined, now), null);
+    assert.equal(parseThaiDate('ด่วน', now), null);
+  });
+});
+
+describe('resolveYear', () => {
+  test('picks the century of two-digit Buddhist years', () => {
+    assert.equal(resolveYear('68', 2025), 2025);
+    assert.equal(resolveYear('69', 2025), 2026);
+    assert.equal(resolveYear('99', 2025), 1956);
+    assert.equal(resolveYear('2568', 2025), 2025);
+    assert.equal(resolveYear('2025', 2025), 2025);
+  });
+});
+
+describe('isThaiDateLine', () => {
+  test('matches lines that are only a date', () => {
+    assert.equal(isThaiDateLine(' 22 ธ.ค. 68 '), true);
+    assert.equal(isThaiDateLine('ประกาศ 22 ธ.ค. 68'), false);
+  });
+});
+
+describe('getAgeInDays', () => {
+  test('counts whole days since the posted date', () => {
+    assert.equal(getAgeInDays('2025-12-19T00:00:00+07:00', now), 3);
+    assert.equal(getAgeInDays('not a date', now), null);
+    assert.equal(getAgeInDays(null, now), null);
+  });
+});
@@ -0,0 +1,90 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DeadLetterFile } from '../src/utils/dead-letter.js';
+import { JobQueue } from '../src/queue.js';
+import { RetryPolicy } from '../src/utils/retry-policy.js';
+
+let tmpDir;
+let filePath;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-dead-letter-'));
+  filePath = path.join(tmpDir, 'jobs.failed.json');
+});
+
+afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Run a job through a queue until it runs out of retries, like a worker would
+function failedJob(id, message = 'HTTP 500') {
+  const queue = new JobQueue({ retryPolicy: new RetryPolicy({ retryAttempts: 2, baseDelayMs: 0 }) });
+  let failed = null;
+  queue.on('job:failed', job => { failed = job; });
+  queue.add({ id, url: `https://www.jobthai.com/th/job/${id}`, title: 'โปรแกรมเมอร์' });
+  while (!failed) {
+    queue.fail(queue.getNext().id, new Error(message), true);
+  }
+  return failed;
+}
+
+describe('DeadLetterFile', () => {
+  test('derives its path from the output file', () => {
+    assert.equal(DeadLetterFile.pathFor('./output/jobs.json'), './output/jobs.failed.json');
+    assert.equal(DeadLetterFile.pathFor('./output/jobs'), './output/jobs.failed.json');
+  });
+
+  test('persists failed jobs with their error, attempts and timestamps', () => {
+    new DeadLetterFile(filePath).add(failedJob('1'));
+
+    const [entry] = new DeadLetterFile(filePath).load();
+    assert.equal(entry.id, '1');
+    assert.equal(entry.title, 'โปรแกรมเมอร์');
+    assert.equal(entry.error, 'HTTP 500');
+    assert.equal(entry.attempts, 3);
+    assert.match(entry.failedAt, /^\d{4}-\d{2}-\d{2}T/);
+    assert.match(entry.addedAt, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(entry.startedAt, undefined);
+  });
+
+  test('keeps the first failure when a job fails again', () => {
+    const deadLetter = new DeadLetterFile(filePath);
+    deadLetter.add({ ...failedJob('1'), failedAt: Date.parse('2025-12-01T00:00:00Z') });
+    deadLetter.add(failedJob('1', 'Timeout'));
+
+    const [entry] = new DeadLetterFile(filePath).load();
+    assert.equal(entry.error, 'Timeout');
+    assert.equal(entry.firstFailedAt, '2025-12-01T00:00:00.000Z');
+    assert.equal(entry.totalAttempts, 6);
+  });
+
+  test('removes jobs that succeed and deletes the empty file', () => {
+    const deadLetter = new DeadLetterFile(filePath);
+    deadLetter.add(failedJob('1'));
+    deadLetter.add(failedJob('2'));
+
+    assert.equal(deadLetter.remove(['1', '3']), 1);
+    assert.deepEqual(new DeadLetterFile(filePath).load().map(entry => entry.id), ['2']);
+
+    deadLetter.remove(['2']);
+    assert.equal(fs.existsSync(filePath), false);
+  });
+
+  test('gives back queue jobs without the failure details', () => {
+    new DeadLetterFile(filePath).add(failedJob('1'));
+    const [job] = new DeadLetterFile(filePath).toQueueJobs();
+
+    assert.deepEqual(job, { id: '1', url: 'https://www.jobthai.com/th/job/1', title: 'โปรแกรมเมอร์' });
+
+    const queue = new JobQueue();
+    queue.add(job);
+    assert.equal(queue.getNext().attempts, 1);
+  });
+
+  test('treats a missing file as empty', () => {
+    const deadLetter = new DeadLetterFile(filePath);
+    assert.equal(deadLetter.count, 0);
+    assert.deepEqual(deadLetter.toQueueJobs(), []);
+  });
+});
@@ -0,0 +1,376 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockJobThaiSite, generateJobs } from './mock-site/server.js';
+import { DEFAULT_CONFIG } from '../src/utils/config.js';
+import { JobThaiScraper } from '../src/scraper.js';
+
+// Runs the whole two-phase flow against the mock site. Plain HTTP needs nothing else;
+// Hero needs a running Ulixee Cloud, so it is opt-in:
+// JOBTHAI_E2E=1 npm test (or JOBTHAI_E2E=ws://host:port)
+const cloudHost = process.env.JOBTHAI_E2E;
+const skipHero = cloudHost ? false : 'set JOBTHAI_E2E=1 with Ulixee Cloud running (npm run cloud)';
+
+const jobs = generateJobs(45);
+const site = new MockJobThaiSite({ jobs });
+let baseUrl;
+let tmpDir;
+
+before(async () => {
+  // The scraper's progress log would drown the test report
+  mock.method(console, 'log', () => {});
+  baseUrl = await site.start();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-e2e-'));
+});
+
+after(async () => {
+  mock.restoreAll();
+  await site.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function configFor(name, overrides = {}) {
+  return {
+    ...DEFAULT_CONFIG,
+    baseUrl,
+    searchMode: 'keyword',
+    keyword: 'ไอที',
+    workers: 2,
+    delay: { min: 0, max: 0 },
+    rateLimit: { requestsPerMinute: 0 },
+    retry: { baseDelayMs: 20, maxDelayMs: 100, jitter: 0.5 },
+    output: path.join(tmpDir, `${name}.json`),
+    ...(cloudHost && cloudHost.startsWith('ws') ? { cloudHost } : {}),
+    ...overrides
+  };
+}
+
+async function scrape(name, overrides = {}, { retryFailed = false, resume = false } = {}) {
+  const config = configFor(name, overrides);
+  const scraper = new JobThaiScraper(config);
+  try {
+    await scraper.init({ listing: !retryFailed });
+    const stats = retryFailed ? await scraper.retryFailed() : await scraper.start({ resume });
+    return { stats, scraper, config };
+  } finally {
+    await scraper.close();
+  }
+}
+
+const savedJobs = config => JSON.parse(fs.readFileSync(config.output, 'utf8')).jobs;
+
+const HTTP_ONLY = { fetcher: { listing: 'http', detail: 'http', fallback: false, timeout: 1000 } };
+
+describe('JobThaiScraper over plain HTTP against the mock site', () => {
+  test('lists every page and saves every job', async () => {
+    const { stats, scraper, config } = await scrape('http-all', HTTP_ONLY);
+
+    assert.equal(stats.completed, jobs.length);
+    assert.equal(stats.failed, 0);
+
+    const byId = Object.fromEntries(savedJobs(config).map(job => [job.id, job]));
+    assert.equal(Object.keys(byId).length, jobs.length);
+    for (const job of jobs) {
+      assert.equal(byId[job.id].title, job.title);
+      assert.equal(byId[job.id].company, job.company);
+      assert.equal(byId[job.id].salary, job.salary);
+      assert.deepEqual(byId[job.id].searches, ['ไอที']);
+    }
+    assert.equal(scraper.checkpoint.load(), null);
+  });
+
+  test('runs several searches with one worker pool and scrapes shared jobs once', async () => {
+    const searches = [
+      { searchMode: 'keyword', keyword: 'ไอที' },
+      { name: 'สีลม', searchMode: 'bts_mrt', bts_mrt: 'BTS-สายสีลม', maxPages: 1 }
+    ];
+    const hits = site.requests.length;
+    const { stats, config } = await scrape('http-searches', { ...HTTP_ONLY, searches });
+    const requests = site.requests.slice(hits);
+
+    assert.equal(stats.completed, jobs.length);
+    assert.equal(requests.filter(request => request.pathname.startsWith('/th/job/')).length, jobs.length);
+    assert.equal(requests.filter(request => request.pathname === '/หางาน/BTS-สายสีลม').length, 1);
+
+    // The second search only listed its first page
+    const onFirstPage = new Set(jobs.slice(0, site.pageSize).map(job => job.id));
+    for (const job of savedJobs(config)) {
+      assert.deepEqual(job.searches, onFirstPage.has(job.id) ? ['ไอที', 'สีลม'] : ['ไอที'], job.id);
+    }
+  });
+
+  test('replays a recorded run without loading any page', async () => {
+    const dir = path.join(tmpDir, 'pages');
+    const recorded = await scrape('http-record', { ...HTTP_ONLY, archive: { mode: 'record', dir } });
+
+    const hits = site.requests.length;
+    const replayed = await scrape('http-replay', { ...HTTP_ONLY, archive: { mode: 'replay', dir } });
+
+    assert.equal(site.requests.length, hits);
+    assert.equal(replayed.stats.completed, jobs.length);
+    // Two workers may save jobs in a different order
+    const withoutScrapedAt = config => savedJobs(config)
+      .map(({ scrapedAt, ...job }) => job)
+      .sort((a, b) => a.id.localeCompare(b.id));
+    assert.deepEqual(withoutScrapedAt(replayed.config), withoutScrapedAt(recorded.config));
+  });
+
+  test('closes SQLite storage after the dashboard sends its last status', async () => {
+    const dashboard = { enabled: true, port: 0, host: '127.0.0.1' };
+    const config = configFor('http-dashboard', { ...HTTP_ONLY, storage: { type: 'sqlite' }, dashboard });
+    const scraper = new JobThaiScraper(config);
+    await scraper.init();
+    await scraper.start();
+
+    const { server } = scraper.dashboard;
+    const events = await fetch(`http://127.0.0.1:${server.address().port}/events`);
+    try {
+      await scraper.close();
+    } finally {
+      // Left open when close() fails part way
+      server.closeAllConnections();
+      server.close();
+    }
+
+    const statuses = (await events.text()).split('\n')
+      .filter(line => line.startsWith('data: '))
+      .map(line => JSON.parse(line.slice('data: '.length)));
+    assert.equal(statuses.at(-1).savedJobs, jobs.length);
+  });
+
+  test('scrapes job details while listing is still loading pages', async () => {
+    // Page 2 answers late, so page 3 is only requested after that wait
+    site.failures = { 'page:2': { type: 'slow', ms: 800, times: 1 } };
+    site.failureCounts = {};
+
+    try {
+      const hits = site.requests.length;
+      const { stats } = await scrape('http-pipeline', HTTP_ONLY);
+      const requests = site.requests.slice(hits);
+      const lastPage = requests.findIndex(request => request.search.includes('page=3'));
+      const detailsBefore = requests.slice(0, lastPage).filter(request => request.pathname.startsWith('/th/job/'));
+
+      assert.equal(stats.completed, jobs.length);
+      assert.ok(detailsBefore.length > 0, 'workers started before listing reached the last page');
+    } finally {
+      site.failures = {};
+    }
+  });
+
+  test('retries detail pages that fail or time out and keeps the failures for retry-failed', async () => {
+    const [flaky, slow, broken] = jobs;
+    site.failures = {
+      [`job:${flaky.id}`]: { type: 'error', times: 1 },
+      [`job:${slow.id}`]: { type: 'timeout', times: 1 },
+      [`job:${broken.id}`]: { type: 'error' }
+    };
+    site.failureCounts = {};
+
+    try {
+      const { stats, scraper, config } = await scrape('http-failures', { ...HTTP_ONLY, maxPages: 1 });
+
+      assert.equal(stats.completed, 19);
+      assert.equal(stats.failed, 1);
+      assert.ok(savedJobs(config).some(job => job.id === flaky.id));
+      assert.ok(savedJobs(config).some(job => job.id === slow.id));
+
+      // The failed job goes to the dead-letter file, the finished run needs no checkpoint
+      const [failed] = scraper.deadLetter.load();
+      assert.equal(scraper.deadLetter.count, 1);
+      assert.equal(failed.id, broken.id);
+      assert.equal(failed.attempts, 4); // First try and retryAttempts (3) retries
+      assert.equal(failed.errorClass, 'error');
+      assert.match(failed.error, /HTTP 500/);
+      assert.ok(failed.failedAt);
+      assert.equal(scraper.checkpoint.load(), null);
+    } finally {
+      site.failures = {};
+    }
+
+    // retry-failed loads only that job and empties the dead-letter file
+    const hits = site.requests.length;
+    const { stats, scraper, config } = await scrape('http-failures', { ...HTTP_ONLY, maxPages: 1 }, { retryFailed: true });
+
+    assert.equal(stats.completed, 1);
+    assert.deepEqual(site.requests.slice(hits).map(request => request.pathname), [`/th/job/${broken.id}`]);
+    assert.ok(savedJobs(config).some(job => job.id === broken.id));
+    assert.equal(scraper.deadLetter.exists(), false);
+  });
+
+  test('gives up on removed jobs at once and retries empty pages once', async () => {
+    const [removed, blank, empty] = jobs;
+    site.failures = {
+      [`job:${removed.id}`]: { type: 'missing' },
+      [`job:${blank.id}`]: { type: 'empty', times: 1 },
+      [`job:${empty.id}`]: { type: 'empty' }
+    };
+    site.failureCounts = {};
+
+    try {
+      const { stats, scraper } = await scrape('http-classes', { ...HTTP_ONLY, maxPages: 1 });
+
+      assert.equal(stats.completed, 18);
+      assert.equal(site.failureCounts[`job:${removed.id}`], 1);
+      assert.equal(site.failureCounts[`job:${empty.id}`], 2);
+
+      const byId = Object.fromEntries(scraper.deadLetter.load().map(entry => [entry.id, entry]));
+      assert.equal(byId[removed.id].errorClass, 'not-found');
+      assert.equal(byId[empty.id].errorClass, 'parse');
+      assert.equal(byId[blank.id], undefined);
+    } finally {
+      site.failures = {};
+    }
+  });
+
+  test('stops listing at a page that keeps failing and resumes there', async () => {
+    site.failures = { 'page:2': { type: 'error' } };
+    site.failureCounts = {};
+    const overrides = { ...HTTP_ONLY, retryAttempts: 1 };
+
+    try {
+      const { stats, scraper } = await scrape('http-listing', overrides);
+
+      assert.equal(site.failureCounts['page:2'], 2);
+      assert.equal(stats.completed, 20);
+      assert.equal(stats.listingIncomplete, true);
+      assert.equal(scraper.checkpoint.load().listing.pageNum, 2);
+    } finally {
+      site.failures = {};
+    }
+
+    const { stats, scraper, config } = await scrape('http-listing', overrides, { resume: true });
+
+    assert.equal(stats.listingIncomplete, undefined);
+    assert.equal(savedJobs(config).length, jobs.length);
+    assert.equal(scraper.checkpoint.load(), null);
+  });
+
+  test('stops when a stale site profile makes salaries fall back to the preview, and resumes once fixed', async () => {
+    const staleProfile = path.join(tmpDir, 'stale-profile.json');
+    fs.writeFileSync(staleProfile, JSON.stringify({ version: 1, detail: { labels: { salary: 'ค่าตอบแทน' } } }));
+    const health = { window: 6, minSamples: 6, action: 'stop' };
+    const overrides = { ...HTTP_ONLY, health };
+
+    const { stats, scraper } = await scrape('http-health', { ...overrides, siteProfile: staleProfile });
+    const { queue } = scraper.checkpoint.load();
+
+    assert.equal(stats.healthStopped, true);
+    assert.ok(stats.completed < jobs.length);
+    assert.ok(queue.pending.length > 0);
+    assert.equal(scraper.health.getReport().salary.preview, stats.completed);
+
+    const resumed = await scrape('http-health', overrides, { resume: true });
+
+    assert.equal(resumed.stats.healthStopped, undefined);
+    assert.equal(savedJobs(resumed.config).length, jobs.length);
+    assert.equal(resumed.scraper.health.getReport().salary.pageRate, 1);
+  });
+
+  describe('with parallel listing workers', () => {
+    // Smaller pages give the listing workers 9 pages to share
+    before(() => { site.pageSize = 5; });
+    after(() => { site.pageSize = 20; });
+
+    const listingRequests = hits => site.requests.slice(hits).filter(request => request.pathname === '/th/jobs');
+    const pageOf = request => Number(new URLSearchParams(request.search).get('page') || 1);
+
+    test('loads the remaining pages side by side once the page count is known', async () => {
+      site.failures = { 'page:2': { type: 'slow', ms: 800, times: 1 } };
+      site.failureCounts = {};
+
+      try {
+        const hits = site.requests.length;
+        const { stats, scraper, config } = await scrape('http-parallel', { ...HTTP_ONLY, listingWorkers: 3 });
+        const pages = listingRequests(hits);
+        const requestOf = n => pages.find(request => pageOf(request) === n);
+
+        assert.equal(stats.completed, jobs.length);
+        assert.equal(savedJobs(config).length, jobs.length);
+        assert.equal(pages.length, 9);
+        assert.ok(requestOf(3).at - requestOf(2).at < 800, 'page 3 was requested while page 2 was still loading');
+        assert.deepEqual([...scraper.pageQueue.completedPages].sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        assert.equal(scraper.checkpoint.load(), null);
+      } finally {
+        site.failures = {};
+      }
+    });
+
+    test('sizes the crawl from the job count when starting after page 1', async () => {
+      // Page 2 only links to pages 1-3, the job count says there are 9
+      site.paginationWindow = 1;
+      site.failures = { 'page:3': { type: 'slow', ms: 800, times: 1 } };
+      site.failureCounts = {};
+
+      try {
+        const hits = site.requests.length;
+        const { stats, scraper } = await scrape('http-parallel-start', { ...HTTP_ONLY, listingWorkers: 3, startPage: 2 });
+        const pages = listingRequests(hits);
+        const requestOf = n => pages.find(request => pageOf(request) === n);
+
+        assert.equal(stats.completed, jobs.length - 5);
+        assert.deepEqual(pages.map(pageOf).sort((a, b) => a - b), [2, 3, 4, 5, 6, 7, 8, 9]);
+        assert.ok(requestOf(5).at - requestOf(3).at < 800, 'page 5 was requested while page 3 was still loading');
+        assert.equal(scraper.totalJobsFound, jobs.length);
+      } finally {
+        site.paginationWindow = 0;
+        site.failures = {};
+      }
+    });
+
+    test('records completed pages and resumes only the failed ones', async () => {
+      site.failures = { 'page:4': { type: 'error' } };
+      site.failureCounts = {};
+      const overrides = { ...HTTP_ONLY, retryAttempts: 1, listingWorkers: 3 };
+
+      try {
+        const { stats, scraper } = await scrape('http-parallel-resume', overrides);
+        const { listing } = scraper.checkpoint.load();
+
+        assert.equal(site.failureCounts['page:4'], 2);
+        assert.equal(stats.completed, jobs.length - 5);
+        assert.equal(stats.listingIncomplete, true);
+        assert.equal(listing.pageNum, 4);
+        assert.deepEqual(listing.completedPages, [1, 2, 3, 5, 6, 7, 8, 9]);
+      } finally {
+        site.failures = {};
+      }
+
+      const hits = site.requests.length;
+      const { stats, config } = await scrape('http-parallel-resume', overrides, { resume: true });
+      const pages = listingRequests(hits);
+
+      assert.equal(stats.listingIncomplete, undefined);
+      assert.deepEqual(pages.map(pageOf), [4]);
+      assert.equal(savedJobs(config).length, jobs.length);
+    });
+  });
+});
+
+describe('JobThaiScraper with Hero against the mock site', { skip: skipHero }, () => {
+  test('lists every page and saves every job', async () => {
+    const { stats, scraper, config } = await scrape('all');
+
+    assert.equal(stats.completed, jobs.length);
+    assert.equal(stats.failed, 0);
+    assert.ok(site.requests.some(request => request.search.includes('page=3')), 'followed "›" to the last page');
+
+    const saved = savedJobs(config);
+    const byId = Object.fromEntries(saved.map(job => [job.id, job]));
+    assert.equal(saved.length, jobs.length);
+    for (const job of jobs) {
+      assert.equal(byId[job.id].title, job.title);
+      assert.equal(byId[job.id].company, job.company);
+      assert.equal(byId[job.id].jobUrl, `${baseUrl}/th/job/${job.id}`);
+    }
+
+    // A clean run leaves no checkpoint behind
+    assert.equal(scraper.checkpoint.load(), null);
+  });
+
+  test('stops after maxPages', async () => {
+    const { stats } = await scrape('first-page', { maxPages: 1 });
+    assert.equal(stats.completed, 20);
+  });
+});
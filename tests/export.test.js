@@ -0,0 +1,65 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { exportJobs } from '../src/utils/export.js';
+
+// Jobs as the scraper saved them before salaryInfo, postedAt, locationInfo and stations existed
+const { jobs } = JSON.parse(fs.readFileSync(new URL('./fixtures/legacy-jobs.json', import.meta.url), 'utf8'));
+const columns = ['id', 'province', 'provinceCode', 'district', 'region', 'salaryMin', 'salaryMax', 'salaryNegotiable', 'postedAt', 'stations'];
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-export-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('exportJobs over jobs saved without derived fields', () => {
+  test('fills derived CSV columns from the raw text', async () => {
+    const file = path.join(dir, 'jobs.csv');
+    await exportJobs(jobs, 'csv', file, { columns });
+
+    const [header, ...rows] = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.equal(header, columns.join(','));
+    assert.deepEqual(rows, [
+      '1800001,กรุงเทพมหานคร,TH-10,วัฒนา,central,25000,35000,false,2025-12-22T00:00:00+07:00,BTS-SUKHUMVIT Asok',
+      '1800002,ชลบุรี,TH-20,ศรีราชา,east,,,true,2025-12-20T00:00:00+07:00,',
+      '1800003,กรุงเทพมหานคร,TH-10,ปทุมวัน,central,40000,40000,false,2025-12-15T00:00:00+07:00,MRT-BLUE Lumphini',
+      '1800004,,,,,,,true,2025-12-10T00:00:00+07:00,'
+    ]);
+  });
+
+  test('fills the XLSX Jobs and Provinces sheets', async () => {
+    const file = path.join(dir, 'jobs.xlsx');
+    await exportJobs(jobs, 'xlsx', file, { columns });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    const values = sheet => workbook.getWorksheet(sheet).getSheetValues().slice(1).map(row => row.slice(1));
+
+    const [header, first, second] = values('Jobs');
+    assert.deepEqual(header, columns);
+    assert.deepEqual(first, ['1800001', 'กรุงเทพมหานคร', 'TH-10', 'วัฒนา', 'central', 25000, 35000, 'false', '2025-12-22T00:00:00+07:00', 'BTS-SUKHUMVIT Asok']);
+    assert.equal(second[5], '');
+    assert.deepEqual(values('Provinces'), [
+      ['province', 'jobs'],
+      ['กรุงเทพมหานคร', 2],
+      ['ชลบุรี', 1],
+      ['(ไม่ระบุ)', 1]
+    ]);
+  });
+
+  test('writes filled fields to NDJSON', async () => {
+    const file = path.join(dir, 'jobs.ndjson');
+    await exportJobs(jobs, 'ndjson', file, {});
+
+    const first = JSON.parse(fs.readFileSync(file, 'utf8').split('\n')[0]);
+    assert.equal(first.salaryInfo.min, 25000);
+    assert.equal(first.locationInfo.province.code, 'TH-10');
+    assert.equal(first.stations[0].station, 'Asok');
+  });
+});
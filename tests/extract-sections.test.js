@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { Worker } from '../src/worker.js';
+
+const fixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// Detail page body innerText as Hero returns it
+const worker = new Worker(1, {}, null, null);
+
+describe('Worker.extractSectionsFromText', () => {
+  test('extracts every section of a Thai company posting', () => {
+    const sections = worker.extractSectionsFromText(fixture('detail-thai-company.txt'));
+    assert.deepEqual(sections, JSON.parse(fixture('detail-thai-company.expected.json')));
+  });
+
+  test('leaves missing sections empty', () => {
+    const sections = worker.extractSectionsFromText(fixture('detail-missing-sections.txt'));
+    assert.deepEqual(sections, JSON.parse(fixture('detail-missing-sections.expected.json')));
+  });
+
+  test('reads an English company posting', () => {
+    const sections = worker.extractSectionsFromText(fixture('detail-english-company.txt'));
+
+    // Only "บริษัท ... จำกัด" lines are company names, the page title supplies English ones
+    assert.equal(sections.company, '');
+    assert.equal(sections.title, 'Business Analyst');
+    assert.equal(sections.location, 'เขตสาทร กรุงเทพมหานคร');
+    assert.equal(sections.salary, '31,500 บาท');
+    assert.equal(sections.positions, 'ไม่ระบุ');
+    assert.equal(sections.benefits, '1. Hybrid Work\n2. ประกันสุขภาพกลุ่ม');
+    assert.equal(sections.contact, 'ติดต่อ\nHR Department\nhr@tndigital.co.th');
+    assert.equal(sections.transportation, 'ใกล้ BTS ช่องนนทรี');
+  });
+
+  test('starts the company history at the company profile, not the page header', () => {
+    const sections = worker.extractSectionsFromText(fixture('detail-english-company.txt'));
+    assert.equal(
+      sections.companyHistory,
+      'T.N. Digital Solutions Co.,Ltd.\nDigital transformation consulting for banks and insurers'
+    );
+  });
+
+  test('keeps only BTS/MRT lines as transportation but all lines for station lookup', () => {
+    const text = 'วิธีการเดินทาง\nรถประจำทาง สาย 8\nBTS อโศก\nแผนที่';
+    const sections = worker.extractSectionsFromText(text);
+
+    assert.equal(sections.transportation, '');
+    assert.equal(sections.transportationText, 'รถประจำทาง สาย 8\nBTS อโศก');
+  });
+
+  test('returns empty sections for an empty page', () => {
+    const sections = worker.extractSectionsFromText('');
+    assert.ok(Object.values(sections).every(value => value === ''));
+  });
+});
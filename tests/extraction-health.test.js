@@ -0,0 +1,125 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExtractionHealth } from '../src/utils/extraction-health.js';
+import { ParseError } from '../src/utils/retry-policy.js';
+import { BlockedPageError } from '../src/utils/rate-limiter.js';
+import { Worker, fieldSources } from '../src/worker.js';
+
+const url = id => `https://www.jobthai.com/th/job/${id}`;
+const good = { title: 'page', company: 'page', salary: 'page' };
+const noCompany = { title: 'page', company: 'preview', salary: 'page' };
+
+function monitor(options = {}) {
+  const health = new ExtractionHealth({ window: 10, minSamples: 4, tolerance: 0.25, ...options });
+  const events = [];
+  health.on('health:degraded', report => events.push(['degraded', report]));
+  health.on('health:recovered', () => events.push(['recovered']));
+  return { health, events };
+}
+
+describe('ExtractionHealth', () => {
+  test('waits for minSamples before judging', () => {
+    const { health, events } = monitor();
+    for (let i = 1; i <= 3; i++) health.record(url(i), noCompany);
+
+    assert.deepEqual(events, []);
+    assert.equal(health.check(), null);
+  });
+
+  test('reports a field above baseline + tolerance once, with sample URLs', () => {
+    const { health, events } = monitor({ baseline: { company: 0.25 } });
+    health.record(url(1), good);
+    for (let i = 2; i <= 6; i++) health.record(url(i), noCompany);
+
+    assert.equal(events.length, 1);
+    const [, report] = events[0];
+    assert.equal(report.action, 'pause');
+    assert.equal(report.window, 4);
+    assert.deepEqual(report.fields.map(f => f.field), ['company']);
+    assert.equal(report.fields[0].fallbackRate, 0.75);
+    assert.equal(report.fields[0].threshold, 0.5);
+    assert.deepEqual(report.fields[0].samples, [url(2), url(3), url(4)]);
+    assert.equal(health.getStatus().degraded, true);
+  });
+
+  test('recovers when the recent jobs look normal again', () => {
+    const { health, events } = monitor({ window: 4 });
+    for (let i = 1; i <= 4; i++) health.record(url(i), noCompany);
+    for (let i = 5; i <= 8; i++) health.record(url(i), good);
+
+    assert.deepEqual(events.map(([name]) => name), ['degraded', 'recovered']);
+
+    health.record(url(9), noCompany);
+    health.reset();
+    assert.equal(health.getStatus().samples, 0);
+  });
+
+  test('counts fill rates over the whole run, even when disabled', () => {
+    const { health, events } = monitor({ enabled: false });
+    health.record(url(1), { company: 'page', benefits: 'missing' });
+    health.record(url(2), { company: 'preview', benefits: 'page' });
+    for (let i = 3; i <= 6; i++) health.record(url(i), { company: 'missing', benefits: 'page' });
+
+    assert.deepEqual(events, []);
+    assert.deepEqual(health.getReport().company, { page: 1, preview: 1, missing: 4, fillRate: 2 / 6, pageRate: 1 / 6 });
+    assert.equal(health.getReport().benefits.fillRate, 5 / 6);
+  });
+});
+
+describe('fieldSources', () => {
+  test('tells page values from preview fallbacks and placeholders', () => {
+    const jobData = {
+      title: 'Web Developer',
+      company: 'ไม่ระบุบริษัท',
+      location: 'ไม่ระบุสถานที่',
+      salary: '30,000 บาท',
+      benefits: '1. ประกันสังคม'
+    };
+    const job = { company: 'บริษัท ทดสอบ จำกัด', location: '' };
+
+    assert.deepEqual(fieldSources(jobData, job), {
+      title: 'page',
+      company: 'preview',
+      location: 'missing',
+      salary: 'page',
+      postedDate: 'missing',
+      positions: 'missing',
+      benefits: 'page',
+      contact: 'missing',
+      companyLogo: 'missing'
+    });
+  });
+});
+
+describe('Worker.processJob', () => {
+  const job = { id: '1', url: url(1), title: 'Web Developer', company: 'บริษัท ทดสอบ จำกัด' };
+
+  function workerWith(page) {
+    const health = new ExtractionHealth();
+    const saved = [];
+    const worker = new Worker(1, { rateLimit: { requestsPerMinute: 0 } }, null, { addJob: async data => saved.push(data) }, null, null, health);
+    worker.fetcher = { async fetchDetail() { return page; } };
+    return { worker, health, saved };
+  }
+
+  test('falls back to the preview when the page title has no job title', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { worker, health, saved } = workerWith({ html: '', title: 'JobThai', bodyText: 'เงินเดือน\n30,000 บาท', selectorText: {} });
+
+    await worker.processJob(job);
+
+    assert.equal(saved[0].title, 'Web Developer');
+    assert.equal(health.recorded, 1);
+    assert.equal(health.getReport().title.preview, 1);
+  });
+
+  test('fails empty and blocked pages', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const empty = workerWith({ html: '', title: 'JobThai', bodyText: ' ' });
+    await assert.rejects(empty.worker.processJob(job), ParseError);
+
+    const blocked = workerWith({ html: '<div id="cf-challenge"></div>', title: 'JobThai', bodyText: 'Checking your browser' });
+    await assert.rejects(blocked.worker.processJob(job), BlockedPageError);
+    assert.equal(empty.health.recorded + blocked.health.recorded, 0);
+  });
+});
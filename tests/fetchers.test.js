@@ -0,0 +1,220 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockJobThaiSite, generateJobs } from './mock-site/server.js';
+import {
+  createFetcher,
+  FallbackFetcher,
+  HeroFetcher,
+  HttpFetcher,
+  HttpStatusError,
+  hasExpectedContent,
+  canFallBack
+} from '../src/utils/fetchers/index.js';
+import { Worker } from '../src/worker.js';
+import { htmlToText } from '../src/utils/parser.js';
+import { BlockedPageError } from '../src/utils/rate-limiter.js';
+
+const jobs = generateJobs(25);
+const site = new MockJobThaiSite({
+  jobs,
+  failures: {
+    'page:2': { type: 'error' },
+    [`job:${jobs[1].id}`]: { type: 'empty' },
+    [`job:${jobs[2].id}`]: { type: 'missing' }
+  }
+});
+let baseUrl;
+
+before(async () => {
+  baseUrl = await site.start();
+});
+
+after(() => site.stop());
+
+// Stands in for Hero and records what it was asked to load
+function recordingFetcher(page) {
+  return {
+    type: 'hero',
+    hasHero: false,
+    urls: [],
+    async init() {},
+    async fetchListing(url) { this.urls.push(url); return page; },
+    async fetchDetail(url) { this.urls.push(url); return page; },
+    async close() {}
+  };
+}
+
+describe('HttpFetcher', () => {
+  const fetcher = new HttpFetcher({ timeout: 2000 });
+
+  test('reads job links and preview text from a search page', async () => {
+    const page = await fetcher.fetchListing(`${baseUrl}/th/jobs`);
+
+    assert.equal(page.links.length, 20);
+    assert.equal(page.links[0].href, `${baseUrl}/th/job/${jobs[0].id}`);
+    assert.ok(page.links[0].text.includes(jobs[0].company));
+    assert.match(page.html, /ul class="pagination"/);
+    assert.ok(hasExpectedContent.listing(page));
+  });
+
+  test('captures a detail page the worker can extract', async () => {
+    const job = jobs[0];
+    const page = await fetcher.fetchDetail(`${baseUrl}/th/job/${job.id}`);
+    const details = new Worker(1, {}, null, null).extractJobDetails(page, `${baseUrl}/th/job/${job.id}`);
+
+    assert.ok(hasExpectedContent.detail(page));
+    assert.equal(details.title, job.title);
+    assert.equal(details.company, job.company);
+    assert.equal(details.salary, job.salary);
+    assert.equal(details.benefits, '1. ประกันสังคม\n2. โบนัสประจำปี');
+  });
+
+  test('throws HttpStatusError for error responses', async () => {
+    await assert.rejects(fetcher.fetchListing(`${baseUrl}/th/jobs?page=2`), error => {
+      assert.ok(error instanceof HttpStatusError);
+      assert.equal(error.status, 500);
+      return true;
+    });
+  });
+});
+
+describe('HeroFetcher', () => {
+  // Stands in for hero.document and records every read
+  function fakeDocument({ title, bodyText }) {
+    const reads = [];
+    return {
+      reads,
+      get title() { reads.push('title'); return title; },
+      body: { get innerText() { reads.push('bodyText'); return bodyText; } },
+      documentElement: { get outerHTML() { reads.push('html'); return '<html></html>'; } },
+      querySelector(selector) { reads.push(selector); return null; }
+    };
+  }
+
+  function heroWith(document) {
+    const fetcher = new HeroFetcher();
+    fetcher.hero = { document };
+    return fetcher;
+  }
+
+  test('reads the HTML and fallback selectors only when asked', async () => {
+    const job = jobs[0];
+    const html = await (await fetch(`${baseUrl}/th/job/${job.id}`)).text();
+    const document = fakeDocument({ title: `งาน | ${job.title} - JobThai`, bodyText: htmlToText(html) });
+    const worker = new Worker(1, {}, null, null);
+
+    const page = await heroWith(document).capturePage({ missingFields: captured => worker.missingFields(captured) });
+
+    assert.equal(page.html, '');
+    assert.deepEqual(page.selectorText, {});
+    assert.equal(document.reads.length, 3); // Title, body text and the logo
+  });
+
+  test('looks up the fields the page text misses', async () => {
+    const document = fakeDocument({ title: 'JobThai', bodyText: 'ไม่มีข้อมูล' });
+    const worker = new Worker(1, {}, null, null);
+
+    const page = await heroWith(document).capturePage({ html: true, missingFields: captured => worker.missingFields(captured) });
+
+    assert.equal(page.html, '<html></html>');
+    assert.deepEqual(Object.keys(page.selectorText), ['title', 'company', 'location', 'salary']);
+  });
+});
+
+describe('FallbackFetcher', () => {
+  // Keep the fallback notices out of the test report
+  before(() => mock.method(console, 'log', () => {}));
+  after(() => mock.restoreAll());
+
+  test('keeps complete HTTP pages', async () => {
+    const hero = recordingFetcher(null);
+    const fetcher = new FallbackFetcher(new HttpFetcher(), hero);
+    const page = await fetcher.fetchDetail(`${baseUrl}/th/job/${jobs[0].id}`);
+
+    assert.ok(page.bodyText.includes(jobs[0].title));
+    assert.deepEqual(hero.urls, []);
+    assert.equal(fetcher.fallbackCount, 0);
+  });
+
+  test('loads a page missing expected content again with the fallback', async () => {
+    const rendered = { html: '', title: 'งาน | X - JobThai', bodyText: 'X', selectorText: {}, companyLogo: '' };
+    const hero = recordingFetcher(rendered);
+    const fetcher = new FallbackFetcher(new HttpFetcher(), hero);
+    const url = `${baseUrl}/th/job/${jobs[1].id}`;
+
+    assert.equal(await fetcher.fetchDetail(url), rendered);
+    assert.deepEqual(hero.urls, [url]);
+    assert.equal(fetcher.fallbackCount, 1);
+  });
+
+  test('falls back for search pages without job links', async () => {
+    const hero = recordingFetcher({ html: '', links: [] });
+    const fetcher = new FallbackFetcher(new HttpFetcher(), hero);
+    await fetcher.fetchListing(`${baseUrl}/th/jobs?page=5`);
+
+    assert.deepEqual(hero.urls, [`${baseUrl}/th/jobs?page=5`]);
+  });
+
+  test('falls back when the HTTP request fails', async () => {
+    const rendered = { html: '', links: [{ href: `${baseUrl}/th/job/${jobs[20].id}`, text: '' }] };
+    const hero = recordingFetcher(rendered);
+    const fetcher = new FallbackFetcher(new HttpFetcher(), hero);
+    const url = `${baseUrl}/th/jobs?page=2`;
+
+    assert.equal(await fetcher.fetchListing(url), rendered);
+    assert.deepEqual(hero.urls, [url]);
+    assert.equal(fetcher.fallbackCount, 1);
+  });
+
+  test('falls back when the primary fetcher times out', async () => {
+    const primary = {
+      type: 'http',
+      async fetchDetail() { throw new DOMException('The operation was aborted due to timeout', 'TimeoutError'); }
+    };
+    const rendered = { html: '', title: 'งาน | X - JobThai', bodyText: 'X' };
+    const hero = recordingFetcher(rendered);
+    const fetcher = new FallbackFetcher(primary, hero);
+
+    assert.equal(await fetcher.fetchDetail(`${baseUrl}/th/job/${jobs[0].id}`), rendered);
+    assert.equal(fetcher.fallbackCount, 1);
+  });
+
+  test('does not fall back for removed jobs', async () => {
+    const hero = recordingFetcher(null);
+    const fetcher = new FallbackFetcher(new HttpFetcher(), hero);
+
+    await assert.rejects(fetcher.fetchDetail(`${baseUrl}/th/job/${jobs[2].id}`), HttpStatusError);
+    assert.deepEqual(hero.urls, []);
+  });
+
+  test('canFallBack picks the errors a browser may get past', () => {
+    const url = `${baseUrl}/th/jobs`;
+    assert.equal(canFallBack(new HttpStatusError(403, url)), true);
+    assert.equal(canFallBack(new HttpStatusError(503, url)), true);
+    assert.equal(canFallBack(new BlockedPageError(url)), true);
+    assert.equal(canFallBack(new TypeError('fetch failed')), true);
+    assert.equal(canFallBack(new HttpStatusError(410, url)), false);
+    assert.equal(canFallBack(new SyntaxError('Unexpected token')), false);
+  });
+});
+
+describe('createFetcher', () => {
+  test('uses Hero by default', () => {
+    assert.ok(createFetcher('listing', {}) instanceof HeroFetcher);
+    assert.ok(createFetcher('detail', { fetcher: { listing: 'http' } }) instanceof HeroFetcher);
+  });
+
+  test('wraps HTTP with a Hero fallback unless disabled', () => {
+    const withFallback = createFetcher('detail', { fetcher: { detail: 'http' } });
+    assert.ok(withFallback instanceof FallbackFetcher);
+    assert.ok(withFallback.fallback instanceof HeroFetcher);
+
+    const plain = createFetcher('detail', { fetcher: { detail: 'http', fallback: false, timeout: 5000 } });
+    assert.ok(plain instanceof HttpFetcher);
+    assert.equal(plain.timeout, 5000);
+  });
+
+  test('rejects unknown types', () => {
+    assert.throws(() => createFetcher('listing', { fetcher: { listing: 'curl' } }), /Unknown fetcher type "curl"/);
+  });
+});
@@ -0,0 +1,28 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPageCounts } from '../src/get-pages.js';
+
+describe('applyPageCounts', () => {
+  test('writes maxPages of the top-level search', () => {
+    const config = applyPageCounts({ searchMode: 'keyword', keyword: 'ไอที', maxPages: 5 }, [{ totalPages: 12 }]);
+    assert.equal(config.maxPages, 12);
+  });
+
+  test('writes maxPages to each entry of searches', () => {
+    const config = applyPageCounts({
+      maxPages: 5,
+      searches: [
+        { searchMode: 'keyword', keyword: 'ไอที', maxPages: 20 },
+        { searchMode: 'bts_mrt', bts_mrt: 'BTS-สายสีลม' }
+      ]
+    }, [{ totalPages: 31 }, { totalPages: 4 }]);
+
+    assert.equal(config.maxPages, 5);
+    assert.deepEqual(config.searches.map(search => search.maxPages), [31, 4]);
+  });
+
+  test('refuses counts that do not match the searches', () => {
+    const config = { searches: [{ searchMode: 'keyword', keyword: 'ไอที' }, { searchMode: 'keyword', keyword: 'web' }] };
+    assert.throws(() => applyPageCounts(config, [{ totalPages: 3 }]), /Counted 1 searches but config.json lists 2/);
+  });
+});
@@ -0,0 +1,53 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLocation, findProvince, getRegion } from '../src/utils/location.js';
+
+const BANGKOK = { code: 'TH-10', th: 'กรุงเทพมหานคร', en: 'Bangkok' };
+
+describe('normalizeLocation', () => {
+  test('reads the province and district of Bangkok and provincial locations', () => {
+    assert.deepEqual(normalizeLocation('เขตวัฒนา กรุงเทพมหานคร'), {
+      province: BANGKOK,
+      district: { th: 'วัฒนา', en: 'Watthana' },
+      region: 'central',
+      multiProvince: false
+    });
+    assert.deepEqual(normalizeLocation('อ.ศรีราชา จ.ชลบุรี'), {
+      province: { code: 'TH-20', th: 'ชลบุรี', en: 'Chonburi' },
+      district: { th: 'ศรีราชา', en: 'Si Racha' },
+      region: 'east',
+      multiProvince: false
+    });
+    assert.deepEqual(normalizeLocation('อ.เมือง จ.เชียงใหม่').district, { th: 'เมืองเชียงใหม่', en: 'Mueang Chiang Mai' });
+  });
+
+  test('understands short and English province names', () => {
+    assert.deepEqual(normalizeLocation('กรุงเทพฯ').province, BANGKOK);
+    assert.deepEqual(normalizeLocation('Bangkok').province, BANGKOK);
+  });
+
+  test('falls back to the address line of the contact section', () => {
+    const contact = 'ที่อยู่ 123 ถ.พระราม 1 แขวงปทุมวัน เขตปทุมวัน กรุงเทพมหานคร 10330\nโทร 02-123-4567';
+    const location = normalizeLocation('', contact);
+
+    assert.deepEqual(location.province, BANGKOK);
+    assert.deepEqual(location.district, { th: 'ปทุมวัน', en: 'Pathum Wan' });
+  });
+
+  test('flags jobs in several provinces', () => {
+    assert.deepEqual(normalizeLocation('หลายจังหวัด'), { province: null, district: null, region: null, multiProvince: true });
+  });
+});
+
+describe('gazetteer lookups', () => {
+  test('findProvince matches names and aliases', () => {
+    assert.equal(findProvince('นครราชสีมา').code, 'TH-30');
+    assert.equal(findProvince('โคราช').code, 'TH-30');
+    assert.equal(findProvince('ไม่มีจังหวัดนี้'), null);
+  });
+
+  test('getRegion names region codes', () => {
+    assert.deepEqual(getRegion('east'), { th: 'ภาคตะวันออก', en: 'East' });
+    assert.equal(getRegion('nowhere'), null);
+  });
+});
@@ -0,0 +1,169 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { MockJobThaiSite, generateJobs } from './mock-site/server.js';
+import { parseJobList, parsePagination, parseTotalJobs } from '../src/utils/parser.js';
+import { buildSearchUrl } from '../src/utils/search.js';
+import { JobThaiScraper } from '../src/scraper.js';
+import { Worker } from '../src/worker.js';
+
+const jobs = generateJobs(45);
+const site = new MockJobThaiSite({
+  jobs,
+  failures: {
+    'page:3': { type: 'error', times: 1 },
+    [`job:${jobs[1].id}`]: { type: 'timeout' },
+    [`job:${jobs[2].id}`]: { type: 'empty' }
+  }
+});
+let baseUrl;
+
+before(async () => {
+  baseUrl = await site.start();
+});
+
+after(() => site.stop());
+
+const get = async (url, timeout = 2000) => {
+  const res = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+  return { status: res.status, html: await res.text() };
+};
+
+// The site's search pages must stay readable by the same parsers as the real site
+describe('mock site search pages', () => {
+  test('serves the first page with the result count and a "›" control', async () => {
+    const url = buildSearchUrl({ searchMode: 'keyword', keyword: 'ไอที' }, baseUrl);
+    const { status, html } = await get(url);
+
+    assert.equal(status, 200);
+    assert.equal(parseTotalJobs(html), 45);
+    assert.deepEqual(parseJobList(html, baseUrl).map(job => job.id), jobs.slice(0, 20).map(job => job.id));
+
+    const pagination = parsePagination(html, url);
+    assert.equal(pagination.currentPage, 1);
+    assert.equal(pagination.totalPages, 3);
+    assert.equal(pagination.nextPageUrl, `${url}&page=2`);
+  });
+
+  test('links jobs against the base URL', async () => {
+    const { html } = await get(`${baseUrl}/th/jobs`);
+    assert.equal(parseJobList(html, baseUrl)[0].jobUrl, `${baseUrl}/th/job/${jobs[0].id}`);
+  });
+
+  test('serves BTS/MRT search paths', async () => {
+    const url = buildSearchUrl({ searchMode: 'bts_mrt', bts_mrt: 'รถไฟฟ้า-BTS-อโศก' }, baseUrl);
+    const { status, html } = await get(url);
+
+    assert.equal(status, 200);
+    assert.equal(parseJobList(html, baseUrl).length, 20);
+  });
+
+  test('card text reads like a JobThai preview', async () => {
+    const { html } = await get(`${baseUrl}/th/jobs`);
+    const $ = cheerio.load(html);
+    const preview = JobThaiScraper.prototype.parsePreviewText.call(null, $('a[href*="/th/job/"]').first().text());
+
+    assert.equal(preview.company, jobs[0].company);
+    assert.equal(preview.postedDate, jobs[0].postedDate);
+    assert.ok(preview.title.startsWith(jobs[0].title));
+  });
+
+  test('fails page 3 once, then serves the last page without a next control', async () => {
+    const first = await get(`${baseUrl}/th/jobs?page=3`);
+    assert.equal(first.status, 500);
+
+    const { status, html } = await get(`${baseUrl}/th/jobs?page=3`);
+    assert.equal(status, 200);
+    assert.equal(parseJobList(html, baseUrl).length, 5);
+    assert.equal(parsePagination(html, `${baseUrl}/th/jobs?page=3`).hasNext, false);
+  });
+
+  test('serves an empty page past the last one', async () => {
+    const { html } = await get(`${baseUrl}/th/jobs?page=9`);
+
+    assert.deepEqual(parseJobList(html, baseUrl), []);
+    assert.equal(parsePagination(html, `${baseUrl}/th/jobs?page=9`).hasNext, false);
+  });
+});
+
+describe('mock site job pages', () => {
+  const worker = new Worker(1, {}, null, null);
+
+  test('serve a title and body text the worker extracts', async () => {
+    const job = jobs[0];
+    const { html } = await get(`${baseUrl}/th/job/${job.id}`);
+    const $ = cheerio.load(html);
+
+    // Each body line is its own block, so innerText is the lines joined by newlines
+    const details = worker.extractJobDetails({
+      title: $('title').text(),
+      bodyText: $('body > div').map((_, el) => $(el).text()).get().join('\n')
+    }, `${baseUrl}/th/job/${job.id}`);
+
+    assert.equal(details.title, job.title);
+    assert.equal(details.company, job.company);
+    assert.equal(details.location, job.location);
+    assert.equal(details.salary, job.salary);
+    assert.equal(details.positions, job.positions);
+    assert.equal(details.postedDate, job.postedDate);
+  });
+
+  test('time out when configured', async () => {
+    await assert.rejects(get(`${baseUrl}/th/job/${jobs[1].id}`, 200), { name: 'TimeoutError' });
+  });
+
+  test('serve an empty page when configured', async () => {
+    const { status, html } = await get(`${baseUrl}/th/job/${jobs[2].id}`);
+
+    assert.equal(status, 200);
+    assert.equal(cheerio.load(html)('body').text().trim(), '');
+  });
+
+  test('answer 404 for unknown jobs and count requests', async () => {
+    const { status } = await get(`${baseUrl}/th/job/999`);
+
+    assert.equal(status, 404);
+    assert.equal(site.hits('/th/job/999'), 1);
+  });
+});
+
+// Both phases over plain HTTP and Cheerio, so CI covers the flow without Ulixee Cloud
+describe('mock site two-phase flow', () => {
+  const flowSite = new MockJobThaiSite({ jobs });
+  let flowUrl;
+
+  before(async () => {
+    flowUrl = await flowSite.start();
+  });
+
+  after(() => flowSite.stop());
+
+  test('lists every job by following "›" and parses every job page', async () => {
+    const listed = [];
+    let url = buildSearchUrl({ searchMode: 'keyword', keyword: 'ไอที' }, flowUrl);
+    while (url) {
+      const { html } = await get(url);
+      listed.push(...parseJobList(html, flowUrl));
+      const pagination = parsePagination(html, url);
+      url = pagination.hasNext ? pagination.nextPageUrl : null;
+    }
+
+    assert.deepEqual(listed.map(job => job.id), jobs.map(job => job.id));
+    assert.equal(flowSite.hits('/th/jobs'), 3);
+
+    const worker = new Worker(1, {}, null, null);
+    for (const [i, { jobUrl }] of listed.entries()) {
+      const { status, html } = await get(jobUrl);
+      const $ = cheerio.load(html);
+      const details = worker.extractJobDetails({
+        title: $('title').text(),
+        bodyText: $('body > div').map((_, el) => $(el).text()).get().join('\n')
+      }, jobUrl);
+
+      assert.equal(status, 200);
+      assert.equal(details.title, jobs[i].title);
+      assert.equal(details.company, jobs[i].company);
+      assert.equal(details.salary, jobs[i].salary);
+    }
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Mock JobThai site for end-to-end tests
+ * Serves search pages (?page=N with the "›" next control), job detail pages
+ * and configurable failures (timeouts, 500s, empty pages) on localhost.
+ *
+ * Usage:
+ *   const site = new MockJobThaiSite({ jobs: generateJobs(45) });
+ *   const baseUrl = await site.start();   // point config.baseUrl here
+ *   ...
+ *   await site.stop();
+ */
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const TITLES = ['โปรแกรมเมอร์', 'เจ้าหน้าที่ไอที', 'นักวิเคราะห์ระบบ', 'วิศวกรคอมพิวเตอร์ / IT Support', 'เจ้าหน้าที่ฝ่ายบุคคล'];
+const COMPANIES = ['บริษัท ทดสอบ ซอฟต์แวร์ จำกัด', 'บริษัท ตัวอย่าง เทรดดิ้ง จำกัด', 'บริษัท จำลอง โซลูชั่น จำกัด'];
+const LOCATIONS = ['BTS อโศก', 'MRT ลุมพินี', 'เขตบางรัก กรุงเทพมหานคร', 'อ.เมืองชลบุรี จ.ชลบุรี'];
+const SALARIES = ['25,000 - 35,000 บาท', '15,000 บาทขึ้นไป', 'ตามตกลง', '400 บาท (รายวัน)'];
+
+/**
+ * Generate predictable job postings
+ * @param {number} count - Number of jobs
+ * @param {number} startId - First job ID
+ * @returns {Array} [{ id, title, company, location, salary, postedDate, positions }]
+ */
+export function generateJobs(count, startId = 1800001) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: String(startId + i),
+    title: `${TITLES[i % TITLES.length]} ${i + 1}`,
+    company: COMPANIES[i % COMPANIES.length],
+    location: LOCATIONS[i % LOCATIONS.length],
+    salary: SALARIES[i % SALARIES.length],
+    postedDate: '22 ธ.ค. 68',
+    positions: String((i % 3) + 1)
+  }));
+}
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Local HTTP server that mimics the JobThai pages the scraper reads
+ *
+ * Failures are keyed by `page:<n>` (search page number) or `job:<id>`:
+ *   { type: 'error' | 'timeout' | 'empty' | 'missing' | 'slow', times: 1, ms: 500 }
+ * `error` answers 500, `timeout` never answers, `empty` serves a page without
+ * content, `missing` answers 404 like a removed job, `slow` answers normally after `ms`. `times` limits how many requests fail (default: every request).
+ * `paginationWindow` shows only that many page links either side of the current page, like
+ * long result lists on the real site (0 = every page).
+ */
+export class MockJobThaiSite {
+  constructor({ jobs = generateJobs(45), pageSize = 20, failures = {}, paginationWindow = 0 } = {}) {
+    this.jobs = jobs;
+    this.pageSize = pageSize;
+    this.failures = failures;
+    this.paginationWindow = paginationWindow;
+    this.failureCounts = {};
+    this.requests = [];
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Host
+   * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:54321
+   */
+  start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.baseUrl = `http://${host}:${this.server.address().port}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stop the server, dropping requests held open by timeouts
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  /**
+   * Number of requests for a path, e.g. hits('/th/job/1800001')
+   * @param {string} pathname - Decoded path
+   * @returns {number}
+   */
+  hits(pathname) {
+    return this.requests.filter(request => request.pathname === pathname).length;
+  }
+
+  get totalPages() {
+    return Math.max(1, Math.ceil(this.jobs.length / this.pageSize));
+  }
+
+  /**
+   * Failure to apply to this request, counting down `times`
+   * @param {string} key - `page:<n>` or `job:<id>`
+   * @returns {Object|null} Failure { type, times, ms }
+   */
+  takeFailure(key) {
+    const failure = this.failures[key];
+    if (!failure) return null;
+
+    const count = this.failureCounts[key] || 0;
+    if (failure.times !== undefined && count >= failure.times) return null;
+
+    this.failureCounts[key] = count + 1;
+    return failure;
+  }
+
+  handle(req, res) {
+    const url = new URL(req.url, this.baseUrl);
+    const pathname = decodeURIComponent(url.pathname);
+    this.requests.push({ pathname, search: url.search, at: Date.now() });
+
+    const jobMatch = pathname.match(/^\/th\/job\/(\d+)$/);
+    if (jobMatch) {
+      return this.respond(res, `job:${jobMatch[1]}`, () => this.renderJob(jobMatch[1]));
+    }
+
+    if (pathname === '/th/jobs' || pathname.startsWith('/หางาน/')) {
+      const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+      return this.respond(res, `page:${page}`, () => this.renderSearchPage(url, page));
+    }
+
+    this.send(res, 404, '<html><body>ไม่พบหน้าที่ต้องการ</body></html>');
+  }
+
+  respond(res, key, render) {
+    const { type: failure, ms } = this.takeFailure(key) || {};
+
+    if (failure === 'slow') {
+      setTimeout(() => this.respondWith(res, render), ms || 500);
+      return;
+    }
+
+    if (failure === 'timeout') return; // Leave the request hanging
+    if (failure === 'error') return this.send(res, 500, '<html><body>Internal Server Error</body></html>');
+    if (failure === 'missing') return this.send(res, 404, '<html><body>ไม่พบหน้าที่ต้องการ</body></html>');
+    if (failure === 'empty') return this.send(res, 200, '<html><head><title>JobThai</title></head><body></body></html>');
+
+    this.respondWith(res, render);
+  }
+
+  respondWith(res, render) {
+    const html = render();
+    if (html === null) return this.send(res, 404, '<html><body>ไม่พบหน้าที่ต้องการ</body></html>');
+    this.send(res, 200, html);
+  }
+
+  send(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  }
+
+  renderSearchPage(url, page) {
+    const jobs = this.jobs.slice((page - 1) * this.pageSize, page * this.pageSize);
+    const totalPages = this.totalPages;
+
+    const pageUrl = n => {
+      const target = new URL(url);
+      target.searchParams.set('page', n);
+      return escapeHtml(target.pathname + target.search);
+    };
+
+    // Card text runs together like the real site's link textContent
+    const cards = jobs.map(job => `
+      <div class="job-item">
+        <a href="/th/job/${job.id}"><span>${escapeHtml(job.postedDate)}</span><h2>${escapeHtml(job.title)}</h2><span>${escapeHtml(job.company)}</span><span>${escapeHtml(job.company)}</span><span>${escapeHtml(job.location)}</span><span>${escapeHtml(job.salary)}</span></a>
+      </div>`).join('');
+
+    const first = this.paginationWindow > 0 ? Math.max(1, page - this.paginationWindow) : 1;
+    const last = this.paginationWindow > 0 ? Math.min(totalPages, page + this.paginationWindow) : totalPages;
+    const pages = Array.from({ length: last - first + 1 }, (_, i) => first + i).map(n =>
+      `<li${n === page ? ' class="active"' : ''}><a href="${pageUrl(n)}">${n}</a></li>`
+    ).join('');
+    const next = page < totalPages ? `<li><a href="${pageUrl(page + 1)}">›</a></li>` : '';
+    const pagination = jobs.length > 0 ? `<ul class="pagination">${pages}${next}</ul>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="th">
+<head><meta charset="utf-8"><title>หางาน สมัครงาน - JobThai</title></head>
+<body>
+  <h1 class="result-count">พบ ${this.jobs.length.toLocaleString('en-US')} ตำแหน่งงาน</h1>
+  <div class="job-list">${cards}
+  </div>
+  ${pagination}
+</body>
+</html>`;
+  }
+
+  renderJob(id) {
+    const job = this.jobs.find(item => item.id === id);
+    if (!job) return null;
+
+    // One block per line, in the order the worker reads the body text
+    const lines = [
+      'หางาน',
+      'ลงประกาศงาน',
+      job.company,
+      job.postedDate,
+      job.title,
+      'สถานที่ปฏิบัติงาน',
+      job.location,
+      'เงินเดือน',
+      job.salary,
+      'อัตรา',
+      job.positions,
+      'หน้าที่และความรับผิดชอบ',
+      `1. งานตำแหน่ง ${job.title}`,
+      'สวัสดิการ',
+      '1. ประกันสังคม',
+      '2. โบนัสประจำปี',
+      'ติดต่อ',
+      'ฝ่ายบุคคล',
+      job.company,
+      'วิธีการเดินทาง',
+      job.location,
+      'แผนที่'
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="th">
+<head><meta charset="utf-8"><title>งาน หางาน สมัครงาน ${escapeHtml(job.company)} | ${escapeHtml(job.title)} - JobThai</title></head>
+<body>
+${lines.map(line => `  <div>${escapeHtml(line)}</div>`).join('\n')}
+</body>
+</html>`;
+  }
+}
+
+export default MockJobThaiSite;
+
+// Run if called directly: node tests/mock-site/server.js [port] [jobCount]
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.argv[2], 10) || 4000;
+  const count = parseInt(process.argv[3], 10) || 45;
+  const site = new MockJobThaiSite({ jobs: generateJobs(count) });
+
+  site.start(port).then(baseUrl => {
+    console.log(`🧪 Mock JobThai site: ${baseUrl} (${count} jobs)`);
+    console.log(`   Scrape it with: jobthai scrape --base-url ${baseUrl}`);
+  });
+}
@@ -0,0 +1,81 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { PageArchive, PageNotArchivedError } from '../src/utils/page-archive.js';
+
+const url = id => `https://www.jobthai.com/th/job/${id}`;
+const page = { html: '<html><body><h1>Web Developer</h1></body></html>', title: 'Web Developer - JobThai', bodyText: 'Web Developer' };
+
+let tmpDir;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-archive-'));
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const objectFiles = dir => fs.readdirSync(path.join(dir, 'objects'), { recursive: true }).filter(name => name.endsWith('.json.gz'));
+
+describe('PageArchive', () => {
+  test('stores page content gzipped under its SHA-256 and reads it back', async () => {
+    const archive = new PageArchive(path.join(tmpDir, 'store'), 'record');
+    await archive.init();
+    await archive.save('detail', url(1), page);
+
+    const ref = JSON.parse(fs.readFileSync(archive.pathFor(url(1)), 'utf8'));
+    assert.equal(ref.kind, 'detail');
+    assert.match(ref.object, /^[0-9a-f]{64}$/);
+
+    const stored = zlib.gunzipSync(fs.readFileSync(archive.objectPathFor(ref.object))).toString('utf8');
+    assert.deepEqual(JSON.parse(stored), page);
+
+    const loaded = await archive.load('detail', url(1));
+    assert.equal(loaded.bodyText, page.bodyText);
+    assert.equal(loaded.url, url(1));
+    assert.equal(loaded.object, undefined);
+    await assert.rejects(archive.load('listing', url(1)), PageNotArchivedError);
+  });
+
+  test('stores the same content once', async () => {
+    const dir = path.join(tmpDir, 'dedupe');
+    const archive = new PageArchive(dir, 'record');
+    await archive.init();
+    await archive.save('detail', url(1), page);
+    await archive.save('detail', url(2), page);
+    await archive.save('detail', url(1), page);
+
+    assert.equal(objectFiles(dir).length, 1);
+  });
+
+  test('reads archives recorded before content addressing', async () => {
+    const archive = new PageArchive(path.join(tmpDir, 'legacy'), 'replay');
+    fs.mkdirSync(archive.dir, { recursive: true });
+    fs.writeFileSync(archive.pathFor(url(1)), JSON.stringify({ kind: 'detail', url: url(1), recordedAt: '2025-12-01T00:00:00.000Z', ...page }));
+
+    assert.equal((await archive.load('detail', url(1))).html, page.html);
+  });
+
+  test('rejects content that does not match its hash', async () => {
+    const archive = new PageArchive(path.join(tmpDir, 'corrupt'), 'record');
+    await archive.init();
+    await archive.save('detail', url(1), page);
+    const { object } = JSON.parse(fs.readFileSync(archive.pathFor(url(1)), 'utf8'));
+    fs.writeFileSync(archive.objectPathFor(object), zlib.gzipSync(JSON.stringify({ ...page, html: '' })));
+
+    await assert.rejects(archive.load('detail', url(1)), /is corrupt/);
+  });
+
+  test('keeps detail pages outside record mode only when asked', () => {
+    assert.equal(PageArchive.fromConfig({ details: true }).savesDetails, true);
+    assert.equal(PageArchive.fromConfig({}).savesDetails, false);
+    assert.equal(PageArchive.fromConfig({ mode: 'replay', details: true }).savesDetails, false);
+    assert.equal(PageArchive.fromConfig({ mode: 'record' }).savesDetails, true);
+  });
+});
@@ -0,0 +1,147 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseJobList, parseJobDetail, parsePagination, parseTotalJobs, htmlToText } from '../src/utils/parser.js';
+
+const fixture = name => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const SEARCH_URL = 'https://www.jobthai.com/th/jobs?keyword=%E0%B9%84%E0%B8%AD%E0%B8%97%E0%B8%B5&page=2';
+
+// Collapse the indentation cheerio keeps between list items
+const lines = text => text.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+
+describe('parseJobList', () => {
+  test('lists every job link once with an absolute URL', () => {
+    const jobs = parseJobList(fixture('search-page.html'));
+
+    assert.deepEqual(jobs.map(job => job.id), ['1833287', '1810889', '1840721']);
+    assert.deepEqual(jobs.map(job => job.jobUrl), [
+      'https://www.jobthai.com/th/job/1833287',
+      'https://www.jobthai.com/th/job/1810889',
+      'https://www.jobthai.com/th/job/1840721'
+    ]);
+  });
+
+  test('keeps the card text with Thai company names', () => {
+    const [job] = parseJobList(fixture('search-page.html'));
+
+    assert.match(job.rawText, /รับสมัครด่วน/);
+    assert.match(job.rawText, /บริษัท เบลสสกาย คอนเนคชั่น จำกัด/);
+  });
+
+  test('ignores links that are not job pages', () => {
+    const jobs = parseJobList('<a href="/th/jobs?keyword=web&page=3">งานอื่น ๆ</a><a href="/th/company/123">บริษัท</a>');
+    assert.deepEqual(jobs, []);
+  });
+
+  test('returns nothing for an empty result page', () => {
+    assert.deepEqual(parseJobList(fixture('search-page-empty.html')), []);
+  });
+});
+
+describe('parsePagination', () => {
+  test('follows the "›" control to the next page', () => {
+    assert.deepEqual(parsePagination(fixture('search-page.html'), SEARCH_URL), {
+      currentPage: 2,
+      totalPages: 62,
+      hasNext: true,
+      nextPageUrl: 'https://www.jobthai.com/th/jobs?keyword=%E0%B9%84%E0%B8%AD%E0%B8%97%E0%B8%B5&page=3'
+    });
+  });
+
+  test('stops on the last page', () => {
+    assert.deepEqual(parsePagination(fixture('search-page-last.html'), SEARCH_URL), {
+      currentPage: 62,
+      totalPages: 62,
+      hasNext: false,
+      nextPageUrl: null
+    });
+  });
+
+  test('treats a page without pagination as a single page', () => {
+    assert.deepEqual(parsePagination(fixture('search-page-empty.html'), SEARCH_URL), {
+      currentPage: 1,
+      totalPages: 1,
+      hasNext: false,
+      nextPageUrl: null
+    });
+  });
+
+  test('builds the next URL from the page number when there is no next control', () => {
+    const html = `
+      <ul class="pagination">
+        <li><a href="/th/jobs?page=1">1</a></li>
+        <li class="active"><a href="/th/jobs?page=2">2</a></li>
+        <li><a href="/th/jobs?page=3">3</a></li>
+      </ul>`;
+    const pagination = parsePagination(html, 'https://www.jobthai.com/th/jobs?keyword=web&page=2');
+
+    assert.equal(pagination.hasNext, true);
+    assert.equal(pagination.nextPageUrl, 'https://www.jobthai.com/th/jobs?keyword=web&page=3');
+  });
+
+  test('accepts a "ถัดไป" link and keeps absolute hrefs', () => {
+    const html = '<div class="pagination"><a href="https://www.jobthai.com/หางาน/BTS?page=5">ถัดไป</a></div>';
+    const pagination = parsePagination(html, 'https://www.jobthai.com/หางาน/BTS?page=4');
+
+    assert.equal(pagination.hasNext, true);
+    assert.equal(pagination.nextPageUrl, 'https://www.jobthai.com/หางาน/BTS?page=5');
+  });
+
+  test('accepts rel="next" links', () => {
+    const pagination = parsePagination('<a rel="next" href="/th/jobs?page=2">next</a>', 'https://www.jobthai.com/th/jobs');
+    assert.equal(pagination.nextPageUrl, 'https://www.jobthai.com/th/jobs?page=2');
+  });
+});
+
+describe('parseTotalJobs', () => {
+  test('reads the result count with thousands separators', () => {
+    assert.equal(parseTotalJobs(fixture('search-page.html')), 1234);
+  });
+
+  test('returns 0 when there is no count', () => {
+    assert.equal(parseTotalJobs(fixture('search-page-empty.html')), 0);
+  });
+});
+
+describe('parseJobDetail', () => {
+  test('extracts every section of a detail page', () => {
+    const job = parseJobDetail(fixture('job-detail.html'), 'https://www.jobthai.com/th/job/1833287');
+    const expected = JSON.parse(fixture('job-detail.expected.json'));
+
+    assert.ok(!isNaN(Date.parse(job.scrapedAt)));
+    delete job.scrapedAt;
+    job.description = lines(job.description);
+    job.requirements = lines(job.requirements);
+    assert.deepEqual(job, expected);
+  });
+
+  test('falls back to placeholders when sections are missing', () => {
+    const job = parseJobDetail(fixture('job-detail-minimal.html'), 'https://www.jobthai.com/th/job/1586052');
+
+    assert.equal(job.id, '1586052');
+    assert.equal(job.title, 'ไม่ระบุตำแหน่ง');
+    assert.equal(job.company, 'ไม่ระบุบริษัท');
+    assert.equal(job.location, 'ไม่ระบุสถานที่');
+    assert.equal(job.salary, 'ไม่ระบุเงินเดือน');
+    assert.equal(job.description, '');
+    assert.equal(job.benefits, '');
+    assert.equal(job.postedDate, '');
+  });
+});
+
+describe('htmlToText', () => {
+  test('puts each block on its own line like innerText', () => {
+    const html = `
+      <html><head><title>ignored</title><style>p { color: red }</style></head>
+      <body>
+        <div>สถานที่ปฏิบัติงาน</div>
+        <div><span>BTS</span> <span>อโศก</span></div>
+        <p>1. ประกันสังคม<br>2. โบนัสประจำปี</p>
+        <ul><li>ติดต่อ</li><li>ฝ่ายบุคคล</li></ul>
+        <script>window.jobs = [];</script>
+      </body></html>`;
+
+    assert.equal(htmlToText(html), 'สถานที่ปฏิบัติงาน\nBTS อโศก\n1. ประกันสังคม\n2. โบนัสประจำปี\nติดต่อ\nฝ่ายบุคคล');
+  });
+});
@@ -0,0 +1,25 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { JobThaiScraper } from '../src/scraper.js';
+
+// Listing preview texts as Hero reads them from the search page links
+const cases = JSON.parse(fs.readFileSync(new URL('./fixtures/preview-texts.json', import.meta.url), 'utf8'));
+
+// parsePreviewText does not use scraper state
+const parsePreviewText = text => JobThaiScraper.prototype.parsePreviewText.call(null, text);
+
+describe('parsePreviewText', () => {
+  for (const { name, text, expected = {}, startsWith = {} } of cases) {
+    test(name, () => {
+      const result = parsePreviewText(text);
+
+      for (const [field, value] of Object.entries(expected)) {
+        assert.equal(result[field], value, field);
+      }
+      for (const [field, prefix] of Object.entries(startsWith)) {
+        assert.ok(result[field].startsWith(prefix), `${field} "${result[field]}" should start with "${prefix}"`);
+      }
+    });
+  }
+});
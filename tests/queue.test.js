@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue, PageQueue } from '../src/queue.js';
+
+const job = id => ({ id, url: `https://www.jobthai.com/th/job/${id}` });
+
+describe('JobQueue failed jobs', () => {
+  test('retryFailed moves failed jobs back to pending with a fresh retry budget', () => {
+    const queue = new JobQueue();
+    queue.add(job('1'));
+    queue.fail(queue.getNext().id, new Error('Navigation timeout'), false);
+    assert.equal(queue.getStats().failed, 1);
+
+    assert.equal(queue.retryFailed(), 1);
+    const retried = queue.getNext();
+    assert.equal(retried.id, '1');
+    assert.equal(retried.attempts, 1);
+    assert.equal(retried.error, undefined);
+    assert.equal(queue.getStats().failed, 0);
+  });
+});
+
+describe('JobQueue producers', () => {
+  test('is not done while a producer may still add jobs', () => {
+    const queue = new JobQueue();
+    queue.startProducing();
+
+    assert.equal(queue.isDone(), false);
+    assert.equal(queue.getStats().producing, true);
+
+    queue.add(job('1'));
+    queue.complete(queue.getNext().id);
+    assert.equal(queue.isDone(), false);
+
+    queue.finishProducing();
+    assert.equal(queue.isDone(), true);
+  });
+
+  test('emits queue:done once the last producer finishes', () => {
+    const queue = new JobQueue();
+    const done = [];
+    queue.on('queue:done', stats => done.push(stats));
+
+    queue.startProducing();
+    queue.startProducing();
+    queue.add(job('1'));
+    queue.complete(queue.getNext().id);
+    queue.finishProducing();
+    assert.equal(done.length, 0);
+
+    queue.finishProducing();
+    assert.deepEqual(done, [{ completed: 1, failed: 0 }]);
+  });
+
+  test('waits for jobs still in progress when the producer finishes', () => {
+    const queue = new JobQueue();
+    queue.startProducing();
+    queue.add(job('1'));
+    const started = queue.getNext();
+
+    queue.finishProducing();
+    assert.equal(queue.isDone(), false);
+
+    queue.complete(started.id);
+    assert.equal(queue.isDone(), true);
+  });
+});
+
+describe('PageQueue', () => {
+  function queueWith(pageNums) {
+    const queue = new PageQueue();
+    pageNums.forEach(n => queue.addPage(n, `https://www.jobthai.com/th/jobs?page=${n}`));
+    return queue;
+  }
+
+  test('tracks completed and failed pages', () => {
+    const queue = queueWith([2, 3, 4]);
+    const failed = [];
+    queue.on('page:failed', info => failed.push(info));
+
+    queue.completePage(20, queue.getNextPage().pageNum);
+    queue.failPage(queue.getNextPage().pageNum, new Error('HTTP 500'));
+
+    assert.deepEqual([...queue.completedPages], [2]);
+    assert.deepEqual(failed, [{ pageNum: 3, error: 'HTTP 500' }]);
+    assert.deepEqual(queue.getProgress(), { current: 2, total: 0, remaining: 1, completed: 1, failed: 1 });
+  });
+
+  test('does not queue pages completed in an earlier run', () => {
+    const queue = new PageQueue();
+    queue.markCompleted(3);
+    queue.addPage(2, 'p2');
+    queue.addPage(3, 'p3');
+
+    assert.equal(queue.getNextPage().pageNum, 2);
+    assert.equal(queue.hasMorePages(), false);
+  });
+
+  test('drops queued pages after a page', () => {
+    const queue = queueWith([2, 3, 4, 5]);
+    queue.getNextPage();
+
+    assert.equal(queue.removePagesAfter(3), 2);
+    assert.deepEqual(queue.pages.map(page => page.pageNum), [3]);
+  });
+
+  test('clear forgets the pages of the previous search', () => {
+    const queue = queueWith([2]);
+    queue.completePage(20, queue.getNextPage().pageNum);
+    queue.clear();
+    queue.addPage(2, 'p2');
+
+    assert.equal(queue.getNextPage().pageNum, 2);
+    assert.equal(queue.getProgress().completed, 0);
+  });
+});
@@ -0,0 +1,135 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, BlockedPageError, isBlockedError, looksBlocked } from '../src/utils/rate-limiter.js';
+import { HttpStatusError } from '../src/utils/fetchers/index.js';
+
+// Keep the slow-down notices out of the test report
+before(() => mock.method(console, 'log', () => {}));
+after(() => mock.restoreAll());
+
+// Limiter that keeps its rate changes for inspection
+function limiter(options = {}) {
+  const rateLimiter = new RateLimiter({ requestsPerMinute: 60, minRequestsPerMinute: 6, ...options });
+  rateLimiter.log = [];
+  rateLimiter.on('rate:changed', change => rateLimiter.log.push(change));
+  return rateLimiter;
+}
+
+async function elapsed(fn) {
+  const started = Date.now();
+  await fn();
+  return Date.now() - started;
+}
+
+describe('RateLimiter token bucket', () => {
+  test('spaces requests at the configured rate', async () => {
+    const rateLimiter = new RateLimiter({ requestsPerMinute: 1200 }); // one per 50ms
+    const ms = await elapsed(() => Promise.all([1, 2, 3, 4].map(() => rateLimiter.acquire())));
+
+    // The first token is available at once, the next three wait 50ms each
+    assert.ok(ms >= 140, `took ${ms}ms`);
+  });
+
+  test('lets a burst through without waiting', async () => {
+    const rateLimiter = new RateLimiter({ requestsPerMinute: 60, burst: 3 });
+    const ms = await elapsed(() => Promise.all([1, 2, 3].map(() => rateLimiter.acquire())));
+    assert.ok(ms < 50, `took ${ms}ms`);
+  });
+
+  test('does not limit when requestsPerMinute is 0', async () => {
+    const rateLimiter = new RateLimiter({ requestsPerMinute: 0 });
+    const ms = await elapsed(() => Promise.all(Array.from({ length: 50 }, () => rateLimiter.acquire())));
+
+    assert.ok(ms < 50, `took ${ms}ms`);
+    rateLimiter.record('blocked');
+    assert.equal(rateLimiter.rate, 0);
+  });
+});
+
+describe('RateLimiter adaptive rate', () => {
+  test('backs off harder for blocked pages than for errors', () => {
+    const rateLimiter = limiter();
+
+    rateLimiter.record('error');
+    assert.equal(rateLimiter.rate, 42);
+    rateLimiter.record('blocked');
+    assert.equal(rateLimiter.rate, 21);
+    assert.deepEqual(rateLimiter.log.map(change => change.outcome), ['error', 'blocked']);
+  });
+
+  test('never drops below minRequestsPerMinute', () => {
+    const rateLimiter = limiter();
+    for (let i = 0; i < 20; i++) rateLimiter.record('blocked');
+    assert.equal(rateLimiter.rate, 6);
+  });
+
+  test('recovers gradually up to the ceiling', () => {
+    const rateLimiter = limiter();
+    rateLimiter.record('blocked');
+
+    rateLimiter.record('ok');
+    assert.equal(rateLimiter.rate, 33);
+    for (let i = 0; i < 20; i++) rateLimiter.record('ok');
+    assert.equal(rateLimiter.rate, 60);
+  });
+
+  test('treats responses much slower than usual as slow', () => {
+    const rateLimiter = limiter();
+    for (let i = 0; i < 5; i++) rateLimiter.recordDuration(100);
+    assert.equal(rateLimiter.counts.slow, 0);
+
+    rateLimiter.recordDuration(500);
+    assert.equal(rateLimiter.counts.slow, 1);
+    assert.equal(rateLimiter.rate, 48);
+  });
+
+  test('keeps the rate fixed when adaptive is off', () => {
+    const rateLimiter = limiter({ adaptive: false });
+    rateLimiter.record('blocked');
+
+    assert.equal(rateLimiter.rate, 60);
+    assert.equal(rateLimiter.counts.blocked, 1);
+  });
+});
+
+describe('RateLimiter.run', () => {
+  const url = 'https://www.jobthai.com/th/job/1';
+
+  test('returns the page and records its response time', async () => {
+    const rateLimiter = limiter({ burst: 5 });
+    const page = await rateLimiter.run(async () => ({ html: '<title>งาน</title>' }), url);
+
+    assert.equal(page.html, '<title>งาน</title>');
+    assert.equal(rateLimiter.counts.ok, 1);
+  });
+
+  test('rejects block pages and backs off', async () => {
+    const rateLimiter = limiter({ burst: 5 });
+
+    await assert.rejects(
+      rateLimiter.run(async () => ({ html: '<div class="g-recaptcha">Please complete the CAPTCHA</div>' }), url),
+      BlockedPageError
+    );
+    assert.equal(rateLimiter.counts.blocked, 1);
+    assert.equal(rateLimiter.rate, 30);
+  });
+
+  test('counts 429 responses as blocked and other failures as errors', async () => {
+    const rateLimiter = limiter({ burst: 5 });
+
+    await assert.rejects(rateLimiter.run(async () => { throw new HttpStatusError(429, url); }, url), HttpStatusError);
+    await assert.rejects(rateLimiter.run(async () => { throw new Error('socket hang up'); }, url), /socket hang up/);
+    assert.deepEqual(rateLimiter.counts, { ok: 0, slow: 0, error: 1, blocked: 1 });
+  });
+});
+
+describe('block detection', () => {
+  test('recognises refusals', () => {
+    assert.ok(isBlockedError(new HttpStatusError(403, 'x')));
+    assert.ok(isBlockedError(new BlockedPageError('x')));
+    assert.ok(!isBlockedError(new HttpStatusError(500, 'x')));
+    assert.ok(looksBlocked({ html: '<h1>Access Denied</h1>' }));
+    assert.ok(!looksBlocked({ html: '<h1>วิศวกรคอมพิวเตอร์</h1>' }));
+    assert.ok(!looksBlocked(null));
+  });
+});
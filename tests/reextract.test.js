@@ -0,0 +1,89 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockJobThaiSite, generateJobs } from './mock-site/server.js';
+import { DEFAULT_CONFIG } from '../src/utils/config.js';
+import { JobThaiScraper } from '../src/scraper.js';
+import { reextractJobs, changedFields } from '../src/reextract.js';
+
+const jobs = generateJobs(10);
+const site = new MockJobThaiSite({ jobs });
+let tmpDir;
+let config;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  const baseUrl = await site.start();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-reextract-'));
+  config = {
+    ...DEFAULT_CONFIG,
+    baseUrl,
+    workers: 2,
+    delay: { min: 0, max: 0 },
+    rateLimit: { requestsPerMinute: 0 },
+    fetcher: { listing: 'http', detail: 'http', fallback: false, timeout: 1000 },
+    archive: { mode: 'off', dir: path.join(tmpDir, 'pages'), details: true },
+    output: path.join(tmpDir, 'jobs.json')
+  };
+});
+
+after(async () => {
+  mock.restoreAll();
+  await site.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const savedJobs = () => JSON.parse(fs.readFileSync(config.output, 'utf8')).jobs;
+
+describe('reextract', () => {
+  test('changedFields lists added, removed and changed values', () => {
+    assert.deepEqual(
+      changedFields({ a: 1, b: [1], c: 'x' }, { a: 1, b: [1, 2], d: null }),
+      ['b', 'c', 'd']
+    );
+  });
+
+  test('applies a fixed extraction to jobs saved with an outdated one', async () => {
+    // Scrape with a benefits label the pages do not use, so every job is saved without benefits
+    const staleProfile = path.join(tmpDir, 'stale-profile.json');
+    fs.writeFileSync(staleProfile, JSON.stringify({ version: 1, detail: { labels: { benefits: 'สวัสดิการพนักงาน' } } }));
+    const scraper = new JobThaiScraper({ ...config, siteProfile: staleProfile });
+    try {
+      await scraper.init();
+      await scraper.start();
+    } finally {
+      await scraper.close();
+    }
+    const before = savedJobs();
+    assert.equal(before.length, jobs.length);
+    assert.ok(before.every(job => job.benefits === ''));
+
+    const preview = await reextractJobs(config, { dryRun: true });
+    assert.equal(preview.checked, jobs.length);
+    assert.equal(preview.updated, 0);
+    assert.equal(preview.changes.length, jobs.length);
+    assert.ok(preview.changes.every(change => change.fields.includes('benefits')));
+    assert.deepEqual(savedJobs(), before);
+
+    const report = await reextractJobs(config);
+    const after = savedJobs();
+    assert.equal(report.updated, jobs.length);
+    assert.equal(report.fields.benefits, jobs.length);
+    assert.ok(after.every(job => job.benefits.includes('ประกันสังคม')));
+    assert.deepEqual(after.map(job => job.scrapedAt), before.map(job => job.scrapedAt));
+
+    const again = await reextractJobs(config);
+    assert.equal(again.changes.length, 0);
+  });
+
+  test('counts saved jobs without an archived page', async () => {
+    const pages = config.archive.dir;
+    const [ref] = fs.readdirSync(pages).filter(name => name.endsWith('.json'));
+    fs.unlinkSync(path.join(pages, ref));
+
+    const report = await reextractJobs(config, { dryRun: true });
+    assert.equal(report.notArchived, 1);
+  });
+});
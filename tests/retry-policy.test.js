@@ -0,0 +1,125 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy, ParseError, classifyError, ERROR_CLASSES } from '../src/utils/retry-policy.js';
+import { JobQueue } from '../src/queue.js';
+import { HttpStatusError } from '../src/utils/fetchers/index.js';
+import { BlockedPageError } from '../src/utils/rate-limiter.js';
+import { PageNotArchivedError } from '../src/utils/page-archive.js';
+
+const url = 'https://www.jobthai.com/th/job/1';
+
+// No jitter unless a test asks for it
+const policy = (options = {}) => new RetryPolicy({ baseDelayMs: 1000, random: () => 0.5, ...options });
+
+describe('classifyError', () => {
+  test('sorts errors into classes', () => {
+    const timeout = new Error('The operation was aborted due to timeout');
+    timeout.name = 'TimeoutError';
+
+    assert.equal(classifyError(timeout), ERROR_CLASSES.TIMEOUT);
+    assert.equal(classifyError(new Error('Timeout waiting for navigation')), ERROR_CLASSES.TIMEOUT);
+    assert.equal(classifyError(new HttpStatusError(404, url)), ERROR_CLASSES.NOT_FOUND);
+    assert.equal(classifyError(new HttpStatusError(410, url)), ERROR_CLASSES.NOT_FOUND);
+    assert.equal(classifyError(new HttpStatusError(429, url)), ERROR_CLASSES.BLOCKED);
+    assert.equal(classifyError(new BlockedPageError(url)), ERROR_CLASSES.BLOCKED);
+    assert.equal(classifyError(new ParseError(url)), ERROR_CLASSES.PARSE);
+    assert.equal(classifyError(new PageNotArchivedError('detail', url)), ERROR_CLASSES.NOT_ARCHIVED);
+    assert.equal(classifyError(new HttpStatusError(500, url)), ERROR_CLASSES.ERROR);
+    assert.equal(classifyError(new Error('socket hang up')), ERROR_CLASSES.ERROR);
+  });
+});
+
+describe('RetryPolicy', () => {
+  test('allows retryAttempts retries after the first try', () => {
+    const retryPolicy = policy({ retryAttempts: 2 });
+    const error = new HttpStatusError(500, url);
+
+    assert.equal(retryPolicy.decide(error, 1).retry, true);
+    assert.equal(retryPolicy.decide(error, 2).retry, true);
+    assert.equal(retryPolicy.decide(error, 3).retry, false);
+    assert.equal(policy({ retryAttempts: 0 }).decide(error, 1).retry, false);
+  });
+
+  test('backs off exponentially up to maxDelayMs', () => {
+    const retryPolicy = policy({ maxDelayMs: 5000 });
+    const error = new Error('socket hang up');
+
+    assert.deepEqual([1, 2, 3].map(attempts => retryPolicy.decide(error, attempts).delayMs), [1000, 2000, 4000]);
+    assert.equal(retryPolicy.delayFor(10), 5000);
+  });
+
+  test('spreads delays by the jitter share', () => {
+    assert.equal(policy({ random: () => 0 }).delayFor(1), 500);
+    assert.equal(policy({ random: () => 1 }).delayFor(1), 1500);
+    assert.equal(policy({ jitter: 0, random: () => 0 }).delayFor(1), 1000);
+  });
+
+  test('handles each error class differently', () => {
+    const retryPolicy = policy();
+
+    assert.deepEqual(retryPolicy.decide(new HttpStatusError(404, url), 1),
+      { retry: false, delayMs: 0, errorClass: 'not-found' });
+    assert.equal(retryPolicy.decide(new PageNotArchivedError('detail', url), 1).retry, false);
+    assert.equal(retryPolicy.decide(new BlockedPageError(url), 1).delayMs, 5000);
+
+    // Parse failures get one more try
+    assert.equal(retryPolicy.decide(new ParseError(url), 1).retry, true);
+    assert.equal(retryPolicy.decide(new ParseError(url), 2).retry, false);
+  });
+
+  test('reads retryAttempts and retry from config', () => {
+    const retryPolicy = RetryPolicy.fromConfig({ retryAttempts: 5, retry: { baseDelayMs: 10 } });
+    assert.equal(retryPolicy.maxAttempts, 6);
+    assert.equal(retryPolicy.baseDelayMs, 10);
+    assert.equal(RetryPolicy.fromConfig({}).maxAttempts, 4);
+  });
+});
+
+describe('JobQueue retries', () => {
+  function queueWith(options) {
+    const queue = new JobQueue({ retryPolicy: policy(options) });
+    queue.add({ id: '1', url });
+    return queue;
+  }
+
+  test('re-queues after the backoff and counts as not done meanwhile', async () => {
+    const queue = queueWith({ baseDelayMs: 30 });
+    queue.fail(queue.getNext().id, new HttpStatusError(500, url));
+
+    assert.equal(queue.getNext(), null);
+    assert.equal(queue.getStats().delayed, 1);
+    assert.equal(queue.isDone(), false);
+    assert.equal(queue.get('1').errorClass, 'error');
+    assert.deepEqual(queue.toJSON().pending.map(job => job.id), ['1']);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const job = queue.getNext();
+    assert.equal(job.id, '1');
+    assert.equal(job.attempts, 2);
+    assert.equal(job.errorClass, 'error');
+  });
+
+  test('fails removed jobs without retrying', () => {
+    const queue = queueWith();
+    queue.fail(queue.getNext().id, new HttpStatusError(404, url));
+
+    assert.equal(queue.getStats().failed, 1);
+    assert.equal(queue.failed[0].errorClass, 'not-found');
+    assert.equal(queue.isDone(), true);
+  });
+
+  test('fails for good when the caller says so', () => {
+    const queue = queueWith();
+    queue.fail(queue.getNext().id, new Error('socket hang up'), false);
+    assert.equal(queue.getStats().failed, 1);
+  });
+
+  test('clear cancels pending backoffs', () => {
+    const queue = queueWith({ baseDelayMs: 10 });
+    queue.fail(queue.getNext().id, new Error('socket hang up'));
+    queue.clear();
+
+    assert.equal(queue.retryTimers.size, 0);
+    assert.equal(queue.getStats().total, 0);
+  });
+});
@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSalary } from '../src/utils/salary.js';
+
+// Salary formats seen on JobThai listings: [text, min, max, period, negotiable]
+const FORMATS = [
+  ['25,000 - 35,000 บาท', 25000, 35000, 'month', false],
+  ['100,000 - 150,000 บาท', 100000, 150000, 'month', false],
+  ['31,500 บาท', 31500, 31500, 'month', false],
+  ['15,000 ขึ้นไป', 15000, null, 'month', false],
+  ['15,000 บาทขึ้นไป หรือตามตกลง', 15000, null, 'month', true],
+  ['48,000+ หรือตามตกลง', 48000, null, 'month', true],
+  ['เริ่มต้น 30,000-100,000', 30000, 100000, 'month', false],
+  ['18,000 - 25,000 หรือ ตามประสบการณ์', 18000, 25000, 'month', true],
+  ['15,000 - 20,000 + คอมมิสชั่น', 15000, 20000, 'month', false],
+  ['20,000 ขึ้นไป **มีค่ากะ+ค่ารถ 1,000-2,000 บาท', 20000, null, 'month', false],
+  ['400 บาท (รายวัน)', 400, 400, 'day', false],
+  ['Internship Allowance 350 THB / Day', 350, 350, 'day', false],
+  ['50K - 70K', 50000, 70000, 'month', false],
+  ['ตามตกลง', null, null, null, true],
+  ['ตามประสบการณ์', null, null, null, true],
+  ['ตามโครงสร้างบริษัทฯ', null, null, null, true],
+  ['Depend on qualifications and experience', null, null, null, true],
+  ['ไม่ระบุ', null, null, null, false],
+  ['', null, null, null, false]
+];
+
+describe('parseSalary', () => {
+  for (const [text, min, max, period, negotiable] of FORMATS) {
+    test(JSON.stringify(text), () => {
+      const salary = parseSalary(text);
+
+      assert.equal(salary.min, min, 'min');
+      assert.equal(salary.max, max, 'max');
+      assert.equal(salary.period, period, 'period');
+      assert.equal(salary.negotiable, negotiable, 'negotiable');
+      assert.equal(salary.raw, text);
+    });
+  }
+});
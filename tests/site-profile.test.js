@@ -0,0 +1,111 @@
+import { test, describe, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadSiteProfile,
+  useSiteProfile,
+  validateSiteProfile,
+  SiteProfileError,
+  PROFILE_VERSION,
+  DEFAULT_PROFILE_PATH
+} from '../src/utils/site-profile.js';
+import { ConfigError } from '../src/utils/config.js';
+import { parseJobDetail } from '../src/utils/parser.js';
+import { Worker } from '../src/worker.js';
+
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-profile-'));
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Extractors read the active profile, put the bundled one back after each test
+afterEach(() => useSiteProfile(loadSiteProfile()));
+
+function writeProfile(name, data) {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return filePath;
+}
+
+describe('site profile', () => {
+  test('bundled profile is valid and has its patterns compiled', () => {
+    const raw = JSON.parse(fs.readFileSync(DEFAULT_PROFILE_PATH, 'utf8'));
+    assert.deepEqual(validateSiteProfile(raw), { errors: [], warnings: [] });
+
+    const profile = loadSiteProfile();
+    assert.equal(profile.version, PROFILE_VERSION);
+    assert.ok(profile.listing.jobId instanceof RegExp);
+    assert.equal(profile.detail.patterns.companyHistoryStart.flags, 'i');
+    assert.deepEqual(profile.preview.noise.map(pattern => pattern.flags), ['gi', 'gi', 'gi', 'gi']);
+    assert.equal(profile.detail.labels.salary, 'เงินเดือน');
+  });
+
+  test('an override replaces only the keys it lists', () => {
+    const filePath = writeProfile('override.json', {
+      version: PROFILE_VERSION,
+      detail: { labels: { salary: 'ค่าตอบแทน' }, selectors: { title: ['.position-name'] } }
+    });
+    const profile = loadSiteProfile(filePath);
+
+    assert.equal(profile.source, filePath);
+    assert.equal(profile.detail.labels.salary, 'ค่าตอบแทน');
+    assert.equal(profile.detail.labels.location, 'สถานที่ปฏิบัติงาน');
+    assert.deepEqual(profile.detail.selectors.title, ['.position-name']);
+    assert.ok(profile.detail.selectors.company.length > 1);
+  });
+
+  test('rejects an override written for another version', () => {
+    const other = writeProfile('v2.json', { version: PROFILE_VERSION + 1 });
+    const unversioned = writeProfile('unversioned.json', { detail: { labels: { salary: 'ค่าตอบแทน' } } });
+
+    assert.throws(() => loadSiteProfile(other), error => {
+      assert.ok(error instanceof SiteProfileError);
+      assert.ok(error instanceof ConfigError);
+      assert.match(error.message, /version 2 is not supported/);
+      return true;
+    });
+    assert.throws(() => loadSiteProfile(unversioned), /version is required/);
+  });
+
+  test('reports every invalid value at once', () => {
+    const filePath = writeProfile('broken.json', {
+      version: PROFILE_VERSION,
+      listing: { jobId: '/job/(\\d+', nextButtons: [] },
+      detail: { labels: { contact: 5 } }
+    });
+
+    assert.throws(() => loadSiteProfile(filePath), error => {
+      assert.deepEqual(error.errors.map(problem => problem.path), [
+        'listing.jobId',
+        'listing.nextButtons',
+        'detail.labels.contact'
+      ]);
+      return true;
+    });
+  });
+
+  test('extractors read the active profile', () => {
+    useSiteProfile(loadSiteProfile(writeProfile('labels.json', {
+      version: PROFILE_VERSION,
+      detail: {
+        labels: { salary: 'ค่าตอบแทน' },
+        selectors: { company: ['.employer'] }
+      }
+    })));
+
+    const sections = new Worker(1, {}, null, null).extractSectionsFromText('ค่าตอบแทน\n30,000 บาท\nเงินเดือน\nไม่ใช่');
+    assert.equal(sections.salary, '30,000 บาท');
+
+    const detail = parseJobDetail('<div class="employer">บริษัท ทดสอบ จำกัด</div>', 'https://www.jobthai.com/th/job/1');
+    assert.equal(detail.company, 'บริษัท ทดสอบ จำกัด');
+  });
+});
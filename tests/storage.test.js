@@ -0,0 +1,103 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileHandler } from '../src/utils/file-handler.js';
+
+const job = (id, title = `งาน ${id}`) => ({
+  id,
+  url: `https://www.jobthai.com/th/job/${id}`,
+  title,
+  company: 'บริษัท ทดสอบ จำกัด',
+  salaryInfo: { min: 30000, max: 40000, currency: 'THB', period: 'month', negotiable: false },
+  stations: [{ line: 'BTS-SUKHUMVIT', station: 'Asok', stationTh: 'อโศก', code: 'E4' }],
+  postedAt: '2025-12-22T00:00:00+07:00',
+  scrapedAt: '2025-12-22T04:00:00.000Z'
+});
+
+let dir;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobthai-storage-'));
+});
+
+after(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Run the same writes and reads against a backend, reopening it read-only at the end
+ */
+async function exercise(type) {
+  const output = path.join(dir, type, 'jobs.json');
+  const fileHandler = new FileHandler(output, { type });
+  await fileHandler.init();
+
+  const results = {
+    added: [await fileHandler.addJob(job('1')), await fileHandler.addJob(job('1'))],
+    addedMany: await fileHandler.addJobs([job('2'), job('3'), job('1')]),
+    upserted: [await fileHandler.upsertJob(job('2', 'ตำแหน่งใหม่')), await fileHandler.upsertJob(job('4'))]
+  };
+  results.jobs = fileHandler.getJobs();
+  results.job = fileHandler.getJob('2');
+  results.missing = fileHandler.getJob('99');
+  results.count = fileHandler.getCount();
+  results.has = [fileHandler.hasJob('3'), fileHandler.hasJob('99')];
+  results.ids = [...fileHandler.getExistingIds()].sort();
+  await fileHandler.close();
+
+  const reader = new FileHandler(output, { type }, { readOnly: true });
+  await reader.init();
+  results.reopened = reader.getJobs();
+  await reader.close();
+
+  return results;
+}
+
+describe('storage backends', () => {
+  test('JSON and SQLite give the same results for the same writes', async () => {
+    const json = await exercise('json');
+    const sqlite = await exercise('sqlite');
+
+    assert.deepEqual(sqlite, json);
+    assert.deepEqual(json.added, [true, false]);
+    assert.equal(json.addedMany, 2);
+    assert.deepEqual(json.upserted, [false, true]);
+    assert.deepEqual(json.jobs.map(saved => saved.id), ['1', '2', '3', '4']);
+    assert.equal(json.job.title, 'ตำแหน่งใหม่');
+    assert.deepEqual(json.job.salaryInfo, job('2').salaryInfo);
+    assert.equal(json.missing, null);
+    assert.equal(json.count, 4);
+    assert.deepEqual(json.has, [true, false]);
+    assert.deepEqual(json.ids, ['1', '2', '3', '4']);
+    assert.deepEqual(json.reopened, json.jobs);
+  });
+
+  test('a new SQLite database imports the existing jobs.json', async () => {
+    const output = path.join(dir, 'import', 'jobs.json');
+    fs.mkdirSync(path.dirname(output));
+    fs.writeFileSync(output, JSON.stringify({ metadata: {}, jobs: [job('1'), job('2')] }));
+
+    const fileHandler = new FileHandler(output, { type: 'sqlite' });
+    await fileHandler.init();
+
+    assert.deepEqual(fileHandler.getJobs(), [job('1'), job('2')]);
+    assert.ok(fs.existsSync(path.join(dir, 'import', 'jobs.sqlite')));
+    await fileHandler.close();
+  });
+
+  test('both backends write a backup next to the output', async () => {
+    for (const type of ['json', 'sqlite']) {
+      const fileHandler = new FileHandler(path.join(dir, type, 'jobs.json'), { type });
+      await fileHandler.init();
+      await fileHandler.backup();
+      await fileHandler.close();
+
+      const backups = fs.readdirSync(path.join(dir, type)).filter(name => name.includes('-backup-'));
+      assert.equal(backups.length, 1, type);
+    }
+  });
+});
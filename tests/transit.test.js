@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractStations, findStation, getStationsWithin, isNearStation, getStationProvince } from '../src/utils/transit.js';
+
+describe('extractStations', () => {
+  test('finds BTS, MRT and Airport Rail Link stations in order', () => {
+    assert.deepEqual(extractStations('BTS อโศก, MRT สุขุมวิท\nAirport Rail Link มักกะสัน'), [
+      { line: 'BTS-SUKHUMVIT', station: 'Asok', stationTh: 'อโศก', code: 'E4' },
+      { line: 'MRT-BLUE', station: 'Sukhumvit', stationTh: 'สุขุมวิท', code: 'BL22' },
+      { line: 'ARL', station: 'Makkasan', stationTh: 'มักกะสัน', code: 'A6' }
+    ]);
+  });
+
+  test('returns nothing for text without stations', () => {
+    assert.deepEqual(extractStations('รถประจำทางสาย 8, 38'), []);
+    assert.deepEqual(extractStations(''), []);
+  });
+});
+
+describe('transit graph', () => {
+  test('findStation accepts codes, Thai and English names', () => {
+    assert.equal(findStation('E4').en, 'Asok');
+    assert.equal(findStation('อโศก').code, 'E4');
+    assert.equal(findStation('Asoke').code, 'E4');
+    assert.equal(findStation('Nowhere'), null);
+  });
+
+  test('getStationsWithin walks lines and interchanges', () => {
+    const near = getStationsWithin('Asok', 1);
+
+    assert.equal(near.get('E4'), 0);
+    assert.equal(near.get('BL22'), 0); // Sukhumvit is the MRT side of the same interchange
+    assert.equal(near.get('E3'), 1);
+    assert.equal(near.get('E5'), 1);
+    assert.equal(near.has('E6'), false);
+  });
+
+  test('isNearStation matches job stations against a stop limit', () => {
+    const stations = extractStations('MRT สุขุมวิท');
+    assert.equal(isNearStation(stations, 'Asok', 0), true);
+    assert.equal(isNearStation(extractStations('BTS สยาม'), 'Asok', 1), false);
+  });
+
+  test('getStationProvince gives the ISO code of the station province', () => {
+    assert.equal(getStationProvince('E4'), 'TH-10');
+  });
+});
@@ -0,0 +1,173 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker, WorkerPool } from '../src/worker.js';
+import { JobQueue } from '../src/queue.js';
+import { HttpStatusError } from '../src/utils/fetchers/index.js';
+import { RetryPolicy } from '../src/utils/retry-policy.js';
+
+// Keep the worker progress out of the test report
+before(() => mock.method(console, 'log', () => {}));
+before(() => mock.method(console, 'error', () => {}));
+after(() => mock.restoreAll());
+
+const PAGE = {
+  html: '',
+  title: 'งาน หางาน สมัครงาน บริษัท ทดสอบ จำกัด | โปรแกรมเมอร์ - JobThai',
+  bodyText: 'โปรแกรมเมอร์',
+  selectorText: {},
+  companyLogo: ''
+};
+
+function disconnected() {
+  const error = new Error('Connection to Core was lost');
+  error.name = 'DisconnectedError';
+  return error;
+}
+
+/**
+ * Fetcher that stands in for Hero: each fetchDetail takes the next outcome
+ * from the script (an Error is thrown), then returns PAGE once the script runs out
+ */
+function scriptedFetcher(script = [], { restartFails = false } = {}) {
+  return {
+    type: 'hero',
+    hasHero: true,
+    restarts: 0,
+    fetched: 0,
+    async init() {},
+    async fetchDetail() {
+      this.fetched++;
+      const outcome = script.shift();
+      if (outcome instanceof Error) throw outcome;
+      return PAGE;
+    },
+    async restart() {
+      if (restartFails) throw new Error('connect ECONNREFUSED 127.0.0.1:1818');
+      this.restarts++;
+    },
+    async close() {}
+  };
+}
+
+const config = {
+  delay: { min: 0, max: 0 },
+  rateLimit: { requestsPerMinute: 0 },
+  recovery: { maxConsecutiveErrors: 3, maxRestarts: 2, restartBackoffMs: 1, recycleAfterJobs: 0 }
+};
+
+function queueWith(count) {
+  // Three attempts per job, retried at once
+  const queue = new JobQueue({ retryPolicy: new RetryPolicy({ retryAttempts: 2, baseDelayMs: 0 }) });
+  for (let i = 1; i <= count; i++) {
+    queue.add({ id: String(i), url: `https://www.jobthai.com/th/job/${i}` });
+  }
+  return queue;
+}
+
+function workerWith(fetcher, queue, recovery = {}) {
+  const saved = [];
+  const worker = new Worker(1, { ...config, recovery: { ...config.recovery, ...recovery } }, queue, {
+    addJob: async job => saved.push(job)
+  });
+  worker.fetcher = fetcher;
+  worker.saved = saved;
+  return worker;
+}
+
+describe('Worker session recovery', () => {
+  test('restarts the session after a disconnect and retries the job', async () => {
+    const fetcher = scriptedFetcher([disconnected()]);
+    const queue = queueWith(2);
+    const worker = workerWith(fetcher, queue);
+    await worker.start();
+
+    assert.equal(fetcher.restarts, 1);
+    assert.equal(worker.restartCount, 1);
+    assert.equal(worker.saved.length, 2);
+    assert.equal(queue.getStats().failed, 0);
+  });
+
+  test('restarts after repeated navigation errors', async () => {
+    const timeout = () => new Error('Timeout waiting for navigation');
+    const fetcher = scriptedFetcher([timeout(), timeout(), timeout()]);
+    const worker = workerWith(fetcher, queueWith(3));
+    await worker.start();
+
+    assert.equal(fetcher.restarts, 1);
+    assert.equal(worker.saved.length, 2);
+  });
+
+  test('does not count HTTP errors against the session', async () => {
+    const httpError = () => new HttpStatusError(500, 'x');
+    const fetcher = scriptedFetcher([httpError(), httpError(), httpError()]);
+    const worker = workerWith(fetcher, queueWith(3));
+    await worker.start();
+
+    assert.equal(fetcher.restarts, 0);
+  });
+
+  test('recycles the session after recycleAfterJobs jobs', async () => {
+    const fetcher = scriptedFetcher();
+    const worker = workerWith(fetcher, queueWith(5), { recycleAfterJobs: 2 });
+    await worker.start();
+
+    assert.equal(fetcher.restarts, 2);
+    assert.equal(worker.saved.length, 5);
+    assert.equal(worker.isBroken, false);
+  });
+
+  test('gives up when the session cannot be restarted', async () => {
+    const fetcher = scriptedFetcher([disconnected()], { restartFails: true });
+    const queue = queueWith(3);
+    const worker = workerWith(fetcher, queue);
+    await worker.start();
+
+    assert.equal(worker.isBroken, true);
+    assert.equal(worker.isRunning, false);
+    assert.equal(queue.getStats().pending, 3);
+  });
+});
+
+describe('WorkerPool replacement', () => {
+  // Pool whose workers get fetchers from a list, one per created worker
+  function poolWith(fetchers, queue, options = {}) {
+    const pool = new WorkerPool({ ...config, workers: 1, ...options }, queue, { addJob: async () => {} });
+    const createWorker = pool.createWorker.bind(pool);
+    pool.createWorker = () => {
+      const worker = createWorker();
+      const fetcher = fetchers.shift();
+      worker.init = async () => { worker.fetcher = fetcher; };
+      return worker;
+    };
+    return pool;
+  }
+
+  test('replaces a worker that could not recover', async () => {
+    const queue = queueWith(4);
+    const pool = poolWith([
+      scriptedFetcher([disconnected()], { restartFails: true }),
+      scriptedFetcher()
+    ], queue);
+    await pool.init();
+    await pool.start();
+
+    assert.equal(pool.replacedCount, 1);
+    assert.deepEqual(pool.workers.map(worker => worker.id), [2]);
+    assert.equal(queue.getStats().completed, 4);
+    assert.equal(pool.getTotalProcessed(), 4);
+  });
+
+  test('stops replacing at maxReplacements', async () => {
+    const queue = queueWith(2);
+    const broken = () => scriptedFetcher([disconnected()], { restartFails: true });
+    const pool = poolWith([broken(), broken(), broken()], queue, {
+      recovery: { ...config.recovery, maxReplacements: 1 }
+    });
+    await pool.init();
+    await pool.start();
+
+    assert.equal(pool.replacedCount, 1);
+    assert.equal(queue.getStats().completed, 0);
+    assert.equal(queue.isDone(), false);
+  });
+});